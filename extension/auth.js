@@ -7,13 +7,48 @@ import { CONFIG } from './config.js';
 const SUPABASE_URL = CONFIG.SUPABASE_URL;
 const SUPABASE_ANON_KEY = CONFIG.SUPABASE_ANON_KEY;
 
+// The session is kept in chrome.storage.local rather than the popup's localStorage, so the
+// background worker can send queued ratings (see getStoredAccessToken) while the popup is closed
+export const AUTH_STORAGE_KEY = 'supabaseAuthSession';
+const LEGACY_AUTH_STORAGE_KEY = `sb-${new URL(SUPABASE_URL).hostname.split('.')[0]}-auth-token`;
+const TOKEN_EXPIRY_MARGIN_MS = 60000;
+
+const chromeStorageAdapter = {
+    async getItem(key) {
+        const stored = await chrome.storage.local.get(key);
+        return stored[key] ?? null;
+    },
+    async setItem(key, value) {
+        await chrome.storage.local.set({ [key]: value });
+    },
+    async removeItem(key) {
+        await chrome.storage.local.remove(key);
+    }
+};
+
 // Global variable to hold supabase client
 let supabase = null;
 
+// Sessions saved by older versions live in the popup's localStorage under the client's default key
+async function migrateLegacySession() {
+    try {
+        const legacy = localStorage.getItem(LEGACY_AUTH_STORAGE_KEY);
+        if (!legacy) return;
+        if (!(await chromeStorageAdapter.getItem(AUTH_STORAGE_KEY))) {
+            await chromeStorageAdapter.setItem(AUTH_STORAGE_KEY, legacy);
+        }
+        localStorage.removeItem(LEGACY_AUTH_STORAGE_KEY);
+    } catch (error) {
+        console.warn('Could not migrate the stored session:', error.message);
+    }
+}
+
 // Initialize Supabase client
 async function initSupabase() {
     if (supabase) return supabase;
 
+    await migrateLegacySession();
+
     // Load Supabase library if not already loaded
     if (!window.supabase) {
         await new Promise((resolve, reject) => {
@@ -26,7 +61,9 @@ async function initSupabase() {
     }
 
     const { createClient } = window.supabase;
-    supabase = createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
+    supabase = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+        auth: { storage: chromeStorageAdapter, storageKey: AUTH_STORAGE_KEY }
+    });
     return supabase;
 }
 
@@ -108,6 +145,26 @@ export async function getSession() {
     }
 }
 
+/**
+ * Access token of the stored session, for contexts without the Supabase client (the background
+ * worker). Refresh tokens are single-use, so only the popup's client refreshes: an expired or
+ * nearly expired token gives null here, and the worker waits for the client to store a new session.
+ * Never throws.
+ * @returns {Promise<string|null>} - null when signed out or the token is about to expire
+ */
+export async function getStoredAccessToken() {
+    try {
+        const raw = await chromeStorageAdapter.getItem(AUTH_STORAGE_KEY);
+        const session = raw ? JSON.parse(raw) : null;
+        if (!session || !session.access_token || !session.expires_at) return null;
+
+        return session.expires_at * 1000 - TOKEN_EXPIRY_MARGIN_MS > Date.now() ? session.access_token : null;
+    } catch (error) {
+        console.warn('Could not read the stored session:', error.message);
+        return null;
+    }
+}
+
 /**
  * Gets the current authenticated user object.
  * @returns {Promise<{user: object|null, error: Error|null}>}
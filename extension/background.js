@@ -0,0 +1,594 @@
+// rating-extension/background.js
+// Service worker: keeps the toolbar badge in sync with the trust score of each tab
+
+import { CONFIG } from './config.js';
+import { urlCanonicalizer, CANONICAL_RULES_KEY } from './url-canonicalizer.js';
+import { ratingOutbox, isRetryableSubmitError, postRating, RATING_OUTBOX_ALARM } from './rating-outbox.js';
+import { getStoredAccessToken, AUTH_STORAGE_KEY } from './auth.js';
+
+const API_BASE_URL = `${CONFIG.SUPABASE_URL}/functions/v1/url-trust-api`;
+const TRUST_SCORE_API_URL = `${CONFIG.SUPABASE_URL}/functions/v1/trust-score-api`;
+const BATCH_SCORES_MAX_URLS = 50; // Server-side limit of /batch-scores
+const TAB_STATS_PREFIX = 'tab_stats_';
+const TAB_STATS_DURATION_MS = 300000; // 5 minutes, matches popup cache and aggregation frequency
+const REQUEST_TIMEOUT_MS = 15000;
+const CANONICAL_RULES_DURATION_MS = 3600000; // 1 hour, matches the endpoint's Cache-Control
+
+// Tab ids with a fetch in flight, so rapid navigation events don't stack requests
+const pendingFetches = new Map(); // tabId -> url
+
+// Link badge scores, shared across tabs for the lifetime of the worker
+const batchScoreCache = new Map(); // canonical url -> {score, timestamp}
+
+// Navigation interstitial for critical URLs
+const INTERSTITIAL_ALLOWED_KEY = 'interstitialAllowedSites'; // { domain: timestamp } - "proceed anyway" decisions
+const CRITICAL_VERDICTS_KEY = 'criticalUrlVerdicts'; // chrome.storage.session copy of criticalVerdicts
+const CRITICAL_VERDICT_DURATION_MS = 3600000; // 1 hour
+const urlCheckCache = new Map(); // canonical url -> {verdict, timestamp}
+// Read synchronously in onBeforeNavigate so known-critical URLs are redirected before they load
+const criticalVerdicts = new Map(); // canonical url -> {verdict, timestamp}
+let allowedSites = null; // In-memory copy of INTERSTITIAL_ALLOWED_KEY, null until loaded
+const committedUrls = new Map(); // tabId -> last committed web URL, where "Go back" returns to
+
+// Request ID generation for debugging (same format as popup.js)
+function generateRequestId() {
+    return 'req_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+function isRateableUrl(url) {
+    return !!url && (url.startsWith('http://') || url.startsWith('https://'));
+}
+
+function extractDomain(url) {
+    return urlCanonicalizer.getDomain(url);
+}
+
+// Tab stats and lookup caches are keyed by canonical URL so tracking-param variants match
+function isSameUrl(a, b) {
+    return !!a && !!b && urlCanonicalizer.canonicalize(a) === urlCanonicalizer.canonicalize(b);
+}
+
+/**
+ * Pick the score the popup would display for this stats payload.
+ * @param {object} data - /url-stats response
+ * @returns {number|null}
+ */
+function getDisplayScore(data) {
+    if (!data) return null;
+    const score = data.final_trust_score !== null && data.final_trust_score !== undefined
+        ? data.final_trust_score
+        : data.trust_score;
+    return typeof score === 'number' ? score : null;
+}
+
+/**
+ * Badge colour for a score, using the same bands as updateScoreBar in popup.js.
+ * @param {number|null} score
+ * @returns {string}
+ */
+function getBadgeColor(score) {
+    if (score >= 75) return '#34D399'; // Green for 75%+ (good/excellent)
+    if (score >= 50) return '#FCD34D'; // Warm yellow for 50-74% (fair/good)
+    if (score >= 25) return '#FBBF24'; // Yellow for 25-49% (poor/fair)
+    if (score > 0) return '#F87171';   // Red for 1-24% (very poor)
+    return '#6B7280';                  // Gray for unknown (popup's translucent white is invisible on a badge)
+}
+
+async function setBadge(tabId, score) {
+    try {
+        if (score === null) {
+            await chrome.action.setBadgeText({ tabId, text: '' });
+            return;
+        }
+        await chrome.action.setBadgeText({ tabId, text: String(Math.round(score)) });
+        await chrome.action.setBadgeBackgroundColor({ tabId, color: getBadgeColor(score) });
+        if (chrome.action.setBadgeTextColor) {
+            await chrome.action.setBadgeTextColor({ tabId, color: '#111827' });
+        }
+    } catch (error) {
+        // Tab was closed before the badge could be drawn
+    }
+}
+
+/**
+ * Load the per-domain canonicalization rules, refreshing them from the API once they are stale.
+ * The popup reads the same storage entry, so both sides build identical cache keys.
+ */
+async function refreshCanonicalRules() {
+    const stored = await chrome.storage.local.get(CANONICAL_RULES_KEY);
+    const entry = stored[CANONICAL_RULES_KEY];
+    if (entry && Array.isArray(entry.rules)) {
+        urlCanonicalizer.setRules(entry.rules);
+        if ((Date.now() - entry.timestamp) < CANONICAL_RULES_DURATION_MS) return;
+    }
+
+    const anonKey = CONFIG.SUPABASE_ANON_KEY;
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+    try {
+        const response = await fetch(`${TRUST_SCORE_API_URL}/canonical-rules`, {
+            headers: {
+                'Accept': 'application/json',
+                'apikey': anonKey,
+                'Authorization': `Bearer ${anonKey}`,
+                'X-Request-ID': generateRequestId()
+            },
+            signal: controller.signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const { rules } = await response.json();
+        urlCanonicalizer.setRules(rules);
+        await chrome.storage.local.set({
+            [CANONICAL_RULES_KEY]: { rules: rules || [], timestamp: Date.now() }
+        });
+    } catch (error) {
+        // Keep whatever rules we had; the server canonicalizes authoritatively anyway
+        console.warn('Canonical rules fetch failed:', error.message);
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+async function getTabStats(tabId) {
+    const key = TAB_STATS_PREFIX + tabId;
+    const stored = await chrome.storage.session.get(key);
+    return stored[key] || null;
+}
+
+async function saveTabStats(tabId, url, data) {
+    await chrome.storage.session.set({
+        [TAB_STATS_PREFIX + tabId]: { url, data, timestamp: Date.now() }
+    });
+}
+
+async function fetchUrlStats(url) {
+    const anonKey = CONFIG.SUPABASE_ANON_KEY;
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/url-stats?url=${encodeURIComponent(url)}`, {
+            headers: {
+                'Accept': 'application/json',
+                'apikey': anonKey,
+                'Authorization': `Bearer ${anonKey}`,
+                'X-Request-ID': generateRequestId()
+            },
+            signal: controller.signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        return await response.json();
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Resolve trust scores for many URLs (link badges), in chunks the batch endpoint accepts.
+ * @param {string[]} urls
+ * @returns {Promise<Object<string, number|null>>} url (as passed in) -> display score (null when unrated)
+ */
+async function fetchBatchScores(urls) {
+    await canonicalRulesReady;
+    const now = Date.now();
+    const canonicalScores = {};
+    const missing = [];
+
+    // Many links differ only by tracking params - look each canonical URL up once
+    const canonicalUrls = [...new Set(urls.map(url => urlCanonicalizer.canonicalize(url)))];
+
+    canonicalUrls.forEach(url => {
+        const cached = batchScoreCache.get(url);
+        if (cached && (now - cached.timestamp) < TAB_STATS_DURATION_MS) {
+            canonicalScores[url] = cached.score;
+        } else {
+            missing.push(url);
+        }
+    });
+
+    const anonKey = CONFIG.SUPABASE_ANON_KEY;
+
+    for (let i = 0; i < missing.length; i += BATCH_SCORES_MAX_URLS) {
+        const chunk = missing.slice(i, i + BATCH_SCORES_MAX_URLS);
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+        try {
+            const response = await fetch(`${TRUST_SCORE_API_URL}/batch-scores`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json',
+                    'apikey': anonKey,
+                    'Authorization': `Bearer ${anonKey}`,
+                    'X-Request-ID': generateRequestId()
+                },
+                body: JSON.stringify({ urls: chunk }),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const { results } = await response.json();
+            (results || []).forEach(result => {
+                const score = getDisplayScore(result);
+                canonicalScores[result.url] = score;
+                batchScoreCache.set(result.url, { score, timestamp: Date.now() });
+            });
+        } catch (error) {
+            console.warn('Batch score fetch failed:', { count: chunk.length, error: error.message });
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    // Keep the in-memory cache bounded; the worker is short-lived anyway
+    if (batchScoreCache.size > 2000) {
+        batchScoreCache.clear();
+    }
+
+    // Answer with the URLs exactly as the caller sent them
+    const scores = {};
+    urls.forEach(url => {
+        const score = canonicalScores[urlCanonicalizer.canonicalize(url)];
+        scores[url] = score === undefined ? null : score;
+    });
+    return scores;
+}
+
+/**
+ * Make sure the badge for a tab reflects its current URL, fetching stats if needed.
+ * @param {number} tabId
+ * @param {string} url
+ * @param {boolean} forceRefresh - Ignore stored stats
+ */
+async function refreshTab(tabId, url, forceRefresh = false) {
+    if (!isRateableUrl(url)) {
+        await setBadge(tabId, null);
+        return;
+    }
+
+    if (!forceRefresh) {
+        const stored = await getTabStats(tabId);
+        if (stored && isSameUrl(stored.url, url) && (Date.now() - stored.timestamp) < TAB_STATS_DURATION_MS) {
+            await setBadge(tabId, getDisplayScore(stored.data));
+            return;
+        }
+    }
+
+    if (pendingFetches.get(tabId) === url) return;
+    pendingFetches.set(tabId, url);
+
+    try {
+        const data = await fetchUrlStats(url);
+
+        // Tab may have navigated elsewhere while the request was in flight
+        if (pendingFetches.get(tabId) !== url) return;
+
+        await saveTabStats(tabId, url, data);
+        await setBadge(tabId, getDisplayScore(data));
+    } catch (error) {
+        console.warn('Background stats fetch failed:', { tabId, url, error: error.message });
+        await setBadge(tabId, null);
+    } finally {
+        if (pendingFetches.get(tabId) === url) {
+            pendingFetches.delete(tabId);
+        }
+    }
+}
+
+/**
+ * Ask the API whether a URL is critical (blacklisted, very low trust, heavy scam reports).
+ * @param {string} url
+ * @returns {Promise<object|null>} Verdict from /url-check, or null if it couldn't be fetched
+ */
+async function checkUrl(url) {
+    await canonicalRulesReady;
+    const cacheKey = urlCanonicalizer.canonicalize(url);
+    const cached = urlCheckCache.get(cacheKey);
+    if (cached && (Date.now() - cached.timestamp) < TAB_STATS_DURATION_MS) {
+        return cached.verdict;
+    }
+
+    const anonKey = CONFIG.SUPABASE_ANON_KEY;
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/url-check?url=${encodeURIComponent(url)}`, {
+            headers: {
+                'Accept': 'application/json',
+                'apikey': anonKey,
+                'Authorization': `Bearer ${anonKey}`,
+                'X-Request-ID': generateRequestId()
+            },
+            signal: controller.signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const verdict = await response.json();
+        urlCheckCache.set(cacheKey, { verdict, timestamp: Date.now() });
+        if (urlCheckCache.size > 500) {
+            urlCheckCache.delete(urlCheckCache.keys().next().value);
+        }
+        if (verdict && verdict.critical) {
+            rememberCriticalVerdict(cacheKey, verdict);
+        }
+        return verdict;
+    } catch (error) {
+        console.warn('URL check failed:', { url, error: error.message });
+        return null;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Load the "proceed anyway" decisions and the critical verdicts of this browser session into memory.
+ */
+async function loadNavigationGuardState() {
+    try {
+        const [local, session] = await Promise.all([
+            chrome.storage.local.get(INTERSTITIAL_ALLOWED_KEY),
+            chrome.storage.session.get(CRITICAL_VERDICTS_KEY)
+        ]);
+        allowedSites = { ...(local[INTERSTITIAL_ALLOWED_KEY] || {}), ...(allowedSites || {}) };
+        for (const [cacheKey, entry] of Object.entries(session[CRITICAL_VERDICTS_KEY] || {})) {
+            if (!criticalVerdicts.has(cacheKey)) {
+                criticalVerdicts.set(cacheKey, entry);
+            }
+        }
+    } catch (error) {
+        allowedSites = allowedSites || {};
+        console.warn('Could not load navigation guard state:', error.message);
+    }
+}
+
+async function allowSite(domain) {
+    await navigationGuardReady;
+    allowedSites[domain] = Date.now();
+    await chrome.storage.local.set({ [INTERSTITIAL_ALLOWED_KEY]: allowedSites });
+}
+
+function rememberCriticalVerdict(cacheKey, verdict) {
+    const now = Date.now();
+    criticalVerdicts.set(cacheKey, { verdict, timestamp: now });
+    for (const [key, entry] of criticalVerdicts) {
+        if (now - entry.timestamp >= CRITICAL_VERDICT_DURATION_MS) {
+            criticalVerdicts.delete(key);
+        }
+    }
+    chrome.storage.session.set({ [CRITICAL_VERDICTS_KEY]: Object.fromEntries(criticalVerdicts) }).catch(() => {});
+}
+
+/**
+ * Critical verdict already known for this URL, without waiting on storage or the network.
+ * @param {string} url
+ * @returns {object|null} - null when unknown, not critical, stale or allowed by the user
+ */
+function getKnownCriticalVerdict(url) {
+    if (!isRateableUrl(url) || allowedSites === null) return null;
+
+    const domain = extractDomain(url);
+    if (!domain || allowedSites[domain]) return null;
+
+    const entry = criticalVerdicts.get(urlCanonicalizer.canonicalize(url));
+    if (!entry || (Date.now() - entry.timestamp) >= CRITICAL_VERDICT_DURATION_MS) return null;
+    return entry.verdict;
+}
+
+/**
+ * Send a tab to the warning page for a critical URL.
+ * @param {number} tabId
+ * @param {string} url - Blocked URL
+ * @param {object} verdict - /url-check response
+ * @param {string|null} returnUrl - Page the tab was on before, for the warning's "Go back"
+ */
+async function showInterstitial(tabId, url, verdict, returnUrl) {
+    const params = new URLSearchParams({ url, verdict: JSON.stringify(verdict) });
+    if (returnUrl && returnUrl !== url) {
+        params.set('back', returnUrl);
+    }
+
+    try {
+        await chrome.tabs.update(tabId, { url: `${chrome.runtime.getURL('interstitial.html')}?${params}` });
+    } catch (error) {
+        // Tab closed while the check was running
+    }
+}
+
+/**
+ * Redirect a tab to the warning page if its target URL is critical and not already allowed.
+ * @param {number} tabId
+ * @param {string} url
+ * @param {string|null} returnUrl - Page the tab was on before the navigation
+ */
+async function guardNavigation(tabId, url, returnUrl) {
+    if (!isRateableUrl(url)) return;
+
+    const domain = extractDomain(url);
+    if (!domain) return;
+
+    await navigationGuardReady;
+    if (allowedSites[domain]) return;
+
+    const verdict = await checkUrl(url);
+    if (!verdict || !verdict.critical) return;
+
+    await showInterstitial(tabId, url, verdict, returnUrl);
+}
+
+/**
+ * Send queued ratings with the stored session and tell an open popup how it went.
+ * Without a valid session the items stay queued until the popup signs in or refreshes it.
+ * @param {boolean} force - Ignore backoff (the network just came back, or "Retry now")
+ */
+async function replayRatingOutbox(force = false) {
+    const accessToken = await getStoredAccessToken();
+    if (!accessToken) return;
+
+    const result = await ratingOutbox.replay(async (item) => {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+        try {
+            const response = await postRating(item.body, item.requestId, accessToken, controller.signal);
+            if (response.ok) return 'sent';
+            // Server errors and rate limits are worth retrying; anything else will fail the same way again
+            return response.status >= 500 || response.status === 429 ? 'retry' : 'drop';
+        } catch (error) {
+            if (isRetryableSubmitError(error)) return 'retry';
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }, force);
+
+    if (result.sent > 0 || result.dropped > 0) {
+        // No receiver when the popup is closed
+        chrome.runtime.sendMessage({ type: 'ratingOutboxReplayed', result }).catch(() => {});
+    }
+}
+
+// --- Canonicalization rules ---
+// Runs on every worker start; the fetch itself only happens once the stored copy is stale
+const canonicalRulesReady = refreshCanonicalRules().catch(() => {});
+
+// --- Navigation guard ---
+const navigationGuardReady = loadNavigationGuardState();
+
+chrome.webNavigation.onBeforeNavigate.addListener((details) => {
+    // Top-level navigations only; subframes and prerenders are left alone
+    if (details.frameId !== 0) return;
+
+    const returnUrl = committedUrls.get(details.tabId) || null;
+
+    // URLs already known to be critical are redirected right away, before the request goes out;
+    // everything else is checked against the API, which may only answer once the page has loaded
+    const knownVerdict = getKnownCriticalVerdict(details.url);
+    if (knownVerdict) {
+        showInterstitial(details.tabId, details.url, knownVerdict, returnUrl);
+        return;
+    }
+    guardNavigation(details.tabId, details.url, returnUrl);
+});
+
+chrome.webNavigation.onCommitted.addListener((details) => {
+    if (details.frameId === 0 && isRateableUrl(details.url)) {
+        committedUrls.set(details.tabId, details.url);
+    }
+});
+
+// --- Offline rating outbox ---
+// The alarm follows the earliest queued item; the popup queues items, replays remove them
+ratingOutbox.scheduleAlarm().catch(() => {});
+ratingOutbox.onChange(() => {
+    ratingOutbox.scheduleAlarm().catch(() => {});
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === RATING_OUTBOX_ALARM) {
+        replayRatingOutbox();
+    }
+});
+
+self.addEventListener('online', () => replayRatingOutbox(true));
+
+// The popup's client stored a new session (sign-in or token refresh): queued items can go now
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[AUTH_STORAGE_KEY]?.newValue) {
+        replayRatingOutbox();
+    }
+});
+
+// --- Tab lifecycle ---
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    // Fire once per navigation: on URL change, or on load completion for the initial load
+    if (changeInfo.url || changeInfo.status === 'complete') {
+        refreshTab(tabId, changeInfo.url || tab.url);
+    }
+});
+
+chrome.tabs.onActivated.addListener(async ({ tabId }) => {
+    try {
+        const tab = await chrome.tabs.get(tabId);
+        refreshTab(tabId, tab.url);
+    } catch (error) {
+        // Tab disappeared before we could read it
+    }
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+    pendingFetches.delete(tabId);
+    committedUrls.delete(tabId);
+    chrome.storage.session.remove(TAB_STATS_PREFIX + tabId);
+});
+
+// --- Popup messaging ---
+// getTabStats: popup asks for the stats already fetched for its tab (null if stale or for another URL)
+// updateTabStats: popup pushes fresher stats (e.g. after a rating) so the badge follows
+// getBatchScores: link-badges content script resolves outbound links
+// allowSite: interstitial page records a "proceed anyway" decision for a domain
+// replayRatingOutbox: popup's "Retry now" for queued ratings
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (!message || !message.type) return false;
+
+    if (message.type === 'getTabStats') {
+        getTabStats(message.tabId).then(stored => {
+            const isFresh = stored && isSameUrl(stored.url, message.url) &&
+                (Date.now() - stored.timestamp) < TAB_STATS_DURATION_MS;
+            sendResponse(isFresh ? stored : null);
+        }).catch(() => sendResponse(null));
+        return true; // Keep the channel open for the async response
+    }
+
+    if (message.type === 'updateTabStats') {
+        saveTabStats(message.tabId, message.url, message.data)
+            .then(() => setBadge(message.tabId, getDisplayScore(message.data)))
+            .then(() => sendResponse({ ok: true }))
+            .catch(() => sendResponse({ ok: false }));
+        return true;
+    }
+
+    if (message.type === 'getBatchScores') {
+        const urls = Array.isArray(message.urls) ? message.urls.filter(isRateableUrl) : [];
+        fetchBatchScores(urls)
+            .then(scores => sendResponse({ scores }))
+            .catch(() => sendResponse({ scores: {} }));
+        return true;
+    }
+
+    if (message.type === 'allowSite') {
+        const domain = extractDomain(message.url);
+        if (!domain) {
+            sendResponse({ ok: false });
+            return false;
+        }
+        allowSite(domain)
+            .then(() => sendResponse({ ok: true }))
+            .catch(() => sendResponse({ ok: false }));
+        return true;
+    }
+
+    if (message.type === 'replayRatingOutbox') {
+        replayRatingOutbox(true)
+            .then(() => sendResponse({ ok: true }))
+            .catch(() => sendResponse({ ok: false }));
+        return true;
+    }
+
+    return false;
+});
@@ -2,6 +2,7 @@
 // Handles the streamlined rating submission interface
 
 import { localScoreCalculator } from './local-score-calculator.js';
+import { statsCache } from './stats-cache.js';
 
 class CompactRatingManager {
     constructor() {
@@ -57,6 +58,12 @@ class CompactRatingManager {
             this.hiddenScamCheckbox = document.getElementById('is-scam');
             this.hiddenSubmitButton = document.getElementById('submit-rating-btn');
 
+            // Optional written review
+            this.reviewToggle = document.getElementById('review-toggle');
+            this.reviewBox = document.getElementById('review-box');
+            this.commentInput = document.getElementById('rating-comment');
+            this.commentCount = document.getElementById('rating-comment-count');
+
             if (!this.starContainer || !this.flagContainer) {
                 console.warn('Compact rating elements not found:', {
                     starContainer: !!this.starContainer,
@@ -146,6 +153,8 @@ class CompactRatingManager {
 
         // Submit button removed - using double-tap instead
 
+        this.bindReviewBox();
+
         // Rating guide button event
         this.ratingGuideButton = document.getElementById('rating-guide-btn');
         if (this.ratingGuideButton) {
@@ -156,6 +165,44 @@ class CompactRatingManager {
         }
     }
 
+    bindReviewBox() {
+        // forceInit() rebinds everything; the review box must only be bound once
+        if (!this.reviewToggle || !this.reviewBox || !this.commentInput || this.reviewToggle.dataset.bound) return;
+        this.reviewToggle.dataset.bound = 'true';
+
+        this.reviewToggle.addEventListener('click', () => {
+            this.setReviewBoxOpen(this.reviewBox.classList.contains('hidden'));
+        });
+
+        this.commentInput.addEventListener('input', () => this.updateCommentCount());
+    }
+
+    setReviewBoxOpen(open) {
+        if (!this.reviewBox || !this.reviewToggle) return;
+
+        this.reviewBox.classList.toggle('hidden', !open);
+        this.reviewToggle.setAttribute('aria-expanded', String(open));
+        if (open && this.commentInput) {
+            this.commentInput.focus();
+        }
+    }
+
+    updateCommentCount() {
+        if (!this.commentInput || !this.commentCount) return;
+        this.commentCount.textContent = `${this.commentInput.value.length}/${this.commentInput.maxLength}`;
+    }
+
+    /**
+     * Prefill the review box (e.g. when editing an existing rating).
+     * @param {string|null} comment
+     */
+    setComment(comment) {
+        if (!this.commentInput) return;
+        this.commentInput.value = comment || '';
+        this.updateCommentCount();
+        this.setReviewBoxOpen(!!comment);
+    }
+
     highlightStars(rating) {
         const stars = this.starContainer.querySelectorAll('.ultra-star-expanded');
         stars.forEach((star, index) => {
@@ -520,29 +567,14 @@ class CompactRatingManager {
                 timestamp: Date.now()
             };
 
-            // Save to cache using the same cache system as popup.js
-            const LOCALSTORAGE_PREFIX = 'urlrater_stats_';
-            const cacheData = {
-                data: updatedData,
-                timestamp: Date.now()
-            };
-
-            // Save to localStorage
-            try {
-                localStorage.setItem(LOCALSTORAGE_PREFIX + currentUrl, JSON.stringify(cacheData));
+            // Save to the shared stats cache so the popup shows it on reopen
+            statsCache.set(currentUrl, updatedData).then(() => {
                 console.log('Local score saved to cache:', {
                     url: currentUrl,
                     newScore: impact.newTrustScore,
                     ratingCount: impact.newRatingCount
                 });
-            } catch (storageError) {
-                console.error('Error saving to localStorage:', storageError);
-            }
-
-            // Also update the in-memory cache if available
-            if (window.statsCache) {
-                window.statsCache.set(currentUrl, cacheData);
-            }
+            });
 
         } catch (error) {
             console.error('Error saving local score to cache:', error);
@@ -702,6 +734,14 @@ class CompactRatingManager {
         if (this.hiddenMisleadingCheckbox) this.hiddenMisleadingCheckbox.checked = false;
         if (this.hiddenScamCheckbox) this.hiddenScamCheckbox.checked = false;
 
+        // Clear and collapse the review box
+        if (this.commentInput) {
+            this.commentInput.value = '';
+            this.updateCommentCount();
+            if (this.reviewBox) this.reviewBox.classList.add('hidden');
+            if (this.reviewToggle) this.reviewToggle.setAttribute('aria-expanded', 'false');
+        }
+
         console.log('Compact rating interface reset');
     }
 
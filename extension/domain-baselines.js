@@ -0,0 +1,144 @@
+// rating-extension/domain-baselines.js
+// Baseline trust scores for domains without community data, from GET /domain-baselines.
+// The list is kept on chrome.storage.local with its version and rechecked once a day; a recheck only
+// downloads the list when the server's version differs. Until a list is cached every domain gets the
+// default score.
+
+import { CONFIG } from './config.js';
+import { urlCanonicalizer } from './url-canonicalizer.js';
+
+const API_BASE_URL = `${CONFIG.SUPABASE_URL}/functions/v1/url-trust-api`;
+const STORAGE_KEY = 'domainBaselines';
+const REFRESH_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 15000;
+const DEFAULT_SCORE = 50;
+
+export class DomainBaselines {
+    constructor() {
+        this.version = null;
+        this.defaultScore = DEFAULT_SCORE;
+        this.entries = {};
+        this.suffixes = {}; // '.edu' -> score, longest match wins
+        this.checkedAt = 0;
+        this.loadPromise = null;
+    }
+
+    /**
+     * Read the cached list and start a background recheck when it is due. Safe to call repeatedly.
+     * @returns {Promise<void>} Resolves once the cached copy (if any) is in memory
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.loadFromStorage().then(() => {
+                if (Date.now() - this.checkedAt >= REFRESH_INTERVAL_MS) {
+                    this.refresh().catch(error => {
+                        console.warn('Could not refresh domain baselines:', error.message);
+                    });
+                }
+            });
+        }
+        return this.loadPromise;
+    }
+
+    async loadFromStorage() {
+        try {
+            const stored = await chrome.storage.local.get(STORAGE_KEY);
+            if (stored[STORAGE_KEY]) {
+                this.apply(stored[STORAGE_KEY]);
+            }
+        } catch (error) {
+            console.warn('Could not read cached domain baselines:', error.message);
+        }
+    }
+
+    apply(list) {
+        this.version = list.version ?? null;
+        this.defaultScore = Number.isFinite(list.default_score) ? list.default_score : DEFAULT_SCORE;
+        this.entries = list.entries || {};
+        this.suffixes = list.suffixes || {};
+        this.checkedAt = list.checked_at || 0;
+    }
+
+    /**
+     * Ask the server for a newer list than the cached version and store it.
+     */
+    async refresh() {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+        try {
+            const params = this.version !== null ? `?${new URLSearchParams({ version: String(this.version) })}` : '';
+            const response = await fetch(`${API_BASE_URL}/domain-baselines${params}`, {
+                headers: {
+                    'Accept': 'application/json',
+                    'apikey': CONFIG.SUPABASE_ANON_KEY
+                },
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `HTTP ${response.status}`);
+            }
+
+            const data = await response.json();
+            const list = data.unchanged
+                ? { version: this.version, default_score: this.defaultScore, entries: this.entries, suffixes: this.suffixes }
+                : { version: data.version, default_score: Number(data.default_score), entries: data.entries, suffixes: data.suffixes };
+            list.checked_at = Date.now();
+
+            this.apply(list);
+            await chrome.storage.local.set({ [STORAGE_KEY]: list });
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Baseline score for a host: exact entry, then its registrable domain's entry
+     * (news.bbc.co.uk -> bbc.co.uk), then the longest matching suffix rule, then the default.
+     * @param {string} domain - Host without a leading www.
+     * @returns {number} - Baseline score (0-100)
+     */
+    getBaseline(domain) {
+        if (!domain) {
+            return this.defaultScore;
+        }
+
+        const host = urlCanonicalizer.canonicalizeHost(domain);
+        if (this.entries[host] !== undefined) {
+            return Number(this.entries[host]);
+        }
+
+        const registrableDomain = urlCanonicalizer.getRegistrableDomain(host);
+        if (registrableDomain && this.entries[registrableDomain] !== undefined) {
+            return Number(this.entries[registrableDomain]);
+        }
+
+        let bestSuffix = null;
+        for (const suffix of Object.keys(this.suffixes)) {
+            if (host.endsWith(suffix) && (!bestSuffix || suffix.length > bestSuffix.length)) {
+                bestSuffix = suffix;
+            }
+        }
+        return bestSuffix ? Number(this.suffixes[bestSuffix]) : this.defaultScore;
+    }
+
+    /**
+     * Whether the host or its registrable domain has its own entry (suffix rules and the default
+     * don't count), i.e. the site has an established reputation of its own.
+     * @param {string} domain - Host without a leading www.
+     * @returns {boolean}
+     */
+    hasReputation(domain) {
+        if (!domain) {
+            return false;
+        }
+
+        const host = urlCanonicalizer.canonicalizeHost(domain);
+        const registrableDomain = urlCanonicalizer.getRegistrableDomain(host);
+        return this.entries[host] !== undefined
+            || (!!registrableDomain && this.entries[registrableDomain] !== undefined);
+    }
+}
+
+export const domainBaselines = new DomainBaselines();
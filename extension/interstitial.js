@@ -0,0 +1,91 @@
+// rating-extension/interstitial.js
+// Warning page shown by background.js before loading a critical URL
+
+const params = new URLSearchParams(location.search);
+const targetUrl = params.get('url') || '';
+const returnUrl = params.get('back') || ''; // Page the tab was on before the blocked navigation
+
+let verdict = {};
+try {
+    verdict = JSON.parse(params.get('verdict') || '{}');
+} catch (error) {
+    verdict = {};
+}
+
+/**
+ * Human readable line for one reason returned by /url-check.
+ * @param {object} reason
+ * @returns {string}
+ */
+function describeReason(reason) {
+    switch (reason.type) {
+        case 'blacklist':
+            return `Listed on a ${reason.blacklist_type || 'threat'} blacklist (severity ${reason.severity}/10)`;
+        case 'low_trust':
+            return `Very low community trust score (${Math.round(reason.trust_score)}%)`;
+        case 'scam_reports':
+            return `${reason.percentage}% of ratings report this page as suspicious`;
+        default:
+            return 'Flagged as potentially harmful';
+    }
+}
+
+function renderReasons() {
+    const urlEl = document.getElementById('interstitial-url');
+    const list = document.getElementById('interstitial-reasons');
+
+    urlEl.textContent = targetUrl;
+
+    const reasons = Array.isArray(verdict.reasons) ? verdict.reasons : [];
+    (reasons.length > 0 ? reasons : [{}]).forEach(reason => {
+        const li = document.createElement('li');
+        li.textContent = describeReason(reason);
+        list.appendChild(li);
+    });
+}
+
+// history.back() can land on the blocked URL itself (when it committed before the redirect), which
+// shows this page again - so return to the page before it, the opener tab, or a new tab page
+async function goBack() {
+    if (/^https?:\/\//i.test(returnUrl)) {
+        location.replace(returnUrl);
+        return;
+    }
+
+    const tab = await chrome.tabs.getCurrent();
+    if (!tab) return;
+
+    if (tab.openerTabId !== undefined) {
+        try {
+            await chrome.tabs.update(tab.openerTabId, { active: true });
+            chrome.tabs.remove(tab.id);
+            return;
+        } catch (error) {
+            // Opener already closed
+        }
+    }
+    chrome.tabs.update(tab.id, { url: 'chrome://newtab/' });
+}
+
+async function proceed() {
+    const proceedBtn = document.getElementById('proceed-btn');
+    proceedBtn.disabled = true;
+
+    try {
+        await chrome.runtime.sendMessage({ type: 'allowSite', url: targetUrl });
+    } catch (error) {
+        console.error('Failed to remember proceed decision:', error);
+    }
+
+    // Only ever navigate to web URLs, never to whatever scheme ended up in the query string
+    if (/^https?:\/\//i.test(targetUrl)) {
+        location.replace(targetUrl);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    renderReasons();
+    document.getElementById('go-back-btn').addEventListener('click', goBack);
+    document.getElementById('proceed-btn').addEventListener('click', proceed);
+    document.getElementById('go-back-btn').focus();
+});
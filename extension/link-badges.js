@@ -0,0 +1,209 @@
+// rating-extension/link-badges.js
+// Content script: trust score badges next to outbound links on search result and link-heavy pages.
+// Runs as a classic script (content scripts can't be ES modules), so everything lives in one IIFE.
+
+(() => {
+    if (window.__urlRaterLinkBadges) return;
+    window.__urlRaterLinkBadges = true;
+
+    const LINK_BADGE_SITES_KEY = 'linkBadgeSites'; // { hostname: boolean } per-site override
+    const BADGE_ATTR = 'data-urlrater-badge';
+    const MIN_OUTBOUND_LINKS = 15; // Pages with fewer outbound links are not considered link-heavy
+    const MAX_LINKS_PER_PAGE = 200;
+    const SCAN_DEBOUNCE_MS = 500;
+
+    // Result link selectors for known search engines; everything else uses generic anchor scanning
+    const SEARCH_RESULT_SELECTORS = {
+        'google.': '#search a[href]:has(h3)',
+        'bing.com': '#b_results h2 a[href]',
+        'duckduckgo.com': 'a[data-testid="result-title-a"]',
+        'search.yahoo.com': '#web h3 a[href]',
+        'search.brave.com': '#results a.heading-serpresult, #results .snippet a[href]:has(.title)',
+        'ecosia.org': 'a.result__link'
+    };
+
+    function normalizeHost(hostname) {
+        return (hostname || '').toLowerCase().replace(/^www\./, '');
+    }
+
+    /**
+     * Score bands match the popup's score label (Excellent/Good/Average/Poor).
+     * @param {number|null} score
+     * @returns {{label: string, color: string}|null}
+     */
+    function getScoreBand(score) {
+        if (typeof score !== 'number') return null;
+        if (score >= 75) return { label: 'Excellent', color: '#34D399' };
+        if (score >= 50) return { label: 'Good', color: '#FCD34D' };
+        if (score >= 25) return { label: 'Average', color: '#FBBF24' };
+        if (score > 0) return { label: 'Poor', color: '#F87171' };
+        return null;
+    }
+
+    class LinkBadgeInjector {
+        constructor() {
+            this.pageHost = normalizeHost(location.hostname);
+            this.enabled = false;
+            this.observer = null;
+            this.scanTimeout = null;
+            this.scoreCache = new Map(); // url -> score (null for unrated)
+        }
+
+        async init() {
+            this.enabled = await this.isEnabledForSite();
+            if (this.enabled) {
+                this.start();
+            }
+
+            // React to the per-site toggle in the popup without a page reload
+            chrome.storage.onChanged.addListener((changes, areaName) => {
+                if (areaName !== 'local' || !changes[LINK_BADGE_SITES_KEY]) return;
+                const sites = changes[LINK_BADGE_SITES_KEY].newValue || {};
+                const enabled = sites[this.pageHost] !== false;
+                if (enabled === this.enabled) return;
+                this.enabled = enabled;
+                if (enabled) {
+                    this.start();
+                } else {
+                    this.stop();
+                }
+            });
+        }
+
+        async isEnabledForSite() {
+            try {
+                const stored = await chrome.storage.local.get(LINK_BADGE_SITES_KEY);
+                const sites = stored[LINK_BADGE_SITES_KEY] || {};
+                // Enabled unless the user turned it off for this site
+                return sites[this.pageHost] !== false;
+            } catch (error) {
+                return false;
+            }
+        }
+
+        start() {
+            this.scheduleScan();
+            if (!this.observer) {
+                this.observer = new MutationObserver(() => this.scheduleScan());
+                this.observer.observe(document.body, { childList: true, subtree: true });
+            }
+        }
+
+        stop() {
+            if (this.observer) {
+                this.observer.disconnect();
+                this.observer = null;
+            }
+            clearTimeout(this.scanTimeout);
+            document.querySelectorAll(`[${BADGE_ATTR}]`).forEach(el => el.remove());
+            document.querySelectorAll('a[data-urlrater-scanned]').forEach(a => a.removeAttribute('data-urlrater-scanned'));
+        }
+
+        scheduleScan() {
+            clearTimeout(this.scanTimeout);
+            this.scanTimeout = setTimeout(() => this.scan(), SCAN_DEBOUNCE_MS);
+        }
+
+        getSearchResultSelector() {
+            const entry = Object.entries(SEARCH_RESULT_SELECTORS)
+                .find(([hostPart]) => this.pageHost.includes(hostPart));
+            return entry ? entry[1] : null;
+        }
+
+        /**
+         * Collect outbound http(s) anchors that don't have a badge yet.
+         * On search engines only result links are used; elsewhere the page must be link-heavy.
+         * @returns {HTMLAnchorElement[]}
+         */
+        collectAnchors() {
+            const selector = this.getSearchResultSelector();
+            let anchors;
+            try {
+                anchors = Array.from(document.querySelectorAll(selector || 'a[href]'));
+            } catch (error) {
+                // Older engines without :has() support
+                anchors = Array.from(document.querySelectorAll('a[href]'));
+            }
+
+            const outbound = anchors.filter(a => {
+                if (!a.href || !/^https?:/.test(a.protocol)) return false;
+                return normalizeHost(a.hostname) !== this.pageHost;
+            });
+
+            if (!selector && outbound.length < MIN_OUTBOUND_LINKS) {
+                return [];
+            }
+
+            return outbound
+                .filter(a => !a.hasAttribute('data-urlrater-scanned'))
+                .slice(0, MAX_LINKS_PER_PAGE);
+        }
+
+        async scan() {
+            if (!this.enabled) return;
+
+            const anchors = this.collectAnchors();
+            if (anchors.length === 0) return;
+
+            anchors.forEach(a => a.setAttribute('data-urlrater-scanned', ''));
+
+            const urls = [...new Set(anchors.map(a => a.href))]
+                .filter(url => !this.scoreCache.has(url));
+
+            if (urls.length > 0) {
+                try {
+                    const response = await chrome.runtime.sendMessage({ type: 'getBatchScores', urls });
+                    if (response && response.scores) {
+                        Object.entries(response.scores).forEach(([url, score]) => {
+                            this.scoreCache.set(url, score);
+                        });
+                    }
+                } catch (error) {
+                    // Background worker unavailable - leave links unbadged
+                    return;
+                }
+            }
+
+            if (!this.enabled) return;
+            anchors.forEach(a => this.injectBadge(a, this.scoreCache.get(a.href)));
+        }
+
+        injectBadge(anchor, score) {
+            const band = getScoreBand(score);
+            if (!band) return;
+
+            // Shadow root keeps page styles out of the badge and ours out of the page
+            const host = document.createElement('span');
+            host.setAttribute(BADGE_ATTR, '');
+            host.style.all = 'initial';
+            const shadow = host.attachShadow({ mode: 'closed' });
+
+            const style = document.createElement('style');
+            style.textContent = `
+                .badge {
+                    display: inline-block;
+                    margin-left: 6px;
+                    padding: 1px 6px;
+                    border-radius: 8px;
+                    font: 600 11px/16px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                    color: #111827;
+                    vertical-align: middle;
+                    white-space: nowrap;
+                }
+            `;
+
+            const badge = document.createElement('span');
+            badge.className = 'badge';
+            badge.style.background = band.color;
+            badge.textContent = `${Math.round(score)}%`;
+            badge.title = `Trust score: ${Math.round(score)}% (${band.label})`;
+
+            shadow.appendChild(style);
+            shadow.appendChild(badge);
+            anchor.insertAdjacentElement('afterend', host);
+        }
+    }
+
+    const linkBadgeInjector = new LinkBadgeInjector();
+    linkBadgeInjector.init();
+})();
@@ -2,6 +2,8 @@
 // Implements local calculation of rating impact based on stars and flags
 // Uses hardcoded penalty values matching backend algorithm
 
+import { domainBaselines } from './domain-baselines.js';
+
 export class LocalScoreCalculator {
     constructor() {
         // Hardcoded penalty values matching backend algorithm
@@ -26,6 +28,17 @@ export class LocalScoreCalculator {
             community: 0.6  // Community ratings: 60% weight
         };
         
+        // Bayesian community score prior (trust_algorithm_config 'community_scoring')
+        this.communityPrior = {
+            mean: 50,     // Score assumed before any ratings
+            weight: 5,    // Pseudo-ratings the prior is worth
+            sd: 25,       // Spread of opinions assumed before any ratings
+            z: 1.645      // 90% credible interval
+        };
+        
+        // Reputation weighting (trust_algorithm_config 'reputation_weighting')
+        this.raterWeight = 1; // Signed-in user's weight from GET /my-reputation
+        
         // Current state
         this.currentTrustScore = 50;
         this.currentRatingCount = 0;
@@ -49,6 +62,14 @@ export class LocalScoreCalculator {
         });
     }
     
+    /**
+     * Set the weight the signed-in user's ratings carry in community scores
+     * @param {number} weight - Rating weight from GET /my-reputation (1 = one-user-one-vote)
+     */
+    setRaterWeight(weight) {
+        this.raterWeight = Number.isFinite(weight) && weight > 0 ? weight : 1;
+    }
+    
     /**
      * Calculate the impact of a new rating on the trust score
      * @param {number} stars - Star rating (1-5)
@@ -87,7 +108,9 @@ export class LocalScoreCalculator {
         effectiveScore = Math.max(0, Math.min(100, effectiveScore));
         
         // Calculate weighted average impact on overall trust score
-        const newTrustScore = this.calculateNewTrustScore(effectiveScore);
+        const weighted = this.calculateWeightedImpact(stars, flags);
+        const newTrustScore = weighted ? weighted.newTrustScore : this.calculateNewTrustScore(effectiveScore);
+        const newTrustScoreMargin = weighted ? weighted.margin : null;
         const impact = newTrustScore - this.currentTrustScore;
         
         return {
@@ -103,19 +126,91 @@ export class LocalScoreCalculator {
             // Trust score impact
             currentTrustScore: this.currentTrustScore,
             newTrustScore,
+            newTrustScoreMargin,
             impact,
             impactPercentage: ((impact / this.currentTrustScore) * 100).toFixed(1),
             
             // Additional context
             currentRatingCount: this.currentRatingCount,
             newRatingCount: this.currentRatingCount + 1,
+            raterWeight: this.raterWeight,
             
             // Visual indicators
             impactDirection: impact > 0 ? 'positive' : impact < 0 ? 'negative' : 'neutral',
             impactMagnitude: Math.abs(impact),
             
-            // Confidence level based on sample size
-            confidence: this.calculateConfidence(this.currentRatingCount + 1)
+            // Confidence level from the credible interval (sample size when unavailable)
+            confidence: this.calculateConfidence(this.currentRatingCount + 1, newTrustScoreMargin)
+        };
+    }
+    
+    /**
+     * Mirror of the backend's weighted Bayesian community score (calculate_enhanced_trust_score).
+     * Adds this rating with the user's weight to the stored weighted aggregates and recomputes the
+     * final score; the resulting change is applied to the displayed score.
+     * @param {number} stars - Star rating (1-5)
+     * @param {Object} flags - Flag selections {spam: boolean, misleading: boolean, scam: boolean}
+     * @returns {{newTrustScore: number, margin: number}|null} - New trust score and its interval
+     *     half-width, or null when the stats carry no weighted aggregates
+     */
+    calculateWeightedImpact(stars, flags = {}) {
+        const data = this.currentData || {};
+        const weighting = data.community_weighting;
+        const domainScore = Number(data.domain_trust_score);
+        if (!weighting || !Number.isFinite(domainScore)) {
+            return null;
+        }
+        
+        const current = {
+            weightSum: Number(weighting.weight_sum) || 0,
+            mean: Number(weighting.score_mean) || 0,
+            variance: Number(weighting.score_variance) || 0
+        };
+        
+        // Points for one rating: stars on 0-100 minus report penalties
+        let points = this.starValues[stars];
+        if (flags.spam) points += this.penalties.spam;
+        if (flags.misleading) points += this.penalties.misleading;
+        if (flags.scam) points += this.penalties.scam;
+        
+        // Weighted mean/variance update with this rating added
+        const w = this.raterWeight;
+        const weightSum = current.weightSum + w;
+        const mean = (current.mean * current.weightSum + points * w) / weightSum;
+        const variance = (
+            current.weightSum * (current.variance + Math.pow(current.mean - mean, 2)) +
+            w * Math.pow(points - mean, 2)
+        ) / weightSum;
+        
+        const before = this.calculateScoreInterval(current);
+        const after = this.calculateScoreInterval({ weightSum, mean, variance });
+        
+        const finalScore = (community) => Math.max(0, Math.min(100,
+            domainScore * this.weights.domain + community * this.weights.community));
+        
+        const impact = finalScore(after.community) - finalScore(before.community);
+        return {
+            newTrustScore: Math.max(0, Math.min(100, this.currentTrustScore + impact)),
+            margin: after.margin * this.weights.community
+        };
+    }
+    
+    /**
+     * Bayesian community score and credible interval, as in calculate_enhanced_trust_score
+     * @param {Object} aggregates - {weightSum, mean, variance} of per-rating points
+     * @returns {{community: number, margin: number}} - Community score (0-100) and interval half-width
+     */
+    calculateScoreInterval(aggregates) {
+        const prior = this.communityPrior;
+        const posteriorWeight = prior.weight + aggregates.weightSum;
+        
+        const community = (prior.weight * prior.mean + aggregates.weightSum * aggregates.mean) / posteriorWeight;
+        const posteriorVariance = (prior.weight * prior.sd * prior.sd + aggregates.weightSum * aggregates.variance) / posteriorWeight;
+        const margin = Math.min(50, prior.z * Math.sqrt(posteriorVariance / posteriorWeight));
+        
+        return {
+            community: Math.max(0, Math.min(100, community)),
+            margin
         };
     }
     
@@ -180,53 +275,27 @@ export class LocalScoreCalculator {
     /**
      * Calculate domain baseline score based on domain reputation
      * @param {string} domain - Domain name
-     * @returns {number} - Baseline score (0-100)
+     * @returns {number} - Baseline score (0-100), from the server-managed domain baseline list
      */
     calculateDomainBaseline(domain) {
-        // Domain-specific baseline scores based on reputation
-        const domainBaselines = {
-            // High trust domains (70-85)
-            'google.com': 85, 'youtube.com': 75, 'wikipedia.org': 85,
-            'github.com': 80, 'stackoverflow.com': 82, 'microsoft.com': 78,
-            'apple.com': 80, 'amazon.com': 72, 'netflix.com': 75,
-
-            // Educational domains (75-85)
-            'mit.edu': 85, 'stanford.edu': 85, 'harvard.edu': 85,
-            'coursera.org': 78, 'khanacademy.org': 80,
-
-            // News domains (65-80)
-            'cnn.com': 70, 'bbc.com': 78, 'reuters.com': 80,
-            'nytimes.com': 75, 'npr.org': 78,
-
-            // Social media (55-65)
-            'facebook.com': 60, 'twitter.com': 58, 'x.com': 58,
-            'instagram.com': 62, 'linkedin.com': 68, 'reddit.com': 65,
-            'tiktok.com': 55,
-
-            // E-commerce (60-70)
-            'ebay.com': 65, 'etsy.com': 68, 'paypal.com': 75
-        };
-
-        if (domain && domainBaselines[domain]) {
-            return domainBaselines[domain];
-        }
-
-        // Default baseline based on TLD
-        if (domain) {
-            if (domain.endsWith('.edu') || domain.endsWith('.gov')) return 75;
-            if (domain.endsWith('.org')) return 65;
-            if (domain.endsWith('.com') || domain.endsWith('.net')) return 60;
-        }
-
-        return 50; // Ultimate fallback
+        return domainBaselines.getBaseline(domain);
     }
     
     /**
-     * Calculate confidence level based on sample size
+     * Calculate confidence level from the trust score's credible interval, or from sample size
+     * when no interval is known
      * @param {number} ratingCount - Number of ratings
+     * @param {number|null} margin - Interval half-width in points (trust_score_margin)
      * @returns {string} - Confidence level
      */
-    calculateConfidence(ratingCount) {
+    calculateConfidence(ratingCount, margin = null) {
+        if (Number.isFinite(margin)) {
+            if (margin <= 3) return 'high';
+            if (margin <= 6) return 'medium';
+            if (margin <= 10) return 'low';
+            return 'very-low';
+        }
+        
         if (ratingCount >= 50) return 'high';
         if (ratingCount >= 10) return 'medium';
         if (ratingCount >= 5) return 'low';
@@ -313,7 +382,9 @@ export class LocalScoreCalculator {
             },
             context: {
                 currentScore: `Current trust score: ${impact.currentTrustScore.toFixed(1)}%`,
-                newScore: `New trust score: ${impact.newTrustScore.toFixed(1)}%`,
+                newScore: Number.isFinite(impact.newTrustScoreMargin)
+                    ? `New trust score: ${impact.newTrustScore.toFixed(1)}% (±${impact.newTrustScoreMargin.toFixed(0)})`
+                    : `New trust score: ${impact.newTrustScore.toFixed(1)}%`,
                 sampleSize: `Based on ${impact.newRatingCount} total ratings`,
                 confidence: `Confidence: ${impact.confidence}`
             }
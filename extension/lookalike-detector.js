@@ -0,0 +1,331 @@
+// rating-extension/lookalike-detector.js
+// Local phishing heuristics for the current host, independent of server data: IDN/punycode
+// confusables, typosquats of a bundled list of high-value brands, and brand domains stuffed into
+// the subdomain of an unrelated site (paypal.com.secure-login.xyz).
+
+import { urlCanonicalizer } from './url-canonicalizer.js';
+
+// Brands worth impersonating, with every registrable domain they own that we know of.
+// Short labels only match through lookalike characters: a single typo away from apple or chase
+// is mostly ordinary words (ample, chasm), and ups, dhl or x match nothing fuzzy at all.
+export const PROTECTED_BRANDS = [
+    { name: 'PayPal', domains: ['paypal.com', 'paypal.me'] },
+    { name: 'Apple', domains: ['apple.com', 'icloud.com'] },
+    { name: 'Google', domains: ['google.com', 'gmail.com', 'youtube.com'] },
+    { name: 'Microsoft', domains: ['microsoft.com', 'live.com', 'outlook.com', 'office.com', 'microsoftonline.com'] },
+    { name: 'Amazon', domains: ['amazon.com', 'amazon.co.uk', 'amazon.de', 'amazon.fr', 'amazon.ca', 'amazon.co.jp', 'amazon.in'] },
+    { name: 'Facebook', domains: ['facebook.com', 'fb.com'] },
+    { name: 'Instagram', domains: ['instagram.com'] },
+    { name: 'WhatsApp', domains: ['whatsapp.com'] },
+    { name: 'Netflix', domains: ['netflix.com'] },
+    { name: 'Bank of America', domains: ['bankofamerica.com'] },
+    { name: 'Chase', domains: ['chase.com'] },
+    { name: 'Wells Fargo', domains: ['wellsfargo.com'] },
+    { name: 'Citi', domains: ['citi.com', 'citibank.com'] },
+    { name: 'Coinbase', domains: ['coinbase.com'] },
+    { name: 'Binance', domains: ['binance.com'] },
+    { name: 'Kraken', domains: ['kraken.com'] },
+    { name: 'MetaMask', domains: ['metamask.io'] },
+    { name: 'Blockchain.com', domains: ['blockchain.com'] },
+    { name: 'Steam', domains: ['steampowered.com', 'steamcommunity.com'] },
+    { name: 'Dropbox', domains: ['dropbox.com'] },
+    { name: 'DocuSign', domains: ['docusign.com', 'docusign.net'] },
+    { name: 'LinkedIn', domains: ['linkedin.com'] },
+    { name: 'X (Twitter)', domains: ['twitter.com', 'x.com'] },
+    { name: 'eBay', domains: ['ebay.com', 'ebay.co.uk', 'ebay.de'] },
+    { name: 'Walmart', domains: ['walmart.com'] },
+    { name: 'DHL', domains: ['dhl.com'] },
+    { name: 'FedEx', domains: ['fedex.com'] },
+    { name: 'UPS', domains: ['ups.com'] },
+    { name: 'USPS', domains: ['usps.com'] },
+    { name: 'Adobe', domains: ['adobe.com'] },
+    { name: 'Yahoo', domains: ['yahoo.com'] },
+    { name: 'GitHub', domains: ['github.com'] },
+    { name: 'Discord', domains: ['discord.com', 'discord.gg'] },
+    { name: 'Roblox', domains: ['roblox.com'] },
+    { name: 'Spotify', domains: ['spotify.com'] }
+];
+
+const MIN_FUZZY_LABEL_LENGTH = 5;
+const MIN_TYPOSQUAT_LABEL_LENGTH = 6;
+
+// Unrelated, well-known sites (registrable domains) whose name happens to be one typo from a brand.
+// Sites with a domain_baselines entry are skipped as well (see analyze's `established`).
+const KNOWN_NON_TYPOSQUATS = new Set([
+    'finance.gov.au', // binance
+    'cloud.gov',      // icloud
+    'officer.com',    // office
+    'twister.com',    // twitter
+    'paypay.ne.jp',   // paypal
+    'paypay.jp'
+]);
+
+// Characters that render like Latin letters (Cyrillic, Greek, Latin extensions). Accented letters
+// are handled separately by stripping combining marks after NFD.
+const CONFUSABLES = {
+    'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'һ': 'h', 'і': 'i', 'ї': 'i', 'ј': 'j', 'к': 'k',
+    'ӏ': 'l', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p', 'с': 'c', 'ѕ': 's', 'т': 't', 'у': 'y',
+    'х': 'x', 'ԁ': 'd', 'ԛ': 'q', 'ԝ': 'w', 'ո': 'n', 'ս': 'u', 'օ': 'o',
+    'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p',
+    'τ': 't', 'υ': 'u', 'χ': 'x', 'ω': 'w',
+    'ı': 'i', 'ł': 'l', 'ɡ': 'g', 'ɑ': 'a', 'ɩ': 'i', 'ƅ': 'b', 'ß': 'ss', 'ø': 'o', 'đ': 'd'
+};
+
+// ASCII sequences that read as another letter at a glance
+const ASCII_LOOKALIKES = [
+    [/rn/g, 'm'],
+    [/vv/g, 'w'],
+    [/0/g, 'o'],
+    [/1/g, 'l'],
+    [/5/g, 's']
+];
+
+const SEVERITY_RANK = { warning: 1, danger: 2, critical: 3 };
+
+export class LookalikeDetector {
+    constructor(brands = PROTECTED_BRANDS) {
+        this.brands = brands.map(brand => ({
+            ...brand,
+            labels: [...new Set(brand.domains.map(domain => this.mainLabel(domain)).filter(Boolean))]
+        }));
+        this.ownedDomains = new Set(brands.flatMap(brand => brand.domains));
+    }
+
+    /**
+     * Check a host for impersonation of a protected brand.
+     * @param {string} host - Host as found in a URL (punycode or Unicode)
+     * @param {Object} [options]
+     * @param {boolean} [options.established] - The site has a reputation of its own (a domain_baselines
+     *        entry), so a name close to a brand's is not treated as a typo
+     * @returns {{type: string, severity: string, brand: string|null, brandDomain: string|null, detail: string}|null}
+     *          The most severe finding, or null when the host looks fine
+     */
+    analyze(host, { established = false } = {}) {
+        const normalizedHost = urlCanonicalizer.canonicalizeHost(host || '');
+        const registrableDomain = urlCanonicalizer.getRegistrableDomain(normalizedHost);
+        if (!registrableDomain || this.ownedDomains.has(registrableDomain)) {
+            return null;
+        }
+
+        const label = this.mainLabel(registrableDomain);
+        const subdomainLabels = normalizedHost === registrableDomain
+            ? []
+            : normalizedHost.slice(0, -(registrableDomain.length + 1)).split('.');
+
+        const findings = [
+            this.checkConfusables(label, registrableDomain),
+            established ? null : this.checkTyposquat(label, registrableDomain),
+            this.checkSubdomainStuffing(subdomainLabels, registrableDomain)
+        ].filter(Boolean);
+
+        if (findings.length === 0) {
+            return null;
+        }
+        return findings.sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity])[0];
+    }
+
+    // IDN labels whose Latin skeleton is a brand, ASCII lookalikes (paypa1), and labels mixing scripts
+    checkConfusables(label, registrableDomain) {
+        const unicodeLabel = label.startsWith('xn--') ? this.decodePunycode(label.slice(4)) : label;
+        if (unicodeLabel === null) {
+            return null;
+        }
+
+        const skeleton = this.skeleton(unicodeLabel);
+        for (const brand of this.brands) {
+            const target = brand.labels.find(brandLabel => brandLabel !== label && this.skeleton(brandLabel) === skeleton);
+            if (target && (target.length >= MIN_FUZZY_LABEL_LENGTH - 1 || unicodeLabel !== label)) {
+                return this.finding('homoglyph', 'critical', brand, target,
+                    `${registrableDomain} uses lookalike characters to resemble ${this.brandDomain(brand, target)}`);
+            }
+        }
+
+        const hasLatin = /[a-z]/.test(unicodeLabel);
+        const hasOtherScript = /[\u0370-\u03ff\u0400-\u052f\u0530-\u058f]/.test(unicodeLabel);
+        if (hasLatin && hasOtherScript) {
+            return this.finding('mixed-script', 'danger', null, null,
+                `${registrableDomain} mixes Latin letters with Cyrillic, Greek or Armenian lookalikes`);
+        }
+        return null;
+    }
+
+    // One edit away from a brand (two for long names): paypall, amazno, micrsoft, pay-pal
+    checkTyposquat(label, registrableDomain) {
+        if (KNOWN_NON_TYPOSQUATS.has(registrableDomain)) {
+            return null;
+        }
+
+        const variants = [...new Set([label, label.replace(/-/g, '')])];
+        for (const brand of this.brands) {
+            for (const brandLabel of brand.labels) {
+                // The brand's name on another suffix (amazon.de) is not a typo
+                if (brandLabel.length < MIN_TYPOSQUAT_LABEL_LENGTH || label === brandLabel) {
+                    continue;
+                }
+                const maxDistance = brandLabel.length >= 9 ? 2 : 1;
+                const distance = Math.min(...variants.map(variant => this.editDistance(variant, brandLabel, maxDistance)));
+                if (distance <= maxDistance) {
+                    return this.finding('typosquat', 'danger', brand, brandLabel,
+                        `${registrableDomain} is a near-misspelling of ${this.brandDomain(brand, brandLabel)}`);
+                }
+            }
+        }
+        return null;
+    }
+
+    // A brand's domain (or name) in front of someone else's domain: paypal.com.secure-login.xyz
+    checkSubdomainStuffing(subdomainLabels, registrableDomain) {
+        if (subdomainLabels.length === 0) {
+            return null;
+        }
+
+        const subdomain = `.${subdomainLabels.join('.')}.`;
+        for (const brand of this.brands) {
+            const stuffedDomain = brand.domains.find(domain => subdomain.includes(`.${domain}.`));
+            if (stuffedDomain) {
+                return this.finding('subdomain-stuffing', 'critical', brand, this.mainLabel(stuffedDomain),
+                    `${stuffedDomain} appears in the address, but the site is ${registrableDomain}`);
+            }
+        }
+
+        const tokens = subdomainLabels.flatMap(subLabel => subLabel.split('-')).map(token => this.skeleton(token));
+        for (const brand of this.brands) {
+            const brandLabel = brand.labels.find(candidate =>
+                candidate.length >= MIN_FUZZY_LABEL_LENGTH && tokens.includes(this.skeleton(candidate)));
+            if (brandLabel) {
+                return this.finding('subdomain-stuffing', 'danger', brand, brandLabel,
+                    `${brand.name} is named in the address, but the site is ${registrableDomain}`);
+            }
+        }
+        return null;
+    }
+
+    finding(type, severity, brand, brandLabel, detail) {
+        return {
+            type,
+            severity,
+            brand: brand ? brand.name : null,
+            brandDomain: brand ? this.brandDomain(brand, brandLabel) : null,
+            detail
+        };
+    }
+
+    brandDomain(brand, brandLabel) {
+        return brand.domains.find(domain => this.mainLabel(domain) === brandLabel) || brand.domains[0];
+    }
+
+    // 'paypal' for paypal.com, 'amazon' for amazon.co.uk
+    mainLabel(domain) {
+        const suffix = urlCanonicalizer.getPublicSuffix(domain);
+        return suffix && domain.length > suffix.length ? domain.slice(0, -(suffix.length + 1)).split('.').pop() : null;
+    }
+
+    /**
+     * Latin "skeleton" of a label: confusable characters mapped to the letters they imitate,
+     * accents stripped and ASCII lookalike sequences collapsed, so lookalikes compare equal.
+     * @param {string} label
+     * @returns {string}
+     */
+    skeleton(label) {
+        let result = Array.from(label.toLowerCase())
+            .map(char => CONFUSABLES[char] ?? char)
+            .join('')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '');
+        for (const [pattern, replacement] of ASCII_LOOKALIKES) {
+            result = result.replace(pattern, replacement);
+        }
+        return result;
+    }
+
+    /**
+     * Optimal string alignment distance (edits plus adjacent transpositions), stopping early
+     * once every path exceeds maxDistance.
+     * @returns {number}
+     */
+    editDistance(a, b, maxDistance = Infinity) {
+        if (Math.abs(a.length - b.length) > maxDistance) {
+            return maxDistance + 1;
+        }
+
+        let previousPrevious = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previousPrevious[j - 2] + 1);
+                }
+                current[j] = value;
+                rowMin = Math.min(rowMin, value);
+            }
+            if (rowMin > maxDistance) {
+                return maxDistance + 1;
+            }
+            previousPrevious = previous;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * Decode the part of a punycode label after 'xn--' (RFC 3492).
+     * @param {string} input
+     * @returns {string|null} - null for invalid input
+     */
+    decodePunycode(input) {
+        const base = 36;
+        const tMin = 1;
+        const tMax = 26;
+        const skew = 38;
+        const damp = 700;
+
+        const adapt = (delta, numPoints, firstTime) => {
+            let k = 0;
+            delta = firstTime ? Math.floor(delta / damp) : delta >> 1;
+            delta += Math.floor(delta / numPoints);
+            while (delta > ((base - tMin) * tMax) >> 1) {
+                delta = Math.floor(delta / (base - tMin));
+                k += base;
+            }
+            return k + Math.floor(((base - tMin + 1) * delta) / (delta + skew));
+        };
+
+        const digitValue = code => {
+            if (code >= 48 && code <= 57) return code - 22;  // 0-9 -> 26-35
+            if (code >= 97 && code <= 122) return code - 97; // a-z -> 0-25
+            return -1;
+        };
+
+        const delimiter = input.lastIndexOf('-');
+        const output = delimiter > 0 ? Array.from(input.slice(0, delimiter)) : [];
+        let n = 128;
+        let i = 0;
+        let bias = 72;
+
+        for (let position = delimiter > 0 ? delimiter + 1 : 0; position < input.length;) {
+            const oldI = i;
+            for (let w = 1, k = base; ; k += base) {
+                if (position >= input.length) return null;
+                const digit = digitValue(input.charCodeAt(position++));
+                if (digit < 0) return null;
+                i += digit * w;
+                const t = k <= bias ? tMin : k >= bias + tMax ? tMax : k - bias;
+                if (digit < t) break;
+                w *= base - t;
+            }
+            bias = adapt(i - oldI, output.length + 1, oldI === 0);
+            n += Math.floor(i / (output.length + 1));
+            i %= output.length + 1;
+            if (n > 0x10ffff) return null;
+            output.splice(i++, 0, String.fromCodePoint(n));
+        }
+
+        return output.join('');
+    }
+}
+
+export const lookalikeDetector = new LookalikeDetector();
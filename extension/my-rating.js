@@ -0,0 +1,199 @@
+// rating-extension/my-rating.js
+// "You rated this ★★★★ — edit / remove" line for the current page, backed by GET /my-ratings?url=
+// and DELETE /rating/:id. Editing preselects the stars, flags and review; resubmitting via POST /rating
+// updates the same rating in place (one rating per user per URL).
+
+import { CONFIG } from './config.js';
+import { getSession } from './auth.js';
+
+const API_BASE_URL = `${CONFIG.SUPABASE_URL}/functions/v1/url-trust-api`;
+const REQUEST_TIMEOUT_MS = 15000;
+
+const FLAG_COLUMNS = {
+    spam: 'is_spam',
+    misleading: 'is_misleading',
+    scam: 'is_scam'
+};
+
+export class MyRating {
+    constructor() {
+        this.container = null;
+        this.starsSpan = null;
+        this.editButton = null;
+        this.removeButton = null;
+
+        this.rating = null; // /my-ratings item for the current page, or null
+        this.url = '';
+        this.isBusy = false;
+        this.onRemoved = null;
+        this.initialized = false;
+    }
+
+    /**
+     * @param {object} options
+     * @param {function(string): void} options.onRemoved - Called with the page URL after a rating is withdrawn
+     */
+    init({ onRemoved } = {}) {
+        if (this.initialized) return;
+
+        this.container = document.getElementById('my-rating');
+        this.starsSpan = document.getElementById('my-rating-stars');
+        this.editButton = document.getElementById('my-rating-edit');
+        this.removeButton = document.getElementById('my-rating-remove');
+        this.onRemoved = onRemoved || null;
+
+        if (!this.container) return;
+
+        if (this.editButton) {
+            this.editButton.addEventListener('click', () => this.edit());
+        }
+        if (this.removeButton) {
+            this.removeButton.addEventListener('click', () => this.remove());
+        }
+
+        this.initialized = true;
+    }
+
+    async request(path, accessToken, options = {}) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+        try {
+            const response = await fetch(`${API_BASE_URL}${path}`, {
+                ...options,
+                headers: {
+                    'Accept': 'application/json',
+                    'apikey': CONFIG.SUPABASE_ANON_KEY,
+                    'Authorization': `Bearer ${accessToken}`
+                },
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `HTTP ${response.status}`);
+            }
+            return await response.json();
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Look up the signed-in user's rating for a page and show or hide the line.
+     * @param {string} url - Page URL (canonicalized by the server)
+     */
+    async load(url) {
+        this.init();
+        this.url = url;
+
+        let session = null;
+        try {
+            ({ session } = await getSession());
+        } catch (error) {
+            session = null;
+        }
+
+        if (!url || !session || !session.access_token) {
+            this.render(null);
+            return;
+        }
+
+        try {
+            const params = new URLSearchParams({ url, limit: '1' });
+            const data = await this.request(`/my-ratings?${params}`, session.access_token);
+            // Ignore answers for a page the popup has since moved away from
+            if (url === this.url) {
+                this.render((data.ratings || [])[0] || null);
+            }
+        } catch (error) {
+            console.error('Error loading your rating for this page:', error);
+            this.render(null);
+        }
+    }
+
+    clear() {
+        this.url = '';
+        this.render(null);
+    }
+
+    render(rating) {
+        this.rating = rating;
+        if (!this.container) return;
+
+        if (!rating) {
+            this.container.classList.add('hidden');
+            return;
+        }
+
+        this.starsSpan.textContent = '★'.repeat(rating.rating);
+        this.starsSpan.setAttribute('aria-label', `${rating.rating} of 5 stars`);
+        this.container.title = rating.updated_at
+            ? `Last edited ${new Date(rating.updated_at).toLocaleDateString()}`
+            : `Rated ${new Date(rating.created_at).toLocaleDateString()}`;
+        this.container.classList.remove('hidden');
+    }
+
+    /**
+     * Preselect the stored stars and flags so the next submission replaces this rating.
+     */
+    edit() {
+        const manager = window.compactRatingManager;
+        if (!this.rating || !manager) return;
+
+        manager.reset();
+        manager.selectRating(this.rating.rating);
+        manager.showPrimedEffect(this.rating.rating);
+        Object.entries(FLAG_COLUMNS).forEach(([flag, column]) => {
+            if (this.rating[column]) {
+                manager.toggleFlag(flag);
+            }
+        });
+        manager.setComment(this.rating.comment);
+
+        if (window.notificationManager) {
+            window.notificationManager.show('Adjust your rating, then tap the star again to save it.', 'info');
+        }
+    }
+
+    /**
+     * Withdraw the rating for the current page.
+     */
+    async remove() {
+        if (!this.rating || this.isBusy) return;
+        if (!confirm('Remove your rating for this page?')) return;
+
+        this.isBusy = true;
+        this.removeButton.disabled = true;
+
+        try {
+            const { session } = await getSession();
+            if (!session || !session.access_token) {
+                throw new Error('You must be logged in to remove a rating.');
+            }
+
+            await this.request(`/rating/${encodeURIComponent(this.rating.id)}`, session.access_token, {
+                method: 'DELETE'
+            });
+
+            const url = this.url;
+            this.render(null);
+            if (window.notificationManager) {
+                window.notificationManager.show('Your rating was removed.', 'success');
+            }
+            if (this.onRemoved) {
+                this.onRemoved(url);
+            }
+        } catch (error) {
+            console.error('Error removing rating:', error);
+            if (window.notificationManager) {
+                window.notificationManager.show(`Could not remove your rating: ${error.message}`, 'error');
+            }
+        } finally {
+            this.isBusy = false;
+            this.removeButton.disabled = false;
+        }
+    }
+}
+
+export const myRating = new MyRating();
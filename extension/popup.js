@@ -10,6 +10,15 @@ import { compactRatingManager } from './compact-rating-manager.js';
 import { localScoreCalculator } from './local-score-calculator.js';
 import { warningIndicatorSystem } from './warning-indicator-system.js';
 import { affiliateManager } from './affiliate-manager.js';
+import { urlCanonicalizer } from './url-canonicalizer.js';
+import { statsCache } from './stats-cache.js';
+import { ratingOutbox, isRetryableSubmitError, postRating } from './rating-outbox.js';
+import { ratingHistory } from './rating-history.js';
+import { myRating } from './my-rating.js';
+import { reviewsPanel } from './reviews-panel.js';
+import { trustSparkline } from './trust-sparkline.js';
+import { domainBaselines } from './domain-baselines.js';
+import { urlRiskAnalyzer } from './url-risk-analyzer.js';
 
 // --- DOM Elements ---
 const authSection = document.getElementById('auth-section');
@@ -39,9 +48,12 @@ const isSpamCheckbox = document.getElementById('is-spam'); // New
 const isMisleadingCheckbox = document.getElementById('is-misleading'); // New
 const isScamCheckbox = document.getElementById('is-scam'); // New
 const submitRatingBtn = document.getElementById('submit-rating-btn');
+const ratingCommentInput = document.getElementById('rating-comment'); // Optional written review
 // Message div removed
 
 let currentUrl = ''; // To store the URL of the active tab
+let currentTabId = null; // Tab id of the active tab, used to share stats with the background worker
+let currentUrlAnalysis = null; // urlRiskAnalyzer result for currentUrl, shown as page signals and sent with ratings
 
 // Make components globally available for other modules with error handling
 try {
@@ -146,11 +158,12 @@ function updateStatsDisplay(data) {
 
         // If no score available, calculate domain baseline score
         if (trustScore === null || trustScore === undefined) {
-            trustScore = calculateDomainBaseline(data.domain);
+            trustScore = domainBaselines.getBaseline(data.domain);
         }
 
         // Update the circular progress score
         trustScoreSpan.textContent = `${trustScore.toFixed(0)}%`;
+        updateScoreMargin(trustScore, data.trust_score_margin);
         updateScoreBar(trustScore);
         updateScoreLabel(trustScore);
 
@@ -166,6 +179,9 @@ function updateStatsDisplay(data) {
         // Update warning indicator system with current data
         warningIndicatorSystem.updateWarnings(trustScore, data);
 
+        updateDisputeIndicator(data.dispute);
+        updateRedirectIndicator(data.redirect);
+
         // Update hidden elements for data access (keep for compatibility)
         totalRatingsSpan.textContent = data.rating_count || '0';
         spamCountSpan.textContent = data.spam_reports_count || '0';
@@ -177,8 +193,14 @@ function updateStatsDisplay(data) {
         // Add data source indicator (subtle)
         if (data.data_source) {
             const sourceIndicator = data.data_source === 'baseline' ? '(estimated)' :
-                data.data_source === 'domain' ? '(domain)' : '';
-            if (sourceIndicator) {
+                data.data_source === 'domain' ? '(domain)' :
+                data.data_source === 'redirect' ? '(destination)' : '';
+            if (data.data_source === 'redirect' && data.redirect) {
+                trustScoreSpan.title = `Trust score (destination): this link has no ratings of its own; score of ${data.redirect.final_domain}`;
+            } else if (data.data_source === 'domain' && data.domain_rollup) {
+                const rollup = data.domain_rollup;
+                trustScoreSpan.title = `Trust score (domain): no ratings for this page yet, based on ${rollup.rating_count} ratings across ${rollup.rated_url_count} pages on ${rollup.domain}`;
+            } else if (sourceIndicator) {
                 trustScoreSpan.title = `Trust score ${sourceIndicator}`;
             }
         }
@@ -201,6 +223,21 @@ function updateStatsDisplay(data) {
     }
 }
 
+// "72% (±9)": half-width of the score's credible interval, when the server computed one
+function updateScoreMargin(score, margin) {
+    if (margin === null || margin === undefined || !Number.isFinite(Number(margin))) {
+        trustScoreSpan.removeAttribute('title');
+        return;
+    }
+
+    const rounded = Math.round(Number(margin));
+    const marginSpan = document.createElement('span');
+    marginSpan.className = 'score-margin';
+    marginSpan.textContent = ` (±${rounded})`;
+    trustScoreSpan.appendChild(marginSpan);
+    trustScoreSpan.title = `Trust score ${score.toFixed(0)}% ± ${rounded} (90% credible interval)`;
+}
+
 function updateScoreBar(score) {
     const progressRing = document.getElementById('progress-ring');
 
@@ -275,48 +312,9 @@ function updateScoreLabel(score) {
     }
 }
 
-function calculateDomainBaseline(domain) {
-    // Domain-specific baseline scores based on reputation
-    const domainBaselines = {
-        // High trust domains (70-85)
-        'google.com': 85, 'youtube.com': 75, 'wikipedia.org': 85,
-        'github.com': 80, 'stackoverflow.com': 82, 'microsoft.com': 78,
-        'apple.com': 80, 'amazon.com': 72, 'netflix.com': 75,
-
-        // Educational domains (75-85)
-        'mit.edu': 85, 'stanford.edu': 85, 'harvard.edu': 85,
-        'coursera.org': 78, 'khanacademy.org': 80,
-
-        // News domains (65-80)
-        'cnn.com': 70, 'bbc.com': 78, 'reuters.com': 80,
-        'nytimes.com': 75, 'npr.org': 78,
-
-        // Social media (55-65)
-        'facebook.com': 60, 'twitter.com': 58, 'x.com': 58,
-        'instagram.com': 62, 'linkedin.com': 68, 'reddit.com': 65,
-        'tiktok.com': 55,
-
-        // E-commerce (60-70)
-        'ebay.com': 65, 'etsy.com': 68, 'paypal.com': 75
-    };
-
-    if (domain && domainBaselines[domain]) {
-        return domainBaselines[domain];
-    }
-
-    // Default baseline based on TLD
-    if (domain) {
-        if (domain.endsWith('.edu') || domain.endsWith('.gov')) return 75;
-        if (domain.endsWith('.org')) return 65;
-        if (domain.endsWith('.com') || domain.endsWith('.net')) return 60;
-    }
-
-    return 50; // Ultimate fallback
-}
-
 function clearStatsDisplay() {
     const domain = extractDomainFromCurrentUrl();
-    const baselineScore = calculateDomainBaseline(domain);
+    const baselineScore = domainBaselines.getBaseline(domain);
 
     trustScoreSpan.textContent = `${baselineScore}%`;
     totalRatingsSpan.textContent = '0';
@@ -334,18 +332,105 @@ function clearStatsDisplay() {
 
     // Clear warning indicators
     warningIndicatorSystem.updateWarnings(baselineScore, { rating_count: 0, spam_reports_count: 0, misleading_reports_count: 0, scam_reports_count: 0 });
+    updateDisputeIndicator(null);
+    updateRedirectIndicator(null);
 }
 
-function extractDomainFromCurrentUrl() {
-    if (currentUrl) {
-        try {
-            const url = new URL(currentUrl);
-            return url.hostname.replace(/^www\./, '');
-        } catch (e) {
-            return null;
-        }
+const DISPUTE_REASON_LABELS = {
+    inaccurate_reports: 'says the reports are inaccurate',
+    coordinated_reports: 'reports coordinated negative ratings',
+    issue_resolved: 'says the reported issue has been fixed',
+    other: 'disputes the community verdict'
+};
+
+// "Disputed by site owner" while a verified owner's dispute on this page or domain is open
+function updateDisputeIndicator(dispute) {
+    const indicator = document.getElementById('dispute-indicator');
+    if (!indicator) return;
+
+    if (!dispute) {
+        indicator.classList.add('hidden');
+        return;
     }
-    return null;
+
+    const scope = dispute.scope === 'domain' ? 'this site' : 'this page';
+    const reason = DISPUTE_REASON_LABELS[dispute.reason] || DISPUTE_REASON_LABELS.other;
+    const since = dispute.opened_at ? ` since ${new Date(dispute.opened_at).toLocaleDateString()}` : '';
+    indicator.title = `The verified owner of ${scope} ${reason}. Under review${since}.`;
+    indicator.classList.remove('hidden');
+}
+
+// "Redirects to example.com (score 72)" for shortened and tracking links; the title lists every hop
+function updateRedirectIndicator(redirect) {
+    const indicator = document.getElementById('redirect-indicator');
+    if (!indicator) return;
+
+    if (!redirect || !redirect.message) {
+        indicator.classList.add('hidden');
+        return;
+    }
+
+    const hops = (redirect.hops || []).map(hop => `${hop.status} ${hop.url}`);
+    if (redirect.complete === false && redirect.error) {
+        hops.push(redirect.error);
+    }
+    indicator.textContent = redirect.message;
+    indicator.title = hops.join('\n');
+    indicator.classList.remove('hidden');
+}
+
+// Page signals panel: structural URL risk signals, collapsed to a one-line summary
+function renderPageSignals(analysis) {
+    const container = document.getElementById('page-signals');
+    const toggle = document.getElementById('page-signals-toggle');
+    const list = document.getElementById('page-signals-list');
+    if (!container || !toggle || !list) return;
+
+    list.replaceChildren();
+    container.classList.remove('risk-low', 'risk-medium', 'risk-high');
+
+    if (!analysis || analysis.signals.length === 0) {
+        container.classList.add('hidden');
+        return;
+    }
+
+    const count = analysis.signals.length;
+    toggle.textContent = `Page signals: ${count} (${analysis.level} risk)`;
+    container.classList.add(`risk-${analysis.level}`);
+
+    analysis.signals.forEach(signal => {
+        const item = document.createElement('li');
+        item.className = 'page-signals-item';
+
+        const label = document.createElement('span');
+        label.className = 'page-signals-label';
+        label.textContent = signal.label;
+
+        const detail = document.createElement('span');
+        detail.className = 'page-signals-detail';
+        detail.textContent = signal.detail;
+
+        item.append(label, detail);
+        list.appendChild(item);
+    });
+
+    container.classList.remove('hidden');
+}
+
+function initPageSignalsToggle() {
+    const toggle = document.getElementById('page-signals-toggle');
+    const list = document.getElementById('page-signals-list');
+    if (!toggle || !list) return;
+
+    toggle.addEventListener('click', () => {
+        const expanded = toggle.getAttribute('aria-expanded') === 'true';
+        toggle.setAttribute('aria-expanded', String(!expanded));
+        list.classList.toggle('hidden', expanded);
+    });
+}
+
+function extractDomainFromCurrentUrl() {
+    return currentUrl ? urlCanonicalizer.getDomain(currentUrl) : null;
 }
 
 // Batch processing for multiple URL requests
@@ -487,12 +572,8 @@ async function fetchUrlStatsSingle(url) {
             // Batch request successful
 
             // Cache the response
-            const cacheData = {
-                data: data,
-                timestamp: Date.now()
-            };
-            statsCache.set(url, cacheData);
-            saveCacheToStorage(url, cacheData);
+            await statsCache.set(url, data);
+            publishStatsToBackground(url, data);
 
             updateStatsDisplay(data);
             // Single fetch doesn't show success messages to reduce noise
@@ -514,8 +595,8 @@ async function fetchUrlStatsSingle(url) {
 
         // Fallback: show baseline score
         try {
-            const domain = new URL(url).hostname.replace(/^www\./, '');
-            const baselineScore = calculateDomainBaseline(domain);
+            const domain = urlCanonicalizer.getDomain(url);
+            const baselineScore = domainBaselines.getBaseline(domain);
             updateStatsDisplay({
                 final_trust_score: baselineScore,
                 trust_score: baselineScore,
@@ -548,6 +629,17 @@ function updateUI(session) {
         // Initialize compact rating manager now that elements are visible
         compactRatingManager.forceInit();
 
+        // "My ratings" history is only available to signed-in users
+        ratingHistory.setSignedIn(true);
+
+        // "You rated this" line for the current page
+        if (currentUrl && /^https?:\/\//.test(currentUrl)) {
+            myRating.load(currentUrl);
+        }
+
+        // Rating impact previews use the user's reputation weight
+        loadRaterWeight(session);
+
         // Show user info in rating section
         if (authStatusDiv) {
             authStatusDiv.textContent = `✓ Logged in as: ${session.user.email}`;
@@ -575,6 +667,9 @@ function updateUI(session) {
         if (headerLogin) headerLogin.style.display = 'flex';
         if (authSection) authSection.style.display = 'block';
         if (ratingSection) ratingSection.style.display = 'none';
+        ratingHistory.setSignedIn(false);
+        myRating.clear();
+        localScoreCalculator.setRaterWeight(1);
 
         if (authStatusDiv) {
             authStatusDiv.textContent = 'Login or sign up to submit ratings';
@@ -791,62 +886,7 @@ forgotPasswordBtn.addEventListener('click', async () => {
 
 // Refresh button removed - functionality integrated into tooltip button
 
-// Smart caching to reduce API calls
-let statsCache = new Map(); // url -> {data, timestamp}
-const STATS_CACHE_DURATION_MS = 300000; // 5 minutes cache (matches aggregation frequency)
-const LOCALSTORAGE_PREFIX = 'urlrater_stats_';
-
-// Load cache from localStorage on startup
-function loadCacheFromStorage() {
-    try {
-        const keys = Object.keys(localStorage).filter(key => key.startsWith(LOCALSTORAGE_PREFIX));
-        keys.forEach(key => {
-            const data = JSON.parse(localStorage.getItem(key));
-            const url = key.replace(LOCALSTORAGE_PREFIX, '');
-
-            // Only load if not expired
-            if (data && (Date.now() - data.timestamp) < STATS_CACHE_DURATION_MS) {
-                statsCache.set(url, data);
-            } else {
-                // Clean up expired entries
-                localStorage.removeItem(key);
-            }
-        });
-        // Loaded cached stats from localStorage
-    } catch (error) {
-        console.error('Error loading cache from localStorage:', error);
-    }
-}
-
-// Save cache entry to localStorage
-function saveCacheToStorage(url, cacheData) {
-    try {
-        localStorage.setItem(LOCALSTORAGE_PREFIX + url, JSON.stringify(cacheData));
-    } catch (error) {
-        console.error('Error saving cache to localStorage:', error);
-        // If storage is full, clean up old entries
-        cleanupOldCacheEntries();
-    }
-}
-
-// Clean up old cache entries from localStorage
-function cleanupOldCacheEntries() {
-    try {
-        const keys = Object.keys(localStorage).filter(key => key.startsWith(LOCALSTORAGE_PREFIX));
-        const now = Date.now();
-
-        keys.forEach(key => {
-            const data = JSON.parse(localStorage.getItem(key));
-            if (!data || (now - data.timestamp) > STATS_CACHE_DURATION_MS) {
-                localStorage.removeItem(key);
-            }
-        });
-    } catch (error) {
-        console.error('Error cleaning up cache:', error);
-    }
-}
-
-
+// Smart caching to reduce API calls - see stats-cache.js (chrome.storage.local, LRU, per-source TTL)
 
 // Trust score tooltip button is handled by the TrustScoreTooltip class itself
 // No additional event listener needed here
@@ -868,6 +908,26 @@ function generateRequestId() {
     return 'req_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
 }
 
+// --- Background worker bridge ---
+// Ask the service worker for the stats it already fetched for the active tab
+async function getStatsFromBackground(url) {
+    if (currentTabId === null || !chrome.runtime?.sendMessage) return null;
+    try {
+        return await chrome.runtime.sendMessage({ type: 'getTabStats', tabId: currentTabId, url });
+    } catch (error) {
+        // Worker not available (e.g. still starting up) - fall back to fetching directly
+        return null;
+    }
+}
+
+// Hand fresher stats to the service worker so the toolbar badge matches the popup
+function publishStatsToBackground(url, data) {
+    if (currentTabId === null || !chrome.runtime?.sendMessage || url !== currentUrl) return;
+    chrome.runtime.sendMessage({ type: 'updateTabStats', tabId: currentTabId, url, data }).catch(() => {
+        // Badge update is best-effort
+    });
+}
+
 async function fetchUrlStats(url, forceRefresh = false) {
     // Prevent multiple simultaneous requests for the same URL
     if (isLoadingStats && !forceRefresh) {
@@ -880,17 +940,23 @@ async function fetchUrlStats(url, forceRefresh = false) {
     try {
         // Check cache first (unless force refresh)
         if (!forceRefresh) {
-            const cached = statsCache.get(url);
-            if (cached && (Date.now() - cached.timestamp) < STATS_CACHE_DURATION_MS) {
+            // The background worker usually fetched this tab's stats already for the badge
+            const backgroundStats = await getStatsFromBackground(url);
+            if (backgroundStats) {
+                await statsCache.set(url, backgroundStats.data, backgroundStats.timestamp);
+                updateStatsDisplay(backgroundStats.data);
+                isLoadingStats = false;
+                return;
+            }
+
+            // Expired entries are dropped by the cache itself
+            const cached = await statsCache.get(url);
+            if (cached) {
                 // Using cached stats
                 updateStatsDisplay(cached.data);
                 // Skip notification for cached data to reduce noise
                 isLoadingStats = false;
                 return;
-            } else if (cached) {
-                // Cache exists but is stale - remove it
-                statsCache.delete(url);
-                localStorage.removeItem(LOCALSTORAGE_PREFIX + url);
             }
         }
 
@@ -999,12 +1065,8 @@ async function fetchUrlStats(url, forceRefresh = false) {
         // Successful response: ${requestId}
 
         // Cache the response
-        const cacheData = {
-            data: data,
-            timestamp: Date.now()
-        };
-        statsCache.set(url, cacheData);
-        saveCacheToStorage(url, cacheData);
+        await statsCache.set(url, data);
+        publishStatsToBackground(url, data);
 
         updateStatsDisplay(data);
         // Only show success for force refresh, not regular loads
@@ -1047,6 +1109,88 @@ async function fetchUrlStats(url, forceRefresh = false) {
     }
 }
 
+// GET /my-reputation: how much this user's ratings count, for LocalScoreCalculator's preview.
+// Failures keep the default weight of 1; the preview is only an estimate.
+async function loadRaterWeight(session) {
+    if (!session || !session.access_token) return;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/my-reputation`, {
+            headers: {
+                'Accept': 'application/json',
+                'apikey': CONFIG.SUPABASE_ANON_KEY,
+                'Authorization': `Bearer ${session.access_token}`
+            }
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const data = await response.json();
+        localScoreCalculator.setRaterWeight(data.weight);
+    } catch (error) {
+        console.warn('Could not load rater reputation:', error.message);
+    }
+}
+
+// --- Offline rating outbox ---
+// background.js sends queued ratings (also while the popup is closed) and reports each replay here
+function showOutboxReplayResult(result) {
+    if (!result) return;
+    if (result.sent > 0) {
+        showMessage(`✅ ${result.sent} queued rating${result.sent === 1 ? '' : 's'} submitted.`, 'success');
+        if (currentUrl) {
+            fetchUrlStats(currentUrl, true);
+        }
+    }
+    if (result.dropped > 0) {
+        showMessage(`❌ ${result.dropped} queued rating${result.dropped === 1 ? ' was' : 's were'} rejected by the server.`, 'error');
+    }
+}
+
+function renderRatingOutbox(items) {
+    const container = document.getElementById('rating-outbox');
+    const summary = document.getElementById('rating-outbox-summary');
+    const list = document.getElementById('rating-outbox-list');
+    if (!container || !summary || !list) return;
+
+    if (!items || items.length === 0) {
+        container.style.display = 'none';
+        list.replaceChildren();
+        return;
+    }
+
+    container.style.display = '';
+    summary.textContent = `${items.length} rating${items.length === 1 ? '' : 's'} waiting to be sent`;
+    list.replaceChildren(...items.map(item => {
+        const li = document.createElement('li');
+        li.className = 'rating-outbox-item';
+        li.textContent = `${'★'.repeat(item.body.score)} ${item.url}`;
+        li.title = item.lastError ? `Last error: ${item.lastError}` : item.url;
+        return li;
+    }));
+}
+
+async function initRatingOutbox() {
+    const retryBtn = document.getElementById('rating-outbox-retry');
+    if (retryBtn) {
+        retryBtn.addEventListener('click', () => {
+            chrome.runtime.sendMessage({ type: 'replayRatingOutbox' }).catch(error => {
+                console.warn('Could not ask the background worker to send queued ratings:', error.message);
+            });
+        });
+    }
+
+    renderRatingOutbox(await ratingOutbox.getItems());
+    ratingOutbox.onChange(renderRatingOutbox);
+
+    chrome.runtime.onMessage.addListener((message) => {
+        if (message && message.type === 'ratingOutboxReplayed') {
+            showOutboxReplayResult(message.result);
+        }
+    });
+}
+
 submitRatingBtn.addEventListener('click', async () => {
     const score = parseInt(ratingScoreSelect.value);
     const isSpam = isSpamCheckbox.checked; // Get checkbox values
@@ -1069,6 +1213,18 @@ submitRatingBtn.addEventListener('click', async () => {
 
     // Button state shows loading - no notification needed
 
+    // Kept outside the try so a network failure can queue the exact same request
+    const requestId = generateRequestId();
+    const ratingBody = {
+        url: currentUrl,
+        score: score,
+        comment: ratingCommentInput ? ratingCommentInput.value.trim() || null : null,
+        isSpam: isSpam,
+        isMisleading: isMisleading,
+        isScam: isScam,
+        urlSignals: urlRiskAnalyzer.toPayload(currentUrlAnalysis)
+    };
+
     try {
         let session = null;
         try {
@@ -1084,33 +1240,13 @@ submitRatingBtn.addEventListener('click', async () => {
             return;
         }
 
-        const requestId = generateRequestId();
-
         // Submitting rating
 
         // Add timeout to prevent hanging requests
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), 15000); // 15 second timeout
 
-        const response = await fetch(`${API_BASE_URL}/rating`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Accept': 'application/json',
-                'apikey': CONFIG.SUPABASE_ANON_KEY,
-                'Authorization': `Bearer ${session.access_token}`,
-                'X-Request-ID': requestId
-            },
-            body: JSON.stringify({
-                url: currentUrl,
-                score: score,
-                comment: null,
-                isSpam: isSpam,
-                isMisleading: isMisleading,
-                isScam: isScam
-            }),
-            signal: controller.signal
-        });
+        const response = await postRating(ratingBody, requestId, session.access_token, controller.signal);
 
         clearTimeout(timeoutId);
 
@@ -1152,7 +1288,8 @@ submitRatingBtn.addEventListener('click', async () => {
                 } else if (errorCode === 'DatabaseError') {
                     userMessage = '🔧 Database temporarily unavailable. Please try submitting again.';
                 } else if (response.status === 409) {
-                    userMessage = '⏰ You have already rated this URL recently. Please wait 24 hours before rating again.';
+                    // Same request ID seen with a different body, or the first attempt is still running
+                    userMessage = '⏳ This rating is already being processed. Please try again in a moment.';
                 }
 
                 showMessage(userMessage, 'error');
@@ -1201,6 +1338,12 @@ submitRatingBtn.addEventListener('click', async () => {
         // Notify compact rating manager of successful submission
         compactRatingManager.onRatingSubmitted();
 
+        // Show the new (or replaced) rating as "You rated this", and its review if one was written
+        myRating.load(currentUrl);
+        if (ratingBody.comment) {
+            reviewsPanel.setUrl(currentUrl);
+        }
+
         // Reset form fields after successful submission
         setTimeout(() => {
             ratingScoreSelect.value = '1';
@@ -1217,6 +1360,18 @@ submitRatingBtn.addEventListener('click', async () => {
             timestamp: new Date().toISOString()
         });
 
+        // Network failures never reached the server - keep the rating and send it later
+        if (isRetryableSubmitError(error)) {
+            await ratingOutbox.enqueue(requestId, ratingBody, error.message);
+            showMessage('📥 You appear to be offline. Your rating was saved and will be sent automatically.', 'info');
+            buttonStateManager.setState(submitRatingBtn, 'success', {
+                successText: 'Queued',
+                duration: 2000
+            });
+            compactRatingManager.onRatingSubmitted();
+            return;
+        }
+
         // Handle different types of network and runtime errors
         let userMessage = '❌ Failed to submit rating';
 
@@ -1269,15 +1424,27 @@ async function fetchCurrentUrlAndStats() {
 
         if (tabs && tabs[0] && tabs[0].url) {
             currentUrl = tabs[0].url;
+            currentTabId = tabs[0].id ?? null;
             // Current URL retrieved
 
             if (currentUrlSpan) {
                 currentUrlSpan.textContent = currentUrl;
             }
 
+            currentUrlAnalysis = urlRiskAnalyzer.analyze(currentUrl);
+            renderPageSignals(currentUrlAnalysis);
+
             // Validate URL before making API call
             const isValidUrl = currentUrl && (currentUrl.startsWith('http://') || currentUrl.startsWith('https://'));
 
+            if (isValidUrl) {
+                warningIndicatorSystem.setPageHost(extractDomainFromCurrentUrl());
+                initLinkBadgeToggle();
+                myRating.load(currentUrl);
+                reviewsPanel.setUrl(currentUrl);
+                trustSparkline.load(currentUrl);
+            }
+
             if (!isLoadingStats && isValidUrl) {
                 // Scheduling stats fetch
                 // Add small delay to ensure UI and API are ready
@@ -1316,6 +1483,38 @@ async function fetchCurrentUrlAndStats() {
     }
 }
 
+// --- Link Badge Toggle ---
+// Per-site override read by the link-badges.js content script: { hostname: boolean }
+const LINK_BADGE_SITES_KEY = 'linkBadgeSites';
+
+async function initLinkBadgeToggle() {
+    const toggleRow = document.getElementById('link-badges-toggle-row');
+    const toggle = document.getElementById('link-badges-toggle');
+    const host = extractDomainFromCurrentUrl();
+
+    if (!toggleRow || !toggle || !host || !chrome.storage?.local || toggle.dataset.bound) return;
+    toggle.dataset.bound = 'true';
+
+    try {
+        const stored = await chrome.storage.local.get(LINK_BADGE_SITES_KEY);
+        const sites = stored[LINK_BADGE_SITES_KEY] || {};
+        toggle.checked = sites[host] !== false; // Enabled by default
+        toggleRow.style.display = '';
+
+        toggle.addEventListener('change', async () => {
+            const latest = (await chrome.storage.local.get(LINK_BADGE_SITES_KEY))[LINK_BADGE_SITES_KEY] || {};
+            if (toggle.checked) {
+                delete latest[host];
+            } else {
+                latest[host] = false;
+            }
+            await chrome.storage.local.set({ [LINK_BADGE_SITES_KEY]: latest });
+        });
+    } catch (error) {
+        console.error('Error initializing link badge toggle:', error);
+    }
+}
+
 // --- Affiliate Links ---
 // Affiliate links are now managed by the AffiliateManager class
 // The manager handles click tracking, enhanced styling, and future program approval
@@ -1344,10 +1543,10 @@ document.addEventListener('DOMContentLoaded', async () => {
         initMessageBar();
         initHeaderAuth();
         // Affiliate links are automatically initialized by AffiliateManager
-        loadCacheFromStorage();
         initButtonStateManagement();
         initNotificationManager();
         initTrustScoreTooltip();
+        initPageSignalsToggle();
 
         // Clear any stale notifications from previous sessions
         if (notificationManager) {
@@ -1356,6 +1555,15 @@ document.addEventListener('DOMContentLoaded', async () => {
 
         // UI components initialized
 
+        // Per-domain canonicalization rules (fetched by the background worker) for cache keys
+        await urlCanonicalizer.loadRulesFromStorage();
+
+        // Move stats cached by older versions (localStorage) into the shared cache
+        await statsCache.migrateLegacyEntries();
+
+        // Cached domain baseline list (rechecked against the server in the background once a day)
+        await domainBaselines.load();
+
         // Initialize Supabase client (this might take time)
         await initSupabase();
         // Supabase client initialized
@@ -1363,6 +1571,15 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Add delay before auth operations to prevent timing issues
         await new Promise(resolve => setTimeout(resolve, 150));
 
+        // A withdrawn rating changes the page's stats - drop the cached copy and refetch
+        myRating.init({
+            onRemoved: async (url) => {
+                await statsCache.delete(url);
+                fetchUrlStats(url, true);
+                reviewsPanel.setUrl(url);
+            }
+        });
+
         // Get session with improved error handling
         let session = null;
         try {
@@ -1384,7 +1601,10 @@ document.addEventListener('DOMContentLoaded', async () => {
         }, 300);
 
         // Clean up old cache entries periodically
-        cleanupOldCacheEntries();
+        statsCache.cleanup();
+
+        // Show and send ratings queued while offline
+        initRatingOutbox();
 
         // Extension initialization complete
     } catch (error) {
@@ -0,0 +1,215 @@
+// rating-extension/rating-history.js
+// "My ratings" panel: paginated history of the signed-in user's ratings from GET /my-ratings
+
+import { CONFIG } from './config.js';
+import { getSession } from './auth.js';
+
+const API_BASE_URL = `${CONFIG.SUPABASE_URL}/functions/v1/url-trust-api`;
+const PAGE_SIZE = 20;
+
+const FLAG_LABELS = {
+    is_spam: 'Spam/Ads',
+    is_misleading: 'Misleading',
+    is_scam: 'Suspicious'
+};
+
+export class RatingHistory {
+    constructor() {
+        this.section = null;
+        this.panel = null;
+        this.toggleButton = null;
+        this.filterSelect = null;
+        this.list = null;
+        this.emptyState = null;
+        this.loadMoreButton = null;
+
+        this.isOpen = false;
+        this.isLoading = false;
+        this.page = 0;
+        this.hasMore = false;
+        this.flag = '';
+        this.initialized = false;
+    }
+
+    init() {
+        if (this.initialized) return;
+
+        this.section = document.getElementById('history-section');
+        this.panel = document.getElementById('history-panel');
+        this.toggleButton = document.getElementById('history-toggle');
+        this.filterSelect = document.getElementById('history-flag-filter');
+        this.list = document.getElementById('history-list');
+        this.emptyState = document.getElementById('history-empty');
+        this.loadMoreButton = document.getElementById('history-load-more');
+
+        if (!this.section || !this.panel || !this.toggleButton || !this.list) return;
+
+        this.toggleButton.addEventListener('click', () => this.toggle());
+        if (this.filterSelect) {
+            this.filterSelect.addEventListener('change', () => {
+                this.flag = this.filterSelect.value;
+                this.reload();
+            });
+        }
+        if (this.loadMoreButton) {
+            this.loadMoreButton.addEventListener('click', () => this.loadPage(this.page + 1));
+        }
+
+        this.initialized = true;
+    }
+
+    /**
+     * Show the section for signed-in users only; collapse and clear it on sign-out.
+     * @param {boolean} signedIn
+     */
+    setSignedIn(signedIn) {
+        this.init();
+        if (!this.section) return;
+
+        this.section.style.display = signedIn ? '' : 'none';
+        if (!signedIn) {
+            this.isOpen = false;
+            this.panel.classList.add('hidden');
+            this.toggleButton.setAttribute('aria-expanded', 'false');
+            this.list.replaceChildren();
+            this.page = 0;
+        }
+    }
+
+    toggle() {
+        this.isOpen = !this.isOpen;
+        this.panel.classList.toggle('hidden', !this.isOpen);
+        this.toggleButton.setAttribute('aria-expanded', String(this.isOpen));
+
+        // Load lazily the first time the panel opens
+        if (this.isOpen && this.page === 0) {
+            this.reload();
+        }
+    }
+
+    reload() {
+        this.list.replaceChildren();
+        this.page = 0;
+        this.hasMore = false;
+        this.loadPage(1);
+    }
+
+    /**
+     * Fetch one page of /my-ratings and append it to the list.
+     * @param {number} page - 1-based page number
+     */
+    async loadPage(page) {
+        if (this.isLoading) return;
+        this.isLoading = true;
+        this.updateControls();
+
+        try {
+            const { session } = await getSession();
+            if (!session || !session.access_token) {
+                this.setSignedIn(false);
+                return;
+            }
+
+            const params = new URLSearchParams({ page: String(page), limit: String(PAGE_SIZE) });
+            if (this.flag) {
+                params.set('flag', this.flag);
+            }
+
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), 15000);
+
+            let response;
+            try {
+                response = await fetch(`${API_BASE_URL}/my-ratings?${params}`, {
+                    headers: {
+                        'Accept': 'application/json',
+                        'apikey': CONFIG.SUPABASE_ANON_KEY,
+                        'Authorization': `Bearer ${session.access_token}`
+                    },
+                    signal: controller.signal
+                });
+            } finally {
+                clearTimeout(timeoutId);
+            }
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `HTTP ${response.status}`);
+            }
+
+            const data = await response.json();
+            (data.ratings || []).forEach(rating => this.list.appendChild(this.renderItem(rating)));
+            this.page = page;
+            this.hasMore = !!(data.pagination && data.pagination.has_more);
+        } catch (error) {
+            console.error('Error loading rating history:', error);
+            if (window.notificationManager) {
+                window.notificationManager.show('Could not load your ratings. Please try again.', 'error');
+            }
+        } finally {
+            this.isLoading = false;
+            this.updateControls();
+        }
+    }
+
+    updateControls() {
+        if (this.emptyState) {
+            this.emptyState.classList.toggle('hidden', this.isLoading || this.list.children.length > 0);
+        }
+        if (this.loadMoreButton) {
+            this.loadMoreButton.classList.toggle('hidden', !this.hasMore);
+            this.loadMoreButton.disabled = this.isLoading;
+            this.loadMoreButton.textContent = this.isLoading ? 'Loading...' : 'Load more';
+        }
+    }
+
+    /**
+     * One history row: stars, page link (opens in a new tab), flags, date and review.
+     * @param {object} rating - /my-ratings item
+     * @returns {HTMLLIElement}
+     */
+    renderItem(rating) {
+        const item = document.createElement('li');
+        item.className = 'rating-history-item';
+
+        const stars = document.createElement('span');
+        stars.className = 'rating-history-stars';
+        stars.textContent = '★'.repeat(rating.rating) + '☆'.repeat(5 - rating.rating);
+        stars.setAttribute('aria-label', `${rating.rating} of 5 stars`);
+
+        const url = rating.canonical_url;
+        const link = document.createElement(url ? 'a' : 'span');
+        link.className = 'rating-history-url';
+        link.textContent = url || rating.domain || 'Unknown page';
+        if (url && /^https?:\/\//.test(url)) {
+            link.href = url;
+            link.title = url;
+            link.addEventListener('click', (event) => {
+                event.preventDefault();
+                chrome.tabs.create({ url });
+            });
+        }
+
+        const meta = document.createElement('span');
+        meta.className = 'rating-history-meta';
+        const flags = Object.keys(FLAG_LABELS).filter(key => rating[key]).map(key => FLAG_LABELS[key]);
+        const date = rating.created_at ? new Date(rating.created_at).toLocaleDateString() : '';
+        meta.textContent = [date, ...flags].filter(Boolean).join(' · ');
+
+        item.appendChild(stars);
+        item.appendChild(link);
+        item.appendChild(meta);
+
+        if (rating.comment) {
+            const comment = document.createElement('span');
+            comment.className = 'rating-history-comment';
+            comment.textContent = rating.comment_hidden
+                ? `"${rating.comment}" (hidden by a moderator)`
+                : `"${rating.comment}"`;
+            item.appendChild(comment);
+        }
+        return item;
+    }
+}
+
+export const ratingHistory = new RatingHistory();
@@ -0,0 +1,207 @@
+// rating-extension/rating-outbox.js
+// Durable outbox for /rating submissions that failed because the network was unavailable.
+// Items keep the X-Request-ID of the original attempt so the server can recognise replays.
+// The popup queues items; background.js sends them (on an alarm, or when the network returns).
+
+import { CONFIG } from './config.js';
+
+export const RATING_OUTBOX_KEY = 'ratingOutbox';
+export const RATING_OUTBOX_ALARM = 'ratingOutboxReplay';
+
+const API_BASE_URL = `${CONFIG.SUPABASE_URL}/functions/v1/url-trust-api`;
+
+const MAX_OUTBOX_ITEMS = 50;
+const BASE_RETRY_DELAY_MS = 5000;
+const MAX_RETRY_DELAY_MS = 1800000; // 30 minutes
+const MAX_ATTEMPTS = 12;
+const MIN_ALARM_DELAY_MS = 30000; // chrome.alarms won't fire sooner
+
+/**
+ * POST /rating with a caller-supplied request ID, also sent as the Idempotency-Key
+ * (reused when an outbox item is replayed, so the server answers with the original response).
+ * @param {object} body - /rating request body
+ * @param {string} requestId
+ * @param {string} accessToken
+ * @param {AbortSignal} signal
+ * @returns {Promise<Response>}
+ */
+export function postRating(body, requestId, accessToken, signal) {
+    return fetch(`${API_BASE_URL}/rating`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json',
+            'apikey': CONFIG.SUPABASE_ANON_KEY,
+            'Authorization': `Bearer ${accessToken}`,
+            'X-Request-ID': requestId,
+            'Idempotency-Key': requestId
+        },
+        body: JSON.stringify(body),
+        signal
+    });
+}
+
+/**
+ * Whether a failed submission should be queued rather than reported: request timeouts
+ * (AbortError) and fetch network failures (TypeError) never reached the server's logic.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isRetryableSubmitError(error) {
+    if (!error) return false;
+    if (error.name === 'AbortError') return true;
+    return error.name === 'TypeError' && /fetch|network/i.test(error.message || '');
+}
+
+export class RatingOutbox {
+    constructor() {
+        this.isReplaying = false;
+    }
+
+    /**
+     * Queued submissions, oldest first.
+     * @returns {Promise<Array<{requestId: string, url: string, body: object, attempts: number,
+     *                          createdAt: number, nextAttemptAt: number, lastError: string|null}>>}
+     */
+    async getItems() {
+        try {
+            const stored = await chrome.storage.local.get(RATING_OUTBOX_KEY);
+            return Array.isArray(stored[RATING_OUTBOX_KEY]) ? stored[RATING_OUTBOX_KEY] : [];
+        } catch (error) {
+            console.error('Error reading rating outbox:', error);
+            return [];
+        }
+    }
+
+    async saveItems(items) {
+        await chrome.storage.local.set({ [RATING_OUTBOX_KEY]: items });
+    }
+
+    /**
+     * Queue a failed submission. A newer rating for the same URL replaces the queued one.
+     * @param {string} requestId - X-Request-ID of the failed attempt
+     * @param {object} body - /rating request body
+     * @param {string} lastError
+     * @returns {Promise<void>}
+     */
+    async enqueue(requestId, body, lastError = null) {
+        const items = (await this.getItems()).filter(item => item.url !== body.url);
+        const now = Date.now();
+
+        items.push({
+            requestId,
+            url: body.url,
+            body,
+            attempts: 0,
+            createdAt: now,
+            nextAttemptAt: now + BASE_RETRY_DELAY_MS,
+            lastError
+        });
+
+        await this.saveItems(items.slice(-MAX_OUTBOX_ITEMS));
+    }
+
+    /**
+     * Exponential backoff with jitter: 5s, 10s, 20s ... capped at 30 minutes.
+     * @param {number} attempts - Failed replay attempts so far
+     * @returns {number}
+     */
+    getBackoffDelay(attempts) {
+        const delay = Math.min(BASE_RETRY_DELAY_MS * Math.pow(2, attempts), MAX_RETRY_DELAY_MS);
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+
+    /**
+     * Time until the next item is due, or null if the outbox is empty.
+     * @returns {Promise<number|null>}
+     */
+    async getNextDelay() {
+        const items = await this.getItems();
+        if (items.length === 0) return null;
+        const next = Math.min(...items.map(item => item.nextAttemptAt));
+        return Math.max(0, next - Date.now());
+    }
+
+    /**
+     * Set the replay alarm for the earliest queued item, or clear it when the outbox is empty.
+     * @returns {Promise<void>}
+     */
+    async scheduleAlarm() {
+        const delay = await this.getNextDelay();
+        if (delay === null) {
+            await chrome.alarms.clear(RATING_OUTBOX_ALARM);
+            return;
+        }
+        await chrome.alarms.create(RATING_OUTBOX_ALARM, { when: Date.now() + Math.max(delay, MIN_ALARM_DELAY_MS) });
+    }
+
+    /**
+     * Send every due item (or all items when forced).
+     * @param {function(object): Promise<'sent'|'retry'|'drop'>} send - Submits one item
+     * @param {boolean} force - Ignore backoff (e.g. the network just came back)
+     * @returns {Promise<{sent: number, dropped: number, pending: number}>}
+     */
+    async replay(send, force = false) {
+        const result = { sent: 0, dropped: 0, pending: 0 };
+        if (this.isReplaying) return result;
+        this.isReplaying = true;
+
+        try {
+            const items = await this.getItems();
+            const now = Date.now();
+            const outcomes = new Map(); // requestId -> {outcome, error}
+
+            for (const item of items) {
+                if (!force && item.nextAttemptAt > now) continue;
+                try {
+                    outcomes.set(item.requestId, { outcome: await send(item) });
+                } catch (error) {
+                    outcomes.set(item.requestId, { outcome: 'retry', error: error.message });
+                }
+            }
+
+            // Re-read so items queued while we were sending aren't lost
+            const remaining = [];
+            (await this.getItems()).forEach(item => {
+                const entry = outcomes.get(item.requestId);
+                if (!entry) {
+                    remaining.push(item);
+                } else if (entry.outcome === 'sent') {
+                    result.sent++;
+                } else if (entry.outcome === 'drop' || item.attempts + 1 >= MAX_ATTEMPTS) {
+                    result.dropped++;
+                } else {
+                    remaining.push({
+                        ...item,
+                        attempts: item.attempts + 1,
+                        nextAttemptAt: Date.now() + this.getBackoffDelay(item.attempts + 1),
+                        lastError: entry.error || item.lastError
+                    });
+                }
+            });
+
+            await this.saveItems(remaining);
+            result.pending = remaining.length;
+        } catch (error) {
+            console.error('Error replaying rating outbox:', error);
+        } finally {
+            this.isReplaying = false;
+        }
+
+        return result;
+    }
+
+    /**
+     * Call listener with the current items whenever the outbox changes (in any extension context).
+     * @param {function(Array): void} listener
+     */
+    onChange(listener) {
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes[RATING_OUTBOX_KEY]) {
+                listener(changes[RATING_OUTBOX_KEY].newValue || []);
+            }
+        });
+    }
+}
+
+export const ratingOutbox = new RatingOutbox();
@@ -0,0 +1,243 @@
+// rating-extension/reviews-panel.js
+// Public written reviews for the current page from GET /reviews, with "helpful" votes
+
+import { CONFIG } from './config.js';
+import { getSession } from './auth.js';
+
+const API_BASE_URL = `${CONFIG.SUPABASE_URL}/functions/v1/url-trust-api`;
+const PAGE_SIZE = 10;
+const REQUEST_TIMEOUT_MS = 15000;
+
+export class ReviewsPanel {
+    constructor() {
+        this.section = null;
+        this.panel = null;
+        this.toggleButton = null;
+        this.sortSelect = null;
+        this.list = null;
+        this.emptyState = null;
+        this.loadMoreButton = null;
+
+        this.url = '';
+        this.isOpen = false;
+        this.isLoading = false;
+        this.page = 0;
+        this.hasMore = false;
+        this.sort = 'newest';
+        this.initialized = false;
+    }
+
+    init() {
+        if (this.initialized) return;
+
+        this.section = document.getElementById('reviews-section');
+        this.panel = document.getElementById('reviews-panel');
+        this.toggleButton = document.getElementById('reviews-toggle');
+        this.sortSelect = document.getElementById('reviews-sort');
+        this.list = document.getElementById('reviews-list');
+        this.emptyState = document.getElementById('reviews-empty');
+        this.loadMoreButton = document.getElementById('reviews-load-more');
+
+        if (!this.section || !this.panel || !this.toggleButton || !this.list) return;
+
+        this.toggleButton.addEventListener('click', () => this.toggle());
+        if (this.sortSelect) {
+            this.sortSelect.addEventListener('change', () => {
+                this.sort = this.sortSelect.value;
+                this.reload();
+            });
+        }
+        if (this.loadMoreButton) {
+            this.loadMoreButton.addEventListener('click', () => this.loadPage(this.page + 1));
+        }
+
+        this.initialized = true;
+    }
+
+    /**
+     * Point the panel at a page. Reviews load lazily when the panel is opened.
+     * @param {string} url - http(s) page URL, or '' to hide the section
+     */
+    setUrl(url) {
+        this.init();
+        if (!this.section) return;
+
+        this.url = url;
+        this.section.style.display = url ? '' : 'none';
+        this.toggleButton.textContent = 'Reviews';
+        this.list.replaceChildren();
+        this.page = 0;
+        this.hasMore = false;
+
+        if (this.isOpen && url) {
+            this.reload();
+        }
+    }
+
+    toggle() {
+        this.isOpen = !this.isOpen;
+        this.panel.classList.toggle('hidden', !this.isOpen);
+        this.toggleButton.setAttribute('aria-expanded', String(this.isOpen));
+
+        if (this.isOpen && this.page === 0) {
+            this.reload();
+        }
+    }
+
+    reload() {
+        this.list.replaceChildren();
+        this.page = 0;
+        this.hasMore = false;
+        this.loadPage(1);
+    }
+
+    async request(path, options = {}, accessToken = null) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+        const headers = {
+            'Accept': 'application/json',
+            'apikey': CONFIG.SUPABASE_ANON_KEY
+        };
+        if (accessToken) {
+            headers['Authorization'] = `Bearer ${accessToken}`;
+        }
+
+        try {
+            const response = await fetch(`${API_BASE_URL}${path}`, { ...options, headers, signal: controller.signal });
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `HTTP ${response.status}`);
+            }
+            return await response.json();
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Fetch one page of reviews and append it to the list.
+     * @param {number} page - 1-based page number
+     */
+    async loadPage(page) {
+        if (this.isLoading || !this.url) return;
+        this.isLoading = true;
+        this.updateControls();
+
+        const url = this.url;
+        try {
+            const params = new URLSearchParams({
+                url,
+                page: String(page),
+                limit: String(PAGE_SIZE),
+                sort: this.sort
+            });
+            const data = await this.request(`/reviews?${params}`);
+
+            // The popup may have moved to another page meanwhile
+            if (url !== this.url) return;
+
+            (data.reviews || []).forEach(review => this.list.appendChild(this.renderItem(review)));
+            this.page = page;
+            this.hasMore = !!(data.pagination && data.pagination.has_more);
+            if (data.pagination) {
+                this.toggleButton.textContent = `Reviews (${data.pagination.total})`;
+            }
+        } catch (error) {
+            console.error('Error loading reviews:', error);
+            if (window.notificationManager) {
+                window.notificationManager.show('Could not load reviews. Please try again.', 'error');
+            }
+        } finally {
+            this.isLoading = false;
+            this.updateControls();
+        }
+    }
+
+    updateControls() {
+        if (this.emptyState) {
+            this.emptyState.classList.toggle('hidden', this.isLoading || this.list.children.length > 0);
+        }
+        if (this.loadMoreButton) {
+            this.loadMoreButton.classList.toggle('hidden', !this.hasMore);
+            this.loadMoreButton.disabled = this.isLoading;
+            this.loadMoreButton.textContent = this.isLoading ? 'Loading...' : 'Load more';
+        }
+    }
+
+    /**
+     * Vote a review helpful (signed-in users, once per review).
+     * @param {object} review - /reviews item
+     * @param {HTMLButtonElement} button
+     */
+    async markHelpful(review, button) {
+        let session = null;
+        try {
+            ({ session } = await getSession());
+        } catch (error) {
+            session = null;
+        }
+
+        if (!session || !session.access_token) {
+            if (window.notificationManager) {
+                window.notificationManager.show('Log in to vote on reviews.', 'info');
+            }
+            return;
+        }
+
+        button.disabled = true;
+        try {
+            const data = await this.request(`/reviews/${encodeURIComponent(review.id)}/helpful`, { method: 'POST' }, session.access_token);
+            button.textContent = `Helpful (${data.helpful_count})`;
+            button.classList.add('voted');
+        } catch (error) {
+            console.error('Error voting on review:', error);
+            button.disabled = false;
+            if (window.notificationManager) {
+                window.notificationManager.show(error.message, 'error');
+            }
+        }
+    }
+
+    /**
+     * One review: stars, date, text and a helpful button.
+     * @param {object} review - /reviews item
+     * @returns {HTMLLIElement}
+     */
+    renderItem(review) {
+        const item = document.createElement('li');
+        item.className = 'review-item';
+
+        const header = document.createElement('div');
+        header.className = 'review-item-header';
+
+        const stars = document.createElement('span');
+        stars.className = 'review-item-stars';
+        stars.textContent = '★'.repeat(review.rating) + '☆'.repeat(5 - review.rating);
+        stars.setAttribute('aria-label', `${review.rating} of 5 stars`);
+
+        const date = document.createElement('span');
+        date.className = 'review-item-date';
+        date.textContent = new Date(review.updated_at || review.created_at).toLocaleDateString();
+
+        header.appendChild(stars);
+        header.appendChild(date);
+
+        // textContent only - reviews are user input
+        const text = document.createElement('p');
+        text.className = 'review-item-text';
+        text.textContent = review.comment;
+
+        const helpful = document.createElement('button');
+        helpful.className = 'review-item-helpful';
+        helpful.textContent = `Helpful (${review.helpful_count || 0})`;
+        helpful.addEventListener('click', () => this.markHelpful(review, helpful));
+
+        item.appendChild(header);
+        item.appendChild(text);
+        item.appendChild(helpful);
+        return item;
+    }
+}
+
+export const reviewsPanel = new ReviewsPanel();
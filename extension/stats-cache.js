@@ -0,0 +1,281 @@
+// rating-extension/stats-cache.js
+// URL stats cache on chrome.storage.local, shared by every extension context (popup, background worker).
+// Entries are keyed by canonical URL, expire per data source and are evicted least-recently-used first.
+// Reads never write: access times and hit/miss counts are kept in memory and stored with the next
+// write, or by a short debounced flush.
+
+import { urlCanonicalizer } from './url-canonicalizer.js';
+
+const STATS_CACHE_KEY = 'statsCache';
+const LEGACY_LOCALSTORAGE_PREFIX = 'urlrater_stats_'; // Pre-chrome.storage popup cache
+
+const DEFAULT_MAX_ENTRIES = 200;
+const COMMUNITY_TTL_MS = 300000; // 5 minutes, matches aggregation frequency
+const BASELINE_TTL_MS = 3600000; // 1 hour - baseline scores only change with domain analysis
+const ACCESS_FLUSH_DELAY_MS = 2000;
+
+export class StatsCache {
+    constructor({ maxEntries = DEFAULT_MAX_ENTRIES, communityTtlMs = COMMUNITY_TTL_MS, baselineTtlMs = BASELINE_TTL_MS } = {}) {
+        this.maxEntries = maxEntries;
+        this.communityTtlMs = communityTtlMs;
+        this.baselineTtlMs = baselineTtlMs;
+        this.queue = Promise.resolve(); // Serializes read-modify-write cycles within this context
+        this.legacyMigrated = false;
+        this.pendingAccess = new Map(); // key -> lastAccess not yet stored
+        this.pendingCounts = { hits: 0, misses: 0 };
+        this.flushTimeout = null;
+    }
+
+    /**
+     * Cache key for a URL (canonical form, so tracking-param variants share an entry).
+     * @param {string} url
+     * @returns {string}
+     */
+    getKey(url) {
+        return urlCanonicalizer.canonicalize(url);
+    }
+
+    /**
+     * TTL for a stats payload. Baseline estimates live longer than community data.
+     * @param {object} data - /url-stats response
+     * @returns {number}
+     */
+    getTtl(data) {
+        return data && data.data_source === 'baseline' ? this.baselineTtlMs : this.communityTtlMs;
+    }
+
+    /**
+     * Run an update against the stored cache object, one at a time.
+     * @param {function(object): *} mutate - Receives the cache state, returns the operation result
+     * @returns {Promise<*>}
+     */
+    withState(mutate) {
+        const run = async () => {
+            const stored = await chrome.storage.local.get(STATS_CACHE_KEY);
+            const state = stored[STATS_CACHE_KEY] || {};
+            state.entries = state.entries || {};
+            state.stats = state.stats || { hits: 0, misses: 0, evictions: 0, expirations: 0 };
+
+            this.applyPendingAccess(state);
+            const result = mutate(state);
+            await chrome.storage.local.set({ [STATS_CACHE_KEY]: state });
+            return result;
+        };
+
+        const next = this.queue.then(run, run);
+        this.queue = next.catch(() => {});
+        return next;
+    }
+
+    /**
+     * Fold the access times and counters noted by get() into the state about to be stored.
+     * @param {object} state
+     */
+    applyPendingAccess(state) {
+        this.pendingAccess.forEach((lastAccess, key) => {
+            const entry = state.entries[key];
+            if (entry && entry.lastAccess < lastAccess) {
+                entry.lastAccess = lastAccess;
+            }
+        });
+        state.stats.hits += this.pendingCounts.hits;
+        state.stats.misses += this.pendingCounts.misses;
+
+        this.pendingAccess.clear();
+        this.pendingCounts = { hits: 0, misses: 0 };
+        clearTimeout(this.flushTimeout);
+        this.flushTimeout = null;
+    }
+
+    // Store pending access times shortly after a burst of reads, unless a write gets there first
+    scheduleAccessFlush() {
+        if (this.flushTimeout) return;
+        this.flushTimeout = setTimeout(() => {
+            this.flushTimeout = null;
+            this.withState(() => {}).catch(error => {
+                console.error('Error storing stats cache access times:', error);
+            });
+        }, ACCESS_FLUSH_DELAY_MS);
+    }
+
+    /**
+     * Fresh cache entry for a URL, or null. Counts as a hit or a miss. Only reads storage;
+     * the access is recorded in memory (see applyPendingAccess). Expired entries are left for evict().
+     * @param {string} url
+     * @returns {Promise<{data: object, timestamp: number}|null>}
+     */
+    async get(url) {
+        const key = this.getKey(url);
+        try {
+            await this.queue; // See this context's own pending writes
+            const stored = await chrome.storage.local.get(STATS_CACHE_KEY);
+            const entry = stored[STATS_CACHE_KEY]?.entries?.[key];
+            const now = Date.now();
+
+            if (entry && (now - entry.timestamp) < entry.ttl) {
+                this.pendingAccess.set(key, now);
+                this.pendingCounts.hits++;
+                this.scheduleAccessFlush();
+                return { data: entry.data, timestamp: entry.timestamp };
+            }
+
+            this.pendingCounts.misses++;
+            this.scheduleAccessFlush();
+            return null;
+        } catch (error) {
+            console.error('Error reading stats cache:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Store stats for a URL, evicting the least recently used entries over the limit.
+     * @param {string} url
+     * @param {object} data - /url-stats response (or locally calculated equivalent)
+     * @param {number} timestamp - When the data was fetched (defaults to now)
+     * @returns {Promise<void>}
+     */
+    async set(url, data, timestamp = Date.now()) {
+        const key = this.getKey(url);
+        try {
+            await this.withState(state => {
+                state.entries[key] = {
+                    data,
+                    timestamp,
+                    ttl: this.getTtl(data),
+                    lastAccess: Date.now()
+                };
+                this.evict(state);
+            });
+        } catch (error) {
+            console.error('Error writing stats cache:', error);
+        }
+    }
+
+    /**
+     * Drop the entry for a URL.
+     * @param {string} url
+     * @returns {Promise<void>}
+     */
+    async delete(url) {
+        const key = this.getKey(url);
+        try {
+            await this.withState(state => {
+                delete state.entries[key];
+            });
+        } catch (error) {
+            console.error('Error deleting stats cache entry:', error);
+        }
+    }
+
+    /**
+     * Remove expired entries, then the least recently used ones until under maxEntries.
+     * @param {object} state
+     */
+    evict(state) {
+        const now = Date.now();
+        Object.entries(state.entries).forEach(([key, entry]) => {
+            if ((now - entry.timestamp) >= entry.ttl) {
+                delete state.entries[key];
+                state.stats.expirations++;
+            }
+        });
+
+        const keys = Object.keys(state.entries);
+        if (keys.length <= this.maxEntries) return;
+
+        keys
+            .sort((a, b) => state.entries[a].lastAccess - state.entries[b].lastAccess)
+            .slice(0, keys.length - this.maxEntries)
+            .forEach(key => {
+                delete state.entries[key];
+                state.stats.evictions++;
+            });
+    }
+
+    /**
+     * Remove expired entries (and enforce the size limit).
+     * @returns {Promise<void>}
+     */
+    async cleanup() {
+        try {
+            await this.withState(state => this.evict(state));
+        } catch (error) {
+            console.error('Error cleaning up stats cache:', error);
+        }
+    }
+
+    /**
+     * Hit/miss counters across all extension contexts.
+     * @returns {Promise<{entries: number, maxEntries: number, hits: number, misses: number,
+     *                    evictions: number, expirations: number, hitRate: number, missRate: number}>}
+     */
+    async getStats() {
+        const stored = await chrome.storage.local.get(STATS_CACHE_KEY);
+        const state = stored[STATS_CACHE_KEY] || {};
+        const stats = { ...(state.stats || { hits: 0, misses: 0, evictions: 0, expirations: 0 }) };
+        stats.hits += this.pendingCounts.hits;
+        stats.misses += this.pendingCounts.misses;
+        const lookups = stats.hits + stats.misses;
+
+        return {
+            entries: Object.keys(state.entries || {}).length,
+            maxEntries: this.maxEntries,
+            ...stats,
+            hitRate: lookups > 0 ? stats.hits / lookups : 0,
+            missRate: lookups > 0 ? stats.misses / lookups : 0
+        };
+    }
+
+    /**
+     * Reset the hit/miss counters without touching cached entries.
+     * @returns {Promise<void>}
+     */
+    async resetStats() {
+        await this.withState(state => {
+            state.stats = { hits: 0, misses: 0, evictions: 0, expirations: 0 };
+        });
+    }
+
+    /**
+     * One-off import of the popup's old localStorage entries (only reachable from pages, not the worker).
+     * @returns {Promise<void>}
+     */
+    async migrateLegacyEntries() {
+        if (this.legacyMigrated || typeof localStorage === 'undefined') return;
+        this.legacyMigrated = true;
+
+        try {
+            const keys = Object.keys(localStorage).filter(key => key.startsWith(LEGACY_LOCALSTORAGE_PREFIX));
+            if (keys.length === 0) return;
+
+            const legacyEntries = [];
+            keys.forEach(key => {
+                try {
+                    const cached = JSON.parse(localStorage.getItem(key));
+                    if (cached && cached.data && typeof cached.timestamp === 'number') {
+                        legacyEntries.push({ url: key.slice(LEGACY_LOCALSTORAGE_PREFIX.length), ...cached });
+                    }
+                } catch (error) {
+                    // Corrupt entry - dropped below
+                }
+                localStorage.removeItem(key);
+            });
+
+            await this.withState(state => {
+                const now = Date.now();
+                legacyEntries.forEach(({ url, data, timestamp }) => {
+                    const key = this.getKey(url);
+                    if (!state.entries[key]) {
+                        state.entries[key] = { data, timestamp, ttl: this.getTtl(data), lastAccess: now };
+                    }
+                });
+                this.evict(state);
+            });
+        } catch (error) {
+            console.error('Error migrating legacy stats cache:', error);
+        }
+    }
+}
+
+export const statsCache = new StatsCache();
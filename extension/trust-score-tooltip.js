@@ -146,7 +146,12 @@ export class TrustScoreTooltip {
         });
         scoreRanges.appendChild(rangeList);
 
+        // Credible interval for the current page, filled in by updateScore()
+        this.intervalNote = document.createElement('p');
+        this.intervalNote.className = 'tooltip-interval hidden';
+
         content.appendChild(calcExplanation);
+        content.appendChild(this.intervalNote);
         content.appendChild(scoreRanges);
 
         this.tooltip.appendChild(header);
@@ -375,6 +380,16 @@ export class TrustScoreTooltip {
                 font-size: 11px;
             }
             
+            .tooltip-interval {
+                color: rgba(255, 255, 255, 0.75);
+                font-size: 11px;
+                margin: 0 0 12px;
+            }
+            
+            .tooltip-interval.hidden {
+                display: none;
+            }
+            
             /* Score Ranges */
             .range-list {
                 display: flex;
@@ -471,6 +486,19 @@ export class TrustScoreTooltip {
         this.currentScore = score;
         this.currentData = data;
 
+        // "Likely between" range from the score's credible interval (trust_score_margin)
+        const margin = data ? Number(data.trust_score_margin) : NaN;
+        if (this.intervalNote) {
+            if (data && data.trust_score_margin !== null && data.trust_score_margin !== undefined && Number.isFinite(margin)) {
+                const low = Math.max(0, score - margin);
+                const high = Math.min(100, score + margin);
+                this.intervalNote.textContent = `Likely between ${low.toFixed(0)}% and ${high.toFixed(0)}% (90% credible interval). Few or split ratings widen the range.`;
+                this.intervalNote.classList.remove('hidden');
+            } else {
+                this.intervalNote.classList.add('hidden');
+            }
+        }
+
         // Tooltip no longer displays current score, just shows explanation
         // Score updated (tooltip shows explanation only)
     }
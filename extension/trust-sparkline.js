@@ -0,0 +1,197 @@
+// rating-extension/trust-sparkline.js
+// Small trust score history chart under the progress ring, from GET /url-stats/history.
+// Drawn as inline SVG built with DOM APIs (no innerHTML, no inline scripts) so it fits the popup CSP.
+
+import { CONFIG } from './config.js';
+
+const API_BASE_URL = `${CONFIG.SUPABASE_URL}/functions/v1/url-trust-api`;
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const REQUEST_TIMEOUT_MS = 15000;
+const DEFAULT_RANGE = '30d';
+
+// viewBox size; the element itself is sized by CSS
+const WIDTH = 140;
+const HEIGHT = 32;
+const PADDING = 3;
+
+export class TrustSparkline {
+    constructor() {
+        this.container = null;
+        this.svg = null;
+        this.line = null;
+        this.band = null;
+        this.marker = null;
+        this.valueLabel = null;
+
+        this.url = '';
+        this.range = DEFAULT_RANGE;
+        this.points = [];
+        this.coordinates = [];
+        this.initialized = false;
+    }
+
+    init() {
+        if (this.initialized) return;
+
+        this.container = document.getElementById('trust-sparkline');
+        this.valueLabel = document.getElementById('trust-sparkline-value');
+        if (!this.container) return;
+
+        this.svg = document.createElementNS(SVG_NS, 'svg');
+        this.svg.setAttribute('viewBox', `0 0 ${WIDTH} ${HEIGHT}`);
+        this.svg.setAttribute('preserveAspectRatio', 'none');
+        this.svg.setAttribute('class', 'trust-sparkline-svg');
+        this.svg.setAttribute('role', 'img');
+
+        // Credible interval band behind the line
+        this.band = document.createElementNS(SVG_NS, 'path');
+        this.band.setAttribute('class', 'trust-sparkline-band');
+
+        this.line = document.createElementNS(SVG_NS, 'polyline');
+        this.line.setAttribute('class', 'trust-sparkline-line');
+
+        this.marker = document.createElementNS(SVG_NS, 'circle');
+        this.marker.setAttribute('class', 'trust-sparkline-marker hidden');
+        this.marker.setAttribute('r', '2');
+
+        this.svg.appendChild(this.band);
+        this.svg.appendChild(this.line);
+        this.svg.appendChild(this.marker);
+        this.container.insertBefore(this.svg, this.valueLabel);
+
+        this.svg.addEventListener('mousemove', (event) => this.onHover(event));
+        this.svg.addEventListener('mouseleave', () => this.showPoint(null));
+
+        this.initialized = true;
+    }
+
+    /**
+     * Load and draw the history for a page. Hidden until there are at least two snapshots.
+     * @param {string} url - http(s) page URL, or '' to hide the chart
+     */
+    async load(url) {
+        this.init();
+        if (!this.container) return;
+
+        this.url = url;
+        this.render([]);
+        if (!url) return;
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+        try {
+            const params = new URLSearchParams({ url, range: this.range });
+            const response = await fetch(`${API_BASE_URL}/url-stats/history?${params}`, {
+                headers: {
+                    'Accept': 'application/json',
+                    'apikey': CONFIG.SUPABASE_ANON_KEY
+                },
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const data = await response.json();
+            // The popup may have moved to another page meanwhile
+            if (url === this.url) {
+                this.render((data.points || []).filter(point => Number.isFinite(point.trust_score)));
+            }
+        } catch (error) {
+            // History is optional decoration; the score itself is already shown
+            console.warn('Could not load trust score history:', error.message);
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    clear() {
+        this.url = '';
+        this.render([]);
+    }
+
+    /**
+     * @param {Array<{recorded_at: string, trust_score: number, trust_score_margin: number|null}>} points
+     */
+    render(points) {
+        this.points = points;
+        this.coordinates = [];
+        if (!this.container) return;
+
+        if (points.length < 2) {
+            this.container.classList.add('hidden');
+            return;
+        }
+
+        const first = new Date(points[0].recorded_at).getTime();
+        const last = new Date(points[points.length - 1].recorded_at).getTime();
+        const span = Math.max(last - first, 1);
+
+        const x = (point) => PADDING + ((new Date(point.recorded_at).getTime() - first) / span) * (WIDTH - PADDING * 2);
+        const y = (score) => PADDING + (1 - Math.max(0, Math.min(100, score)) / 100) * (HEIGHT - PADDING * 2);
+
+        this.coordinates = points.map(point => ({ x: x(point), y: y(point.trust_score), point }));
+        this.line.setAttribute('points', this.coordinates.map(c => `${c.x.toFixed(1)},${c.y.toFixed(1)}`).join(' '));
+
+        // Band: upper edge left to right, lower edge back
+        const withMargin = points.filter(point => Number.isFinite(point.trust_score_margin));
+        if (withMargin.length === points.length) {
+            const upper = points.map(point => `${x(point).toFixed(1)},${y(point.trust_score + point.trust_score_margin).toFixed(1)}`);
+            const lower = points.slice().reverse().map(point => `${x(point).toFixed(1)},${y(point.trust_score - point.trust_score_margin).toFixed(1)}`);
+            this.band.setAttribute('d', `M${upper.join(' L')} L${lower.join(' L')} Z`);
+        } else {
+            this.band.removeAttribute('d');
+        }
+
+        const change = points[points.length - 1].trust_score - points[0].trust_score;
+        this.line.classList.toggle('falling', change <= -5);
+        this.line.classList.toggle('rising', change >= 5);
+        this.svg.setAttribute('aria-label', `Trust score over the last ${this.range}: ${Math.round(points[0].trust_score)}% to ${Math.round(points[points.length - 1].trust_score)}%`);
+
+        this.showPoint(null);
+        this.container.classList.remove('hidden');
+    }
+
+    onHover(event) {
+        if (this.coordinates.length === 0) return;
+
+        const rect = this.svg.getBoundingClientRect();
+        const viewX = ((event.clientX - rect.left) / rect.width) * WIDTH;
+
+        let nearest = this.coordinates[0];
+        for (const c of this.coordinates) {
+            if (Math.abs(c.x - viewX) < Math.abs(nearest.x - viewX)) {
+                nearest = c;
+            }
+        }
+        this.showPoint(nearest);
+    }
+
+    /**
+     * Highlight one snapshot and show its value, or the range summary when null.
+     * @param {{x: number, y: number, point: object}|null} coordinate
+     */
+    showPoint(coordinate) {
+        if (!coordinate) {
+            this.marker.classList.add('hidden');
+            if (this.valueLabel) {
+                this.valueLabel.textContent = this.range;
+            }
+            return;
+        }
+
+        this.marker.setAttribute('cx', coordinate.x.toFixed(1));
+        this.marker.setAttribute('cy', coordinate.y.toFixed(1));
+        this.marker.classList.remove('hidden');
+
+        if (this.valueLabel) {
+            const { point } = coordinate;
+            const date = new Date(point.recorded_at).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+            const margin = Number.isFinite(point.trust_score_margin) ? ` (±${Math.round(point.trust_score_margin)})` : '';
+            this.valueLabel.textContent = `${Math.round(point.trust_score)}%${margin} · ${date}`;
+        }
+    }
+}
+
+export const trustSparkline = new TrustSparkline();
@@ -0,0 +1,268 @@
+// rating-extension/url-canonicalizer.js
+// Client-side copy of supabase/functions/_shared/url-canonicalizer.ts.
+// The server is the source of truth for url_hash; the client uses the same canonical form
+// for cache keys and de-duplication so that e.g. ?utm_source=... variants share one entry.
+
+import { PUBLIC_SUFFIX_RULES } from './public-suffix-list.js';
+
+// Query parameters that never identify content. Entries ending in '*' are prefixes.
+export const DEFAULT_TRACKING_PARAMS = [
+    'utm_*',
+    'fbclid',
+    'gclid',
+    'dclid',
+    'gbraid',
+    'wbraid',
+    'msclkid',
+    'yclid',
+    'twclid',
+    'igshid',
+    'mc_cid',
+    'mc_eid',
+    '_ga',
+    '_gl',
+    '_hsenc',
+    '_hsmi',
+    'mkt_tok',
+    'oly_anon_id',
+    'oly_enc_id',
+    'vero_id',
+    'ref_src'
+];
+
+// chrome.storage.local key for the per-domain rules the background worker fetches from /canonical-rules
+export const CANONICAL_RULES_KEY = 'canonicalRules';
+
+// content_type_rules.priority default; lower wins when several rules match
+const DEFAULT_RULE_PRIORITY = 100;
+
+const DEFAULT_PORTS = {
+    'http:': '80',
+    'https:': '443'
+};
+
+export class UrlCanonicalizer {
+    constructor(trackingParams = DEFAULT_TRACKING_PARAMS) {
+        this.trackingParams = trackingParams;
+        this.domainRules = []; // content_type_rules rows that change canonicalization
+        this.suffixRules = null; // Set of Public Suffix List rules, built on first use
+    }
+
+    /**
+     * Replace the per-domain rules (from /canonical-rules). The server sends them by priority, then
+     * oldest first; they are re-sorted by priority (stable) for lists cached before it was sent.
+     * @param {Array<{domain: string, match_scope: string, url_pattern: string|null,
+     *                content_query_keys: string[]|null, path_case_sensitive: boolean,
+     *                collapse_to_domain: boolean, priority: number}>} rules
+     */
+    setRules(rules) {
+        this.domainRules = Array.isArray(rules)
+            ? [...rules].sort((a, b) => (a.priority ?? DEFAULT_RULE_PRIORITY) - (b.priority ?? DEFAULT_RULE_PRIORITY))
+            : [];
+    }
+
+    /**
+     * Load the rules the background worker cached. Safe to call outside the extension.
+     * @returns {Promise<void>}
+     */
+    async loadRulesFromStorage() {
+        try {
+            const stored = await chrome.storage.local.get(CANONICAL_RULES_KEY);
+            const entry = stored[CANONICAL_RULES_KEY];
+            if (entry && Array.isArray(entry.rules)) {
+                this.setRules(entry.rules);
+            }
+        } catch (error) {
+            // No storage access - keep the built-in behaviour
+        }
+    }
+
+    /**
+     * First rule for this host whose url_pattern matches the URL as given (priority order).
+     * Rules with match_scope 'registrable_domain' also cover every subdomain of their domain.
+     * @param {string} url
+     * @param {string} host - Canonical host
+     * @returns {object|null}
+     */
+    findRule(url, host) {
+        let registrableDomain;
+        for (const rule of this.domainRules) {
+            if (rule.match_scope === 'registrable_domain') {
+                if (registrableDomain === undefined) {
+                    registrableDomain = this.getRegistrableDomain(host);
+                }
+                if (rule.domain !== registrableDomain) continue;
+            } else if (rule.domain !== host) {
+                continue;
+            }
+            if (!rule.url_pattern) return rule;
+            try {
+                if (new RegExp(rule.url_pattern).test(url)) return rule;
+            } catch (error) {
+                // Invalid pattern - the rule can't match
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Normalize a hostname: lowercase, no trailing dot, no leading www.
+     * @param {string} hostname
+     * @returns {string}
+     */
+    canonicalizeHost(hostname) {
+        return (hostname || '')
+            .toLowerCase()
+            .replace(/\.$/, '')
+            .replace(/^www\./, '');
+    }
+
+    /**
+     * Public suffix of a host by the bundled Public Suffix List: the longest matching rule, where an
+     * exception rule ('!www.ck') wins over the wildcard it carves out of ('*.ck') and a host no rule
+     * covers falls back to its last label.
+     * @param {string} host - Canonical (ASCII) host
+     * @returns {string|null} - null for IP addresses and malformed hosts
+     */
+    getPublicSuffix(host) {
+        const labels = this.splitHost(host);
+        if (!labels) {
+            return null;
+        }
+
+        if (!this.suffixRules) {
+            this.suffixRules = new Set(PUBLIC_SUFFIX_RULES.split('\n').filter(Boolean));
+        }
+
+        for (let i = 0; i < labels.length; i++) {
+            const candidate = labels.slice(i).join('.');
+            if (this.suffixRules.has(`!${candidate}`)) {
+                return labels.slice(i + 1).join('.');
+            }
+            if (this.suffixRules.has(candidate)
+                || (i + 1 < labels.length && this.suffixRules.has(`*.${labels.slice(i + 1).join('.')}`))) {
+                return candidate;
+            }
+        }
+        return labels[labels.length - 1];
+    }
+
+    /**
+     * Registrable domain (eTLD+1) of a host: its public suffix plus one label, e.g.
+     * news.bbc.co.uk -> bbc.co.uk, alice.github.io -> alice.github.io.
+     * @param {string} host
+     * @returns {string|null} - null when the host is itself a public suffix, an IP address or malformed
+     */
+    getRegistrableDomain(host) {
+        const labels = this.splitHost(host);
+        const suffix = labels && this.getPublicSuffix(labels.join('.'));
+        if (!suffix) {
+            return null;
+        }
+
+        const suffixLabels = suffix.split('.').length;
+        return labels.length > suffixLabels ? labels.slice(-(suffixLabels + 1)).join('.') : null;
+    }
+
+    splitHost(host) {
+        const normalized = this.canonicalizeHost(host);
+        if (!normalized || /^[\d.]+$/.test(normalized) || normalized.includes(':') || normalized.includes('[')) {
+            return null;
+        }
+        const labels = normalized.split('.');
+        return labels.every(Boolean) ? labels : null;
+    }
+
+    /**
+     * Whether a query key matches the tracking list (exact or 'prefix*' entries).
+     * @param {string} key
+     * @returns {boolean}
+     */
+    isTrackingParam(key) {
+        const lowerKey = key.toLowerCase();
+        return this.trackingParams.some(pattern => {
+            const lowerPattern = pattern.toLowerCase();
+            return lowerPattern.endsWith('*')
+                ? lowerKey.startsWith(lowerPattern.slice(0, -1))
+                : lowerKey === lowerPattern;
+        });
+    }
+
+    /**
+     * Canonical form of a URL: lowercase host without www., no default port, no fragment
+     * or credentials, tracking params removed, query keys sorted, no trailing slash
+     * (except the root path). Per-domain rules can further restrict the query keys, lowercase
+     * the path or collapse the URL to the domain. Unparseable input is returned trimmed.
+     * @param {string} url
+     * @returns {string}
+     */
+    canonicalize(url) {
+        const trimmed = (url || '').trim();
+
+        let parsed;
+        try {
+            parsed = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+        } catch (error) {
+            return trimmed;
+        }
+
+        const protocol = parsed.protocol.toLowerCase();
+        const host = this.canonicalizeHost(parsed.hostname);
+        const port = parsed.port && parsed.port !== DEFAULT_PORTS[protocol] ? `:${parsed.port}` : '';
+        const rule = this.findRule(trimmed, host);
+
+        if (rule && rule.collapse_to_domain) {
+            return `${protocol}//${host}${port}/`;
+        }
+
+        let path = parsed.pathname || '/';
+        if (path.length > 1) {
+            path = path.replace(/\/+$/, '') || '/';
+        }
+        if (rule && rule.path_case_sensitive === false) {
+            path = path.toLowerCase();
+        }
+
+        const contentKeys = rule && rule.content_query_keys
+            ? rule.content_query_keys.map(key => key.toLowerCase())
+            : null;
+
+        const params = Array.from(parsed.searchParams.entries())
+            .filter(([key]) => !this.isTrackingParam(key))
+            .filter(([key]) => !contentKeys || contentKeys.includes(key.toLowerCase()))
+            .sort(([keyA, valueA], [keyB, valueB]) => {
+                if (keyA !== keyB) return keyA < keyB ? -1 : 1;
+                return valueA < valueB ? -1 : valueA > valueB ? 1 : 0;
+            });
+
+        const query = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+
+        return `${protocol}//${host}${port}${path}${query}`;
+    }
+
+    /**
+     * Canonical host of a URL, or null if it can't be parsed.
+     * @param {string} url
+     * @returns {string|null}
+     */
+    getDomain(url) {
+        try {
+            return this.canonicalizeHost(new URL(url).hostname);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Registrable domain of a URL's host, falling back to the host itself (IP addresses,
+     * single-label hosts), or null if the URL can't be parsed.
+     * @param {string} url
+     * @returns {string|null}
+     */
+    getRegistrableDomainOfUrl(url) {
+        const host = this.getDomain(url);
+        return host ? (this.getRegistrableDomain(host) || host) : null;
+    }
+}
+
+export const urlCanonicalizer = new UrlCanonicalizer();
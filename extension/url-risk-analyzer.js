@@ -0,0 +1,237 @@
+// rating-extension/url-risk-analyzer.js
+// Structural risk signals in the URL itself, independent of the domain's reputation: raw IP hosts,
+// user info before the host, non-web schemes, deep subdomains, long or random-looking paths,
+// redirect parameters pointing at other sites and heavy percent-encoding. Shown in the popup's
+// "Page signals" panel and sent with each rating (urlSignals) so the server can relate them to
+// community reports.
+
+import { urlCanonicalizer } from './url-canonicalizer.js';
+
+// Bump when signal ids or weights change; the server stores it next to the signal set
+export const URL_SIGNALS_VERSION = 1;
+
+// Weights add up to the risk score (capped at 100)
+export const URL_SIGNALS = {
+    'non-web-scheme': { label: 'Not a web address', weight: 40 },
+    'credentials': { label: 'User info before the host', weight: 30 },
+    'ip-host': { label: 'IP address instead of a domain', weight: 25 },
+    'open-redirect': { label: 'Redirects to another site', weight: 20 },
+    'deep-subdomains': { label: 'Many subdomain levels', weight: 10 },
+    'high-entropy-path': { label: 'Random-looking path', weight: 10 },
+    'heavy-encoding': { label: 'Many encoded characters', weight: 10 },
+    'long-url': { label: 'Very long address', weight: 5 },
+    'non-standard-port': { label: 'Unusual port', weight: 5 }
+};
+
+const RISKY_SCHEMES = ['data:', 'blob:', 'javascript:'];
+
+// Sign-in services whose OAuth/SSO flows always name the app to return to in the query
+const IDENTITY_PROVIDER_DOMAINS = [
+    'google.com', 'microsoftonline.com', 'live.com', 'apple.com', 'facebook.com', 'github.com',
+    'okta.com', 'auth0.com', 'onelogin.com', 'amazoncognito.com', 'salesforce.com', 'yahoo.com',
+    'linkedin.com', 'twitter.com', 'x.com', 'discord.com', 'slack.com', 'duosecurity.com', 'pingone.com'
+];
+
+// Return-address parameters of those flows (compared lowercased)
+const SSO_RETURN_PARAMS = [
+    'redirect_uri', 'redirect_url', 'post_logout_redirect_uri', 'return_to', 'returnto',
+    'return_url', 'returnurl', 'continue', 'relaystate', 'wreply'
+];
+
+// One multi-byte UTF-8 character, percent-encoded (%D0%9C, %E2%80%94, %F0%9F%98%80)
+const UTF8_ESCAPE_SEQUENCE = /%(?:[cd][0-9a-f]%[89ab][0-9a-f]|e[0-9a-f](?:%[89ab][0-9a-f]){2}|f[0-4](?:%[89ab][0-9a-f]){3})/gi;
+
+const THRESHOLDS = {
+    subdomainLevels: 3,      // Labels in front of the registrable domain
+    urlLength: 200,
+    pathLength: 120,
+    entropySegmentLength: 20, // Only long path segments are tested for randomness
+    entropyBitsPerChar: 4.2,  // Words sit around 3-4, base64 tokens around 4.5-5
+    encodedCount: 10,
+    encodedRatio: 0.15,       // Share of the path and query taken up by %XX escapes...
+    encodedRatioMinCount: 6   // ...once there are enough of them (a single encoded redirect URL is normal)
+};
+
+const LEVELS = [
+    { min: 40, level: 'high' },
+    { min: 15, level: 'medium' },
+    { min: 0, level: 'low' }
+];
+
+export class UrlRiskAnalyzer {
+    /**
+     * Score the structural signals of a URL.
+     * @param {string} url
+     * @returns {{score: number, level: string, signals: Array<{id: string, label: string, detail: string, weight: number}>}}
+     */
+    analyze(url) {
+        const signals = [];
+        const add = (id, detail) => signals.push({ id, label: URL_SIGNALS[id].label, detail, weight: URL_SIGNALS[id].weight });
+
+        let parsed = null;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return this.result(signals);
+        }
+
+        if (RISKY_SCHEMES.includes(parsed.protocol)) {
+            add('non-web-scheme', `${parsed.protocol} addresses can carry a whole page or script inline`);
+            return this.result(signals);
+        }
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            return this.result(signals);
+        }
+
+        const host = urlCanonicalizer.canonicalizeHost(parsed.hostname);
+        const registrableDomain = urlCanonicalizer.getRegistrableDomain(host);
+
+        if (parsed.username || parsed.password) {
+            add('credentials', `The real host is ${host}; everything before "@" is decoration`);
+        }
+
+        if (this.isIpHost(host)) {
+            add('ip-host', `Host is the bare IP address ${host}`);
+        } else if (registrableDomain && host !== registrableDomain) {
+            const levels = host.slice(0, -(registrableDomain.length + 1)).split('.').length;
+            if (levels >= THRESHOLDS.subdomainLevels) {
+                add('deep-subdomains', `${levels} subdomain levels in front of ${registrableDomain}`);
+            }
+        }
+
+        if (parsed.port) {
+            add('non-standard-port', `Port ${parsed.port}`);
+        }
+
+        const redirect = this.findRedirectParam(parsed, registrableDomain || host);
+        if (redirect) {
+            add('open-redirect', `"${redirect.name}" points to ${redirect.host}`);
+        }
+
+        if (url.length > THRESHOLDS.urlLength) {
+            add('long-url', `${url.length} characters`);
+        } else if (parsed.pathname.length > THRESHOLDS.pathLength) {
+            add('long-url', `${parsed.pathname.length}-character path`);
+        }
+
+        const randomSegment = parsed.pathname.split('/')
+            .find(segment => segment.length >= THRESHOLDS.entropySegmentLength
+                && !/^[0-9a-f]+$/i.test(segment) // hex ids and hashes are common and harmless
+                && this.entropy(segment) >= THRESHOLDS.entropyBitsPerChar);
+        if (randomSegment) {
+            add('high-entropy-path', `Path segment "${randomSegment.slice(0, 24)}${randomSegment.length > 24 ? '…' : ''}"`);
+        }
+
+        const encodedPart = parsed.pathname + parsed.search;
+        const encoded = this.countEncodedCharacters(encodedPart);
+        const encodedCount = encoded.count;
+        if (encodedCount >= THRESHOLDS.encodedCount
+            || (encoded.length > 0 && encoded.escapedLength / encoded.length >= THRESHOLDS.encodedRatio
+                && encodedCount >= THRESHOLDS.encodedRatioMinCount)) {
+            const doubleEncoded = /%25[0-9a-f]{2}/i.test(encodedPart);
+            add('heavy-encoding', `${encodedCount} encoded characters${doubleEncoded ? ', some encoded twice' : ''}`);
+        }
+
+        return this.result(signals);
+    }
+
+    /**
+     * Compact form for the /rating payload.
+     * @param {{score: number, signals: Array<{id: string}>}|null} analysis
+     * @returns {{version: number, score: number, signals: string[]}|null}
+     */
+    toPayload(analysis) {
+        if (!analysis) return null;
+        return {
+            version: URL_SIGNALS_VERSION,
+            score: analysis.score,
+            signals: analysis.signals.map(signal => signal.id)
+        };
+    }
+
+    result(signals) {
+        const score = Math.min(100, signals.reduce((sum, signal) => sum + signal.weight, 0));
+        return {
+            score,
+            level: LEVELS.find(entry => score >= entry.min).level,
+            signals: signals.sort((a, b) => b.weight - a.weight)
+        };
+    }
+
+    isIpHost(host) {
+        return /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.startsWith('[');
+    }
+
+    // First query parameter whose value is an absolute URL on another site (?next=https://evil.example).
+    // redirect_uri and friends on an identity provider name the app being signed in to, not a redirect.
+    findRedirectParam(parsed, siteDomain) {
+        const isIdentityProvider = IDENTITY_PROVIDER_DOMAINS.includes(siteDomain);
+        for (const [name, value] of parsed.searchParams) {
+            if (isIdentityProvider && SSO_RETURN_PARAMS.includes(name.toLowerCase())) continue;
+            if (!/^(https?:)?\/\//i.test(value.trim())) continue;
+
+            let target;
+            try {
+                target = new URL(value.trim(), parsed.href);
+            } catch (error) {
+                continue;
+            }
+
+            const targetHost = urlCanonicalizer.canonicalizeHost(target.hostname);
+            const targetDomain = urlCanonicalizer.getRegistrableDomain(targetHost) || targetHost;
+            if (targetDomain && targetDomain !== siteDomain) {
+                return { name, host: targetHost };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Percent-encoded characters in a path and query. A multi-byte UTF-8 sequence (%D0%9C) is one
+     * character, and is not counted at all when it decodes to a letter, mark or digit: words in
+     * other scripts (non-Latin Wikipedia titles) are text, not obfuscation.
+     * @param {string} text
+     * @returns {{count: number, escapedLength: number, length: number}} - Encoded characters, the
+     *          length of their escapes, and the text length with skipped sequences as one character
+     */
+    countEncodedCharacters(text) {
+        let count = 0;
+        let escapedLength = 0;
+        let length = text.length;
+
+        const rest = text.replace(UTF8_ESCAPE_SEQUENCE, sequence => {
+            let char = null;
+            try {
+                char = decodeURIComponent(sequence);
+            } catch (error) {
+                // Overlong or otherwise invalid - still one encoded character
+            }
+            if (char !== null && /^[\p{L}\p{M}\p{N}]$/u.test(char)) {
+                length -= sequence.length - 1;
+            } else {
+                count++;
+                escapedLength += sequence.length;
+            }
+            return '';
+        });
+
+        const singleBytes = (rest.match(/%[0-9a-f]{2}/gi) || []).length;
+        return { count: count + singleBytes, escapedLength: escapedLength + singleBytes * 3, length };
+    }
+
+    // Shannon entropy in bits per character
+    entropy(text) {
+        const counts = new Map();
+        for (const char of text) {
+            counts.set(char, (counts.get(char) || 0) + 1);
+        }
+        let bits = 0;
+        for (const count of counts.values()) {
+            const p = count / text.length;
+            bits -= p * Math.log2(p);
+        }
+        return bits;
+    }
+}
+
+export const urlRiskAnalyzer = new UrlRiskAnalyzer();
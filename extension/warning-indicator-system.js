@@ -1,10 +1,14 @@
 // Warning Indicator System - iOS 26 Liquid Glass Design
 // Implements smart warning badges for trust scores and content quality issues
 
+import { domainBaselines } from './domain-baselines.js';
+import { lookalikeDetector } from './lookalike-detector.js';
+
 class WarningIndicatorSystem {
     constructor() {
         this.container = null;
         this.activeWarnings = new Map();
+        this.impersonation = null; // lookalikeDetector finding for the current page's host
         this.thresholds = {
             // Trust score thresholds
             lowTrustScore: 50,
@@ -12,7 +16,11 @@ class WarningIndicatorSystem {
             // Report percentage thresholds (based on total ratings)
             spamThreshold: 20,      // >20% spam reports
             misleadingThreshold: 15, // >15% misleading reports
-            scamThreshold: 10       // >10% scam reports
+            scamThreshold: 10,      // >10% scam reports
+            
+            // Recent trend (url-stats recent_trend: last 30 days vs all time, in points)
+            trendDropPoints: 20,    // Recent ratings 20+ points below the all-time level
+            trendMinRecentRatings: 3 // Ignore drops backed by fewer recent ratings
         };
         
         this.theme = {
@@ -65,6 +73,13 @@ class WarningIndicatorSystem {
         }
     }
     
+    // Checked locally, so the impersonation warning shows even when the server has no data
+    setPageHost(host) {
+        this.impersonation = host
+            ? lookalikeDetector.analyze(host, { established: domainBaselines.hasReputation(host) })
+            : null;
+    }
+    
     updateWarnings(trustScore, data = {}) {
         if (!this.container) {
             console.warn('Warning container not initialized');
@@ -78,6 +93,19 @@ class WarningIndicatorSystem {
     calculateWarnings(trustScore, data = {}) {
         const warnings = [];
         
+        // Lookalike of a protected brand (homoglyphs, typosquats, brand in the subdomain)
+        if (this.impersonation) {
+            warnings.push({
+                id: 'impersonation',
+                type: 'impersonation',
+                severity: this.impersonation.severity,
+                message: 'Possible Impersonation',
+                icon: '🎭',
+                value: this.impersonation.brand ? `of ${this.impersonation.brand}` : 'Lookalike letters',
+                title: this.impersonation.detail
+            });
+        }
+        
         // Low trust score warning
         if (trustScore < this.thresholds.lowTrustScore) {
             let severity = 'warning';
@@ -152,6 +180,22 @@ class WarningIndicatorSystem {
             }
         }
         
+        // Trust dropping fast: recent ratings well below the long-run level
+        const trend = data.recent_trend;
+        if (trend && (parseInt(trend.recent_ratings) || 0) >= this.thresholds.trendMinRecentRatings) {
+            const delta = Number(trend.delta);
+            if (Number.isFinite(delta) && delta <= -this.thresholds.trendDropPoints) {
+                warnings.push({
+                    id: 'trust-dropping',
+                    type: 'trust-trend',
+                    severity: delta <= -this.thresholds.trendDropPoints * 2 ? 'danger' : 'warning',
+                    message: 'Trust dropping fast',
+                    icon: '📉',
+                    value: `${Math.round(delta)} pts`
+                });
+            }
+        }
+        
         return warnings;
     }
     
@@ -204,6 +248,9 @@ class WarningIndicatorSystem {
         };
         
         const color = colors[warning.severity] || colors.warning;
+        if (warning.title) {
+            element.title = warning.title;
+        }
         
         element.innerHTML = `
             <div class="warning-content">
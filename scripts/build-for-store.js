@@ -25,6 +25,10 @@ const requiredFiles = [
     'extension/manifest.json',
     'extension/popup.html',
     'extension/popup.js',
+    'extension/background.js',
+    'extension/link-badges.js',
+    'extension/interstitial.html',
+    'extension/interstitial.js',
     'extension/auth.js',
     'extension/config.js'
 ];
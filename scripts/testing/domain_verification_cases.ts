@@ -0,0 +1,80 @@
+// Domain Verification Cases
+// Runs supabase/functions/_shared/domain-verification.ts against a static stand-in resolver, plus
+// the network resolver's refusal to fetch from private hosts (decided before any request goes out).
+// Usage: deno run scripts/testing/domain_verification_cases.ts
+
+import {
+    createStaticResolver,
+    networkResolver,
+    verifyDomainOwnership,
+    VerificationMethod,
+    VERIFICATION_TOKEN_PREFIX,
+    WELL_KNOWN_PATH
+} from '../../supabase/functions/_shared/domain-verification.ts';
+
+const TOKEN = `${VERIFICATION_TOKEN_PREFIX}0123456789abcdef0123456789abcdef`;
+const OTHER_TOKEN = `${VERIFICATION_TOKEN_PREFIX}fedcba9876543210fedcba9876543210`;
+
+const resolver = createStaticResolver({
+    txt: {
+        'example.com': ['v=spf1 -all', TOKEN],
+        'stale.example': [OTHER_TOKEN]
+    },
+    files: {
+        [`https://example.org${WELL_KNOWN_PATH}`]: `# site verification\r\n${TOKEN}\r\n`,
+        [`https://stale.example${WELL_KNOWN_PATH}`]: OTHER_TOKEN
+    }
+});
+
+// [domain, method, expected verified]
+const CASES: [string, VerificationMethod, boolean][] = [
+    ['example.com', 'dns_txt', true],
+    ['example.org', 'well_known', true],
+    ['stale.example', 'dns_txt', false],     // Wrong token published
+    ['stale.example', 'well_known', false],  // Wrong token published
+    ['example.org', 'dns_txt', false],       // No TXT record
+    ['example.com', 'well_known', false]     // No file
+];
+
+// Well-known URLs the network resolver must refuse without fetching
+const PRIVATE_URLS = [
+    `https://127.0.0.1${WELL_KNOWN_PATH}`,
+    `https://169.254.169.254${WELL_KNOWN_PATH}`,
+    `https://[::1]${WELL_KNOWN_PATH}`,
+    `https://localhost${WELL_KNOWN_PATH}`,
+    `https://intranet${WELL_KNOWN_PATH}`
+];
+
+let failures = 0;
+
+console.log('🔑 Domain verification cases\n');
+for (const [domain, method, expected] of CASES) {
+    const result = await verifyDomainOwnership(domain, method, TOKEN, resolver);
+    if (result.verified === expected) {
+        console.log(`   ✅ ${domain} (${method}): ${result.verified ? 'verified' : result.error}`);
+    } else {
+        console.log(`   ❌ ${domain} (${method}): expected ${expected ? 'verified' : 'not verified'}, got ${result.verified ? 'verified' : result.error}`);
+        failures++;
+    }
+}
+
+// Any request reaching fetch is a failure, not just one that answers
+const fetchedUrls: string[] = [];
+globalThis.fetch = async (input: string | URL | Request) => {
+    fetchedUrls.push(String(input));
+    throw new Error('fetch called');
+};
+
+console.log('\n🔑 Private hosts are not fetched\n');
+for (const url of PRIVATE_URLS) {
+    const body = await networkResolver.fetchText(url);
+    if (body === null && !fetchedUrls.includes(url)) {
+        console.log(`   ✅ ${url}: refused`);
+    } else {
+        console.log(`   ❌ ${url}: fetched`);
+        failures++;
+    }
+}
+
+console.log(failures === 0 ? '\n🎉 All cases passed' : `\n❌ ${failures} case(s) failed`);
+Deno.exit(failures === 0 ? 0 : 1);
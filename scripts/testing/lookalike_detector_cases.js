@@ -0,0 +1,69 @@
+// Lookalike Detector Cases
+// Runs extension/lookalike-detector.js against known impersonations and real sites that sit close
+// to a brand name. Usage: node scripts/testing/lookalike_detector_cases.js
+
+import { LookalikeDetector } from '../../extension/lookalike-detector.js';
+
+const detector = new LookalikeDetector();
+
+// host -> expected finding type, or null for a site that must not be flagged
+const CASES = [
+    // Impersonations
+    ['xn--pypal-4ve.com', 'homoglyph'],
+    ['paypa1.com', 'homoglyph'],
+    ['g00gle.com', 'homoglyph'],
+    ['paypall.com', 'typosquat'],
+    ['pay-pal.com', 'typosquat'],
+    ['amazno.com', 'typosquat'],
+    ['micrsoft.com', 'typosquat'],
+    ['netflx.com', 'typosquat'],
+    ['gooogle.com', 'typosquat'],
+    ['discrod.com', 'typosquat'],
+    ['binanse.com', 'typosquat'],
+    ['twiter.com', 'typosquat'],
+    ['aaypal.com', 'typosquat'],
+    ['lcloud.com', 'typosquat'],
+    ['offfice.com', 'typosquat'],
+    ['paypal.com.secure-login.xyz', 'subdomain-stuffing'],
+
+    // Real sites one typo from a brand (KNOWN_NON_TYPOSQUATS)
+    ['finance.gov.au', null],  // binance
+    ['cloud.gov', null],       // icloud
+    ['officer.com', null],     // office
+    ['twister.com', null],     // twitter
+    ['paypay.ne.jp', null],    // paypal
+
+    // The brands themselves
+    ['www.paypal.com', null],
+    ['amazon.de', null],
+    ['login.microsoftonline.com', null]
+];
+
+// Sites with a domain_baselines entry are never reported as typos
+const ESTABLISHED_CASES = [
+    ['paypall.com', null]
+];
+
+function runCases(cases, options) {
+    let failures = 0;
+    for (const [host, expectedType] of cases) {
+        const finding = detector.analyze(host, options);
+        const actualType = finding ? finding.type : null;
+        if (actualType === expectedType) {
+            console.log(`   ✅ ${host}: ${actualType || 'not flagged'}`);
+        } else {
+            console.log(`   ❌ ${host}: expected ${expectedType || 'not flagged'}, got ${actualType || 'not flagged'}${finding ? ` (${finding.detail})` : ''}`);
+            failures++;
+        }
+    }
+    return failures;
+}
+
+console.log('🎭 Lookalike detector cases\n');
+let failures = runCases(CASES, {});
+
+console.log('\n🎭 Established sites\n');
+failures += runCases(ESTABLISHED_CASES, { established: true });
+
+console.log(failures === 0 ? '\n🎉 All cases passed' : `\n❌ ${failures} case(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
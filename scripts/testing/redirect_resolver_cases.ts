@@ -0,0 +1,93 @@
+// Redirect Resolver Cases
+// Runs supabase/functions/_shared/redirect-resolver.ts against recorded redirects: a local stand-in
+// for a shortener, a loop, the hop limit and redirects into private addresses. No request leaves
+// the process; DNS answers come from NAMES below.
+// Usage: deno run scripts/testing/redirect_resolver_cases.ts
+
+import { resolveRedirectChain, RedirectChain } from '../../supabase/functions/_shared/redirect-resolver.ts';
+
+const STAND_IN_HOST = 'host.docker.internal';
+
+// url -> [status, Location]; anything not listed answers 200
+const REDIRECTS: Record<string, [number, string]> = {
+    [`http://${STAND_IN_HOST}:8080/abc`]: [301, 'https://shop.example.com/landing?ref=sms'],
+    'https://loop.example.com/a': [302, 'https://loop.example.com/b'],
+    'https://loop.example.com/b': [302, '/a'],
+    'https://metadata.example.com/go': [302, 'http://169.254.169.254/latest/meta-data/'],
+    'https://internal.example.com/go': [307, 'https://db.corp.example.com/admin']
+};
+
+// host -> A/AAAA answers
+const NAMES: Record<string, string[]> = {
+    'shop.example.com': ['93.184.216.34'],
+    'loop.example.com': ['93.184.216.34', '2606:2800:220:1:248:1893:25c8:1946'],
+    'hops.example.com': ['93.184.216.34'],
+    'metadata.example.com': ['93.184.216.34'],
+    'internal.example.com': ['93.184.216.34'],
+    'db.corp.example.com': ['10.0.12.7']
+};
+
+const requestedUrls: string[] = [];
+
+async function fetcher(url: string): Promise<Response> {
+    requestedUrls.push(url);
+    // Every page on hops.example.com redirects to the next one
+    const hop = url.match(/^https:\/\/hops\.example\.com\/(\d+)$/);
+    if (hop) {
+        return new Response(null, { status: 302, headers: { Location: `/${Number(hop[1]) + 1}` } });
+    }
+    const redirect = REDIRECTS[url];
+    return redirect
+        ? new Response(null, { status: redirect[0], headers: { Location: redirect[1] } })
+        : new Response('ok', { status: 200 });
+}
+
+async function resolveHost(hostname: string): Promise<string[]> {
+    return NAMES[hostname] || [];
+}
+
+const options = { standInHosts: [STAND_IN_HOST], fetcher, resolveHost, maxHops: 4 };
+
+// [start url, expected final_url, expected hop_count, expected complete, expected error prefix]
+const CASES: [string, string, number, boolean, string | null][] = [
+    [`http://${STAND_IN_HOST}:8080/abc`, 'https://shop.example.com/landing?ref=sms', 1, true, null],
+    ['https://loop.example.com/a', 'https://loop.example.com/a', 2, false, 'Redirect loop at'],
+    ['https://hops.example.com/1', 'https://hops.example.com/5', 4, false, 'Stopped after 4 redirects'],
+    ['https://metadata.example.com/go', 'http://169.254.169.254/latest/meta-data/', 1, false, 'Private address 169.254.169.254'],
+    ['https://internal.example.com/go', 'https://db.corp.example.com/admin', 1, false, 'db.corp.example.com resolves to private address']
+];
+
+// Hosts that must never see a request
+const BLOCKED_PREFIXES = ['http://169.254.169.254', 'https://db.corp.example.com'];
+
+function describe(chain: RedirectChain): string {
+    return `${chain.final_url} after ${chain.hop_count} redirect(s), ${chain.complete ? 'complete' : chain.error}`;
+}
+
+let failures = 0;
+
+console.log('🔀 Redirect resolver cases\n');
+for (const [startUrl, finalUrl, hopCount, complete, errorPrefix] of CASES) {
+    const chain = await resolveRedirectChain(startUrl, options);
+    const matches = chain.final_url === finalUrl
+        && chain.hop_count === hopCount
+        && chain.complete === complete
+        && (errorPrefix === null ? chain.error === null : (chain.error || '').startsWith(errorPrefix));
+    if (matches) {
+        console.log(`   ✅ ${startUrl}: ${describe(chain)}`);
+    } else {
+        console.log(`   ❌ ${startUrl}: expected ${finalUrl} after ${hopCount} redirect(s), ${complete ? 'complete' : errorPrefix}; got ${describe(chain)}`);
+        failures++;
+    }
+}
+
+const leaked = requestedUrls.filter(url => BLOCKED_PREFIXES.some(prefix => url.startsWith(prefix)));
+if (leaked.length === 0) {
+    console.log('\n   ✅ No request reached a private address');
+} else {
+    console.log(`\n   ❌ Requested private addresses: ${leaked.join(', ')}`);
+    failures++;
+}
+
+console.log(failures === 0 ? '\n🎉 All cases passed' : `\n❌ ${failures} case(s) failed`);
+Deno.exit(failures === 0 ? 0 : 1);
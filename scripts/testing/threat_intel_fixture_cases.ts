@@ -0,0 +1,81 @@
+// Threat-Intel Fixture Cases
+// Runs every provider in supabase/functions/_shared/threat-intel-providers.ts against the recorded
+// vendor responses in supabase/seed/threat-intel-fixtures.json and checks each verdict and the
+// combined threat_score. No API keys or network needed.
+// Usage: deno run --allow-env scripts/testing/threat_intel_fixture_cases.ts
+
+import { ThreatIntelRegistry, ThreatIntelFixtures, ProviderSettings, VerdictStatus } from '../../supabase/functions/_shared/threat-intel.ts';
+import { THREAT_INTEL_PROVIDERS } from '../../supabase/functions/_shared/threat-intel-providers.ts';
+import fixtures from '../../supabase/seed/threat-intel-fixtures.json' with { type: 'json' };
+
+// Weights as seeded in threat_intel_providers (migration 20250826000018): WHOIS is informational
+const SETTINGS: Record<string, ProviderSettings> = {
+    google_safe_browsing: { enabled: true, weight: 1 },
+    hybrid_analysis: { enabled: true, weight: 1 },
+    whois_xml: { enabled: true, weight: 0 }
+};
+
+interface ExpectedVerdict {
+    status: VerdictStatus
+    category: string | null
+    threat_score: number
+}
+
+// domain -> expected verdict per provider and combined threat_score
+const CASES: [string, Record<string, ExpectedVerdict>, number][] = [
+    ['example.com', {
+        google_safe_browsing: { status: 'clean', category: null, threat_score: 0 },
+        hybrid_analysis: { status: 'clean', category: null, threat_score: 0 },
+        whois_xml: { status: 'clean', category: null, threat_score: 0 }
+    }, 0],
+    ['testsafebrowsing.appspot.com', {
+        google_safe_browsing: { status: 'malicious', category: 'phishing', threat_score: 45 },
+        hybrid_analysis: { status: 'malicious', category: 'malware', threat_score: 40 },
+        whois_xml: { status: 'clean', category: null, threat_score: 0 }
+    }, 43],
+    // A 429 and missing recordings are 'unknown' and left out of the combined score
+    ['quota.example', {
+        google_safe_browsing: { status: 'unknown', category: null, threat_score: 0 },
+        hybrid_analysis: { status: 'unknown', category: null, threat_score: 0 },
+        whois_xml: { status: 'unknown', category: null, threat_score: 0 }
+    }, 0]
+];
+
+const registry = new ThreatIntelRegistry(THREAT_INTEL_PROVIDERS, SETTINGS, fixtures as ThreatIntelFixtures);
+
+let failures = 0;
+
+console.log('🛡️ Threat-intel fixture cases\n');
+for (const [domain, expectedVerdicts, expectedScore] of CASES) {
+    const report = await registry.checkDomain(domain);
+    console.log(`   ${domain}`);
+
+    for (const [providerId, expected] of Object.entries(expectedVerdicts)) {
+        const verdict = report.verdicts[providerId];
+        const actual = verdict ? `${verdict.status}/${verdict.category}/${verdict.threat_score}` : 'no verdict';
+        if (verdict && verdict.status === expected.status && verdict.category === expected.category
+            && verdict.threat_score === expected.threat_score) {
+            console.log(`      ✅ ${providerId}: ${actual}${verdict.error ? ` (${verdict.error})` : ''}`);
+        } else {
+            console.log(`      ❌ ${providerId}: expected ${expected.status}/${expected.category}/${expected.threat_score}, got ${actual}`);
+            failures++;
+        }
+    }
+
+    // WHOIS only reports facts, and only when it answered
+    const whois = report.verdicts.whois_xml;
+    if (whois?.status === 'clean' && typeof whois.facts?.domain_age_days !== 'number') {
+        console.log('      ❌ whois_xml: no domain_age_days in facts');
+        failures++;
+    }
+
+    if (report.threat_score === expectedScore) {
+        console.log(`      ✅ threat_score: ${report.threat_score}`);
+    } else {
+        console.log(`      ❌ threat_score: expected ${expectedScore}, got ${report.threat_score}`);
+        failures++;
+    }
+}
+
+console.log(failures === 0 ? '\n🎉 All cases passed' : `\n❌ ${failures} case(s) failed`);
+Deno.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+// Regenerate the bundled Public Suffix List snapshot
+// Reads public_suffix_list.dat (a local path or URL, publicsuffix.org by default), converts every
+// rule to its ASCII (punycode) form - hosts are compared after URL parsing, which yields punycode -
+// and rewrites the copies used by the extension and the edge functions. With --migration it also
+// writes a migration that reloads public_suffix_rules and recomputes url_stats.registrable_domain.
+//
+// Usage: node scripts/update-public-suffix-list.js [path-or-url] [--migration]
+
+const fs = require('fs');
+const path = require('path');
+const { domainToASCII } = require('url');
+
+const DEFAULT_SOURCE = 'https://publicsuffix.org/list/public_suffix_list.dat';
+const ROOT = path.join(__dirname, '..');
+const EXTENSION_TARGET = path.join(ROOT, 'extension/public-suffix-list.js');
+const EDGE_TARGET = path.join(ROOT, 'supabase/functions/_shared/public-suffix-list.ts');
+const MIGRATIONS_DIR = path.join(ROOT, 'supabase/migrations');
+
+async function readSource(source) {
+    if (/^https?:\/\//.test(source)) {
+        const response = await fetch(source);
+        if (!response.ok) {
+            throw new Error(`Download failed: HTTP ${response.status}`);
+        }
+        return { text: await response.text(), date: new Date() };
+    }
+    return { text: fs.readFileSync(source, 'utf8'), date: fs.statSync(source).mtime };
+}
+
+// '!' (exception) and '*.' (wildcard) prefixes are kept; the rest is converted label by label
+function toAsciiRule(rule) {
+    const prefix = rule.startsWith('!') ? '!' : rule.startsWith('*.') ? '*.' : '';
+    const ascii = domainToASCII(rule.slice(prefix.length));
+    return ascii ? prefix + ascii : null;
+}
+
+function parseRules(text) {
+    const rules = new Set();
+    const skipped = [];
+    for (const rawLine of text.split(/\r?\n/)) {
+        // Rules end at the first whitespace; '//' starts a comment
+        const line = rawLine.trim().split(/\s/)[0];
+        if (!line || line.startsWith('//')) continue;
+
+        const rule = toAsciiRule(line.toLowerCase());
+        if (rule) {
+            rules.add(rule);
+        } else {
+            skipped.push(line);
+        }
+    }
+    return { rules: Array.from(rules), skipped };
+}
+
+function snapshotLabel(text, date) {
+    const version = text.match(/^\/\/ VERSION: (\S+)/m);
+    return version ? version[1] : date.toISOString().slice(0, 10);
+}
+
+function header(snapshot, commentPrefix) {
+    return [
+        `${commentPrefix} Generated by scripts/update-public-suffix-list.js - do not edit by hand.`,
+        `${commentPrefix} Public Suffix List (https://publicsuffix.org/list/), snapshot ${snapshot}, rules in ASCII form.`,
+        `${commentPrefix} The list is subject to the Mozilla Public License, v. 2.0 (https://mozilla.org/MPL/2.0/).`
+    ].join('\n');
+}
+
+function writeModules(rules, snapshot) {
+    const body = `export const PUBLIC_SUFFIX_SNAPSHOT = '${snapshot}';\n\n` +
+        `// One rule per line: 'com', '*.ck' (wildcard), '!www.ck' (exception)\n` +
+        `export const PUBLIC_SUFFIX_RULES = \`\n${rules.join('\n')}\n\`;\n`;
+
+    fs.writeFileSync(EXTENSION_TARGET, `// rating-extension/public-suffix-list.js\n${header(snapshot, '//')}\n\n${body}`);
+    console.log(`✅ Wrote ${path.relative(ROOT, EXTENSION_TARGET)}`);
+
+    const edgeBody = body.replace(/;\n/g, '\n');
+    fs.writeFileSync(EDGE_TARGET, `${header(snapshot, '//')}\n\n${edgeBody}`);
+    console.log(`✅ Wrote ${path.relative(ROOT, EDGE_TARGET)}`);
+}
+
+function sqlSeed(rules) {
+    return [
+        'INSERT INTO public.public_suffix_rules (rule)',
+        'SELECT DISTINCT rule',
+        'FROM regexp_split_to_table($psl$',
+        rules.join('\n'),
+        "$psl$, '\\n') AS rule",
+        "WHERE rule <> ''",
+        'ON CONFLICT (rule) DO NOTHING;'
+    ].join('\n');
+}
+
+function writeMigration(rules, snapshot) {
+    const stamp = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    const target = path.join(MIGRATIONS_DIR, `${stamp}_public_suffix_list_refresh.sql`);
+    const sql = [
+        `-- Public Suffix List refresh (snapshot ${snapshot})`,
+        '-- Generated by scripts/update-public-suffix-list.js. Reloads public_suffix_rules and recomputes',
+        '-- url_stats.registrable_domain for hosts whose registrable domain changed.',
+        '',
+        'TRUNCATE public.public_suffix_rules;',
+        '',
+        sqlSeed(rules),
+        '',
+        'UPDATE public.url_stats',
+        'SET registrable_domain = public.registrable_domain(domain)',
+        'WHERE domain IS NOT NULL',
+        '  AND registrable_domain IS DISTINCT FROM public.registrable_domain(domain);',
+        '',
+        'SELECT public.refresh_domain_rollups(NULL);',
+        ''
+    ].join('\n');
+
+    fs.writeFileSync(target, sql);
+    console.log(`✅ Wrote ${path.relative(ROOT, target)}`);
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const withMigration = args.includes('--migration');
+    const source = args.find(arg => !arg.startsWith('--')) || DEFAULT_SOURCE;
+
+    console.log(`📥 Reading ${source}`);
+    const { text, date } = await readSource(source);
+    const { rules, skipped } = parseRules(text);
+
+    if (rules.length < 1000) {
+        throw new Error(`Only ${rules.length} rules found - is this the right file?`);
+    }
+    skipped.forEach(line => console.warn(`⚠️  Skipped rule that has no ASCII form: ${line}`));
+
+    const snapshot = snapshotLabel(text, date);
+    writeModules(rules, snapshot);
+    if (withMigration) {
+        writeMigration(rules, snapshot);
+    }
+    console.log(`✅ ${rules.length} rules from snapshot ${snapshot}`);
+}
+
+module.exports = { parseRules, sqlSeed };
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
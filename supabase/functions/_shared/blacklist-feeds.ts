@@ -0,0 +1,368 @@
+// Blacklist feeds (blacklist_feeds table)
+// Parsers for the third-party lists trust-admin imports into domain_blacklist: PhishTank JSON
+// (online-valid.json), URLhaus CSV (csv_online) and hosts / adblock domain lists. Each parser only
+// extracts hosts and the feed's own category; the feed's configuration maps categories to
+// blacklist_type and severity. A feed's version is the date or version its header declares, else
+// a hash of the content, so an unchanged download is recognized and not imported again.
+
+import { canonicalizeHost } from './url-canonicalizer.ts'
+
+export type BlacklistFeedFormat = 'phishtank' | 'urlhaus' | 'hosts'
+
+export const BLACKLIST_FEED_FORMATS: BlacklistFeedFormat[] = ['phishtank', 'urlhaus', 'hosts']
+export const BLACKLIST_TYPES = ['malware', 'phishing', 'spam', 'scam', 'adult', 'gambling']
+
+export interface FeedCategoryMapping {
+    blacklist_type?: string
+    severity?: number
+}
+
+// Row of blacklist_feeds
+export interface BlacklistFeed {
+    id: string
+    format: BlacklistFeedFormat
+    url: string | null
+    enabled: boolean
+    blacklist_type: string
+    severity: number
+    category_map: Record<string, FeedCategoryMapping>
+    expire_after_hours: number
+    refresh_interval_hours: number
+    last_version: string | null
+    last_imported_at: string | null
+}
+
+export interface FeedEntry {
+    host: string
+    category: string | null     // The feed's label: URLhaus threat, 'phishing' for PhishTank, null for hosts lists
+    reference: string | null    // Where the entry came from, e.g. 'PhishTank #8123456 (PayPal)'
+}
+
+export interface ParsedFeed {
+    entries: FeedEntry[]
+    invalid: number
+    skipped: { line: number, reason: string }[]
+    version: string | null      // Declared by the file itself
+}
+
+// What import_blacklist_feed_entries takes
+export interface BlacklistFeedEntry {
+    domain_pattern: string
+    blacklist_type: string
+    severity: number
+    description: string
+}
+
+const MAX_REPORTED_SKIPS = 50
+const FEED_DOWNLOAD_TIMEOUT_MS = 60000
+const USER_AGENT = 'URL-Rating-Extension/1.0'
+
+// Columns of URLhaus CSV exports, used when the (commented) header row is missing
+const URLHAUS_COLUMNS = ['id', 'dateadded', 'url', 'url_status', 'last_online', 'threat', 'tags', 'urlhaus_link', 'reporter']
+
+// Names hosts files map to themselves, not blocked hosts
+const HOSTS_FILE_NAMES = ['localhost', 'localhost.localdomain', 'local', 'broadcasthost', 'ip6-localhost', 'ip6-loopback']
+
+// Header comments that carry the list's version ('# Last updated: 2025-08-26 12:00:00 (UTC)', '! Version: 202508261200')
+const VERSION_COMMENT = /^[#!]\s*(?:last updated|last modified|updated|version|date)\s*:\s*(.+)$/i
+
+/**
+ * Normalize a feed host (or the host of a URL): lowercase, no www., no port. Null unless it is a
+ * dotted domain name or an IPv4 address.
+ */
+export function normalizeFeedHost(value: string): string | null {
+    let host = value.trim()
+    if (!host) {
+        return null
+    }
+
+    if (host.includes('/')) {
+        try {
+            host = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(host) ? host : `http://${host}`).hostname
+        } catch (_error) {
+            return null
+        }
+    }
+
+    host = canonicalizeHost(host.split(':')[0])
+    if (HOSTS_FILE_NAMES.includes(host) || host === '0.0.0.0' || host === '127.0.0.1') {
+        return null
+    }
+    return /^([a-z0-9_-]+\.)+[a-z0-9-]+$/.test(host) ? host : null
+}
+
+// One CSV line; quoted cells may contain commas and "" escapes
+function splitCsvLine(line: string): string[] {
+    const cells: string[] = []
+    let cell = ''
+    let quoted = false
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i]
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                cell += '"'
+                i++
+            } else if (char === '"') {
+                quoted = false
+            } else {
+                cell += char
+            }
+        } else if (char === '"') {
+            quoted = true
+        } else if (char === ',') {
+            cells.push(cell.trim())
+            cell = ''
+        } else {
+            cell += char
+        }
+    }
+    cells.push(cell.trim())
+    return cells
+}
+
+function createParsedFeed() {
+    const parsed: ParsedFeed = { entries: [], invalid: 0, skipped: [], version: null }
+    const skip = (line: number, reason: string) => {
+        parsed.invalid++
+        if (parsed.skipped.length < MAX_REPORTED_SKIPS) {
+            parsed.skipped.push({ line, reason })
+        }
+    }
+    return { parsed, skip }
+}
+
+// PhishTank: [{ phish_id, url, target, verified, online, ... }]; line is the array index + 1
+function parsePhishTank(text: string): ParsedFeed {
+    const { parsed, skip } = createParsedFeed()
+
+    let records: unknown
+    try {
+        records = JSON.parse(text)
+    } catch (error) {
+        throw new Error(`PhishTank feed is not valid JSON: ${error.message}`)
+    }
+    if (!Array.isArray(records)) {
+        throw new Error('PhishTank feed must be a JSON array')
+    }
+
+    records.forEach((record: any, index) => {
+        if (!record || typeof record.url !== 'string') {
+            skip(index + 1, 'missing url')
+            return
+        }
+        if (record.verified === 'no' || record.online === 'no') {
+            // Unconfirmed or taken down: not listed, so an earlier import of it expires
+            return
+        }
+
+        const host = normalizeFeedHost(record.url)
+        if (!host) {
+            skip(index + 1, 'invalid url')
+            return
+        }
+
+        const target = record.target && record.target !== 'Other' ? ` (${record.target})` : ''
+        parsed.entries.push({
+            host,
+            category: 'phishing',
+            reference: record.phish_id ? `PhishTank #${record.phish_id}${target}` : `PhishTank${target}`
+        })
+    })
+
+    return parsed
+}
+
+// URLhaus: '#' comments (the last one before the data holds the column names), then quoted rows
+function parseUrlhaus(text: string): ParsedFeed {
+    const { parsed, skip } = createParsedFeed()
+    let columns = URLHAUS_COLUMNS
+
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.trim()
+        if (!line) {
+            return
+        }
+
+        if (line.startsWith('#')) {
+            const version = line.match(VERSION_COMMENT)
+            if (version && !parsed.version) {
+                parsed.version = version[1].replace(/[\s#]+$/, '')
+            }
+            const header = splitCsvLine(line.replace(/^#\s*/, '')).map(cell => cell.toLowerCase())
+            if (header.includes('url') && header.includes('threat')) {
+                columns = header
+            }
+            return
+        }
+
+        const cells = splitCsvLine(line)
+        const row: Record<string, string> = Object.fromEntries(columns.map((column, i) => [column, cells[i] ?? '']))
+
+        if (row.url_status === 'offline') {
+            return
+        }
+
+        const host = normalizeFeedHost(row.url || '')
+        if (!host) {
+            skip(index + 1, 'invalid url')
+            return
+        }
+
+        parsed.entries.push({
+            host,
+            category: row.threat || null,
+            reference: row.id ? `URLhaus #${row.id}${row.tags ? ` [${row.tags}]` : ''}` : 'URLhaus'
+        })
+    })
+
+    return parsed
+}
+
+// hosts ('0.0.0.0 bad.example # note'), adblock ('||bad.example^$third-party') or one domain per line
+function parseHostsList(text: string): ParsedFeed {
+    const { parsed, skip } = createParsedFeed()
+
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.trim()
+        if (!line || line.startsWith('[')) {
+            return
+        }
+
+        if (line.startsWith('#') || line.startsWith('!')) {
+            const version = line.match(VERSION_COMMENT)
+            if (version && !parsed.version) {
+                parsed.version = version[1].replace(/[\s#]+$/, '')
+            }
+            return
+        }
+
+        let value: string
+        if (line.startsWith('||')) {
+            const rule = line.slice(2).split('$')[0]
+            if (!/^[^/^*]+\^?$/.test(rule)) {
+                // Path or wildcard rules block parts of a site, not the domain
+                return
+            }
+            value = rule.replace(/\^$/, '')
+        } else if (line.startsWith('@@') || line.includes('##') || line.includes('#@#')) {
+            // Exceptions and element-hiding rules
+            return
+        } else {
+            const fields = line.replace(/\s#.*$/, '').split(/\s+/)
+            value = fields.length > 1 && /^[\d.]+$|:/.test(fields[0]) ? fields[1] : fields[0]
+        }
+
+        const host = normalizeFeedHost(value)
+        if (!host) {
+            if (!HOSTS_FILE_NAMES.includes(value.toLowerCase()) && !/^[\d.:]+$/.test(value)) {
+                skip(index + 1, 'invalid domain')
+            }
+            return
+        }
+
+        parsed.entries.push({ host, category: null, reference: null })
+    })
+
+    return parsed
+}
+
+/**
+ * Parse a downloaded or uploaded feed. Throws when the file is not in the feed's format at all;
+ * unusable lines are counted in invalid and the first ones reported in skipped.
+ */
+export function parseBlacklistFeed(text: string, format: BlacklistFeedFormat): ParsedFeed {
+    switch (format) {
+        case 'phishtank':
+            return parsePhishTank(text)
+        case 'urlhaus':
+            return parseUrlhaus(text)
+        case 'hosts':
+            return parseHostsList(text)
+        default:
+            throw new Error(`Unknown feed format: ${format}`)
+    }
+}
+
+/**
+ * Download a feed's file; .gz URLs (PhishTank's online-valid.json.gz) are decompressed
+ */
+export async function downloadBlacklistFeed(feedUrl: string): Promise<string> {
+    const controller = new AbortController()
+    const timeoutId = setTimeout(() => controller.abort(), FEED_DOWNLOAD_TIMEOUT_MS)
+
+    try {
+        const response = await fetch(feedUrl, { headers: { 'User-Agent': USER_AGENT }, signal: controller.signal })
+        if (!response.ok) {
+            throw new Error(`Feed download returned ${response.status}`)
+        }
+        if (new URL(feedUrl).pathname.endsWith('.gz') && response.body) {
+            return await new Response(response.body.pipeThrough(new DecompressionStream('gzip'))).text()
+        }
+        return await response.text()
+    } catch (error) {
+        throw new Error(controller.signal.aborted ? `Feed download timed out after ${FEED_DOWNLOAD_TIMEOUT_MS} ms` : error.message)
+    } finally {
+        clearTimeout(timeoutId)
+    }
+}
+
+/**
+ * Feed version to record: the one the file declares, else 'sha256:' and the start of the content hash
+ */
+export async function getFeedVersion(text: string, declared: string | null): Promise<string> {
+    if (declared) {
+        return declared
+    }
+
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text))
+    const hex = Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('')
+    return `sha256:${hex.slice(0, 16)}`
+}
+
+/**
+ * One blacklist entry per host, typed and scored through the feed's category_map (falling back to
+ * the feed's blacklist_type and severity). Hosts listed more than once keep their worst mapping.
+ */
+export function mapFeedEntries(feed: BlacklistFeed, entries: FeedEntry[]): BlacklistFeedEntry[] {
+    const byHost = new Map<string, BlacklistFeedEntry>()
+
+    for (const entry of entries) {
+        const mapping = (entry.category && feed.category_map?.[entry.category]) || {}
+        const mapped: BlacklistFeedEntry = {
+            domain_pattern: entry.host,
+            blacklist_type: mapping.blacklist_type || feed.blacklist_type,
+            severity: mapping.severity ?? feed.severity,
+            description: [`${feed.id} feed`, entry.category, entry.reference].filter(Boolean).join(': ')
+        }
+
+        const existing = byHost.get(entry.host)
+        if (!existing || mapped.severity > existing.severity) {
+            byHost.set(entry.host, mapped)
+        }
+    }
+
+    return Array.from(byHost.values())
+}
+
+/**
+ * Problems with a feed's category_map, or null when every mapping is usable
+ */
+export function validateCategoryMap(categoryMap: unknown): string | null {
+    if (categoryMap === null || typeof categoryMap !== 'object' || Array.isArray(categoryMap)) {
+        return 'category_map must be an object of category -> { blacklist_type, severity }'
+    }
+
+    for (const [category, mapping] of Object.entries(categoryMap as Record<string, any>)) {
+        if (!mapping || typeof mapping !== 'object') {
+            return `category_map.${category} must be an object`
+        }
+        if (mapping.blacklist_type !== undefined && !BLACKLIST_TYPES.includes(mapping.blacklist_type)) {
+            return `category_map.${category}.blacklist_type must be one of: ${BLACKLIST_TYPES.join(', ')}`
+        }
+        if (mapping.severity !== undefined && (!Number.isInteger(mapping.severity) || mapping.severity < 1 || mapping.severity > 10)) {
+            return `category_map.${category}.severity must be an integer between 1 and 10`
+        }
+    }
+    return null
+}
@@ -0,0 +1,172 @@
+// Domain baselines (domain_baselines table)
+// Baseline trust score and heuristic domain age for hosts without community data, and the parser
+// for ranked-domain lists imported through trust-admin. Lists are either CSV with a header row
+// (domain, baseline_score and optionally rank, domain_age_days, category) or Tranco-style
+// "rank,domain" lines, whose ranks are turned into scores with the configured rank_tiers.
+
+export interface DomainBaseline {
+    baseline_score: number
+    domain_age_days: number
+    matched_rule: string | null
+}
+
+export interface DomainBaselineEntry {
+    domain: string
+    baseline_score: number
+    rank?: number
+    domain_age_days?: number
+    category?: string
+}
+
+export interface RankTier {
+    max_rank: number
+    score: number
+}
+
+export type DomainListFormat = 'csv' | 'tranco'
+
+export interface ParsedDomainList {
+    entries: DomainBaselineEntry[]
+    skipped: { line: number, reason: string }[]
+}
+
+// Used when the lookup itself fails; matches the seeded config defaults
+const FALLBACK_BASELINE: DomainBaseline = { baseline_score: 50, domain_age_days: 365 * 3, matched_rule: null }
+
+const MAX_REPORTED_SKIPS = 50
+
+/**
+ * Baseline score and heuristic age for a host (exact entry, then longest suffix rule, then defaults)
+ */
+export async function getDomainBaseline(supabase: any, domain: string): Promise<DomainBaseline> {
+    try {
+        const { data, error } = await supabase
+            .rpc('get_domain_baseline', { p_domain: domain || '' })
+            .single()
+
+        if (error || !data) {
+            console.warn(`Domain baseline lookup failed for ${domain}:`, error?.message)
+            return FALLBACK_BASELINE
+        }
+
+        return {
+            baseline_score: Number(data.baseline_score),
+            domain_age_days: data.domain_age_days,
+            matched_rule: data.matched_rule
+        }
+    } catch (error) {
+        console.warn(`Domain baseline lookup failed for ${domain}:`, error.message)
+        return FALLBACK_BASELINE
+    }
+}
+
+/**
+ * Normalize a list entry's host: lowercase, no scheme, path or leading www. Suffix rules keep their dot.
+ */
+export function normalizeBaselineDomain(value: string): string | null {
+    let domain = value.trim().toLowerCase().replace(/^"|"$/g, '')
+    if (!domain) {
+        return null
+    }
+
+    if (domain.startsWith('.')) {
+        return /^(\.[a-z0-9-]+)+$/.test(domain) ? domain : null
+    }
+
+    domain = domain.replace(/^[a-z]+:\/\//, '').split('/')[0].split(':')[0].replace(/^www\./, '')
+    return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain) ? domain : null
+}
+
+/**
+ * Score for a list rank, or null when the rank is past the last tier
+ */
+export function scoreForRank(rank: number, tiers: RankTier[]): number | null {
+    const tier = [...tiers].sort((a, b) => a.max_rank - b.max_rank).find(t => rank <= t.max_rank)
+    return tier ? tier.score : null
+}
+
+/**
+ * Parse an uploaded list. Without an explicit format, a first line naming a "domain" column means CSV.
+ */
+export function parseDomainBaselineList(text: string, rankTiers: RankTier[], format?: DomainListFormat): ParsedDomainList {
+    const lines = text.split(/\r?\n/)
+    const entries: DomainBaselineEntry[] = []
+    const skipped: { line: number, reason: string }[] = []
+    const skip = (line: number, reason: string) => {
+        if (skipped.length < MAX_REPORTED_SKIPS) {
+            skipped.push({ line, reason })
+        }
+    }
+
+    const firstLine = (lines.find(line => line.trim() !== '' && !line.trim().startsWith('#')) || '').toLowerCase()
+    const listFormat: DomainListFormat = format || (firstLine.split(',').some(cell => cell.trim() === 'domain') ? 'csv' : 'tranco')
+
+    let columns: string[] | null = null
+
+    lines.forEach((rawLine, index) => {
+        const lineNumber = index + 1
+        const line = rawLine.trim()
+        if (!line || line.startsWith('#')) {
+            return
+        }
+
+        const cells = line.split(',').map(cell => cell.trim())
+
+        if (listFormat === 'csv' && !columns) {
+            columns = cells.map(cell => cell.toLowerCase())
+            if (!columns.includes('domain')) {
+                throw new Error('CSV header must include a "domain" column')
+            }
+            if (!columns.includes('baseline_score') && !columns.includes('rank')) {
+                throw new Error('CSV header must include "baseline_score" or "rank"')
+            }
+            return
+        }
+
+        const row: Record<string, string> = listFormat === 'csv'
+            ? Object.fromEntries(columns!.map((column, i) => [column, cells[i] ?? '']))
+            : { rank: cells[0], domain: cells[1] ?? '' }
+
+        const domain = normalizeBaselineDomain(row.domain || '')
+        if (!domain) {
+            skip(lineNumber, 'invalid domain')
+            return
+        }
+
+        const rank = row.rank ? parseInt(row.rank, 10) : undefined
+        if (rank !== undefined && (!Number.isInteger(rank) || rank < 1)) {
+            skip(lineNumber, 'invalid rank')
+            return
+        }
+
+        let score = row.baseline_score ? Number(row.baseline_score) : null
+        if (score === null && rank !== undefined) {
+            score = scoreForRank(rank, rankTiers)
+            if (score === null) {
+                // Past the last tier: not worth a baseline of its own
+                return
+            }
+        }
+        if (score === null || !Number.isFinite(score) || score < 0 || score > 100) {
+            skip(lineNumber, 'baseline_score must be between 0 and 100')
+            return
+        }
+
+        const entry: DomainBaselineEntry = { domain, baseline_score: score }
+        if (rank !== undefined) {
+            entry.rank = rank
+        }
+        if (row.domain_age_days) {
+            const age = parseInt(row.domain_age_days, 10)
+            if (Number.isInteger(age) && age >= 0) {
+                entry.domain_age_days = age
+            }
+        }
+        if (row.category) {
+            entry.category = row.category
+        }
+        entries.push(entry)
+    })
+
+    return { entries, skipped }
+}
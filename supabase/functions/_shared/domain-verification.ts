@@ -0,0 +1,174 @@
+// Domain ownership verification for site-owner disputes
+// An owner proves control of a domain by publishing a token either as a DNS TXT record on the domain
+// or in a file at https://<domain>/.well-known/urlrater-verification.txt. Lookups go through a
+// DomainResolver so local runs and tests can swap in a static stand-in instead of real DNS/HTTP.
+// The well-known file is only fetched from hosts that resolve to public addresses, and only its
+// first MAX_FILE_BYTES are read.
+
+import { getPrivateHostReason, resolveWithDns } from './redirect-resolver.ts'
+
+export type VerificationMethod = 'dns_txt' | 'well_known'
+
+export const VERIFICATION_METHODS: VerificationMethod[] = ['dns_txt', 'well_known']
+export const VERIFICATION_TOKEN_PREFIX = 'urlrater-verification='
+export const WELL_KNOWN_PATH = '/.well-known/urlrater-verification.txt'
+
+const FETCH_TIMEOUT_MS = 5000
+const MAX_FILE_BYTES = 4096
+
+export interface DomainResolver {
+    resolveTxt(domain: string): Promise<string[]>
+    fetchText(url: string): Promise<string | null>
+}
+
+export interface VerificationResult {
+    verified: boolean
+    error: string | null
+}
+
+/**
+ * New random token; the full value (prefix included) is what the owner publishes
+ */
+export function generateVerificationToken(): string {
+    const bytes = crypto.getRandomValues(new Uint8Array(16))
+    return VERIFICATION_TOKEN_PREFIX + Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * Instructions shown to the owner for a pending claim
+ */
+export function getVerificationInstructions(domain: string, method: VerificationMethod, token: string): string {
+    if (method === 'dns_txt') {
+        return `Add a TXT record to ${domain} with the value "${token}", then call verify.`
+    }
+    return `Serve https://${domain}${WELL_KNOWN_PATH} containing "${token}", then call verify.`
+}
+
+// Text of the first maxBytes of a body; the rest is never downloaded
+async function readCapped(body: ReadableStream<Uint8Array>, maxBytes: number): Promise<string> {
+    const reader = body.getReader()
+    const bytes = new Uint8Array(maxBytes)
+    let length = 0
+
+    try {
+        while (length < maxBytes) {
+            const { done, value } = await reader.read()
+            if (done) {
+                break
+            }
+            const chunk = value.subarray(0, maxBytes - length)
+            bytes.set(chunk, length)
+            length += chunk.length
+        }
+    } finally {
+        await reader.cancel().catch(() => {})
+    }
+
+    return new TextDecoder().decode(bytes.subarray(0, length))
+}
+
+// Real DNS (Deno.resolveDns) and HTTPS lookups
+export const networkResolver: DomainResolver = {
+    async resolveTxt(domain: string): Promise<string[]> {
+        try {
+            const records = await Deno.resolveDns(domain, 'TXT')
+            // Long TXT values are split into several strings
+            return records.map(chunks => chunks.join(''))
+        } catch (error) {
+            console.warn(`TXT lookup failed for ${domain}:`, error.message)
+            return []
+        }
+    },
+
+    async fetchText(url: string): Promise<string | null> {
+        const controller = new AbortController()
+        const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS)
+
+        try {
+            const blocked = await getPrivateHostReason(new URL(url).hostname, resolveWithDns, controller.signal)
+            if (blocked) {
+                console.warn(`Verification file fetch refused for ${url}: ${blocked}`)
+                return null
+            }
+
+            // Redirects are not followed: the file must be served by the domain itself
+            const response = await fetch(url, { redirect: 'manual', signal: controller.signal })
+            if (!response.ok || !response.body) {
+                await response.body?.cancel()
+                return null
+            }
+            return await readCapped(response.body, MAX_FILE_BYTES)
+        } catch (error) {
+            console.warn(`Verification file fetch failed for ${url}:`, error.message)
+            return null
+        } finally {
+            clearTimeout(timeoutId)
+        }
+    }
+}
+
+/**
+ * Stand-in resolver answering from fixed data, for tests and local development
+ */
+export function createStaticResolver(fixtures: { txt?: Record<string, string[]>, files?: Record<string, string> }): DomainResolver {
+    return {
+        async resolveTxt(domain: string): Promise<string[]> {
+            return fixtures.txt?.[domain] || []
+        },
+        async fetchText(url: string): Promise<string | null> {
+            return fixtures.files?.[url] ?? null
+        }
+    }
+}
+
+/**
+ * Resolver for this environment. DOMAIN_VERIFICATION_FIXTURES (JSON: { txt, files }) selects the
+ * static stand-in, so a local stack can verify domains without touching real DNS.
+ */
+export function getDomainResolver(): DomainResolver {
+    const fixtures = Deno.env.get('DOMAIN_VERIFICATION_FIXTURES')
+    if (!fixtures) {
+        return networkResolver
+    }
+
+    try {
+        return createStaticResolver(JSON.parse(fixtures))
+    } catch (error) {
+        console.error('Invalid DOMAIN_VERIFICATION_FIXTURES, using network resolver:', error.message)
+        return networkResolver
+    }
+}
+
+/**
+ * Check that the token is published on the domain with the chosen method
+ */
+export async function verifyDomainOwnership(
+    domain: string,
+    method: VerificationMethod,
+    token: string,
+    resolver: DomainResolver = getDomainResolver()
+): Promise<VerificationResult> {
+    if (method === 'dns_txt') {
+        const records = await resolver.resolveTxt(domain)
+        if (records.some(record => record.trim() === token)) {
+            return { verified: true, error: null }
+        }
+        return { verified: false, error: `No TXT record with the verification token found on ${domain}` }
+    }
+
+    const body = await resolver.fetchText(`https://${domain}${WELL_KNOWN_PATH}`)
+    if (body === null) {
+        return { verified: false, error: `Could not fetch https://${domain}${WELL_KNOWN_PATH}` }
+    }
+    if (body.split(/\r?\n/).some(line => line.trim() === token)) {
+        return { verified: true, error: null }
+    }
+    return { verified: false, error: `Verification file on ${domain} does not contain the token` }
+}
+
+/**
+ * Whether a verified claim on claimDomain covers domain (the domain itself or one of its subdomains)
+ */
+export function claimCoversDomain(claimDomain: string, domain: string): boolean {
+    return domain === claimDomain || domain.endsWith(`.${claimDomain}`)
+}
@@ -0,0 +1,191 @@
+// Idempotent write requests for edge functions
+// A client retrying a write (timeout, offline replay) sends the same Idempotency-Key (or X-Request-ID).
+// The first request reserves the key in idempotency_keys and stores its response; repeats within the
+// retention window get that response back, and a repeat with a different body is rejected with 409.
+
+import { ConflictError } from './routing.ts'
+
+export const IDEMPOTENCY_WINDOW_MS = 24 * 60 * 60 * 1000
+const MAX_KEY_LENGTH = 255
+
+export interface IdempotencyOptions {
+    userId: string
+    route: string                          // e.g. 'POST /rating'
+    key: string | null
+    body: unknown
+    corsHeaders: Record<string, string>
+}
+
+/**
+ * Idempotency-Key header, falling back to the client's X-Request-ID. Null if neither is usable.
+ */
+export function getIdempotencyKey(req: Request): string | null {
+    const key = (req.headers.get('Idempotency-Key') || req.headers.get('X-Request-ID') || '').trim()
+    if (!key || key.length > MAX_KEY_LENGTH) {
+        return null
+    }
+    return key
+}
+
+// JSON with object keys sorted, so property order doesn't change the request hash
+function stableStringify(value: unknown): string {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value as Record<string, unknown>)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${stableStringify((value as Record<string, unknown>)[key])}`)
+        return `{${entries.join(',')}}`
+    }
+    return JSON.stringify(value) ?? 'null'
+}
+
+/**
+ * SHA-256 hex of the request body in canonical JSON form.
+ */
+export async function hashRequestBody(body: unknown): Promise<string> {
+    const data = new TextEncoder().encode(stableStringify(body))
+    const hashBuffer = await crypto.subtle.digest('SHA-256', data)
+    return Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * Run a write handler at most once per (user, route, key).
+ * Without a key the handler just runs. Storage failures fall back to running the handler, so
+ * idempotency never makes a write endpoint unavailable. 5xx responses and thrown errors release
+ * the key so the client can retry.
+ */
+export async function withIdempotency(
+    supabase: any,
+    options: IdempotencyOptions,
+    run: () => Promise<Response>
+): Promise<Response> {
+    const { userId, route, key, body, corsHeaders } = options
+    if (!key) {
+        return await run()
+    }
+
+    const requestHash = await hashRequestBody(body)
+    const reserved = await reserveKey(supabase, userId, route, key, requestHash)
+
+    if (reserved === 'unavailable') {
+        return await run()
+    }
+
+    if (reserved !== 'reserved') {
+        // Existing row for this key
+        if (reserved.request_hash !== requestHash) {
+            throw new ConflictError('Idempotency key was already used with a different request body')
+        }
+        if (reserved.response_status === null) {
+            throw new ConflictError('A request with this idempotency key is still being processed')
+        }
+        return new Response(JSON.stringify(reserved.response_body), {
+            status: reserved.response_status,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json', 'Idempotent-Replayed': 'true' }
+        })
+    }
+
+    let response: Response
+    try {
+        response = await run()
+    } catch (error) {
+        await releaseKey(supabase, userId, route, key)
+        throw error
+    }
+
+    if (response.status >= 500) {
+        await releaseKey(supabase, userId, route, key)
+        return response
+    }
+
+    try {
+        const responseBody = await response.clone().json()
+        const { error } = await supabase
+            .from('idempotency_keys')
+            .update({ response_status: response.status, response_body: responseBody })
+            .eq('user_id_hash', userId)
+            .eq('route', route)
+            .eq('idempotency_key', key)
+
+        if (error) {
+            console.error('Failed to store idempotent response:', error.message)
+        }
+    } catch (error) {
+        console.error('Failed to store idempotent response:', error.message)
+    }
+
+    return response
+}
+
+/**
+ * Insert the reservation row. Returns 'reserved' on success, the existing live row if the key is
+ * taken, or 'unavailable' if the table can't be used.
+ */
+async function reserveKey(
+    supabase: any,
+    userId: string,
+    route: string,
+    key: string,
+    requestHash: string
+): Promise<'reserved' | 'unavailable' | any> {
+    for (let attempt = 0; attempt < 2; attempt++) {
+        const { error } = await supabase
+            .from('idempotency_keys')
+            .insert({
+                user_id_hash: userId,
+                route,
+                idempotency_key: key,
+                request_hash: requestHash,
+                expires_at: new Date(Date.now() + IDEMPOTENCY_WINDOW_MS).toISOString()
+            })
+
+        if (!error) {
+            return 'reserved'
+        }
+
+        if (error.code !== '23505') {
+            console.error('Idempotency key reservation failed:', error.message)
+            return 'unavailable'
+        }
+
+        const { data: existing, error: fetchError } = await supabase
+            .from('idempotency_keys')
+            .select('request_hash, response_status, response_body, expires_at')
+            .eq('user_id_hash', userId)
+            .eq('route', route)
+            .eq('idempotency_key', key)
+            .maybeSingle()
+
+        if (fetchError) {
+            console.error('Idempotency key lookup failed:', fetchError.message)
+            return 'unavailable'
+        }
+
+        // Expired but not yet cleaned up - drop it and reserve again
+        if (existing && new Date(existing.expires_at).getTime() < Date.now()) {
+            await releaseKey(supabase, userId, route, key)
+            continue
+        }
+
+        if (existing) {
+            return existing
+        }
+    }
+
+    return 'unavailable'
+}
+
+async function releaseKey(supabase: any, userId: string, route: string, key: string): Promise<void> {
+    const { error } = await supabase
+        .from('idempotency_keys')
+        .delete()
+        .eq('user_id_hash', userId)
+        .eq('route', route)
+        .eq('idempotency_key', key)
+
+    if (error) {
+        console.error('Failed to release idempotency key:', error.message)
+    }
+}
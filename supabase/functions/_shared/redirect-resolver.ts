@@ -0,0 +1,268 @@
+// Redirect chains for link shorteners and tracking links
+// A rating on https://bit.ly/abc says nothing about where the link leads, so url-trust-api follows
+// the redirects of known shorteners hop by hop and scores the link by its destination. Every hop is
+// recorded; hops and total time are capped. Every hop's host is resolved first and never fetched
+// when it is, or resolves to, a private, loopback or link-local address, or is a single-label name;
+// the exception is REDIRECT_STAND_IN_HOSTS: hosts a local stack treats as shorteners and may reach
+// (e.g. host.docker.internal), so a local HTTP stand-in can serve the redirects in place of bit.ly.
+// Fresh resolutions are rate-limited per caller, since any new shortener path means outbound requests.
+
+import { canonicalizeHost, getRegistrableDomain } from './url-canonicalizer.ts'
+
+export const MAX_REDIRECT_HOPS = 8
+export const REDIRECT_TIMEOUT_MS = 6000
+export const MAX_RESOLUTIONS_PER_MINUTE = 10
+
+// Registrable domains, or exact hosts for outbound-link wrappers, whose links only redirect
+export const KNOWN_SHORTENERS = [
+    'bit.ly', 'bitly.com', 't.co', 'tinyurl.com', 'goo.gl', 'ow.ly', 'buff.ly', 'is.gd', 'v.gd',
+    'rebrand.ly', 'lnkd.in', 't.ly', 'cutt.ly', 'shorturl.at', 'tiny.cc', 'rb.gy', 's.id',
+    'amzn.to', 'fb.me', 'dlvr.it', 'trib.al', 'bl.ink', 'qrco.de',
+    'l.facebook.com', 'lm.facebook.com', 'l.instagram.com', 'out.reddit.com'
+]
+
+export interface RedirectHop {
+    url: string
+    status: number
+}
+
+export interface RedirectChain {
+    start_url: string
+    final_url: string        // Last URL reached: the destination when complete
+    hops: RedirectHop[]      // Every request made, in order
+    hop_count: number        // Redirects followed
+    complete: boolean        // false when a limit, a loop, a blocked address or an error cut it short
+    error: string | null
+}
+
+export type RedirectFetcher = (url: string, init: RequestInit) => Promise<Response>
+
+// A and AAAA answers for a host name
+export type HostResolver = (hostname: string, signal: AbortSignal) => Promise<string[]>
+
+export interface RedirectResolverOptions {
+    maxHops?: number
+    timeoutMs?: number
+    standInHosts?: string[]
+    fetcher?: RedirectFetcher
+    resolveHost?: HostResolver
+}
+
+const RATE_WINDOW_MS = 60 * 1000
+
+// Fresh resolutions per caller in this function instance
+const recentResolutions = new Map<string, number[]>()
+
+/**
+ * Take one of the caller's fresh-resolution slots (MAX_RESOLUTIONS_PER_MINUTE); false when used up
+ */
+export function takeResolutionSlot(callerKey: string, perMinute: number = MAX_RESOLUTIONS_PER_MINUTE): boolean {
+    const now = Date.now()
+    const calls = (recentResolutions.get(callerKey) || []).filter(at => now - at < RATE_WINDOW_MS)
+    if (calls.length >= perMinute) {
+        recentResolutions.set(callerKey, calls)
+        return false
+    }
+    calls.push(now)
+    recentResolutions.set(callerKey, calls)
+    return true
+}
+
+// Answers that fail are empty: a name with only A records has no AAAA
+export async function resolveWithDns(hostname: string, signal: AbortSignal): Promise<string[]> {
+    const lookups = await Promise.all((['A', 'AAAA'] as const).map(type =>
+        Deno.resolveDns(hostname, type, { signal }).catch(() => [] as string[])))
+    return lookups.flat()
+}
+
+/**
+ * Options for this environment: REDIRECT_STAND_IN_HOSTS is a comma-separated host list
+ */
+export function getRedirectResolverOptions(): RedirectResolverOptions {
+    const standInHosts = (Deno.env.get('REDIRECT_STAND_IN_HOSTS') || '')
+        .split(',')
+        .map(host => canonicalizeHost(host.trim()))
+        .filter(Boolean)
+
+    return { standInHosts }
+}
+
+/**
+ * Whether links on this host are redirects worth tracing
+ */
+export function isKnownShortener(host: string, options: RedirectResolverOptions = getRedirectResolverOptions()): boolean {
+    const canonicalHost = canonicalizeHost(host)
+    if (options.standInHosts?.includes(canonicalHost) || KNOWN_SHORTENERS.includes(canonicalHost)) {
+        return true
+    }
+    const registrableDomain = getRegistrableDomain(canonicalHost)
+    return registrableDomain !== null && KNOWN_SHORTENERS.includes(registrableDomain)
+}
+
+export function isIpLiteral(host: string): boolean {
+    return /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.includes(':')
+}
+
+// Loopback, private, shared, link-local, benchmarking, multicast, reserved and unspecified addresses
+export function isPrivateAddress(address: string): boolean {
+    const ip = address.replace(/^\[|\]$/g, '').toLowerCase()
+
+    const ipv4 = ip.match(/^(\d{1,3})\.(\d{1,3})\.\d{1,3}\.\d{1,3}$/)
+    if (ipv4) {
+        const [a, b] = [Number(ipv4[1]), Number(ipv4[2])]
+        return a === 0 || a === 10 || a === 127 || a >= 224
+            || (a === 100 && b >= 64 && b <= 127)
+            || (a === 169 && b === 254)
+            || (a === 172 && b >= 16 && b <= 31)
+            || (a === 192 && b === 168)
+            || (a === 192 && b === 0)
+            || (a === 198 && (b === 18 || b === 19))
+    }
+
+    if (ip.includes(':')) {
+        const mapped = ip.match(/^::ffff:(\d{1,3}(\.\d{1,3}){3})$/)
+        if (mapped) {
+            return isPrivateAddress(mapped[1])
+        }
+        return ip === '::' || ip === '::1' || ip.startsWith('::ffff:') || /^f[cd]/.test(ip) || /^fe[89ab]/.test(ip)
+            || ip.startsWith('ff') || ip.startsWith('64:ff9b:')
+    }
+
+    // Not an address at all: refuse rather than guess
+    return true
+}
+
+// Reason a URL must not be fetched, or null. Host names are resolved and every answer checked, so
+// names like 169.254.169.254.nip.io or internal service names cannot reach private addresses.
+// (The fetch resolves the name again; a rebinding answer in between is not caught here.)
+async function getBlockedReason(
+    url: string,
+    standInHosts: string[],
+    resolveHost: HostResolver,
+    signal: AbortSignal
+): Promise<string | null> {
+    let parsed: URL
+    try {
+        parsed = new URL(url)
+    } catch (_error) {
+        return `Invalid redirect target ${url}`
+    }
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        return `Redirects to a ${parsed.protocol} address`
+    }
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase()
+    if (standInHosts.includes(canonicalizeHost(hostname))) {
+        return null
+    }
+    return await getPrivateHostReason(hostname, resolveHost, signal)
+}
+
+/**
+ * Reason a host must not be fetched, or null: a private IP literal, a local or single-label name, a
+ * name that does not resolve, or one with any private answer. Shared with domain verification.
+ */
+export async function getPrivateHostReason(
+    host: string,
+    resolveHost: HostResolver,
+    signal: AbortSignal
+): Promise<string | null> {
+    const hostname = host.replace(/^\[|\]$/g, '').toLowerCase()
+    if (isIpLiteral(hostname)) {
+        return isPrivateAddress(hostname) ? `Private address ${hostname} is not fetched` : null
+    }
+    if (!hostname.replace(/\.$/, '').includes('.') || hostname === 'localhost' || hostname.endsWith('.localhost')) {
+        return `Local host name ${hostname} is not fetched`
+    }
+
+    // The caller's timeout also bounds resolvers that ignore the signal
+    const timedOut = new Promise<string[]>(resolve => signal.addEventListener('abort', () => resolve([]), { once: true }))
+    const addresses = await Promise.race([resolveHost(hostname, signal), timedOut])
+    if (addresses.length === 0) {
+        return `Could not resolve ${hostname}`
+    }
+    const privateAddress = addresses.find(isPrivateAddress)
+    if (privateAddress) {
+        return `${hostname} resolves to private address ${privateAddress} and is not fetched`
+    }
+    return null
+}
+
+// HEAD first; servers that refuse it get a GET whose body is discarded
+async function requestHop(fetcher: RedirectFetcher, url: string, signal: AbortSignal): Promise<Response> {
+    const response = await fetcher(url, { method: 'HEAD', redirect: 'manual', signal })
+    if (response.status !== 405 && response.status !== 501) {
+        return response
+    }
+
+    await response.body?.cancel()
+    return await fetcher(url, { method: 'GET', redirect: 'manual', signal })
+}
+
+/**
+ * Follow a URL's HTTP redirects one hop at a time. Never throws: failures end the chain with
+ * complete = false and the reason in error.
+ */
+export async function resolveRedirectChain(
+    startUrl: string,
+    options: RedirectResolverOptions = getRedirectResolverOptions()
+): Promise<RedirectChain> {
+    const maxHops = options.maxHops ?? MAX_REDIRECT_HOPS
+    const timeoutMs = options.timeoutMs ?? REDIRECT_TIMEOUT_MS
+    const standInHosts = options.standInHosts || []
+    const fetcher = options.fetcher || fetch
+    const resolveHost = options.resolveHost || resolveWithDns
+
+    const hops: RedirectHop[] = []
+    const visited = new Set<string>()
+    let current = startUrl
+    let redirects = 0
+
+    const finish = (complete: boolean, error: string | null = null): RedirectChain => ({
+        start_url: startUrl,
+        final_url: current,
+        hops,
+        hop_count: redirects,
+        complete,
+        error
+    })
+
+    const controller = new AbortController()
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs)
+
+    try {
+        while (true) {
+            const blocked = await getBlockedReason(current, standInHosts, resolveHost, controller.signal)
+            if (controller.signal.aborted) {
+                return finish(false, `Timed out after ${timeoutMs} ms`)
+            }
+            if (blocked) {
+                return finish(false, blocked)
+            }
+            if (visited.has(current)) {
+                return finish(false, `Redirect loop at ${current}`)
+            }
+            visited.add(current)
+
+            const response = await requestHop(fetcher, current, controller.signal)
+            await response.body?.cancel()
+            hops.push({ url: current, status: response.status })
+
+            const location = response.headers.get('location')
+            if (response.status < 300 || response.status >= 400 || !location) {
+                return finish(true)
+            }
+            if (redirects >= maxHops) {
+                return finish(false, `Stopped after ${maxHops} redirects`)
+            }
+
+            current = new URL(location, current).href
+            redirects++
+        }
+    } catch (error) {
+        return finish(false, controller.signal.aborted ? `Timed out after ${timeoutMs} ms` : error.message)
+    } finally {
+        clearTimeout(timeoutId)
+    }
+}
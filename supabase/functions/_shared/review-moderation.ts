@@ -0,0 +1,78 @@
+// Written review (ratings.comment) validation
+// Reviews are public through GET /reviews, so they are checked before they are stored: length,
+// number of links, and a small profanity list. Admins can still hide reviews that get through
+// (trust-admin PUT /reviews/:id).
+
+import { ValidationError } from './routing.ts'
+
+export const REVIEW_MIN_LENGTH = 3
+export const REVIEW_MAX_LENGTH = 500
+export const REVIEW_MAX_LINKS = 1
+
+// Matched as whole words after leetspeak folding; kept short on purpose - moderation catches the rest
+const PROFANITY = [
+    'fuck', 'fucking', 'fucker', 'motherfucker', 'shit', 'bullshit', 'cunt', 'bitch', 'bastard',
+    'asshole', 'dick', 'dickhead', 'pussy', 'whore', 'slut', 'retard', 'faggot', 'nigger', 'nigga'
+]
+
+const LEET_MAP: Record<string, string> = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's', '!': 'i' }
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|io|co|ru|cn|xyz|top|info|biz|me|ly|gl)\b(?:\/\S*)?/gi
+
+/**
+ * Number of links (URLs or bare domains) in a review
+ */
+export function countLinks(text: string): number {
+    return (text.match(LINK_PATTERN) || []).length
+}
+
+/**
+ * Whether a review contains a word from the profanity list (case, leetspeak and repeated letters folded)
+ */
+export function containsProfanity(text: string): boolean {
+    return text
+        .toLowerCase()
+        .split(/\s+/)
+        // Trailing punctuation is punctuation ("shit!"), anything inside a word is leetspeak ("sh!t")
+        .map(token => token.replace(/^[^a-z0-9@$]+|[^a-z0-9@$]+$/g, ''))
+        .map(token => token.replace(/[013457@$!]/g, ch => LEET_MAP[ch]).replace(/[^a-z]/g, ''))
+        .filter(Boolean)
+        .some(word => PROFANITY.includes(word) || PROFANITY.includes(word.replace(/(.)\1+/g, '$1')))
+}
+
+/**
+ * Validate and normalise a review. Empty or missing comments become null (a rating without a review).
+ */
+export function validateReviewComment(comment: unknown): string | null {
+    if (comment === undefined || comment === null) {
+        return null
+    }
+    if (typeof comment !== 'string') {
+        throw new ValidationError('Comment must be a string')
+    }
+
+    // Collapse runs of whitespace and strip control characters
+    const normalized = comment
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, '')
+        .replace(/[ \t]+/g, ' ')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim()
+
+    if (normalized.length === 0) {
+        return null
+    }
+    if (normalized.length < REVIEW_MIN_LENGTH) {
+        throw new ValidationError(`Review must be at least ${REVIEW_MIN_LENGTH} characters`)
+    }
+    if (normalized.length > REVIEW_MAX_LENGTH) {
+        throw new ValidationError(`Review must be at most ${REVIEW_MAX_LENGTH} characters`)
+    }
+    if (countLinks(normalized) > REVIEW_MAX_LINKS) {
+        throw new ValidationError(`Reviews may contain at most ${REVIEW_MAX_LINKS} link`)
+    }
+    if (containsProfanity(normalized)) {
+        throw new ValidationError('Review contains language that is not allowed')
+    }
+
+    return normalized
+}
@@ -3,10 +3,11 @@
 
 export interface RouteConfig {
     method: string
-    path: string
+    path: string               // Exact path, or a pattern with ':name' segments (e.g. '/rating/:id')
     handler: string
     requiresAuth: boolean
     description: string
+    params?: Record<string, string>   // Filled in by the router for pattern routes
 }
 
 // Custom error classes for consistent error handling
@@ -29,12 +30,24 @@ export class AuthError extends ApiError {
     }
 }
 
+export class ForbiddenError extends ApiError {
+    constructor(message: string) {
+        super(message, 403, 'FORBIDDEN')
+    }
+}
+
 export class NotFoundError extends ApiError {
     constructor(message: string) {
         super(message, 404, 'NOT_FOUND')
     }
 }
 
+export class ConflictError extends ApiError {
+    constructor(message: string) {
+        super(message, 409, 'CONFLICT')
+    }
+}
+
 export class RateLimitError extends ApiError {
     constructor(message: string) {
         super(message, 429, 'RATE_LIMIT_ERROR')
@@ -114,12 +127,43 @@ export function findRoute(method: string, path: string, routes: RouteConfig[]):
         }
     }
     
-    // Find exact match for method and path
+    // Find exact match for method and path, then pattern routes ('/rating/:id')
     return routes.find(route => 
         route.method === method && route.path === path
+    ) || routes.find(route =>
+        route.method === method && route.path.includes('/:') && matchRoutePath(route.path, path) !== null
     ) || null
 }
 
+/**
+ * Match a path against a route pattern with ':name' segments.
+ * Returns the decoded segment values, or null if the path doesn't fit the pattern.
+ */
+export function matchRoutePath(pattern: string, path: string): Record<string, string> | null {
+    const patternSegments = pattern.split('/').filter(Boolean)
+    const pathSegments = path.split('/').filter(Boolean)
+
+    if (patternSegments.length !== pathSegments.length) {
+        return null
+    }
+
+    const params: Record<string, string> = {}
+    for (let i = 0; i < patternSegments.length; i++) {
+        const segment = patternSegments[i]
+        if (segment.startsWith(':')) {
+            try {
+                params[segment.slice(1)] = decodeURIComponent(pathSegments[i])
+            } catch {
+                return null
+            }
+        } else if (segment !== pathSegments[i]) {
+            return null
+        }
+    }
+
+    return params
+}
+
 /**
  * Generate unique request ID for error tracking and logging
  */
@@ -240,8 +284,8 @@ export function createRouter(
                 throw new NotFoundError(`Handler not implemented: ${route.handler}`)
             }
             
-            // Call handler with route context
-            return await handler(req, route, requestId)
+            // Call handler with route context (including ':name' path parameters)
+            return await handler(req, { ...route, params: matchRoutePath(route.path, path) || {} }, requestId)
             
         } catch (error: any) {
             return handleError(error, requestId, corsHeaders)
@@ -263,6 +307,26 @@ export function getQueryParam(req: Request, paramName: string, required: boolean
     return value
 }
 
+/**
+ * Parse page/limit query parameters for paginated list endpoints (1-based pages)
+ */
+export function parsePagination(req: Request, defaultLimit: number = 20, maxLimit: number = 50): { page: number, limit: number, offset: number } {
+    const pageParam = getQueryParam(req, 'page')
+    const limitParam = getQueryParam(req, 'limit')
+
+    const page = pageParam === null ? 1 : Number(pageParam)
+    const limit = limitParam === null ? defaultLimit : Number(limitParam)
+
+    if (!Number.isInteger(page) || page < 1) {
+        throw new ValidationError('page must be a positive integer')
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+        throw new ValidationError(`limit must be an integer between 1 and ${maxLimit}`)
+    }
+
+    return { page, limit, offset: (page - 1) * limit }
+}
+
 /**
  * Utility to parse and validate JSON body
  */
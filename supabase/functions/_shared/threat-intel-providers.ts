@@ -0,0 +1,163 @@
+// Threat-intel providers (see threat-intel.ts)
+// Each provider owns its vendor's request and response parsing and reports a normalized verdict.
+// To add a feed, implement ThreatIntelProvider here, append it to THREAT_INTEL_PROVIDERS and
+// optionally tune it under its id in the threat_intel_providers config.
+
+import { ThreatIntelProvider, ProviderContext, ProviderResult } from './threat-intel.ts'
+
+const USER_AGENT = 'URL-Rating-Extension/1.0'
+
+// Oldest plausible registration (~41 years); anything older is a parsing error
+const MAX_DOMAIN_AGE_DAYS = 15000
+
+async function readJson(response: Response, vendor: string): Promise<any> {
+    if (!response.ok) {
+        throw new Error(`${vendor} returned ${response.status}`)
+    }
+    return await response.json()
+}
+
+// Safe Browsing threat types -> verdict
+const SAFE_BROWSING_THREATS: Record<string, ProviderResult> = {
+    MALWARE: { status: 'malicious', category: 'malware', threat_score: 50 },
+    SOCIAL_ENGINEERING: { status: 'malicious', category: 'phishing', threat_score: 45 },
+    UNWANTED_SOFTWARE: { status: 'suspicious', category: 'unwanted', threat_score: 30 }
+}
+
+export const googleSafeBrowsingProvider: ThreatIntelProvider = {
+    id: 'google_safe_browsing',
+    timeoutMs: 8000,
+    rateLimitPerMinute: 60,
+
+    isConfigured(): boolean {
+        return !!Deno.env.get('GOOGLE_SAFE_BROWSING_API_KEY')
+    },
+
+    async check(domain: string, context: ProviderContext): Promise<ProviderResult> {
+        const apiKey = Deno.env.get('GOOGLE_SAFE_BROWSING_API_KEY')
+        const response = await context.fetch(`https://safebrowsing.googleapis.com/v4/threatMatches:find?key=${apiKey}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            signal: context.signal,
+            body: JSON.stringify({
+                client: {
+                    clientId: 'url-rating-extension',
+                    clientVersion: '1.0.0'
+                },
+                threatInfo: {
+                    threatTypes: Object.keys(SAFE_BROWSING_THREATS),
+                    platformTypes: ['ANY_PLATFORM'],
+                    threatEntryTypes: ['URL'],
+                    threatEntries: [
+                        { url: `http://${domain}/` },
+                        { url: `https://${domain}/` }
+                    ]
+                }
+            })
+        })
+
+        const data = await readJson(response, 'Safe Browsing')
+        const threatType = data.matches?.[0]?.threatType
+        if (!threatType) {
+            return { status: 'clean' }
+        }
+        return SAFE_BROWSING_THREATS[threatType] || { status: 'suspicious', category: String(threatType).toLowerCase(), threat_score: 25 }
+    }
+}
+
+export const hybridAnalysisProvider: ThreatIntelProvider = {
+    id: 'hybrid_analysis',
+    timeoutMs: 10000,
+    rateLimitPerMinute: 20,
+
+    isConfigured(): boolean {
+        return !!Deno.env.get('HYBRID_ANALYSIS_API_KEY')
+    },
+
+    async check(domain: string, context: ProviderContext): Promise<ProviderResult> {
+        const response = await context.fetch('https://www.hybrid-analysis.com/api/v2/search/terms', {
+            method: 'POST',
+            headers: {
+                'api-key': Deno.env.get('HYBRID_ANALYSIS_API_KEY') || '',
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'User-Agent': USER_AGENT
+            },
+            signal: context.signal,
+            body: new URLSearchParams({
+                'domain': domain,
+                'country': 'all',
+                'verdict': 'all'
+            })
+        })
+
+        const data = await readJson(response, 'Hybrid Analysis')
+        const reports: any[] = Array.isArray(data.result) ? data.result : []
+
+        if (reports.some(report => report.verdict === 'malicious' || report.threat_score >= 70)) {
+            return { status: 'malicious', category: 'malware', threat_score: 40 }
+        }
+        if (reports.some(report => report.verdict === 'suspicious')) {
+            return { status: 'suspicious', category: 'suspicious', threat_score: 25 }
+        }
+        return { status: 'clean' }
+    }
+}
+
+// Informational: reports the registration date as facts.domain_age_days, never a threat
+export const whoisXmlProvider: ThreatIntelProvider = {
+    id: 'whois_xml',
+    timeoutMs: 10000,
+    rateLimitPerMinute: 30,
+
+    isConfigured(): boolean {
+        return !!Deno.env.get('WHOIS_XML_API_KEY')
+    },
+
+    async check(domain: string, context: ProviderContext): Promise<ProviderResult> {
+        const apiKey = Deno.env.get('WHOIS_XML_API_KEY')
+        const response = await context.fetch(
+            `https://www.whoisxmlapi.com/whoisserver/WhoisService?apiKey=${apiKey}&domainName=${encodeURIComponent(domain)}&outputFormat=JSON`,
+            { method: 'GET', headers: { 'User-Agent': USER_AGENT }, signal: context.signal }
+        )
+
+        const data = await readJson(response, 'WHOIS API')
+        const record = data.WhoisRecord
+        if (!record) {
+            return { status: 'unknown' }
+        }
+
+        // The record's own dates, else the registry's (raw, then normalized)
+        const creationDate = record.createdDate || record.registryData?.createdDate || record.registryData?.createdDateNormalized
+        if (!creationDate) {
+            return { status: 'unknown' }
+        }
+
+        const created = new Date(creationDate)
+        if (isNaN(created.getTime())) {
+            throw new Error(`Invalid creation date format: ${creationDate}`)
+        }
+
+        const ageInDays = Math.floor((Date.now() - created.getTime()) / (1000 * 60 * 60 * 24))
+        if (ageInDays < 0 || ageInDays > MAX_DOMAIN_AGE_DAYS) {
+            throw new Error(`Implausible creation date: ${creationDate}`)
+        }
+
+        return {
+            status: 'clean',
+            facts: {
+                domain_age_days: ageInDays,
+                creation_date: creationDate,
+                expiry_date: record.expiresDate || record.registryData?.expiresDate || record.registryData?.expiresDateNormalized || null,
+                registrar: record.registrarName || record.registryData?.registrarName || 'unknown',
+                status: record.registryData?.status || record.status || null,
+                name_servers: record.registryData?.nameServers || record.nameServers || null
+            }
+        }
+    }
+}
+
+export const THREAT_INTEL_PROVIDERS: ThreatIntelProvider[] = [
+    googleSafeBrowsingProvider,
+    hybridAnalysisProvider,
+    whoisXmlProvider
+]
@@ -0,0 +1,216 @@
+// Threat-intel providers for domain analysis
+// Every external feed (Safe Browsing, Hybrid Analysis, WHOIS...) is a ThreatIntelProvider that turns
+// the vendor's response into a normalized ThreatVerdict. The registry enables providers from
+// trust_algorithm_config ('threat_intel_providers'), enforces each one's rate limit and timeout, and
+// the verdicts are stored as domain_cache.threat_verdicts, which the trust score reads without
+// knowing any vendor. Vendor code lives in threat-intel-providers.ts; adding a feed means adding a
+// provider there. THREAT_INTEL_FIXTURES swaps every vendor call for a recorded response.
+
+export type VerdictStatus = 'clean' | 'suspicious' | 'malicious' | 'unknown'
+
+export interface ThreatVerdict {
+    provider: string
+    status: VerdictStatus               // 'unknown' when the provider could not answer
+    category: string | null             // The finding in common terms: malware, phishing, unwanted...
+    threat_score: number                // Domain trust points to subtract; 0 unless suspicious or malicious
+    facts: Record<string, unknown> | null  // Non-verdict data, e.g. the WHOIS creation date
+    error: string | null
+    checked_at: string
+}
+
+// What a provider's check returns; the registry fills in the rest of the verdict
+export interface ProviderResult {
+    status: VerdictStatus
+    category?: string | null
+    threat_score?: number
+    facts?: Record<string, unknown> | null
+}
+
+export interface ProviderContext {
+    fetch: typeof fetch
+    signal: AbortSignal
+}
+
+export interface ThreatIntelProvider {
+    id: string
+    timeoutMs: number
+    rateLimitPerMinute: number
+    isConfigured(): boolean             // false without the vendor's API key
+    check(domain: string, context: ProviderContext): Promise<ProviderResult>
+}
+
+// Per-provider entry of the threat_intel_providers config
+export interface ProviderSettings {
+    enabled: boolean
+    weight: number                      // Share in domain_cache.threat_score; 0 for informational feeds
+    timeout_ms?: number
+    rate_limit_per_minute?: number
+}
+
+export interface RecordedResponse {
+    status?: number
+    body: unknown
+}
+
+// provider id -> domain -> recorded vendor response
+export type ThreatIntelFixtures = Record<string, Record<string, RecordedResponse>>
+
+export interface ThreatIntelReport {
+    verdicts: Record<string, ThreatVerdict>
+    threat_score: number
+}
+
+const DEFAULT_SETTINGS: ProviderSettings = { enabled: true, weight: 1 }
+const RATE_WINDOW_MS = 60 * 1000
+
+// Call times per provider in this function instance, for the per-minute limits
+const recentCalls = new Map<string, number[]>()
+
+function takeRateLimitSlot(providerId: string, perMinute: number): boolean {
+    const now = Date.now()
+    const calls = (recentCalls.get(providerId) || []).filter(at => now - at < RATE_WINDOW_MS)
+    if (calls.length >= perMinute) {
+        recentCalls.set(providerId, calls)
+        return false
+    }
+    calls.push(now)
+    recentCalls.set(providerId, calls)
+    return true
+}
+
+// Stand-in fetch answering with the recorded response whatever the request
+function createFixtureFetch(recorded: RecordedResponse | undefined): typeof fetch {
+    return async () => recorded
+        ? new Response(JSON.stringify(recorded.body), {
+            status: recorded.status ?? 200,
+            headers: { 'Content-Type': 'application/json' }
+        })
+        : new Response(JSON.stringify({ error: 'No recorded response' }), { status: 404 })
+}
+
+/**
+ * Recorded vendor responses from THREAT_INTEL_FIXTURES (JSON: { provider: { domain: { status, body } } }),
+ * or null to call the real APIs
+ */
+export function getThreatIntelFixtures(): ThreatIntelFixtures | null {
+    const fixtures = Deno.env.get('THREAT_INTEL_FIXTURES')
+    if (!fixtures) {
+        return null
+    }
+
+    try {
+        return JSON.parse(fixtures)
+    } catch (error) {
+        console.error('Invalid THREAT_INTEL_FIXTURES, calling the real providers:', error.message)
+        return null
+    }
+}
+
+/**
+ * Provider settings from trust_algorithm_config ('threat_intel_providers'); providers missing from
+ * it run with the defaults
+ */
+export async function loadThreatIntelSettings(supabase: any): Promise<Record<string, ProviderSettings>> {
+    try {
+        const { data, error } = await supabase.rpc('get_trust_config', { config_key: 'threat_intel_providers' })
+        if (error) {
+            throw new Error(error.message)
+        }
+        return data && typeof data === 'object' ? data : {}
+    } catch (error) {
+        console.warn('Using default threat-intel provider settings:', error.message)
+        return {}
+    }
+}
+
+export class ThreatIntelRegistry {
+    private providers: ThreatIntelProvider[]
+    private settings: Record<string, ProviderSettings>
+    private fixtures: ThreatIntelFixtures | null
+
+    constructor(
+        providers: ThreatIntelProvider[],
+        settings: Record<string, ProviderSettings> = {},
+        fixtures: ThreatIntelFixtures | null = getThreatIntelFixtures()
+    ) {
+        this.providers = providers
+        this.settings = settings
+        this.fixtures = fixtures
+    }
+
+    getSettings(provider: ThreatIntelProvider): ProviderSettings {
+        return { ...DEFAULT_SETTINGS, ...(this.settings[provider.id] || {}) }
+    }
+
+    /**
+     * Enabled providers that can run here: configured with an API key, or answered from fixtures
+     */
+    getActiveProviders(): ThreatIntelProvider[] {
+        return this.providers.filter(provider =>
+            this.getSettings(provider).enabled && (this.fixtures ? provider.id in this.fixtures : provider.isConfigured()))
+    }
+
+    /**
+     * Run one provider within its rate limit and timeout. Never throws: failures are 'unknown' verdicts.
+     */
+    async runProvider(provider: ThreatIntelProvider, domain: string): Promise<ThreatVerdict> {
+        const settings = this.getSettings(provider)
+        const timeoutMs = settings.timeout_ms ?? provider.timeoutMs
+        const verdict = (result: ProviderResult, error: string | null = null): ThreatVerdict => ({
+            provider: provider.id,
+            status: result.status,
+            category: result.category ?? null,
+            threat_score: result.status === 'suspicious' || result.status === 'malicious' ? (result.threat_score ?? 0) : 0,
+            facts: result.facts ?? null,
+            error,
+            checked_at: new Date().toISOString()
+        })
+
+        if (!takeRateLimitSlot(provider.id, settings.rate_limit_per_minute ?? provider.rateLimitPerMinute)) {
+            return verdict({ status: 'unknown' }, 'Rate limit reached')
+        }
+
+        const controller = new AbortController()
+        const timeoutId = setTimeout(() => controller.abort(), timeoutMs)
+        const context: ProviderContext = {
+            fetch: this.fixtures ? createFixtureFetch(this.fixtures[provider.id]?.[domain]) : fetch,
+            signal: controller.signal
+        }
+
+        try {
+            return verdict(await provider.check(domain, context))
+        } catch (error) {
+            const message = controller.signal.aborted ? `Timed out after ${timeoutMs} ms` : error.message
+            console.error(`${provider.id} check failed for ${domain}:`, message)
+            return verdict({ status: 'unknown' }, message)
+        } finally {
+            clearTimeout(timeoutId)
+        }
+    }
+
+    /**
+     * All active providers' verdicts for a domain and the combined threat score: the weighted
+     * average of the providers that answered
+     */
+    async checkDomain(domain: string): Promise<ThreatIntelReport> {
+        const providers = this.getActiveProviders()
+        const results = await Promise.all(providers.map(provider => this.runProvider(provider, domain)))
+
+        const verdicts: Record<string, ThreatVerdict> = {}
+        let weightedScore = 0
+        let totalWeight = 0
+        results.forEach((verdict, index) => {
+            verdicts[verdict.provider] = verdict
+            const weight = this.getSettings(providers[index]).weight
+            if (verdict.status !== 'unknown' && weight > 0) {
+                weightedScore += verdict.threat_score * weight
+                totalWeight += weight
+            }
+        })
+
+        return {
+            verdicts,
+            threat_score: totalWeight > 0 ? Math.round(weightedScore / totalWeight) : 0
+        }
+    }
+}
@@ -0,0 +1,337 @@
+// Shared canonical URL normalization for edge functions
+// Every URL is canonicalized before generateUrlHash so that trivially different
+// spellings of the same page (www., tracking params, fragments...) share one url_stats row.
+// Keep in sync with extension/url-canonicalizer.js
+
+import { PUBLIC_SUFFIX_RULES } from './public-suffix-list.ts'
+
+// Query parameters that never identify content. Entries ending in '*' are prefixes.
+export const DEFAULT_TRACKING_PARAMS = [
+    'utm_*',
+    'fbclid',
+    'gclid',
+    'dclid',
+    'gbraid',
+    'wbraid',
+    'msclkid',
+    'yclid',
+    'twclid',
+    'igshid',
+    'mc_cid',
+    'mc_eid',
+    '_ga',
+    '_gl',
+    '_hsenc',
+    '_hsmi',
+    'mkt_tok',
+    'oly_anon_id',
+    'oly_enc_id',
+    'vero_id',
+    'ref_src'
+]
+
+// Per-domain rule from content_type_rules. Only rules that change canonicalization are loaded.
+export interface CanonicalizationRule {
+    domain: string
+    match_scope: 'host' | 'registrable_domain'  // registrable_domain = the domain and all of its subdomains
+    url_pattern: string | null
+    content_query_keys: string[] | null   // Only these query keys identify content (null = all non-tracking keys)
+    path_case_sensitive: boolean           // false = lowercase the path
+    collapse_to_domain: boolean            // true = every URL on the domain is the same page
+    priority: number                       // Lowest wins when several rules match
+}
+
+export interface CanonicalizeOptions {
+    trackingParams?: string[]
+    domainRules?: CanonicalizationRule[]
+}
+
+const DEFAULT_PORTS: Record<string, string> = {
+    'http:': '80',
+    'https:': '443'
+}
+
+const OPTIONS_CACHE_DURATION_MS = 5 * 60 * 1000
+let cachedOptions: CanonicalizeOptions | null = null
+let cachedOptionsAt = 0
+let suffixRules: Set<string> | null = null
+
+/**
+ * Normalize a hostname: lowercase, no trailing dot, no leading www.
+ */
+export function canonicalizeHost(hostname: string): string {
+    return hostname
+        .toLowerCase()
+        .replace(/\.$/, '')
+        .replace(/^www\./, '')
+}
+
+function splitHost(host: string): string[] | null {
+    const normalized = canonicalizeHost(host || '')
+    if (!normalized || /^[\d.]+$/.test(normalized) || normalized.includes(':') || normalized.includes('[')) {
+        return null
+    }
+    const labels = normalized.split('.')
+    return labels.every(Boolean) ? labels : null
+}
+
+/**
+ * Public suffix of a host by the bundled Public Suffix List: the longest matching rule, where an
+ * exception rule ('!www.ck') wins over its wildcard ('*.ck') and unlisted TLDs count as suffixes.
+ * Null for IP addresses and malformed hosts.
+ */
+export function getPublicSuffix(host: string): string | null {
+    const labels = splitHost(host)
+    if (!labels) {
+        return null
+    }
+
+    if (!suffixRules) {
+        suffixRules = new Set(PUBLIC_SUFFIX_RULES.split('\n').filter(Boolean))
+    }
+
+    for (let i = 0; i < labels.length; i++) {
+        const candidate = labels.slice(i).join('.')
+        if (suffixRules.has(`!${candidate}`)) {
+            return labels.slice(i + 1).join('.')
+        }
+        if (suffixRules.has(candidate)
+            || (i + 1 < labels.length && suffixRules.has(`*.${labels.slice(i + 1).join('.')}`))) {
+            return candidate
+        }
+    }
+    return labels[labels.length - 1]
+}
+
+/**
+ * Registrable domain (eTLD+1) of a host, e.g. news.bbc.co.uk -> bbc.co.uk. Null when the host is
+ * itself a public suffix, an IP address or malformed; callers usually fall back to the host.
+ */
+export function getRegistrableDomain(host: string): string | null {
+    const labels = splitHost(host)
+    const suffix = labels && getPublicSuffix(labels.join('.'))
+    if (!labels || !suffix) {
+        return null
+    }
+
+    const suffixLabels = suffix.split('.').length
+    return labels.length > suffixLabels ? labels.slice(-(suffixLabels + 1)).join('.') : null
+}
+
+/**
+ * Whether a query key matches the tracking list (exact or 'prefix*' entries)
+ */
+export function isTrackingParam(key: string, trackingParams: string[] = DEFAULT_TRACKING_PARAMS): boolean {
+    const lowerKey = key.toLowerCase()
+    return trackingParams.some(pattern => {
+        const lowerPattern = pattern.toLowerCase()
+        return lowerPattern.endsWith('*')
+            ? lowerKey.startsWith(lowerPattern.slice(0, -1))
+            : lowerKey === lowerPattern
+    })
+}
+
+/**
+ * Why a url_pattern can't be used as a rule, or null when it can. Patterns run as JavaScript RegExp
+ * here and in the extension but as PostgreSQL regexes in canonicalize_url() and
+ * determine_content_type(), so only syntax both engines read the same way is allowed: literals,
+ * escaped punctuation, \d \w \s (and negations), . [] [^] ^ $ | ( ) (?: ) and * + ? {n,m}.
+ * \b, for one, is a word boundary in JavaScript but a backspace in PostgreSQL.
+ */
+export function checkUrlPatternSyntax(pattern: string): string | null {
+    let inBracket = false
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i]
+        if (char === '\\') {
+            const next = pattern[i + 1]
+            if (next === undefined) {
+                return 'ends with a lone backslash'
+            }
+            if (/[A-Za-z0-9]/.test(next) && !'dDwWsS'.includes(next)) {
+                return `\\${next} is not read the same way by JavaScript and PostgreSQL; use \\d, \\w, \\s or escaped punctuation`
+            }
+            if (inBracket && 'DWS'.includes(next)) {
+                return `\\${next} is not allowed inside brackets in PostgreSQL`
+            }
+            i++
+        } else if (inBracket) {
+            if (char === '[' && ':=.'.includes(pattern[i + 1])) {
+                return 'POSIX bracket classes like [[:alpha:]] only exist in PostgreSQL'
+            }
+            if (char === ']') {
+                inBracket = false
+            }
+        } else if (char === '[') {
+            inBracket = true
+            if (pattern[i + 1] === '^') i++
+            if (pattern[i + 1] === ']') {
+                return 'escape a leading ] inside brackets as \\]'
+            }
+        } else if (char === '(' && pattern[i + 1] === '?' && pattern[i + 2] !== ':') {
+            return 'only (?: ) groups are supported; lookarounds and inline options differ between engines'
+        } else if (char === '{') {
+            if (!/^\{\d+(,\d*)?\}/.test(pattern.slice(i))) {
+                return 'a literal { must be escaped as \\{'
+            }
+        } else if (char === '}') {
+            if (!/\{\d+(,\d*)?\}$/.test(pattern.slice(0, i + 1))) {
+                return 'a literal } must be escaped as \\}'
+            }
+        }
+    }
+    if (inBracket) {
+        return 'unterminated [ bracket'
+    }
+
+    try {
+        new RegExp(pattern)
+    } catch {
+        return 'not a valid regular expression'
+    }
+    return null
+}
+
+/**
+ * First rule for this host whose url_pattern matches the URL (rules arrive in priority order, the
+ * same order determine_content_type uses).
+ * The pattern is tested against the URL as given, like the SQL side does.
+ */
+export function findCanonicalizationRule(
+    url: string,
+    host: string,
+    rules: CanonicalizationRule[] = []
+): CanonicalizationRule | null {
+    let registrableDomain: string | null | undefined
+    for (const rule of rules) {
+        if (rule.match_scope === 'registrable_domain') {
+            if (registrableDomain === undefined) {
+                registrableDomain = getRegistrableDomain(host)
+            }
+            if (rule.domain !== registrableDomain) continue
+        } else if (rule.domain !== host) {
+            continue
+        }
+        if (!rule.url_pattern) return rule
+        try {
+            if (new RegExp(rule.url_pattern).test(url)) return rule
+        } catch {
+            // Invalid pattern - the rule can't match
+        }
+    }
+    return null
+}
+
+/**
+ * Canonical form of a URL:
+ * - lowercase host without www., default ports dropped
+ * - fragment and credentials dropped
+ * - tracking params removed, remaining query keys sorted
+ * - trailing slash removed (except for the root path)
+ * - per-domain rules: keep only content query keys, lowercase the path, or collapse to the domain
+ * Unparseable input is returned trimmed so callers can still hash it.
+ */
+export function canonicalizeUrl(url: string, options: CanonicalizeOptions = {}): string {
+    const trimmed = url.trim()
+    const trackingParams = options.trackingParams || DEFAULT_TRACKING_PARAMS
+
+    let parsed: URL
+    try {
+        parsed = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`)
+    } catch {
+        return trimmed
+    }
+
+    const protocol = parsed.protocol.toLowerCase()
+    const host = canonicalizeHost(parsed.hostname)
+    const port = parsed.port && parsed.port !== DEFAULT_PORTS[protocol] ? `:${parsed.port}` : ''
+    const rule = findCanonicalizationRule(trimmed, host, options.domainRules)
+
+    if (rule?.collapse_to_domain) {
+        return `${protocol}//${host}${port}/`
+    }
+
+    let path = parsed.pathname || '/'
+    if (path.length > 1) {
+        path = path.replace(/\/+$/, '') || '/'
+    }
+    if (rule && rule.path_case_sensitive === false) {
+        path = path.toLowerCase()
+    }
+
+    const contentKeys = rule?.content_query_keys ? rule.content_query_keys.map(key => key.toLowerCase()) : null
+
+    const params = Array.from(parsed.searchParams.entries())
+        .filter(([key]) => !isTrackingParam(key, trackingParams))
+        .filter(([key]) => !contentKeys || contentKeys.includes(key.toLowerCase()))
+        .sort(([keyA, valueA], [keyB, valueB]) => {
+            if (keyA !== keyB) return keyA < keyB ? -1 : 1
+            return valueA < valueB ? -1 : valueA > valueB ? 1 : 0
+        })
+
+    const query = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : ''
+
+    return `${protocol}//${host}${port}${path}${query}`
+}
+
+/**
+ * Active content_type_rules rows that change canonicalization, in determine_content_type order
+ * (priority, then oldest first).
+ */
+export async function loadCanonicalizationRules(supabase: any): Promise<CanonicalizationRule[]> {
+    const { data, error } = await supabase
+        .from('content_type_rules')
+        .select('domain, match_scope, url_pattern, content_query_keys, path_case_sensitive, collapse_to_domain, priority')
+        .eq('is_active', true)
+        .or('content_query_keys.not.is.null,path_case_sensitive.eq.false,collapse_to_domain.eq.true')
+        .order('priority')
+        .order('created_at')
+        .order('id')
+
+    if (error) {
+        throw new Error(error.message)
+    }
+
+    return data || []
+}
+
+/**
+ * Load canonicalization options from trust_algorithm_config ('url_canonicalization') and
+ * content_type_rules, cached for a few minutes per function instance. Falls back to the defaults.
+ */
+export async function getCanonicalizationOptions(supabase: any): Promise<CanonicalizeOptions> {
+    if (cachedOptions && (Date.now() - cachedOptionsAt) < OPTIONS_CACHE_DURATION_MS) {
+        return cachedOptions
+    }
+
+    try {
+        const { data, error } = await supabase.rpc('get_trust_config', { config_key: 'url_canonicalization' })
+        if (error) {
+            throw new Error(error.message)
+        }
+
+        const trackingParams = Array.isArray(data?.tracking_params) && data.tracking_params.length > 0
+            ? data.tracking_params.map(String)
+            : DEFAULT_TRACKING_PARAMS
+
+        const domainRules = await loadCanonicalizationRules(supabase)
+
+        cachedOptions = { trackingParams, domainRules }
+    } catch (error) {
+        console.warn('Using default URL canonicalization options:', error.message)
+        cachedOptions = { trackingParams: DEFAULT_TRACKING_PARAMS, domainRules: [] }
+    }
+
+    cachedOptionsAt = Date.now()
+    return cachedOptions
+}
+
+/**
+ * SHA-256 hex of a URL. Callers pass the canonical URL.
+ */
+export async function generateUrlHash(url: string): Promise<string> {
+    const encoder = new TextEncoder()
+    const data = encoder.encode(url)
+    const hashBuffer = await crypto.subtle.digest('SHA-256', data)
+    const hashArray = Array.from(new Uint8Array(hashBuffer))
+    return hashArray.map(b => b.toString(16).padStart(2, '0')).join('')
+}
@@ -0,0 +1,55 @@
+// URL structural signals sent with ratings (ratings.url_signals)
+// The extension's url-risk-analyzer.js scores the rated URL locally (IP host, user info before the
+// host, open redirects, heavy encoding...) and submits the signal set as urlSignals with POST /rating.
+// Stored per rating so the url_signal_outcomes view can show how often each signal comes with
+// spam, misleading or scam reports. Keep the ids in sync with URL_SIGNALS in the extension.
+
+import { ValidationError } from './routing.ts'
+
+export const KNOWN_URL_SIGNALS = [
+    'non-web-scheme',
+    'credentials',
+    'ip-host',
+    'open-redirect',
+    'deep-subdomains',
+    'high-entropy-path',
+    'heavy-encoding',
+    'long-url',
+    'non-standard-port'
+]
+
+export interface UrlSignalSet {
+    version: number
+    score: number
+    signals: string[]
+}
+
+/**
+ * Validate the optional urlSignals field of a rating. Missing means null (older clients);
+ * unknown signal ids from newer clients are dropped rather than rejected.
+ */
+export function validateUrlSignals(value: unknown): UrlSignalSet | null {
+    if (value === undefined || value === null) {
+        return null
+    }
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        throw new ValidationError('urlSignals must be an object')
+    }
+
+    const { version, score, signals } = value as Record<string, unknown>
+    if (!Number.isInteger(version) || (version as number) < 1) {
+        throw new ValidationError('urlSignals.version must be a positive integer')
+    }
+    if (typeof score !== 'number' || !Number.isFinite(score) || score < 0 || score > 100) {
+        throw new ValidationError('urlSignals.score must be between 0 and 100')
+    }
+    if (!Array.isArray(signals) || signals.some(signal => typeof signal !== 'string')) {
+        throw new ValidationError('urlSignals.signals must be an array of strings')
+    }
+
+    return {
+        version: version as number,
+        score: Math.round(score),
+        signals: [...new Set(signals.filter(signal => KNOWN_URL_SIGNALS.includes(signal)))]
+    }
+}
@@ -12,12 +12,13 @@ import {
   parseJsonBody,
   ValidationError
 } from '../_shared/routing.ts'
+import { canonicalizeHost } from '../_shared/url-canonicalizer.ts'
+import { performDomainAnalysis } from '../_shared/domain-analysis.ts'
+import { ThreatIntelRegistry, loadThreatIntelSettings } from '../_shared/threat-intel.ts'
+import { THREAT_INTEL_PROVIDERS } from '../_shared/threat-intel-providers.ts'
 
 const supabaseUrl = Deno.env.get('SUPABASE_URL')!
 const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
-const googleApiKey = Deno.env.get('GOOGLE_SAFE_BROWSING_API_KEY')
-const hybridApiKey = Deno.env.get('HYBRID_ANALYSIS_API_KEY')
-const whoisApiKey = Deno.env.get('WHOIS_XML_API_KEY')
 
 // Route configuration
 const ROUTES: RouteConfig[] = [
@@ -79,8 +80,8 @@ async function handleBatchDomainAnalysis(req: Request, route: RouteConfig, reque
   let domainsToAnalyze: any[] = []
 
   if (domains && Array.isArray(domains)) {
-    // Specific domains provided
-    domainsToAnalyze = domains.map(domain => ({ domain }))
+    // Specific domains provided - normalize the same way url_stats.domain is derived
+    domainsToAnalyze = domains.map(domain => ({ domain: canonicalizeHost(String(domain)) }))
   } else {
     // Get domains that need analysis (no cache or expired cache)
     const { data: fetchedDomains, error: domainsError } = await supabase
@@ -142,13 +143,16 @@ async function handleBatchDomainAnalysis(req: Request, route: RouteConfig, reque
     )
   }
 
+  // One registry for the batch, so provider settings are read once
+  const registry = new ThreatIntelRegistry(THREAT_INTEL_PROVIDERS, await loadThreatIntelSettings(supabase))
+
   // Analyze domains in parallel (with concurrency limit)
   const results = []
   const concurrencyLimit = priority === 'high' ? 5 : 3 // Higher concurrency for high priority
 
   for (let i = 0; i < domainsNeedingAnalysis.length; i += concurrencyLimit) {
     const batch = domainsNeedingAnalysis.slice(i, i + concurrencyLimit)
-    const batchPromises = batch.map(domain => analyzeSingleDomain(domain, supabase))
+    const batchPromises = batch.map(domain => analyzeSingleDomain(domain, supabase, registry))
     const batchResults = await Promise.allSettled(batchPromises)
 
     results.push(...batchResults.map((result, index) => ({
@@ -189,12 +193,11 @@ async function handleBatchDomainAnalysis(req: Request, route: RouteConfig, reque
   )
 }
 
-async function analyzeSingleDomain(domain: string, supabase: any) {
+async function analyzeSingleDomain(domain: string, supabase: any, registry: ThreatIntelRegistry) {
   try {
     console.log('Starting domain analysis for:', domain)
 
-    // Perform domain analysis directly (copied from rating-api)
-    const analysis = await performDomainAnalysis(domain)
+    const analysis = await performDomainAnalysis(supabase, domain, registry)
 
     // Store in cache using safe upsert function
     const { data: upsertResult, error: upsertError } = await supabase
@@ -218,360 +221,21 @@ async function analyzeSingleDomain(domain: string, supabase: any) {
       console.warn(`Domain cache upsert returned false for ${domain}`)
     }
 
-    console.log(`Successfully analyzed and cached domain: ${domain}`)
-    return analysis
-
-  } catch (error) {
-    console.error(`Error analyzing domain ${domain}:`, error)
-    throw error
-  }
-}
-
-// Domain analysis functions (copied from rating-api)
-async function performDomainAnalysis(domain: string) {
-  console.log('Starting domain analysis for:', domain)
-
-  const result: any = { domain }
-
-  try {
-    // 1. HTTP Status and SSL Check
-    await checkHttpAndSsl(domain, result)
-
-    // 2. Domain Age and WHOIS Data
-    await getDomainAgeAndWhois(domain, result)
-
-    // 3. Google Safe Browsing
-    if (googleApiKey) {
-      await checkGoogleSafeBrowsing(domain, result)
-    } else {
-      result.googleSafeBrowsingStatus = getHeuristicSafeBrowsing(domain)
-    }
+    // Per-provider verdicts, which the trust score reads (not covered by the safe upsert)
+    const { error: verdictsError } = await supabase
+      .from('domain_cache')
+      .update({ threat_verdicts: analysis.threatVerdicts })
+      .eq('domain', domain)
 
-    // 4. Hybrid Analysis
-    if (hybridApiKey) {
-      await checkHybridAnalysis(domain, result)
-    } else {
-      result.hybridAnalysisStatus = 'clean'
+    if (verdictsError) {
+      console.error(`Error storing threat verdicts for ${domain}:`, verdictsError.message)
     }
 
-    // 5. Calculate threat score
-    result.threatScore = calculateThreatScore(result)
-
-    console.log('Domain analysis complete for:', domain)
-
-  } catch (error) {
-    console.error('Domain analysis error for', domain, ':', error)
-    result.error = error.message
-  }
-
-  return result
-}
-
-async function checkHttpAndSsl(domain: string, result: any) {
-  try {
-    const controller = new AbortController()
-    const timeoutId = setTimeout(() => controller.abort(), 10000)
-
-    const response = await fetch(`https://${domain}`, {
-      method: 'HEAD',
-      signal: controller.signal,
-      redirect: 'follow'
-    })
-
-    clearTimeout(timeoutId)
-
-    result.httpStatus = response.status
-    result.sslValid = response.url.startsWith('https://')
-
-  } catch (error) {
-    try {
-      const response = await fetch(`http://${domain}`, {
-        method: 'HEAD',
-        redirect: 'follow'
-      })
-      result.httpStatus = response.status
-      result.sslValid = false
-    } catch (httpError) {
-      result.httpStatus = 0
-      result.sslValid = false
-    }
-  }
-}
-
-function getDomainAge(domain: string): number {
-  const wellKnownDomains: { [key: string]: number } = {
-    'google.com': 365 * 25, 'youtube.com': 365 * 18, 'facebook.com': 365 * 20,
-    'amazon.com': 365 * 28, 'apple.com': 365 * 30, 'microsoft.com': 365 * 35,
-    'twitter.com': 365 * 17, 'x.com': 365 * 17, 'instagram.com': 365 * 13,
-    'linkedin.com': 365 * 20, 'reddit.com': 365 * 18, 'github.com': 365 * 15,
-    'stackoverflow.com': 365 * 15, 'wikipedia.org': 365 * 22
-  }
-
-  if (wellKnownDomains[domain]) {
-    return wellKnownDomains[domain]
-  }
-
-  if (domain.endsWith('.edu') || domain.endsWith('.gov')) return 365 * 15
-  if (domain.endsWith('.org')) return 365 * 10
-  if (domain.match(/\.(tk|ml|ga|cf)$/)) return 365 * 1
-
-  return 365 * 3
-}
-
-async function checkGoogleSafeBrowsing(domain: string, result: any) {
-  try {
-    const response = await fetch(
-      `https://safebrowsing.googleapis.com/v4/threatMatches:find?key=${googleApiKey}`,
-      {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          client: {
-            clientId: 'url-rating-extension-batch',
-            clientVersion: '1.0.0'
-          },
-          threatInfo: {
-            threatTypes: ['MALWARE', 'SOCIAL_ENGINEERING', 'UNWANTED_SOFTWARE'],
-            platformTypes: ['ANY_PLATFORM'],
-            threatEntryTypes: ['URL'],
-            threatEntries: [
-              { url: `http://${domain}/` },
-              { url: `https://${domain}/` }
-            ]
-          }
-        })
-      }
-    )
-
-    const data = await response.json()
-
-    if (data.matches && data.matches.length > 0) {
-      const threatType = data.matches[0].threatType
-      switch (threatType) {
-        case 'MALWARE': result.googleSafeBrowsingStatus = 'malware'; break
-        case 'SOCIAL_ENGINEERING': result.googleSafeBrowsingStatus = 'phishing'; break
-        case 'UNWANTED_SOFTWARE': result.googleSafeBrowsingStatus = 'unwanted'; break
-        default: result.googleSafeBrowsingStatus = 'suspicious'
-      }
-    } else {
-      result.googleSafeBrowsingStatus = 'safe'
-    }
-
-  } catch (error) {
-    console.error('Google Safe Browsing check failed:', error)
-    result.googleSafeBrowsingStatus = 'unknown'
-  }
-}
-
-function getHeuristicSafeBrowsing(domain: string): string {
-  const trustedDomains = [
-    'google.com', 'youtube.com', 'facebook.com', 'twitter.com', 'x.com',
-    'instagram.com', 'linkedin.com', 'github.com', 'stackoverflow.com',
-    'wikipedia.org', 'reddit.com', 'amazon.com', 'apple.com', 'microsoft.com'
-  ]
-
-  if (trustedDomains.includes(domain)) return 'safe'
-  if (domain.match(/\.(tk|ml|ga|cf)$/)) return 'suspicious'
-
-  return 'safe'
-}
-
-async function checkHybridAnalysis(domain: string, result: any) {
-  try {
-    const response = await fetch(`https://www.hybrid-analysis.com/api/v2/search/terms`, {
-      method: 'POST',
-      headers: {
-        'api-key': hybridApiKey!,
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'User-Agent': 'URL Rating Extension Batch'
-      },
-      body: new URLSearchParams({
-        'domain': domain,
-        'country': 'all',
-        'verdict': 'all'
-      })
-    })
-
-    const data = await response.json()
-
-    if (data.result && data.result.length > 0) {
-      const maliciousReports = data.result.filter((report: any) =>
-        report.verdict === 'malicious' || report.threat_score >= 70
-      )
-
-      if (maliciousReports.length > 0) {
-        result.hybridAnalysisStatus = 'malicious'
-      } else {
-        result.hybridAnalysisStatus = 'clean'
-      }
-    } else {
-      result.hybridAnalysisStatus = 'clean'
-    }
-
-  } catch (error) {
-    console.error('Hybrid Analysis check failed:', error)
-    result.hybridAnalysisStatus = 'unknown'
-  }
-}
-
-function calculateThreatScore(result: any): number {
-  let threatScore = 0
-  let totalChecks = 0
-
-  if (result.googleSafeBrowsingStatus) {
-    totalChecks++
-    switch (result.googleSafeBrowsingStatus) {
-      case 'malware': threatScore += 60; break
-      case 'phishing': threatScore += 55; break
-      case 'unwanted': threatScore += 40; break
-      case 'safe': threatScore += 0; break
-    }
-  }
-
-  if (result.hybridAnalysisStatus) {
-    totalChecks++
-    switch (result.hybridAnalysisStatus) {
-      case 'malicious': threatScore += 40; break
-      case 'suspicious': threatScore += 25; break
-      case 'clean': threatScore += 0; break
-    }
-  }
-
-  return totalChecks > 0 ? Math.round(threatScore / totalChecks) : 0
-}
-
-// WHOIS lookup functions
-async function getDomainAgeAndWhois(domain: string, result: any) {
-  // Try real WHOIS lookup first if API key is available
-  if (whoisApiKey) {
-    try {
-      const whoisData = await performWhoisLookup(domain)
-      if (whoisData && whoisData.creationDate) {
-        // Calculate real domain age from creation date with safety checks
-        const creationDate = new Date(whoisData.creationDate)
-
-        // Validate the parsed date
-        if (isNaN(creationDate.getTime())) {
-          throw new Error(`Invalid creation date format: ${whoisData.creationDate}`)
-        }
-
-        const now = new Date()
-        const ageInDays = Math.floor((now.getTime() - creationDate.getTime()) / (1000 * 60 * 60 * 24))
-
-        // Sanity check: domain age should be positive and reasonable (not future, not older than internet)
-        if (ageInDays < 0) {
-          throw new Error(`Domain creation date is in the future: ${whoisData.creationDate}`)
-        }
-        if (ageInDays > 15000) { // ~41 years, older than the internet
-          throw new Error(`Domain age seems unrealistic: ${ageInDays} days (${whoisData.creationDate})`)
-        }
-
-        // Store the WHOIS-derived age in domainAge (this goes to domain_age_days column)
-        result.domainAge = ageInDays
-
-        // Store complete WHOIS data with the same age for consistency
-        result.whoisData = JSON.stringify({
-          domain: domain,
-          method: 'whois_api',
-          creation_date: whoisData.creationDate,
-          registrar: whoisData.registrar || 'unknown',
-          expiry_date: whoisData.expiryDate || null,
-          actual_age_days: ageInDays, // Same value as domainAge for consistency
-          analysis_date: new Date().toISOString(),
-          raw_whois: whoisData
-        })
-
-        console.log(`Real WHOIS data retrieved for ${domain}: ${ageInDays} days old (stored in both domain_age_days and whois_data)`)
-        return
-      }
-    } catch (error) {
-      console.warn(`WHOIS lookup failed for ${domain}, falling back to heuristic:`, error.message)
-    }
-  }
-
-  // Fallback to heuristic method
-  const heuristicAge = getDomainAge(domain)
-  result.domainAge = heuristicAge
-
-  // Store heuristic data with clear indication of method
-  result.whoisData = JSON.stringify({
-    domain: domain,
-    method: 'heuristic',
-    estimated_age_days: heuristicAge, // Same value as domainAge for consistency
-    analysis_date: new Date().toISOString(),
-    note: 'Domain age calculated using heuristic method (WHOIS API not available or failed)'
-  })
-
-  console.log(`Heuristic domain age for ${domain}: ${heuristicAge} days (stored in both domain_age_days and whois_data)`)
-}
-
-async function performWhoisLookup(domain: string) {
-  try {
-    const response = await fetch(`https://www.whoisxmlapi.com/whoisserver/WhoisService?apiKey=${whoisApiKey}&domainName=${domain}&outputFormat=JSON`, {
-      method: 'GET',
-      headers: {
-        'User-Agent': 'URL-Rating-Extension/1.0'
-      }
-    })
-
-    if (!response.ok) {
-      throw new Error(`WHOIS API returned ${response.status}`)
-    }
-
-    const data = await response.json()
-
-    if (data.WhoisRecord) {
-      const record = data.WhoisRecord
-
-      // Try multiple possible locations for creation date
-      let creationDate = null
-      let expiryDate = null
-      let registrar = null
-
-      // Primary: Direct from WhoisRecord (as shown in your example)
-      if (record.createdDate) {
-        creationDate = record.createdDate
-      }
-      // Fallback: From registryData (previous format)
-      else if (record.registryData && record.registryData.createdDate) {
-        creationDate = record.registryData.createdDate
-      }
-      // Additional fallback: Normalized dates
-      else if (record.registryData && record.registryData.createdDateNormalized) {
-        creationDate = record.registryData.createdDateNormalized
-      }
-
-      // Same logic for expiry date
-      if (record.expiresDate) {
-        expiryDate = record.expiresDate
-      } else if (record.registryData && record.registryData.expiresDate) {
-        expiryDate = record.registryData.expiresDate
-      } else if (record.registryData && record.registryData.expiresDateNormalized) {
-        expiryDate = record.registryData.expiresDateNormalized
-      }
-
-      // Registrar info
-      if (record.registrarName) {
-        registrar = record.registrarName
-      } else if (record.registryData && record.registryData.registrarName) {
-        registrar = record.registryData.registrarName
-      }
-
-      // Only return data if we found a creation date
-      if (creationDate) {
-        return {
-          creationDate,
-          expiryDate,
-          registrar,
-          status: record.registryData?.status || record.status,
-          nameServers: record.registryData?.nameServers || record.nameServers
-        }
-      }
-    }
+    console.log(`Successfully analyzed and cached domain: ${domain}`)
+    return analysis
 
-    return null
   } catch (error) {
-    console.error(`WHOIS lookup error for ${domain}:`, error)
+    console.error(`Error analyzing domain ${domain}:`, error)
     throw error
   }
 }
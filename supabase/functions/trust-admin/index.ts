@@ -1,14 +1,28 @@
 // Trust Algorithm Administration API
-// Manages blacklists, configuration, and manual domain analysis
+// Manages blacklists and blacklist feeds, configuration, domain baselines, moderation queues, and manual domain analysis
 
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
 import { corsHeaders } from '../_shared/cors.ts'
+import { canonicalizeHost, getRegistrableDomain, checkUrlPatternSyntax } from '../_shared/url-canonicalizer.ts'
+import { parseDomainBaselineList, normalizeBaselineDomain, DomainListFormat } from '../_shared/domain-baselines.ts'
+import { performDomainAnalysis } from '../_shared/domain-analysis.ts'
+import { ThreatIntelRegistry, loadThreatIntelSettings, getThreatIntelFixtures } from '../_shared/threat-intel.ts'
+import { THREAT_INTEL_PROVIDERS } from '../_shared/threat-intel-providers.ts'
+import {
+  BlacklistFeed,
+  ParsedFeed,
+  BLACKLIST_FEED_FORMATS,
+  BLACKLIST_TYPES,
+  parseBlacklistFeed,
+  mapFeedEntries,
+  getFeedVersion,
+  downloadBlacklistFeed,
+  validateCategoryMap
+} from '../_shared/blacklist-feeds.ts'
 
 const supabaseUrl = Deno.env.get('SUPABASE_URL')!
 const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
-const googleApiKey = Deno.env.get('GOOGLE_SAFE_BROWSING_API_KEY')
-const hybridApiKey = Deno.env.get('HYBRID_ANALYSIS_API_KEY')
 
 serve(async (req) => {
   if (req.method === 'OPTIONS') {
@@ -40,128 +54,1350 @@ serve(async (req) => {
       case req.method === 'POST' && path === '/blacklist':
         return await handleAddBlacklist(req, supabase)
 
+      case req.method === 'POST' && path === '/blacklist/import':
+        return await handleImportBlacklistFeed(req, supabase)
+
+      case req.method === 'GET' && path === '/blacklist/feeds':
+        return await handleGetBlacklistFeeds(req, supabase)
+
+      case req.method === 'POST' && path === '/blacklist/feeds/refresh':
+        return await handleRefreshBlacklistFeeds(req, supabase)
+
+      case req.method === 'PUT' && path.startsWith('/blacklist/feeds/'):
+        return await handleUpsertBlacklistFeed(req, supabase, path)
+
       case req.method === 'DELETE' && path.startsWith('/blacklist/'):
         return await handleDeleteBlacklist(req, supabase, path)
 
-      case req.method === 'GET' && path === '/config':
-        return await handleGetConfig(req, supabase)
+      case req.method === 'GET' && path === '/canonical-rules':
+        return await handleGetCanonicalRules(req, supabase)
+
+      case req.method === 'POST' && path === '/canonical-rules':
+        return await handleAddCanonicalRule(req, supabase)
+
+      case req.method === 'POST' && path === '/canonical-rules/merge':
+        return await handleMergeCanonicalUrls(req, supabase)
+
+      case req.method === 'PUT' && path.startsWith('/canonical-rules/'):
+        return await handleUpdateCanonicalRule(req, supabase, path)
+
+      case req.method === 'GET' && path === '/reviews':
+        return await handleGetReviews(req, supabase)
+
+      case req.method === 'PUT' && path.startsWith('/reviews/'):
+        return await handleModerateReview(req, supabase, path)
+
+      case req.method === 'GET' && path === '/disputes':
+        return await handleGetDisputes(req, supabase)
+
+      case req.method === 'PUT' && path.startsWith('/disputes/'):
+        return await handleUpdateDispute(req, supabase, path)
+
+      case req.method === 'GET' && path === '/domain-claims':
+        return await handleGetDomainClaims(req, supabase)
+
+      case req.method === 'DELETE' && path.startsWith('/domain-claims/'):
+        return await handleRevokeDomainClaim(req, supabase, path)
+
+      case req.method === 'GET' && path === '/quarantine':
+        return await handleGetQuarantineEvents(req, supabase)
+
+      case req.method === 'GET' && path.startsWith('/quarantine/'):
+        return await handleGetQuarantineEvent(req, supabase, path)
+
+      case req.method === 'PUT' && path.startsWith('/quarantine/'):
+        return await handleReviewQuarantineEvent(req, supabase, path)
+
+      case req.method === 'GET' && path === '/domain-baselines':
+        return await handleGetDomainBaselines(req, supabase)
+
+      case req.method === 'POST' && path === '/domain-baselines/import':
+        return await handleImportDomainBaselines(req, supabase)
+
+      case req.method === 'PUT' && path.startsWith('/domain-baselines/'):
+        return await handleUpsertDomainBaseline(req, supabase, path)
+
+      case req.method === 'DELETE' && path.startsWith('/domain-baselines/'):
+        return await handleDeleteDomainBaseline(req, supabase, path)
+
+      case req.method === 'GET' && path === '/url-signals':
+        return await handleGetUrlSignalOutcomes(req, supabase)
+
+      case req.method === 'GET' && path === '/config':
+        return await handleGetConfig(req, supabase)
+
+      case req.method === 'POST' && path === '/config':
+        return await handleUpdateConfig(req, supabase)
+
+      case req.method === 'POST' && path === '/recalculate':
+        return await handleRecalculate(req, supabase)
+
+      case req.method === 'GET' && path === '/analytics':
+        return await handleGetAnalytics(req, supabase)
+
+      case req.method === 'GET' && path === '/threat-intel':
+        return await handleGetThreatIntelProviders(req, supabase)
+
+      case req.method === 'POST' && path === '/analyze-domain':
+        return await handleAnalyzeDomain(req, supabase)
+
+      default:
+        return new Response(
+          JSON.stringify({ error: 'Endpoint not found' }),
+          { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+        )
+    }
+
+  } catch (error) {
+    console.error('Trust admin error:', error)
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+})
+
+async function handleGetBlacklist(req: Request, supabase: any) {
+  const url = new URL(req.url)
+  const limit = parseInt(url.searchParams.get('limit') || '50')
+  const offset = parseInt(url.searchParams.get('offset') || '0')
+  const type = url.searchParams.get('type')
+  const source = url.searchParams.get('source')
+
+  let query = supabase
+    .from('domain_blacklist')
+    .select('*')
+    .eq('is_active', true)
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1)
+
+  if (type) {
+    query = query.eq('blacklist_type', type)
+  }
+  if (source) {
+    query = query.eq('source', source)
+  }
+
+  const { data, error } = await query
+
+  if (error) {
+    throw new Error(`Error fetching blacklist: ${error.message}`)
+  }
+
+  return new Response(
+    JSON.stringify({ data, count: data?.length || 0 }),
+    { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+const MATCH_SCOPES = ['host', 'registrable_domain']
+
+// match_scope 'registrable_domain' entries name a registrable domain (bbc.co.uk, not news.bbc.co.uk)
+function validateMatchScope(domain: string, matchScope: unknown): string | null {
+  if (matchScope === undefined || matchScope === 'host') {
+    return null
+  }
+  if (!MATCH_SCOPES.includes(matchScope as string)) {
+    return `match_scope must be one of: ${MATCH_SCOPES.join(', ')}`
+  }
+  const registrableDomain = getRegistrableDomain(domain)
+  if (registrableDomain !== domain) {
+    return registrableDomain
+      ? `${domain} is not a registrable domain (use ${registrableDomain})`
+      : `${domain} is a public suffix, not a registrable domain`
+  }
+  return null
+}
+
+async function handleAddBlacklist(req: Request, supabase: any) {
+  const { domain_pattern, blacklist_type, severity, description, match_scope } = await req.json()
+
+  if (!domain_pattern || !blacklist_type || !severity) {
+    return new Response(
+      JSON.stringify({ error: 'domain_pattern, blacklist_type, and severity are required' }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  if (severity < 1 || severity > 10) {
+    return new Response(
+      JSON.stringify({ error: 'Severity must be between 1 and 10' }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  const scopeError = match_scope === 'registrable_domain' && domain_pattern.startsWith('*.')
+    ? 'Wildcard patterns only apply to match_scope host'
+    : validateMatchScope(canonicalizeHost(domain_pattern), match_scope)
+  if (scopeError) {
+    return new Response(
+      JSON.stringify({ error: scopeError }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  const { data, error } = await supabase
+    .from('domain_blacklist')
+    .insert({
+      domain_pattern: match_scope === 'registrable_domain' ? canonicalizeHost(domain_pattern) : domain_pattern,
+      match_scope: match_scope || 'host',
+      blacklist_type,
+      severity,
+      description,
+      source: 'manual'
+    })
+    .select()
+
+  if (error) {
+    throw new Error(`Error adding blacklist entry: ${error.message}`)
+  }
+
+  return new Response(
+    JSON.stringify({ message: 'Blacklist entry added successfully', data }),
+    { status: 201, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+async function handleDeleteBlacklist(req: Request, supabase: any, path: string) {
+  const id = path.split('/').pop()
+
+  if (!id) {
+    return new Response(
+      JSON.stringify({ error: 'Blacklist ID required' }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  const { error } = await supabase
+    .from('domain_blacklist')
+    .update({ is_active: false })
+    .eq('id', id)
+
+  if (error) {
+    throw new Error(`Error deactivating blacklist entry: ${error.message}`)
+  }
+
+  return new Response(
+    JSON.stringify({ message: 'Blacklist entry deactivated successfully' }),
+    { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+const BLACKLIST_FEED_IMPORT_CHUNK = 1000
+const BLACKLIST_FEED_FIELDS = ['format', 'url', 'enabled', 'blacklist_type', 'severity', 'category_map', 'expire_after_hours', 'refresh_interval_hours']
+
+// Returns an error message for invalid feed settings, or null if they are usable
+function validateBlacklistFeedFields(body: any): string | null {
+  if (body.format !== undefined && !BLACKLIST_FEED_FORMATS.includes(body.format)) {
+    return `format must be one of: ${BLACKLIST_FEED_FORMATS.join(', ')}`
+  }
+
+  if (body.url !== undefined && body.url !== null) {
+    try {
+      if (!['http:', 'https:'].includes(new URL(body.url).protocol)) {
+        return 'url must be an http(s) URL or null'
+      }
+    } catch {
+      return 'url must be an http(s) URL or null'
+    }
+  }
+
+  if (body.enabled !== undefined && typeof body.enabled !== 'boolean') {
+    return 'enabled must be a boolean'
+  }
+
+  if (body.blacklist_type !== undefined && !BLACKLIST_TYPES.includes(body.blacklist_type)) {
+    return `blacklist_type must be one of: ${BLACKLIST_TYPES.join(', ')}`
+  }
+
+  if (body.severity !== undefined && (!Number.isInteger(body.severity) || body.severity < 1 || body.severity > 10)) {
+    return 'Severity must be an integer between 1 and 10'
+  }
+
+  if (body.category_map !== undefined) {
+    const categoryMapError = validateCategoryMap(body.category_map)
+    if (categoryMapError) {
+      return categoryMapError
+    }
+  }
+
+  if (body.expire_after_hours !== undefined && (!Number.isInteger(body.expire_after_hours) || body.expire_after_hours < 0)) {
+    return 'expire_after_hours must be a non-negative integer'
+  }
+
+  if (body.refresh_interval_hours !== undefined && (!Number.isInteger(body.refresh_interval_hours) || body.refresh_interval_hours < 1)) {
+    return 'refresh_interval_hours must be a positive integer'
+  }
+
+  return null
+}
+
+// Parse and import one feed file, logged in blacklist_feed_imports. Download, format and database
+// failures end the import as 'failed' (nothing expires); an empty feed counts as failed too, so a
+// truncated download cannot deactivate the whole feed. A file with the last import's version only
+// refreshes the feed's entries unless force is set.
+async function importBlacklistFeed(supabase: any, feed: BlacklistFeed, loadFeed: () => Promise<string>, force = false) {
+  let parsed: ParsedFeed | null = null
+  let version: string | null = null
+  let failure: string | null = null
+
+  try {
+    const text = await loadFeed()
+    parsed = parseBlacklistFeed(text, feed.format)
+    version = await getFeedVersion(text, parsed.version)
+  } catch (error) {
+    failure = error.message
+  }
+
+  const entries = parsed ? mapFeedEntries(feed, parsed.entries) : []
+
+  const { data: importId, error: startError } = await supabase.rpc('start_blacklist_feed_import', {
+    p_feed_id: feed.id,
+    p_feed_version: version,
+    p_parsed: entries.length,
+    p_invalid: parsed?.invalid ?? 0
+  })
+
+  if (startError) {
+    throw new Error(`Error starting ${feed.id} import: ${startError.message}`)
+  }
+
+  let status = 'completed'
+  if (failure) {
+    status = 'failed'
+  } else if (entries.length === 0) {
+    status = 'failed'
+    failure = 'No usable entries in the feed'
+  } else if (!force && version === feed.last_version) {
+    status = 'unchanged'
+  } else {
+    for (let i = 0; i < entries.length; i += BLACKLIST_FEED_IMPORT_CHUNK) {
+      const { error } = await supabase.rpc('import_blacklist_feed_entries', {
+        p_import_id: importId,
+        p_entries: entries.slice(i, i + BLACKLIST_FEED_IMPORT_CHUNK)
+      })
+
+      if (error) {
+        status = 'failed'
+        failure = `Error importing entries (after ${i}): ${error.message}`
+        break
+      }
+    }
+  }
+
+  const { data, error } = await supabase.rpc('finish_blacklist_feed_import', {
+    p_import_id: importId,
+    p_status: status,
+    p_error: failure
+  })
+
+  if (error) {
+    throw new Error(`Error finishing ${feed.id} import: ${error.message}`)
+  }
+
+  if (failure) {
+    console.error(`Blacklist feed ${feed.id} import failed:`, failure)
+  }
+
+  return { import: data, skipped: parsed?.skipped || [] }
+}
+
+async function getBlacklistFeed(supabase: any, id: string): Promise<BlacklistFeed | null> {
+  const { data, error } = await supabase
+    .from('blacklist_feeds')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(`Error fetching blacklist feed: ${error.message}`)
+  }
+  return data
+}
+
+// Import an uploaded feed file (raw body) for a configured feed: ?feed=<id>; ?force=true imports it
+// even when its version matches the last import
+async function handleImportBlacklistFeed(req: Request, supabase: any) {
+  const url = new URL(req.url)
+  const feedId = url.searchParams.get('feed')
+  const force = url.searchParams.get('force') === 'true'
+
+  if (!feedId) {
+    return new Response(
+      JSON.stringify({ error: 'feed parameter required (configure feeds with PUT /blacklist/feeds/<id>)' }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  const feed = await getBlacklistFeed(supabase, feedId)
+  if (!feed) {
+    return new Response(
+      JSON.stringify({ error: 'Blacklist feed not found' }),
+      { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  const text = await req.text()
+  if (!text.trim()) {
+    return new Response(
+      JSON.stringify({ error: 'Request body must contain the feed file' }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  const result = await importBlacklistFeed(supabase, feed, async () => text, force)
+
+  if (result.import.status === 'failed') {
+    return new Response(
+      JSON.stringify({ error: result.import.error, import: result.import, skipped: result.skipped }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  return new Response(
+    JSON.stringify({
+      message: result.import.status === 'unchanged'
+        ? 'Feed unchanged since the last import; entries refreshed'
+        : 'Blacklist feed imported successfully',
+      import: result.import,
+      skipped: result.skipped
+    }),
+    { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+// Download and import feeds with a url: every enabled feed whose refresh_interval_hours has passed
+// (the refresh-blacklist-feeds cron job), or { "feed": "<id>" } now whatever its schedule.
+// { "force": true } also re-imports unchanged files.
+async function handleRefreshBlacklistFeeds(req: Request, supabase: any) {
+  const { feed: feedId, force = false } = await req.json().catch(() => ({}))
+
+  let query = supabase
+    .from('blacklist_feeds')
+    .select('*')
+    .not('url', 'is', null)
+    .order('id')
+
+  query = feedId ? query.eq('id', feedId) : query.eq('enabled', true)
+
+  const { data: feeds, error } = await query
+
+  if (error) {
+    throw new Error(`Error fetching blacklist feeds: ${error.message}`)
+  }
+
+  if (feedId && (!feeds || feeds.length === 0)) {
+    return new Response(
+      JSON.stringify({ error: 'Blacklist feed not found or it has no url' }),
+      { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  const now = Date.now()
+  const due = (feeds as BlacklistFeed[]).filter(feed => feedId || force || !feed.last_imported_at ||
+    now - new Date(feed.last_imported_at).getTime() >= feed.refresh_interval_hours * 60 * 60 * 1000)
+
+  // One at a time: feeds can be tens of thousands of entries
+  const imports = []
+  for (const feed of due) {
+    const result = await importBlacklistFeed(supabase, feed, () => downloadBlacklistFeed(feed.url!), force)
+    imports.push(result.import)
+  }
+
+  return new Response(
+    JSON.stringify({
+      message: `Refreshed ${imports.length} blacklist feeds`,
+      imports,
+      not_due: (feeds || []).length - due.length
+    }),
+    { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+// Feeds with their active entry counts, and the latest imports (?limit=, default 20)
+async function handleGetBlacklistFeeds(req: Request, supabase: any) {
+  const url = new URL(req.url)
+  const limit = parseInt(url.searchParams.get('limit') || '20')
+
+  const { data: feeds, error } = await supabase
+    .from('blacklist_feeds')
+    .select('*')
+    .order('id')
+
+  if (error) {
+    throw new Error(`Error fetching blacklist feeds: ${error.message}`)
+  }
+
+  const { data: imports, error: importsError } = await supabase
+    .from('blacklist_feed_imports')
+    .select('*')
+    .order('started_at', { ascending: false })
+    .limit(limit)
+
+  if (importsError) {
+    throw new Error(`Error fetching blacklist feed imports: ${importsError.message}`)
+  }
+
+  const data = await Promise.all((feeds || []).map(async (feed: BlacklistFeed) => {
+    const { count } = await supabase
+      .from('domain_blacklist')
+      .select('id', { count: 'exact', head: true })
+      .eq('feed_id', feed.id)
+      .eq('is_active', true)
+    return { ...feed, active_entries: count ?? 0 }
+  }))
+
+  return new Response(
+    JSON.stringify({ data, count: data.length, recent_imports: imports }),
+    { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+// Create or update a feed, e.g. PUT /blacklist/feeds/stevenblack { "format": "hosts", "url": ... }.
+// format is required for a new feed; other fields keep their current values (or the defaults).
+async function handleUpsertBlacklistFeed(req: Request, supabase: any, path: string) {
+  const id = decodeURIComponent(path.split('/').pop() || '')
+
+  if (!/^[a-z0-9_-]+$/.test(id)) {
+    return new Response(
+      JSON.stringify({ error: 'Feed id must be lowercase letters, digits, - or _' }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  const body = await req.json()
+  const validationError = validateBlacklistFeedFields(body)
+  if (validationError) {
+    return new Response(
+      JSON.stringify({ error: validationError }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  const existing = await getBlacklistFeed(supabase, id)
+  if (!existing && !body.format) {
+    return new Response(
+      JSON.stringify({ error: 'format is required for a new feed' }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  const fields: Record<string, unknown> = { updated_at: new Date().toISOString() }
+  for (const field of BLACKLIST_FEED_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field]
+    }
+  }
+
+  const { data, error } = existing
+    ? await supabase.from('blacklist_feeds').update(fields).eq('id', id).select()
+    : await supabase.from('blacklist_feeds').insert({ id, ...fields }).select()
+
+  if (error) {
+    throw new Error(`Error saving blacklist feed: ${error.message}`)
+  }
+
+  return new Response(
+    JSON.stringify({ message: 'Blacklist feed saved successfully', data }),
+    { status: existing ? 200 : 201, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+const CANONICAL_RULE_COLUMNS = 'id, domain, match_scope, content_type, url_pattern, content_query_keys, path_case_sensitive, collapse_to_domain, priority, description, is_active, created_at'
+
+// Returns an error message for invalid canonicalization fields, or null if they are usable
+function validateCanonicalRuleFields(body: any): string | null {
+  if (body.url_pattern !== undefined && body.url_pattern !== null) {
+    if (typeof body.url_pattern !== 'string') {
+      return 'url_pattern must be a string or null'
+    }
+    // Matched by both JavaScript and PostgreSQL, so only syntax they agree on is accepted
+    const patternError = checkUrlPatternSyntax(body.url_pattern)
+    if (patternError) {
+      return `url_pattern: ${patternError}`
+    }
+  }
+
+  if (body.content_query_keys !== undefined && body.content_query_keys !== null) {
+    if (!Array.isArray(body.content_query_keys) ||
+        body.content_query_keys.some((key: unknown) => typeof key !== 'string' || key.trim() === '')) {
+      return 'content_query_keys must be an array of non-empty strings or null'
+    }
+  }
+
+  if (body.path_case_sensitive !== undefined && typeof body.path_case_sensitive !== 'boolean') {
+    return 'path_case_sensitive must be a boolean'
+  }
+
+  if (body.collapse_to_domain !== undefined && typeof body.collapse_to_domain !== 'boolean') {
+    return 'collapse_to_domain must be a boolean'
+  }
+
+  if (body.priority !== undefined && !Number.isInteger(body.priority)) {
+    return 'priority must be an integer'
+  }
+
+  return null
+}
+
+async function handleGetCanonicalRules(req: Request, supabase: any) {
+  const url = new URL(req.url)
+  const domain = url.searchParams.get('domain')
+
+  let query = supabase
+    .from('content_type_rules')
+    .select(CANONICAL_RULE_COLUMNS)
+    .order('domain')
+    .order('priority')
+    .order('created_at')
+    .order('id')
+
+  if (domain) {
+    query = query.eq('domain', canonicalizeHost(domain))
+  }
+
+  const { data, error } = await query
+
+  if (error) {
+    throw new Error(`Error fetching canonicalization rules: ${error.message}`)
+  }
+
+  return new Response(
+    JSON.stringify({ data, count: data?.length || 0 }),
+    { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+async function handleAddCanonicalRule(req: Request, supabase: any) {
+  const body = await req.json()
+
+  if (!body.domain) {
+    return new Response(
+      JSON.stringify({ error: 'domain is required' }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  const validationError = validateCanonicalRuleFields(body) || validateMatchScope(canonicalizeHost(body.domain), body.match_scope)
+  if (validationError) {
+    return new Response(
+      JSON.stringify({ error: validationError }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  const { data, error } = await supabase
+    .from('content_type_rules')
+    .insert({
+      domain: canonicalizeHost(body.domain),
+      match_scope: body.match_scope || 'host',
+      content_type: body.content_type || 'general',
+      url_pattern: body.url_pattern ?? null,
+      content_query_keys: body.content_query_keys ?? null,
+      path_case_sensitive: body.path_case_sensitive ?? true,
+      collapse_to_domain: body.collapse_to_domain ?? false,
+      priority: body.priority ?? 100,
+      description: body.description
+    })
+    .select(CANONICAL_RULE_COLUMNS)
+
+  if (error) {
+    throw new Error(`Error adding canonicalization rule: ${error.message}`)
+  }
+
+  return new Response(
+    JSON.stringify({ message: 'Canonicalization rule added successfully', data }),
+    { status: 201, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+async function handleUpdateCanonicalRule(req: Request, supabase: any, path: string) {
+  const id = path.split('/').pop()
+
+  if (!id) {
+    return new Response(
+      JSON.stringify({ error: 'Rule ID required' }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  const body = await req.json()
+  const validationError = validateCanonicalRuleFields(body)
+  if (validationError) {
+    return new Response(
+      JSON.stringify({ error: validationError }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  // Only the canonicalization fields (plus pattern, priority and activation) are editable here
+  const updates: Record<string, unknown> = {}
+  for (const field of ['url_pattern', 'content_query_keys', 'path_case_sensitive', 'collapse_to_domain', 'priority', 'is_active', 'description']) {
+    if (body[field] !== undefined) {
+      updates[field] = body[field]
+    }
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return new Response(
+      JSON.stringify({ error: 'No updatable fields provided' }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  const { data, error } = await supabase
+    .from('content_type_rules')
+    .update(updates)
+    .eq('id', id)
+    .select(CANONICAL_RULE_COLUMNS)
+
+  if (error) {
+    throw new Error(`Error updating canonicalization rule: ${error.message}`)
+  }
+
+  if (!data || data.length === 0) {
+    return new Response(
+      JSON.stringify({ error: 'Rule not found' }),
+      { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  return new Response(
+    JSON.stringify({ message: 'Canonicalization rule updated successfully', data }),
+    { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+// Rule changes alter url_hash for new requests; this folds existing rows into the new canonical form
+async function handleMergeCanonicalUrls(req: Request, supabase: any) {
+  const { data, error } = await supabase.rpc('merge_duplicate_url_stats')
+
+  if (error) {
+    throw new Error(`Error merging canonical URLs: ${error.message}`)
+  }
+
+  return new Response(
+    JSON.stringify({ message: data }),
+    { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+const REVIEW_COLUMNS = 'id, url_hash, url, domain, rating, comment, comment_hidden, comment_hidden_reason, comment_moderated_at, helpful_count, created_at, updated_at'
+
+async function handleGetReviews(req: Request, supabase: any) {
+  const url = new URL(req.url)
+  const limit = parseInt(url.searchParams.get('limit') || '50')
+  const offset = parseInt(url.searchParams.get('offset') || '0')
+  const status = url.searchParams.get('status') // 'visible' | 'hidden'
+  const domain = url.searchParams.get('domain')
+
+  let query = supabase
+    .from('ratings')
+    .select(REVIEW_COLUMNS)
+    .not('comment', 'is', null)
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1)
+
+  if (status === 'hidden' || status === 'visible') {
+    query = query.eq('comment_hidden', status === 'hidden')
+  }
+
+  if (domain) {
+    query = query.eq('domain', canonicalizeHost(domain))
+  }
+
+  const { data, error } = await query
+
+  if (error) {
+    throw new Error(`Error fetching reviews: ${error.message}`)
+  }
+
+  return new Response(
+    JSON.stringify({ data, count: data?.length || 0 }),
+    { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+// Hide or restore a review; the rating itself still counts towards the trust score
+async function handleModerateReview(req: Request, supabase: any, path: string) {
+  const id = path.split('/').pop()
+
+  if (!id) {
+    return new Response(
+      JSON.stringify({ error: 'Review ID required' }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  const { hidden, reason } = await req.json()
+
+  if (typeof hidden !== 'boolean') {
+    return new Response(
+      JSON.stringify({ error: 'hidden (boolean) is required' }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  const { data, error } = await supabase
+    .from('ratings')
+    .update({
+      comment_hidden: hidden,
+      comment_hidden_reason: hidden ? (reason || null) : null,
+      comment_moderated_at: new Date().toISOString()
+    })
+    .eq('id', id)
+    .not('comment', 'is', null)
+    .select(REVIEW_COLUMNS)
+
+  if (error) {
+    throw new Error(`Error moderating review: ${error.message}`)
+  }
+
+  if (!data || data.length === 0) {
+    return new Response(
+      JSON.stringify({ error: 'Review not found' }),
+      { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  return new Response(
+    JSON.stringify({ message: hidden ? 'Review hidden' : 'Review restored', data }),
+    { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+const DISPUTE_COLUMNS = 'id, claim_id, domain, url_hash, url, reason, details, contact_email, status, admin_notes, created_at, updated_at, resolved_at'
+const DISPUTE_STATUSES = ['open', 'under_review', 'upheld', 'rejected', 'withdrawn']
+const CLOSED_DISPUTE_STATUSES = ['upheld', 'rejected', 'withdrawn']
+
+async function handleGetDisputes(req: Request, supabase: any) {
+  const url = new URL(req.url)
+  const limit = parseInt(url.searchParams.get('limit') || '50')
+  const offset = parseInt(url.searchParams.get('offset') || '0')
+  const status = url.searchParams.get('status')
+  const domain = url.searchParams.get('domain')
+
+  // Oldest first, so the triage queue is worked in order
+  let query = supabase
+    .from('site_disputes')
+    .select(DISPUTE_COLUMNS)
+    .order('created_at', { ascending: true })
+    .range(offset, offset + limit - 1)
+
+  if (status) {
+    query = query.eq('status', status)
+  }
+
+  if (domain) {
+    query = query.eq('domain', canonicalizeHost(domain))
+  }
+
+  const { data, error } = await query
+
+  if (error) {
+    throw new Error(`Error fetching disputes: ${error.message}`)
+  }
+
+  return new Response(
+    JSON.stringify({ data, count: data?.length || 0 }),
+    { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+// Move a dispute through triage (open -> under_review -> upheld/rejected) and record notes
+async function handleUpdateDispute(req: Request, supabase: any, path: string) {
+  const id = path.split('/').pop()
+
+  if (!id) {
+    return new Response(
+      JSON.stringify({ error: 'Dispute ID required' }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  const { status, admin_notes } = await req.json()
+
+  if (status !== undefined && !DISPUTE_STATUSES.includes(status)) {
+    return new Response(
+      JSON.stringify({ error: `status must be one of: ${DISPUTE_STATUSES.join(', ')}` }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  if (status === undefined && admin_notes === undefined) {
+    return new Response(
+      JSON.stringify({ error: 'status or admin_notes is required' }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  const now = new Date().toISOString()
+  const updates: Record<string, unknown> = { updated_at: now }
+  if (status !== undefined) {
+    updates.status = status
+    updates.resolved_at = CLOSED_DISPUTE_STATUSES.includes(status) ? now : null
+  }
+  if (admin_notes !== undefined) {
+    updates.admin_notes = admin_notes
+  }
+
+  const { data, error } = await supabase
+    .from('site_disputes')
+    .update(updates)
+    .eq('id', id)
+    .select(DISPUTE_COLUMNS)
+
+  if (error) {
+    throw new Error(`Error updating dispute: ${error.message}`)
+  }
+
+  if (!data || data.length === 0) {
+    return new Response(
+      JSON.stringify({ error: 'Dispute not found' }),
+      { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  return new Response(
+    JSON.stringify({ message: 'Dispute updated successfully', data }),
+    { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+async function handleGetDomainClaims(req: Request, supabase: any) {
+  const url = new URL(req.url)
+  const domain = url.searchParams.get('domain')
+  const status = url.searchParams.get('status')
+
+  let query = supabase
+    .from('domain_ownership_claims')
+    .select('id, domain, method, status, last_error, last_checked_at, verified_at, created_at')
+    .order('created_at', { ascending: false })
+    .limit(100)
+
+  if (domain) {
+    query = query.eq('domain', canonicalizeHost(domain))
+  }
+
+  if (status) {
+    query = query.eq('status', status)
+  }
+
+  const { data, error } = await query
+
+  if (error) {
+    throw new Error(`Error fetching domain claims: ${error.message}`)
+  }
+
+  return new Response(
+    JSON.stringify({ data, count: data?.length || 0 }),
+    { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+// Revoking a claim stops the owner from opening new disputes until they verify again
+async function handleRevokeDomainClaim(req: Request, supabase: any, path: string) {
+  const id = path.split('/').pop()
+
+  if (!id) {
+    return new Response(
+      JSON.stringify({ error: 'Claim ID required' }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  const { data, error } = await supabase
+    .from('domain_ownership_claims')
+    .update({ status: 'revoked', verified_at: null })
+    .eq('id', id)
+    .select('id, domain, method, status, created_at')
+
+  if (error) {
+    throw new Error(`Error revoking domain claim: ${error.message}`)
+  }
+
+  if (!data || data.length === 0) {
+    return new Response(
+      JSON.stringify({ error: 'Claim not found' }),
+      { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  return new Response(
+    JSON.stringify({ message: 'Domain claim revoked', data }),
+    { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+const QUARANTINE_EVENT_COLUMNS = 'id, url_hash, domain, triggers, status, quarantined_count, released_count, rejected_count, community_score_before, community_score_projected, detected_at, last_detected_at, reviewed_at, admin_notes'
+const QUARANTINE_ACTIONS = ['release', 'reject']
+
+// Suspected brigading, oldest first (open events by default)
+async function handleGetQuarantineEvents(req: Request, supabase: any) {
+  const url = new URL(req.url)
+  const limit = parseInt(url.searchParams.get('limit') || '50')
+  const offset = parseInt(url.searchParams.get('offset') || '0')
+  const status = url.searchParams.get('status') || 'open'
+  const domain = url.searchParams.get('domain')
+
+  let query = supabase
+    .from('rating_quarantine_events')
+    .select(QUARANTINE_EVENT_COLUMNS)
+    .eq('status', status)
+    .order('detected_at', { ascending: true })
+    .range(offset, offset + limit - 1)
+
+  if (domain) {
+    query = query.eq('domain', canonicalizeHost(domain))
+  }
+
+  const { data, error } = await query
+
+  if (error) {
+    throw new Error(`Error fetching quarantine events: ${error.message}`)
+  }
+
+  return new Response(
+    JSON.stringify({ data, count: data?.length || 0 }),
+    { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+// One event with its ratings and the age of each rater's account when they rated
+async function handleGetQuarantineEvent(req: Request, supabase: any, path: string) {
+  const id = path.split('/').pop()
+
+  if (!id) {
+    return new Response(
+      JSON.stringify({ error: 'Quarantine event ID required' }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  const { data: event, error } = await supabase
+    .from('rating_quarantine_events')
+    .select(QUARANTINE_EVENT_COLUMNS)
+    .eq('id', id)
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(`Error fetching quarantine event: ${error.message}`)
+  }
 
-      case req.method === 'POST' && path === '/config':
-        return await handleUpdateConfig(req, supabase)
+  if (!event) {
+    return new Response(
+      JSON.stringify({ error: 'Quarantine event not found' }),
+      { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
 
-      case req.method === 'POST' && path === '/recalculate':
-        return await handleRecalculate(req, supabase)
+  const { data: ratings, error: ratingsError } = await supabase
+    .from('ratings')
+    .select('id, user_id_hash, url, rating, comment, is_spam, is_misleading, is_scam, moderation_status, created_at, updated_at')
+    .eq('quarantine_event_id', id)
+    .order('created_at', { ascending: true })
 
-      case req.method === 'GET' && path === '/analytics':
-        return await handleGetAnalytics(req, supabase)
+  if (ratingsError) {
+    throw new Error(`Error fetching quarantined ratings: ${ratingsError.message}`)
+  }
 
-      case req.method === 'POST' && path === '/analyze-domain':
-        return await handleAnalyzeDomain(req, supabase)
+  // Account ages are what the new-account trigger looked at
+  const userIds = [...new Set((ratings || []).map((r: any) => r.user_id_hash))]
+  const { data: reputation } = userIds.length > 0
+    ? await supabase.from('rater_reputation').select('user_id_hash, account_created_at, weight').in('user_id_hash', userIds)
+    : { data: [] }
+  const reputationByUser = Object.fromEntries((reputation || []).map((r: any) => [r.user_id_hash, r]))
 
-      default:
-        return new Response(
-          JSON.stringify({ error: 'Endpoint not found' }),
-          { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-        )
-    }
+  return new Response(
+    JSON.stringify({
+      data: {
+        ...event,
+        ratings: (ratings || []).map((r: any) => ({
+          ...r,
+          account_created_at: reputationByUser[r.user_id_hash]?.account_created_at || null,
+          rater_weight: reputationByUser[r.user_id_hash]?.weight ?? null
+        }))
+      }
+    }),
+    { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
 
-  } catch (error) {
-    console.error('Trust admin error:', error)
+// Release (count them) or reject (confirmed brigading) the quarantined ratings of an event,
+// optionally only some of them; the URL is re-aggregated on the next batch run
+async function handleReviewQuarantineEvent(req: Request, supabase: any, path: string) {
+  const id = path.split('/').pop()
+
+  if (!id) {
     return new Response(
-      JSON.stringify({ error: error.message }),
-      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      JSON.stringify({ error: 'Quarantine event ID required' }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
     )
   }
-})
 
-async function handleGetBlacklist(req: Request, supabase: any) {
+  const { action, rating_ids, admin_notes } = await req.json()
+
+  if (!QUARANTINE_ACTIONS.includes(action)) {
+    return new Response(
+      JSON.stringify({ error: `action must be one of: ${QUARANTINE_ACTIONS.join(', ')}` }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  if (rating_ids !== undefined && (!Array.isArray(rating_ids) || rating_ids.length === 0)) {
+    return new Response(
+      JSON.stringify({ error: 'rating_ids must be a non-empty array when given' }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  const { data: changed, error } = await supabase.rpc('review_quarantine_event', {
+    p_event_id: id,
+    p_action: action,
+    p_rating_ids: rating_ids ?? null,
+    p_admin_notes: admin_notes ?? null
+  })
+
+  if (error) {
+    throw new Error(`Error reviewing quarantine event: ${error.message}`)
+  }
+
+  if (changed === null) {
+    return new Response(
+      JSON.stringify({ error: 'Quarantine event not found' }),
+      { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  const { data } = await supabase
+    .from('rating_quarantine_events')
+    .select(QUARANTINE_EVENT_COLUMNS)
+    .eq('id', id)
+    .single()
+
+  return new Response(
+    JSON.stringify({
+      message: `${changed} rating(s) ${action === 'release' ? 'released' : 'rejected'}`,
+      data
+    }),
+    { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+const DOMAIN_BASELINE_COLUMNS = 'domain, baseline_score, domain_age_days, category, rank, source, notes, updated_at'
+const DOMAIN_BASELINE_IMPORT_CHUNK = 1000
+
+// Baseline entries, best rank first; ?search= matches part of the domain
+async function handleGetDomainBaselines(req: Request, supabase: any) {
   const url = new URL(req.url)
   const limit = parseInt(url.searchParams.get('limit') || '50')
   const offset = parseInt(url.searchParams.get('offset') || '0')
-  const type = url.searchParams.get('type')
+  const source = url.searchParams.get('source')
+  const search = url.searchParams.get('search')
 
   let query = supabase
-    .from('domain_blacklist')
-    .select('*')
-    .eq('is_active', true)
-    .order('created_at', { ascending: false })
+    .from('domain_baselines')
+    .select(DOMAIN_BASELINE_COLUMNS)
+    .order('rank', { ascending: true, nullsFirst: true })
+    .order('domain')
     .range(offset, offset + limit - 1)
 
-  if (type) {
-    query = query.eq('blacklist_type', type)
+  if (source) {
+    query = query.eq('source', source)
+  }
+  if (search) {
+    query = query.ilike('domain', `%${search.replace(/[%_\\]/g, '')}%`)
   }
 
   const { data, error } = await query
 
   if (error) {
-    throw new Error(`Error fetching blacklist: ${error.message}`)
+    throw new Error(`Error fetching domain baselines: ${error.message}`)
   }
 
+  const { data: versionRow } = await supabase
+    .from('domain_baseline_version')
+    .select('version, updated_at')
+    .single()
+
   return new Response(
-    JSON.stringify({ data, count: data?.length || 0 }),
+    JSON.stringify({ data, count: data?.length || 0, version: versionRow?.version ?? null }),
     { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
   )
 }
 
-async function handleAddBlacklist(req: Request, supabase: any) {
-  const { domain_pattern, blacklist_type, severity, description } = await req.json()
+// Import a ranked list (raw CSV or Tranco-style body). ?format=csv|tranco overrides detection;
+// ?replace=true drops previously imported domains that are not in this list.
+async function handleImportDomainBaselines(req: Request, supabase: any) {
+  const url = new URL(req.url)
+  const format = url.searchParams.get('format')
+  const replace = url.searchParams.get('replace') === 'true'
 
-  if (!domain_pattern || !blacklist_type || !severity) {
+  if (format && format !== 'csv' && format !== 'tranco') {
     return new Response(
-      JSON.stringify({ error: 'domain_pattern, blacklist_type, and severity are required' }),
+      JSON.stringify({ error: 'format must be csv or tranco' }),
       { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
     )
   }
 
-  if (severity < 1 || severity > 10) {
+  const text = await req.text()
+  if (!text.trim()) {
     return new Response(
-      JSON.stringify({ error: 'Severity must be between 1 and 10' }),
+      JSON.stringify({ error: 'Request body must contain the domain list' }),
       { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
     )
   }
 
-  const { data, error } = await supabase
-    .from('domain_blacklist')
-    .insert({
-      domain_pattern,
-      blacklist_type,
-      severity,
-      description,
-      source: 'manual'
+  const { data: config } = await supabase.rpc('get_trust_config', { config_key: 'domain_baselines' })
+
+  let parsed
+  try {
+    parsed = parseDomainBaselineList(text, config?.rank_tiers || [], (format as DomainListFormat) || undefined)
+  } catch (error) {
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  if (parsed.entries.length === 0) {
+    return new Response(
+      JSON.stringify({ error: 'No usable entries in the list', skipped: parsed.skipped }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  let upserted = 0
+  let importedAt: string | null = null
+  for (let i = 0; i < parsed.entries.length; i += DOMAIN_BASELINE_IMPORT_CHUNK) {
+    const { data, error } = await supabase.rpc('import_domain_baselines', {
+      p_entries: parsed.entries.slice(i, i + DOMAIN_BASELINE_IMPORT_CHUNK)
     })
-    .select()
+
+    if (error) {
+      throw new Error(`Error importing domain baselines (after ${upserted} entries): ${error.message}`)
+    }
+    upserted += data.upserted
+    importedAt = importedAt || data.imported_at
+  }
+
+  let removed = 0
+  if (replace && importedAt) {
+    const { data, error } = await supabase.rpc('prune_imported_domain_baselines', { p_imported_before: importedAt })
+    if (error) {
+      throw new Error(`Error removing stale imported baselines: ${error.message}`)
+    }
+    removed = data
+  }
+
+  return new Response(
+    JSON.stringify({
+      message: 'Domain baselines imported successfully',
+      parsed: parsed.entries.length,
+      upserted,
+      removed,
+      skipped: parsed.skipped
+    }),
+    { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+// Hand-tuned entry (source = admin, so later imports leave it alone). The path holds the domain or
+// suffix rule, e.g. PUT /domain-baselines/example.com or /domain-baselines/.co.uk
+async function handleUpsertDomainBaseline(req: Request, supabase: any, path: string) {
+  const domain = normalizeBaselineDomain(decodeURIComponent(path.split('/').pop() || ''))
+
+  if (!domain) {
+    return new Response(
+      JSON.stringify({ error: 'A valid domain or suffix rule is required' }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  const { baseline_score, domain_age_days, category, notes } = await req.json()
+
+  if (typeof baseline_score !== 'number' || baseline_score < 0 || baseline_score > 100) {
+    return new Response(
+      JSON.stringify({ error: 'baseline_score must be a number between 0 and 100' }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  if (domain_age_days !== undefined && domain_age_days !== null &&
+      (!Number.isInteger(domain_age_days) || domain_age_days < 0)) {
+    return new Response(
+      JSON.stringify({ error: 'domain_age_days must be a non-negative integer or null' }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  const { data, error } = await supabase
+    .from('domain_baselines')
+    .upsert({
+      domain,
+      baseline_score,
+      domain_age_days: domain_age_days ?? null,
+      category: category ?? null,
+      notes: notes ?? null,
+      source: 'admin',
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'domain' })
+    .select(DOMAIN_BASELINE_COLUMNS)
 
   if (error) {
-    throw new Error(`Error adding blacklist entry: ${error.message}`)
+    throw new Error(`Error saving domain baseline: ${error.message}`)
   }
 
   return new Response(
-    JSON.stringify({ message: 'Blacklist entry added successfully', data }),
-    { status: 201, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    JSON.stringify({ message: 'Domain baseline saved successfully', data }),
+    { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
   )
 }
 
-async function handleDeleteBlacklist(req: Request, supabase: any, path: string) {
-  const id = path.split('/').pop()
+async function handleDeleteDomainBaseline(req: Request, supabase: any, path: string) {
+  const domain = normalizeBaselineDomain(decodeURIComponent(path.split('/').pop() || ''))
 
-  if (!id) {
+  if (!domain) {
     return new Response(
-      JSON.stringify({ error: 'Blacklist ID required' }),
+      JSON.stringify({ error: 'A valid domain or suffix rule is required' }),
       { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
     )
   }
 
-  const { error } = await supabase
-    .from('domain_blacklist')
-    .update({ is_active: false })
-    .eq('id', id)
+  const { data, error } = await supabase
+    .from('domain_baselines')
+    .delete()
+    .eq('domain', domain)
+    .select('domain')
 
   if (error) {
-    throw new Error(`Error deactivating blacklist entry: ${error.message}`)
+    throw new Error(`Error deleting domain baseline: ${error.message}`)
+  }
+
+  if (!data || data.length === 0) {
+    return new Response(
+      JSON.stringify({ error: 'Domain baseline not found' }),
+      { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
   }
 
   return new Response(
-    JSON.stringify({ message: 'Blacklist entry deactivated successfully' }),
+    JSON.stringify({ message: 'Domain baseline deleted successfully' }),
+    { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+async function handleGetUrlSignalOutcomes(req: Request, supabase: any) {
+  const { data, error } = await supabase
+    .from('url_signal_outcomes')
+    .select('*')
+
+  if (error) {
+    throw new Error(`Error fetching URL signal outcomes: ${error.message}`)
+  }
+
+  return new Response(
+    JSON.stringify({ data, count: data?.length || 0 }),
     { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
   )
 }
@@ -262,6 +1498,29 @@ async function handleGetAnalytics(req: Request, supabase: any) {
   )
 }
 
+async function handleGetThreatIntelProviders(req: Request, supabase: any) {
+  const registry = new ThreatIntelRegistry(THREAT_INTEL_PROVIDERS, await loadThreatIntelSettings(supabase))
+  const active = registry.getActiveProviders()
+
+  const data = THREAT_INTEL_PROVIDERS.map(provider => {
+    const settings = registry.getSettings(provider)
+    return {
+      id: provider.id,
+      configured: provider.isConfigured(),
+      enabled: settings.enabled,
+      active: active.includes(provider),
+      weight: settings.weight,
+      timeout_ms: settings.timeout_ms ?? provider.timeoutMs,
+      rate_limit_per_minute: settings.rate_limit_per_minute ?? provider.rateLimitPerMinute
+    }
+  })
+
+  return new Response(
+    JSON.stringify({ data, fixtures: getThreatIntelFixtures() !== null }),
+    { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
 async function handleAnalyzeDomain(req: Request, supabase: any) {
   const { domain, force = false } = await req.json()
 
@@ -296,7 +1555,7 @@ async function handleAnalyzeDomain(req: Request, supabase: any) {
 
     // Perform domain analysis
     console.log('Starting admin domain analysis for:', domain)
-    const analysis = await performDomainAnalysis(domain)
+    const analysis = await performDomainAnalysis(supabase, domain)
 
     // Store in cache
     const cacheData = {
@@ -308,6 +1567,7 @@ async function handleAnalyzeDomain(req: Request, supabase: any) {
       google_safe_browsing_status: analysis.googleSafeBrowsingStatus,
       hybrid_analysis_status: analysis.hybridAnalysisStatus,
       threat_score: analysis.threatScore,
+      threat_verdicts: analysis.threatVerdicts,
       last_checked: new Date().toISOString(),
       cache_expires_at: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString()
     }
@@ -339,224 +1599,3 @@ async function handleAnalyzeDomain(req: Request, supabase: any) {
     )
   }
 }
-// Domain analysis functions (copied from rating-api)
-async function performDomainAnalysis(domain: string) {
-  console.log('Starting domain analysis for:', domain)
-
-  const result: any = { domain }
-
-  try {
-    // 1. HTTP Status and SSL Check
-    await checkHttpAndSsl(domain, result)
-
-    // 2. Domain Age (heuristic)
-    result.domainAge = getDomainAge(domain)
-    
-    // 2.1. Create WHOIS data structure (heuristic-based for now)
-    result.whoisData = JSON.stringify({
-      domain: domain,
-      method: 'heuristic',
-      estimated_age_days: result.domainAge,
-      analysis_date: new Date().toISOString(),
-      note: 'Domain age calculated using heuristic method based on known domain patterns'
-    })
-
-    // 3. Google Safe Browsing
-    if (googleApiKey) {
-      await checkGoogleSafeBrowsing(domain, result)
-    } else {
-      result.googleSafeBrowsingStatus = getHeuristicSafeBrowsing(domain)
-    }
-
-    // 4. Hybrid Analysis
-    if (hybridApiKey) {
-      await checkHybridAnalysis(domain, result)
-    } else {
-      result.hybridAnalysisStatus = 'clean'
-    }
-
-    // 5. Calculate threat score
-    result.threatScore = calculateThreatScore(result)
-
-    console.log('Domain analysis complete for:', domain)
-
-  } catch (error) {
-    console.error('Domain analysis error for', domain, ':', error)
-    result.error = error.message
-  }
-
-  return result
-}
-
-async function checkHttpAndSsl(domain: string, result: any) {
-  try {
-    const controller = new AbortController()
-    const timeoutId = setTimeout(() => controller.abort(), 10000)
-
-    const response = await fetch(`https://${domain}`, {
-      method: 'HEAD',
-      signal: controller.signal,
-      redirect: 'follow'
-    })
-
-    clearTimeout(timeoutId)
-
-    result.httpStatus = response.status
-    result.sslValid = response.url.startsWith('https://')
-
-  } catch (error) {
-    try {
-      const response = await fetch(`http://${domain}`, {
-        method: 'HEAD',
-        redirect: 'follow'
-      })
-      result.httpStatus = response.status
-      result.sslValid = false
-    } catch (httpError) {
-      result.httpStatus = 0
-      result.sslValid = false
-    }
-  }
-}
-
-function getDomainAge(domain: string): number {
-  const wellKnownDomains: { [key: string]: number } = {
-    'google.com': 365 * 25, 'youtube.com': 365 * 18, 'facebook.com': 365 * 20,
-    'amazon.com': 365 * 28, 'apple.com': 365 * 30, 'microsoft.com': 365 * 35,
-    'twitter.com': 365 * 17, 'x.com': 365 * 17, 'instagram.com': 365 * 13,
-    'linkedin.com': 365 * 20, 'reddit.com': 365 * 18, 'github.com': 365 * 15,
-    'stackoverflow.com': 365 * 15, 'wikipedia.org': 365 * 22
-  }
-
-  if (wellKnownDomains[domain]) {
-    return wellKnownDomains[domain]
-  }
-
-  if (domain.endsWith('.edu') || domain.endsWith('.gov')) return 365 * 15
-  if (domain.endsWith('.org')) return 365 * 10
-  if (domain.match(/\.(tk|ml|ga|cf)$/)) return 365 * 1
-
-  return 365 * 3
-}
-
-async function checkGoogleSafeBrowsing(domain: string, result: any) {
-  try {
-    const response = await fetch(
-      `https://safebrowsing.googleapis.com/v4/threatMatches:find?key=${googleApiKey}`,
-      {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          client: {
-            clientId: 'url-rating-extension-admin',
-            clientVersion: '1.0.0'
-          },
-          threatInfo: {
-            threatTypes: ['MALWARE', 'SOCIAL_ENGINEERING', 'UNWANTED_SOFTWARE'],
-            platformTypes: ['ANY_PLATFORM'],
-            threatEntryTypes: ['URL'],
-            threatEntries: [
-              { url: `http://${domain}/` },
-              { url: `https://${domain}/` }
-            ]
-          }
-        })
-      }
-    )
-
-    const data = await response.json()
-
-    if (data.matches && data.matches.length > 0) {
-      const threatType = data.matches[0].threatType
-      switch (threatType) {
-        case 'MALWARE': result.googleSafeBrowsingStatus = 'malware'; break
-        case 'SOCIAL_ENGINEERING': result.googleSafeBrowsingStatus = 'phishing'; break
-        case 'UNWANTED_SOFTWARE': result.googleSafeBrowsingStatus = 'unwanted'; break
-        default: result.googleSafeBrowsingStatus = 'suspicious'
-      }
-    } else {
-      result.googleSafeBrowsingStatus = 'safe'
-    }
-
-  } catch (error) {
-    console.error('Google Safe Browsing check failed:', error)
-    result.googleSafeBrowsingStatus = 'unknown'
-  }
-}
-
-function getHeuristicSafeBrowsing(domain: string): string {
-  const trustedDomains = [
-    'google.com', 'youtube.com', 'facebook.com', 'twitter.com', 'x.com',
-    'instagram.com', 'linkedin.com', 'github.com', 'stackoverflow.com',
-    'wikipedia.org', 'reddit.com', 'amazon.com', 'apple.com', 'microsoft.com'
-  ]
-
-  if (trustedDomains.includes(domain)) return 'safe'
-  if (domain.match(/\.(tk|ml|ga|cf)$/)) return 'suspicious'
-
-  return 'safe'
-}
-
-async function checkHybridAnalysis(domain: string, result: any) {
-  try {
-    const response = await fetch(`https://www.hybrid-analysis.com/api/v2/search/terms`, {
-      method: 'POST',
-      headers: {
-        'api-key': hybridApiKey!,
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'User-Agent': 'URL Rating Extension Admin'
-      },
-      body: new URLSearchParams({
-        'domain': domain,
-        'country': 'all',
-        'verdict': 'all'
-      })
-    })
-
-    const data = await response.json()
-
-    if (data.result && data.result.length > 0) {
-      const maliciousReports = data.result.filter((report: any) =>
-        report.verdict === 'malicious' || report.threat_score >= 70
-      )
-
-      if (maliciousReports.length > 0) {
-        result.hybridAnalysisStatus = 'malicious'
-      } else {
-        result.hybridAnalysisStatus = 'clean'
-      }
-    } else {
-      result.hybridAnalysisStatus = 'clean'
-    }
-
-  } catch (error) {
-    console.error('Hybrid Analysis check failed:', error)
-    result.hybridAnalysisStatus = 'unknown'
-  }
-}
-
-function calculateThreatScore(result: any): number {
-  let threatScore = 0
-  let totalChecks = 0
-
-  if (result.googleSafeBrowsingStatus) {
-    totalChecks++
-    switch (result.googleSafeBrowsingStatus) {
-      case 'malware': threatScore += 60; break
-      case 'phishing': threatScore += 55; break
-      case 'unwanted': threatScore += 40; break
-      case 'safe': threatScore += 0; break
-    }
-  }
-
-  if (result.hybridAnalysisStatus) {
-    totalChecks++
-    switch (result.hybridAnalysisStatus) {
-      case 'malicious': threatScore += 40; break
-      case 'suspicious': threatScore += 25; break
-      case 'clean': threatScore += 0; break
-    }
-  }
-
-  return totalChecks > 0 ? Math.round(threatScore / totalChecks) : 0
-}
\ No newline at end of file
@@ -4,6 +4,7 @@
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
 import { corsHeaders } from '../_shared/cors.ts'
+import { canonicalizeUrl, canonicalizeHost, getCanonicalizationOptions, generateUrlHash, loadCanonicalizationRules, getRegistrableDomain } from '../_shared/url-canonicalizer.ts'
 
 const supabaseUrl = Deno.env.get('SUPABASE_URL')!
 const supabaseAnonKey = Deno.env.get('SUPABASE_ANON_KEY')!
@@ -35,6 +36,9 @@ serve(async (req) => {
       case req.method === 'GET' && path === '/content-types':
         return await handleGetContentTypes(req, supabase)
       
+      case req.method === 'GET' && path === '/canonical-rules':
+        return await handleGetCanonicalRules(req, supabase)
+      
       default:
         return new Response(
           JSON.stringify({ error: 'Endpoint not found' }),
@@ -51,15 +55,6 @@ serve(async (req) => {
   }
 })
 
-// Utility to generate URL hash
-async function generateUrlHash(url: string): Promise<string> {
-  const encoder = new TextEncoder()
-  const data = encoder.encode(url)
-  const hashBuffer = await crypto.subtle.digest('SHA-256', data)
-  const hashArray = Array.from(new Uint8Array(hashBuffer))
-  return hashArray.map(b => b.toString(16).padStart(2, '0')).join('')
-}
-
 // Utility to extract domain from URL
 function extractDomain(url: string): string {
   try {
@@ -81,8 +76,9 @@ async function handleGetTrustScore(req: Request, supabase: any) {
     )
   }
 
-  const urlHash = await generateUrlHash(targetUrl)
-  const domain = extractDomain(targetUrl)
+  const canonicalUrl = canonicalizeUrl(targetUrl, await getCanonicalizationOptions(supabase))
+  const urlHash = await generateUrlHash(canonicalUrl)
+  const domain = extractDomain(canonicalUrl)
 
   // Get enhanced trust score data
   const { data, error } = await supabase
@@ -92,6 +88,7 @@ async function handleGetTrustScore(req: Request, supabase: any) {
       final_trust_score,
       domain_trust_score,
       community_trust_score,
+      trust_score_margin,
       content_type,
       rating_count,
       average_rating,
@@ -99,6 +96,7 @@ async function handleGetTrustScore(req: Request, supabase: any) {
       misleading_reports_count,
       scam_reports_count,
       domain,
+      registrable_domain,
       last_updated
     `)
     .eq('url_hash', urlHash)
@@ -109,12 +107,15 @@ async function handleGetTrustScore(req: Request, supabase: any) {
     return new Response(
       JSON.stringify({
         url: targetUrl,
+        canonical_url: canonicalUrl,
         url_hash: urlHash,
         domain: domain,
+        registrable_domain: getRegistrableDomain(domain) || domain,
         trust_score: null,
         final_trust_score: null,
         domain_trust_score: null,
         community_trust_score: null,
+        trust_score_margin: null,
         content_type: 'general',
         rating_count: 0,
         average_rating: null,
@@ -156,12 +157,14 @@ async function handleGetTrustScore(req: Request, supabase: any) {
   return new Response(
     JSON.stringify({
       url: targetUrl,
+      canonical_url: canonicalUrl,
       url_hash: urlHash,
       domain: data.domain || domain,
       trust_score: data.trust_score, // Legacy compatibility
       final_trust_score: data.final_trust_score,
       domain_trust_score: data.domain_trust_score,
       community_trust_score: data.community_trust_score,
+      trust_score_margin: data.trust_score_margin,
       content_type: data.content_type,
       rating_count: data.rating_count,
       average_rating: data.average_rating,
@@ -200,16 +203,21 @@ async function handleBatchTrustScores(req: Request, supabase: any) {
     )
   }
 
-  // Generate hashes for all URLs
+  // Canonicalize and hash all URLs; results keep the URL exactly as the caller sent it
+  const canonicalOptions = await getCanonicalizationOptions(supabase)
   const urlData = await Promise.all(
-    urls.map(async (url) => ({
-      url,
-      hash: await generateUrlHash(url),
-      domain: extractDomain(url)
-    }))
+    urls.map(async (url) => {
+      const canonicalUrl = canonicalizeUrl(String(url), canonicalOptions)
+      return {
+        url,
+        canonicalUrl,
+        hash: await generateUrlHash(canonicalUrl),
+        domain: extractDomain(canonicalUrl)
+      }
+    })
   )
 
-  const hashes = urlData.map(item => item.hash)
+  const hashes = [...new Set(urlData.map(item => item.hash))]
 
   // Get trust scores for all URLs
   const { data, error } = await supabase
@@ -220,6 +228,7 @@ async function handleBatchTrustScores(req: Request, supabase: any) {
       final_trust_score,
       domain_trust_score,
       community_trust_score,
+      trust_score_margin,
       content_type,
       rating_count,
       average_rating,
@@ -246,12 +255,14 @@ async function handleBatchTrustScores(req: Request, supabase: any) {
     if (stats) {
       return {
         url: item.url,
+        canonical_url: item.canonicalUrl,
         url_hash: item.hash,
         domain: stats.domain || item.domain,
         trust_score: stats.trust_score,
         final_trust_score: stats.final_trust_score,
         domain_trust_score: stats.domain_trust_score,
         community_trust_score: stats.community_trust_score,
+        trust_score_margin: stats.trust_score_margin,
         content_type: stats.content_type,
         rating_count: stats.rating_count,
         average_rating: stats.average_rating,
@@ -263,12 +274,14 @@ async function handleBatchTrustScores(req: Request, supabase: any) {
     } else {
       return {
         url: item.url,
+        canonical_url: item.canonicalUrl,
         url_hash: item.hash,
         domain: item.domain,
         trust_score: null,
         final_trust_score: null,
         domain_trust_score: null,
         community_trust_score: null,
+        trust_score_margin: null,
         content_type: 'general',
         rating_count: 0,
         average_rating: null,
@@ -295,15 +308,18 @@ async function handleBatchTrustScores(req: Request, supabase: any) {
 
 async function handleGetDomainInfo(req: Request, supabase: any) {
   const url = new URL(req.url)
-  const domain = url.searchParams.get('domain')
+  const domainParam = url.searchParams.get('domain')
 
-  if (!domain) {
+  if (!domainParam) {
     return new Response(
       JSON.stringify({ error: 'Domain parameter is required' }),
       { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
     )
   }
 
+  const domain = canonicalizeHost(domainParam)
+  const registrableDomain = getRegistrableDomain(domain) || domain
+
   // Get domain cache info
   const { data: domainData, error: domainError } = await supabase
     .from('domain_cache')
@@ -311,23 +327,21 @@ async function handleGetDomainInfo(req: Request, supabase: any) {
     .eq('domain', domain)
     .single()
 
-  // Get content type rules for this domain
+  // Get content type rules for this host and registrable-domain rules covering it
   const { data: contentRules, error: rulesError } = await supabase
     .from('content_type_rules')
     .select('*')
-    .eq('domain', domain)
+    .or(`domain.eq.${domain},and(domain.eq.${registrableDomain},match_scope.eq.registrable_domain)`)
     .eq('is_active', true)
 
-  // Get blacklist status
+  // Get blacklist entries matching the host, its parent patterns or its registrable domain
   const { data: blacklistData, error: blacklistError } = await supabase
-    .from('domain_blacklist')
-    .select('*')
-    .or(`domain_pattern.eq.${domain},domain_pattern.like.*.${domain}`)
-    .eq('is_active', true)
+    .rpc('get_domain_blacklist_matches', { p_domain: domain })
 
   return new Response(
     JSON.stringify({
       domain,
+      registrable_domain: registrableDomain,
       domain_cache: domainData || null,
       content_rules: contentRules || [],
       blacklist_entries: blacklistData || [],
@@ -383,4 +397,26 @@ async function handleGetContentTypes(req: Request, supabase: any) {
       }
     }
   )
-}
\ No newline at end of file
+}
+
+// Per-domain canonicalization rules, so clients build the same cache keys as the server hashes
+async function handleGetCanonicalRules(req: Request, supabase: any) {
+  let rules
+  try {
+    rules = await loadCanonicalizationRules(supabase)
+  } catch (error) {
+    throw new Error(`Error fetching canonicalization rules: ${error.message}`)
+  }
+
+  return new Response(
+    JSON.stringify({ rules }),
+    {
+      status: 200,
+      headers: { 
+        ...corsHeaders, 
+        'Content-Type': 'application/json',
+        'Cache-Control': 'public, max-age=3600, stale-while-revalidate=7200'
+      }
+    }
+  )
+}
@@ -5,15 +5,32 @@ import {
     createRouter,
     RouteConfig,
     AuthError,
+    ForbiddenError,
     ValidationError,
     NotFoundError,
+    ConflictError,
+    RateLimitError,
     DatabaseError,
     validateRequestMethod,
     parseJsonBody,
     validateUrlParameter,
     validateRatingScore,
-    getQueryParam
+    getQueryParam,
+    parsePagination
 } from '../_shared/routing.ts'
+import { canonicalizeUrl, canonicalizeHost, getCanonicalizationOptions, generateUrlHash, getRegistrableDomain } from '../_shared/url-canonicalizer.ts'
+import { withIdempotency, getIdempotencyKey } from '../_shared/idempotency.ts'
+import { validateReviewComment } from '../_shared/review-moderation.ts'
+import { validateUrlSignals } from '../_shared/url-signals.ts'
+import {
+    VERIFICATION_METHODS,
+    generateVerificationToken,
+    getVerificationInstructions,
+    verifyDomainOwnership,
+    claimCoversDomain
+} from '../_shared/domain-verification.ts'
+import { getDomainBaseline } from '../_shared/domain-baselines.ts'
+import { isIpLiteral, isKnownShortener, resolveRedirectChain, getRedirectResolverOptions, takeResolutionSlot } from '../_shared/redirect-resolver.ts'
 
 const supabaseUrl = Deno.env.get('SUPABASE_URL')!
 const supabaseAnonKey = Deno.env.get('SUPABASE_ANON_KEY')!
@@ -28,6 +45,27 @@ const ROUTES: RouteConfig[] = [
         requiresAuth: false,
         description: 'Fetch URL statistics and trust scores'
     },
+    {
+        method: 'GET',
+        path: '/url-stats/history',
+        handler: 'handleGetUrlStatsHistory',
+        requiresAuth: false,
+        description: 'Trust score snapshots for a URL over a time range'
+    },
+    {
+        method: 'GET',
+        path: '/domain-baselines',
+        handler: 'handleGetDomainBaselines',
+        requiresAuth: false,
+        description: 'Versioned domain baseline list cached by the extension'
+    },
+    {
+        method: 'GET',
+        path: '/url-check',
+        handler: 'handleCheckUrl',
+        requiresAuth: false,
+        description: 'Check whether a URL is critical enough to warn before loading it'
+    },
     {
         method: 'POST',
         path: '/rating',
@@ -35,6 +73,90 @@ const ROUTES: RouteConfig[] = [
         requiresAuth: true,
         description: 'Submit rating and reports for a URL'
     },
+    {
+        method: 'GET',
+        path: '/my-ratings',
+        handler: 'handleGetMyRatings',
+        requiresAuth: true,
+        description: "Paginated history of the signed-in user's ratings"
+    },
+    {
+        method: 'GET',
+        path: '/my-reputation',
+        handler: 'handleGetMyReputation',
+        requiresAuth: true,
+        description: "The signed-in user's rater reputation and rating weight"
+    },
+    {
+        method: 'PATCH',
+        path: '/rating/:id',
+        handler: 'handleUpdateRating',
+        requiresAuth: true,
+        description: "Edit one of the signed-in user's ratings"
+    },
+    {
+        method: 'DELETE',
+        path: '/rating/:id',
+        handler: 'handleDeleteRating',
+        requiresAuth: true,
+        description: "Withdraw one of the signed-in user's ratings"
+    },
+    {
+        method: 'GET',
+        path: '/reviews',
+        handler: 'handleGetReviews',
+        requiresAuth: false,
+        description: 'Public written reviews for a URL (newest or most helpful first)'
+    },
+    {
+        method: 'POST',
+        path: '/reviews/:id/helpful',
+        handler: 'handleMarkReviewHelpful',
+        requiresAuth: true,
+        description: 'Mark a review as helpful (once per user)'
+    },
+    {
+        method: 'GET',
+        path: '/domain-claims',
+        handler: 'handleGetDomainClaims',
+        requiresAuth: true,
+        description: "The signed-in user's domain ownership claims"
+    },
+    {
+        method: 'POST',
+        path: '/domain-claims',
+        handler: 'handleCreateDomainClaim',
+        requiresAuth: true,
+        description: 'Request a DNS TXT or well-known file token for a domain'
+    },
+    {
+        method: 'POST',
+        path: '/domain-claims/:id/verify',
+        handler: 'handleVerifyDomainClaim',
+        requiresAuth: true,
+        description: 'Check the published token and mark the domain verified'
+    },
+    {
+        method: 'GET',
+        path: '/disputes',
+        handler: 'handleGetDisputes',
+        requiresAuth: true,
+        description: "The signed-in site owner's disputes"
+    },
+    {
+        method: 'POST',
+        path: '/disputes',
+        handler: 'handleCreateDispute',
+        requiresAuth: true,
+        description: 'Open a dispute on a URL or domain the user has verified'
+    },
+    {
+        method: 'DELETE',
+        path: '/disputes/:id',
+        handler: 'handleWithdrawDispute',
+        requiresAuth: true,
+        description: 'Withdraw an open dispute'
+    },
     {
         method: 'OPTIONS',
         path: '*',
@@ -49,8 +171,9 @@ async function validateAuthentication(req: Request, required: boolean = false) {
     const authHeader = req.headers.get('Authorization')
     const apiKey = req.headers.get('apikey')
 
-    // Check for API key first (for public access)
-    if (apiKey === supabaseAnonKey) {
+    // Anon API key without a user token means public access. Clients send the anon key as apikey
+    // alongside the user's Bearer token, so the token still has to be checked below.
+    if (apiKey === supabaseAnonKey && !authHeader) {
         return { user: null, supabase: createClient(supabaseUrl, supabaseServiceKey), authenticated: false }
     }
 
@@ -120,24 +243,30 @@ async function handleGetUrlStats(req: Request, _route: RouteConfig, _requestId:
     const targetUrl = getQueryParam(req, 'url', true)
     const validatedUrl = validateUrlParameter(targetUrl)
 
-    const urlHash = await generateUrlHash(validatedUrl)
-
     // Get service role client for database access
-    const { supabase } = await validateAuthentication(req, false)
+    const { user, supabase } = await validateAuthentication(req, false)
 
-    try {
-        // Try URL-specific stats first
-        let stats = await getUrlStats(supabase, urlHash, validatedUrl)
+    const canonicalizationOptions = await getCanonicalizationOptions(supabase)
+    const canonicalUrl = canonicalizeUrl(validatedUrl, canonicalizationOptions)
+    const urlHash = await generateUrlHash(canonicalUrl)
 
-        // If no URL-specific stats, create baseline stats (no domain fallback)
-        // Each URL should have its own independent ratings
-        if (!stats) {
-            const domain = extractDomain(validatedUrl)
-            stats = createBaselineStats(validatedUrl, domain)
+    try {
+        let stats = await lookupStats(supabase, canonicalUrl, urlHash)
+
+        // Shortened and tracking links are scored by where they lead, unless rated themselves
+        const domain = extractDomain(canonicalUrl)
+        if (isKnownShortener(domain)) {
+            const redirect = await getRedirectSummary(supabase, canonicalUrl, urlHash, canonicalizationOptions, getCallerKey(req, user))
+            if (redirect?.destination && !stats.rating_count) {
+                stats = createRedirectStats(canonicalUrl, domain, redirect.destination)
+            }
+            stats.redirect = redirect?.summary || null
         }
 
+        stats.dispute = await getActiveDispute(supabase, urlHash, canonicalizeHost(extractDomain(canonicalUrl)))
+
         return new Response(
-            JSON.stringify(formatStatsResponse(stats, validatedUrl)),
+            JSON.stringify(formatStatsResponse(stats, validatedUrl, canonicalUrl)),
             {
                 status: 200,
                 headers: { ...corsHeaders, 'Content-Type': 'application/json' }
@@ -149,129 +278,350 @@ async function handleGetUrlStats(req: Request, _route: RouteConfig, _requestId:
     }
 }
 
+// History ranges for /url-stats/history: window length and snapshot granularity
+const HISTORY_RANGES: Record<string, { days: number, bucket: 'hour' | 'day' }> = {
+    '24h': { days: 1, bucket: 'hour' },
+    '7d': { days: 7, bucket: 'hour' },
+    '30d': { days: 30, bucket: 'day' },
+    '90d': { days: 90, bucket: 'day' },
+    '1y': { days: 365, bucket: 'day' }
+}
+
+// URL Stats History Handler - snapshots written by batch_aggregate_ratings, oldest first
+async function handleGetUrlStatsHistory(req: Request, _route: RouteConfig, requestId: string): Promise<Response> {
+    validateRequestMethod(req.method, ['GET'])
+
+    const validatedUrl = validateUrlParameter(getQueryParam(req, 'url', true))
+    const range = getQueryParam(req, 'range') || '30d'
+    const rangeConfig = HISTORY_RANGES[range]
+    if (!rangeConfig) {
+        throw new ValidationError(`range must be one of: ${Object.keys(HISTORY_RANGES).join(', ')}`)
+    }
+
+    const { supabase } = await validateAuthentication(req, false)
+
+    const canonicalUrl = canonicalizeUrl(validatedUrl, await getCanonicalizationOptions(supabase))
+    const urlHash = await generateUrlHash(canonicalUrl)
+    const since = new Date(Date.now() - rangeConfig.days * 24 * 60 * 60 * 1000).toISOString()
+
+    const { data, error } = await supabase.rpc('get_url_stats_history', {
+        p_url_hash: urlHash,
+        p_since: since,
+        p_bucket: rangeConfig.bucket
+    })
+
+    if (error) {
+        throw new DatabaseError(`Failed to fetch score history: ${error.message}`)
+    }
+
+    return new Response(
+        JSON.stringify({
+            url: validatedUrl,
+            canonical_url: canonicalUrl,
+            range,
+            bucket: rangeConfig.bucket,
+            points: (data || []).map((row: any) => ({
+                recorded_at: row.recorded_at,
+                trust_score: row.final_trust_score !== null ? Number(row.final_trust_score) : null,
+                trust_score_margin: row.trust_score_margin !== null ? Number(row.trust_score_margin) : null,
+                rating_count: row.rating_count
+            })),
+            request_id: requestId
+        }),
+        {
+            status: 200,
+            headers: {
+                ...corsHeaders,
+                'Content-Type': 'application/json',
+                // Snapshots change at most hourly
+                'Cache-Control': 'public, max-age=300'
+            }
+        }
+    )
+}
+
+// Domain Baselines Handler - the whole list, or { version, unchanged: true } when ?version= is current
+async function handleGetDomainBaselines(req: Request, _route: RouteConfig, requestId: string): Promise<Response> {
+    validateRequestMethod(req.method, ['GET'])
+
+    const versionParam = getQueryParam(req, 'version')
+    const knownVersion = versionParam ? parseInt(versionParam, 10) : null
+    if (versionParam && (!Number.isInteger(knownVersion) || knownVersion! < 0)) {
+        throw new ValidationError('version must be a non-negative integer')
+    }
+
+    const { supabase } = await validateAuthentication(req, false)
+
+    const { data, error } = await supabase.rpc('get_domain_baseline_list', { p_known_version: knownVersion })
+
+    if (error) {
+        throw new DatabaseError(`Failed to fetch domain baselines: ${error.message}`)
+    }
+
+    return new Response(
+        JSON.stringify({ ...data, request_id: requestId }),
+        {
+            status: 200,
+            headers: {
+                ...corsHeaders,
+                'Content-Type': 'application/json',
+                'Cache-Control': 'public, max-age=3600'
+            }
+        }
+    )
+}
+
+// Thresholds for the navigation interstitial, aligned with the 'critical' warnings in the popup
+const CRITICAL_BLACKLIST_SEVERITY = 7
+const CRITICAL_TRUST_SCORE = 25
+const CRITICAL_SCAM_REPORT_PERCENT = 25
+
+// URL Check Handler - lightweight verdict used by the extension before a page loads
+async function handleCheckUrl(req: Request, _route: RouteConfig, _requestId: string): Promise<Response> {
+    validateRequestMethod(req.method, ['GET'])
+
+    const targetUrl = getQueryParam(req, 'url', true)
+    const validatedUrl = validateUrlParameter(targetUrl)
+
+    const { supabase } = await validateAuthentication(req, false)
+
+    const canonicalUrl = canonicalizeUrl(validatedUrl, await getCanonicalizationOptions(supabase))
+    const urlHash = await generateUrlHash(canonicalUrl)
+    const domain = extractDomain(canonicalUrl)
+
+    try {
+        const reasons: Array<Record<string, unknown>> = []
+
+        const { data: blacklistRows, error: blacklistError } = await supabase
+            .rpc('check_domain_blacklist', { domain })
+
+        if (blacklistError) {
+            throw new Error(blacklistError.message)
+        }
+
+        const blacklist = blacklistRows?.[0] || null
+        if (blacklist?.is_blacklisted && blacklist.severity >= CRITICAL_BLACKLIST_SEVERITY) {
+            reasons.push({
+                type: 'blacklist',
+                blacklist_type: blacklist.blacklist_type,
+                severity: blacklist.severity
+            })
+        }
+
+        // Only community-rated stats count here; baseline estimates never block a page
+        const stats = await getUrlStats(supabase, urlHash, canonicalUrl)
+        const ratingCount = stats?.rating_count || 0
+        const trustScore = stats ? (stats.final_trust_score ?? stats.trust_score) : null
+
+        if (ratingCount > 0 && trustScore !== null && trustScore < CRITICAL_TRUST_SCORE) {
+            reasons.push({ type: 'low_trust', trust_score: trustScore })
+        }
+
+        if (ratingCount > 0) {
+            const scamPercent = ((stats.scam_reports_count || 0) / ratingCount) * 100
+            if (scamPercent > CRITICAL_SCAM_REPORT_PERCENT) {
+                reasons.push({ type: 'scam_reports', percentage: Math.round(scamPercent) })
+            }
+        }
+
+        return new Response(
+            JSON.stringify({
+                url: validatedUrl,
+                canonical_url: canonicalUrl,
+                domain,
+                critical: reasons.length > 0,
+                reasons,
+                blacklist: blacklist?.is_blacklisted ? {
+                    blacklist_type: blacklist.blacklist_type,
+                    severity: blacklist.severity
+                } : null,
+                trust_score: trustScore,
+                rating_count: ratingCount,
+                scam_reports_count: stats?.scam_reports_count || 0
+            }),
+            {
+                status: 200,
+                headers: {
+                    ...corsHeaders,
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'public, max-age=300'
+                }
+            }
+        )
+    } catch (error) {
+        console.error('Error checking URL:', error)
+        throw new DatabaseError(`Failed to check URL: ${error.message}`)
+    }
+}
+
 // Rating Submission Handler
+/**
+ * Rating already written by this user under the given client request ID, if any.
+ * Lookup failures are treated as "not a replay" so submissions keep working.
+ */
+async function findReplayedRating(supabase: any, userId: string, clientRequestId: string): Promise<any | null> {
+    try {
+        const { data, error } = await supabase
+            .from('ratings')
+            .select('id, url_hash, url, rating, is_spam, is_misleading, is_scam, processed, created_at')
+            .eq('user_id_hash', userId)
+            .eq('client_request_id', clientRequestId)
+            .maybeSingle()
+
+        if (error) {
+            console.error('Replay lookup failed:', error.message)
+            return null
+        }
+        return data
+    } catch (error) {
+        console.error('Replay lookup failed:', error.message)
+        return null
+    }
+}
+
 async function handleSubmitRating(req: Request, _route: RouteConfig, requestId: string): Promise<Response> {
     validateRequestMethod(req.method, ['POST'])
 
     // Validate authentication (required for rating submission)
     const { user, supabase } = await validateAuthentication(req, true)
+    if (!user) {
+        throw new AuthError('Authorization required. Please log in to submit ratings.')
+    }
 
-    // Parse and validate request body
     const body = await parseJsonBody(req)
-    const { url: targetUrl, score, comment, isSpam, isMisleading, isScam } = body
+
+    // Retries with the same Idempotency-Key (or X-Request-ID) get the first response back
+    return await withIdempotency(supabase, {
+        userId: user.id,
+        route: 'POST /rating',
+        key: getIdempotencyKey(req),
+        body,
+        corsHeaders
+    }, () => submitRating(req, supabase, user, body, requestId))
+}
+
+async function submitRating(req: Request, supabase: any, user: any, body: any, requestId: string): Promise<Response> {
+    const { url: targetUrl, score, comment, isSpam, isMisleading, isScam, urlSignals } = body
 
     // Validate required fields
     const validatedUrl = validateUrlParameter(targetUrl)
     const validatedScore = validateRatingScore(score)
-
-    // Generate URL hash and extract domain
-    const urlHash = await generateUrlHash(validatedUrl)
-    const domain = extractDomain(validatedUrl)
+    const reviewComment = validateReviewComment(comment)
+    const validatedUrlSignals = validateUrlSignals(urlSignals)
+
+    // Canonicalize before hashing so every spelling of a page shares one url_stats row
+    const canonicalUrl = canonicalizeUrl(validatedUrl, await getCanonicalizationOptions(supabase))
+    const urlHash = await generateUrlHash(canonicalUrl)
+    const domain = extractDomain(canonicalUrl)
+
+    // Client-generated X-Request-ID (reused when the extension replays a queued submission)
+    const clientRequestId = req.headers.get('X-Request-ID')?.trim().slice(0, 100) || null
+
+    if (clientRequestId) {
+        const replayed = await findReplayedRating(supabase, user.id, clientRequestId)
+        if (replayed) {
+            return new Response(
+                JSON.stringify({
+                    message: 'Rating already recorded',
+                    rating: {
+                        id: replayed.id,
+                        url_hash: replayed.url_hash,
+                        canonical_url: replayed.url || canonicalUrl,
+                        user_id: user.id,
+                        rating: replayed.rating,
+                        is_spam: replayed.is_spam,
+                        is_misleading: replayed.is_misleading,
+                        is_scam: replayed.is_scam,
+                        created_at: replayed.created_at
+                    },
+                    urlStats: null,
+                    processing: !replayed.processed,
+                    replayed: true,
+                    timestamp: new Date().toISOString(),
+                    request_id: requestId
+                }),
+                {
+                    status: 200,
+                    headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+                }
+            )
+        }
+    }
 
     try {
-        // Check if user has already rated this URL within the last 24 hours
+        // One rating per user and URL: resubmitting updates it (PATCH /rating/:id does the same by id)
         let existingRating = null
-        let fetchError = null
 
         try {
-            const result = await supabase
+            const { data, error: fetchError } = await supabase
                 .from('ratings')
-                .select('id, created_at, rating, comment, is_spam, is_misleading, is_scam')
+                .select('id, created_at')
                 .eq('url_hash', urlHash)
                 .eq('user_id_hash', user.id)
-                .single()
+                .order('created_at', { ascending: false })
+                .limit(1)
+                .maybeSingle()
 
-            existingRating = result.data
-            fetchError = result.error
+            if (!fetchError) {
+                existingRating = data
+            }
         } catch (error) {
             // Continue without existing rating check if database query fails
             existingRating = null
-            fetchError = null
-        }
-
-        if (fetchError && fetchError.code !== 'PGRST116') {
-            // Continue without existing rating check rather than failing
-            existingRating = null
         }
 
         const currentTime = new Date()
         let message = ''
+        let ratingId = null
 
         if (existingRating) {
-            const createdAt = new Date(existingRating.created_at)
-            const twentyFourHoursAgo = new Date(currentTime.getTime() - (24 * 60 * 60 * 1000))
-
-            if (createdAt > twentyFourHoursAgo) {
-                // Update existing rating if within 24 hours
-                try {
-                    const { error: updateError } = await supabase
-                        .from('ratings')
-                        .update({
-                            rating: validatedScore,
-                            comment: comment || null,
-                            is_spam: isSpam || false,
-                            is_misleading: isMisleading || false,
-                            is_scam: isScam || false,
-                            processed: false
-                        })
-                        .eq('id', existingRating.id)
-                        .eq('user_id_hash', user.id)
-
-                    if (updateError) {
-                        throw new DatabaseError(`Failed to update rating: ${updateError.message}`)
-                    }
-                    message = 'Rating updated successfully!'
-                } catch (error) {
-                    console.error('Error updating rating:', error.message)
-                    throw new DatabaseError(`Failed to update rating: ${error.message}`)
-                }
-            } else {
-                // Insert new rating if existing one is older than 24 hours
-                try {
-                    const { error: insertError } = await supabase
-                        .from('ratings')
-                        .insert({
-                            url_hash: urlHash,
-                            user_id_hash: user.id,
-                            rating: validatedScore,
-                            comment: comment || null,
-                            is_spam: isSpam || false,
-                            is_misleading: isMisleading || false,
-                            is_scam: isScam || false
-                        })
-
-                    if (insertError) {
-                        throw new DatabaseError(`Failed to submit new rating: ${insertError.message}`)
-                    }
-                    message = 'New rating submitted successfully (previous rating was too old to update)!'
-                } catch (error) {
-                    console.error('Error inserting new rating:', error.message)
-                    throw new DatabaseError(`Failed to submit new rating: ${error.message}`)
-                }
+            const { error: updateError } = await supabase
+                .from('ratings')
+                .update({
+                    rating: validatedScore,
+                    comment: reviewComment,
+                    is_spam: isSpam || false,
+                    is_misleading: isMisleading || false,
+                    is_scam: isScam || false,
+                    url_signals: validatedUrlSignals,
+                    processed: false,
+                    updated_at: currentTime.toISOString(),
+                    client_request_id: clientRequestId
+                })
+                .eq('id', existingRating.id)
+                .eq('user_id_hash', user.id)
+
+            if (updateError) {
+                console.error('Error updating rating:', updateError.message)
+                throw new DatabaseError(`Failed to update rating: ${updateError.message}`)
             }
+            ratingId = existingRating.id
+            message = 'Rating updated successfully!'
         } else {
-            // No existing rating, insert new one
-            try {
-                const { error: insertError } = await supabase
-                    .from('ratings')
-                    .insert({
-                        url_hash: urlHash,
-                        user_id_hash: user.id,
-                        rating: validatedScore,
-                        comment: comment || null,
-                        is_spam: isSpam || false,
-                        is_misleading: isMisleading || false,
-                        is_scam: isScam || false
-                    })
-
-                if (insertError) {
-                    throw new DatabaseError(`Failed to submit rating: ${insertError.message}`)
-                }
-                message = 'Rating submitted successfully!'
-            } catch (error) {
-                console.error('Error inserting rating:', error.message)
-                throw new DatabaseError(`Failed to submit rating: ${error.message}`)
+            const { data: inserted, error: insertError } = await supabase
+                .from('ratings')
+                .insert({
+                    url_hash: urlHash,
+                    url: canonicalUrl,
+                    domain: domain,
+                    user_id_hash: user.id,
+                    rating: validatedScore,
+                    comment: reviewComment,
+                    is_spam: isSpam || false,
+                    is_misleading: isMisleading || false,
+                    is_scam: isScam || false,
+                    url_signals: validatedUrlSignals,
+                    client_request_id: clientRequestId
+                })
+                .select('id')
+                .single()
+
+            if (insertError) {
+                console.error('Error inserting rating:', insertError.message)
+                throw new DatabaseError(`Failed to submit rating: ${insertError.message}`)
             }
+            ratingId = inserted?.id || null
+            message = 'Rating submitted successfully!'
         }
 
         // Update url_stats with domain information - let cron job handle enhanced score calculation
@@ -280,7 +630,9 @@ async function handleSubmitRating(req: Request, _route: RouteConfig, requestId:
                 .from('url_stats')
                 .upsert({
                     url_hash: urlHash,
+                    url: canonicalUrl,
                     domain: domain,
+                    registrable_domain: getRegistrableDomain(domain) || domain,
                     last_updated: new Date().toISOString(),
                     last_accessed: new Date().toISOString()
                 }, {
@@ -311,7 +663,9 @@ async function handleSubmitRating(req: Request, _route: RouteConfig, requestId:
             JSON.stringify({
                 message,
                 rating: {
+                    id: ratingId,
                     url_hash: urlHash,
+                    canonical_url: canonicalUrl,
                     user_id: user.id,
                     rating: validatedScore,
                     is_spam: isSpam || false,
@@ -319,7 +673,7 @@ async function handleSubmitRating(req: Request, _route: RouteConfig, requestId:
                     is_scam: isScam || false,
                     created_at: currentTime.toISOString()
                 },
-                urlStats: currentStats ? formatStatsResponse(currentStats, validatedUrl) : null,
+                urlStats: currentStats ? formatStatsResponse(currentStats, validatedUrl, canonicalUrl) : null,
                 processing: true, // Domain analysis will update stats
                 timestamp: currentTime.toISOString(),
                 request_id: requestId
@@ -338,15 +692,798 @@ async function handleSubmitRating(req: Request, _route: RouteConfig, requestId:
     }
 }
 
-// Utility Functions
-async function generateUrlHash(url: string): Promise<string> {
-    const encoder = new TextEncoder()
-    const data = encoder.encode(url)
-    const hashBuffer = await crypto.subtle.digest('SHA-256', data)
-    const hashArray = Array.from(new Uint8Array(hashBuffer))
-    return hashArray.map(b => b.toString(16).padStart(2, '0')).join('')
+// Flag filters accepted by /my-ratings, mapped to their ratings columns
+const RATING_FLAG_COLUMNS: Record<string, string> = {
+    spam: 'is_spam',
+    misleading: 'is_misleading',
+    scam: 'is_scam'
 }
 
+// My Ratings Handler - the signed-in user's own ratings, newest first
+async function handleGetMyRatings(req: Request, _route: RouteConfig, requestId: string): Promise<Response> {
+    validateRequestMethod(req.method, ['GET'])
+
+    const { user, supabase } = await validateAuthentication(req, true)
+    if (!user) {
+        throw new AuthError('Authorization required. Please log in to view your ratings.')
+    }
+
+    const { page, limit, offset } = parsePagination(req)
+    const flag = getQueryParam(req, 'flag')
+    if (flag && !RATING_FLAG_COLUMNS[flag]) {
+        throw new ValidationError(`flag must be one of: ${Object.keys(RATING_FLAG_COLUMNS).join(', ')}`)
+    }
+
+    let query = supabase
+        .from('ratings')
+        .select('id, url_hash, url, domain, rating, comment, comment_hidden, is_spam, is_misleading, is_scam, processed, created_at, updated_at', { count: 'exact' })
+        .eq('user_id_hash', user.id)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1)
+
+    if (flag) {
+        query = query.eq(RATING_FLAG_COLUMNS[flag], true)
+    }
+
+    // Optional: only the rating for one page (the popup's "You rated this" line)
+    const targetUrl = getQueryParam(req, 'url')
+    if (targetUrl) {
+        const canonicalUrl = canonicalizeUrl(validateUrlParameter(targetUrl), await getCanonicalizationOptions(supabase))
+        query = query.eq('url_hash', await generateUrlHash(canonicalUrl))
+    }
+
+    const { data: ratings, error, count } = await query
+    if (error) {
+        throw new DatabaseError(`Failed to fetch ratings: ${error.message}`)
+    }
+
+    // Ratings written before URLs were stored only have a hash; url_stats may still know the URL
+    const urlsByHash: Record<string, string> = {}
+    const missingHashes = [...new Set((ratings || []).filter((r: any) => !r.url).map((r: any) => r.url_hash))]
+    if (missingHashes.length > 0) {
+        const { data: stats, error: statsError } = await supabase
+            .from('url_stats')
+            .select('url_hash, url')
+            .in('url_hash', missingHashes)
+            .not('url', 'is', null)
+
+        if (statsError) {
+            console.error('Failed to resolve rating URLs:', statsError.message)
+        }
+        for (const row of stats || []) {
+            urlsByHash[row.url_hash] = row.url
+        }
+    }
+
+    const total = count || 0
+
+    return new Response(
+        JSON.stringify({
+            ratings: (ratings || []).map((r: any) => ({
+                id: r.id,
+                url_hash: r.url_hash,
+                canonical_url: r.url || urlsByHash[r.url_hash] || null,
+                domain: r.domain,
+                rating: r.rating,
+                comment: r.comment,
+                comment_hidden: r.comment_hidden,
+                is_spam: r.is_spam || false,
+                is_misleading: r.is_misleading || false,
+                is_scam: r.is_scam || false,
+                processed: r.processed,
+                created_at: r.created_at,
+                updated_at: r.updated_at
+            })),
+            pagination: {
+                page,
+                limit,
+                total,
+                has_more: offset + limit < total
+            },
+            flag: flag || null,
+            request_id: requestId
+        }),
+        {
+            status: 200,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+    )
+}
+
+// My Reputation Handler - how much the signed-in user's ratings count in community scores
+async function handleGetMyReputation(req: Request, _route: RouteConfig, requestId: string): Promise<Response> {
+    validateRequestMethod(req.method, ['GET'])
+
+    const { user, supabase } = await validateAuthentication(req, true)
+    if (!user) {
+        throw new AuthError('Authorization required. Please log in to view your reputation.')
+    }
+
+    const { data, error } = await supabase
+        .rpc('get_rater_reputation', { p_user_id_hash: user.id })
+        .single()
+
+    if (error) {
+        throw new DatabaseError(`Failed to fetch reputation: ${error.message}`)
+    }
+
+    return new Response(
+        JSON.stringify({
+            weighting_enabled: data.weighting_enabled,
+            reputation_score: Number(data.reputation_score),
+            weight: Number(data.weight),
+            components: {
+                account_age_days: data.account_age_days,
+                settled_ratings: data.settled_ratings,
+                agreeing_ratings: data.agreeing_ratings,
+                confirmed_scam_reports: data.confirmed_scam_reports,
+                false_scam_reports: data.false_scam_reports
+            },
+            updated_at: data.updated_at,
+            request_id: requestId
+        }),
+        {
+            status: 200,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+    )
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+// Loads a rating owned by the user, or throws NotFoundError (other users' ratings look the same as missing ones)
+async function getOwnRating(supabase: any, ratingId: string, userId: string) {
+    if (!UUID_PATTERN.test(ratingId)) {
+        throw new ValidationError('Rating id must be a UUID')
+    }
+
+    const { data, error } = await supabase
+        .from('ratings')
+        .select('id, url_hash, url, rating, comment, is_spam, is_misleading, is_scam, created_at')
+        .eq('id', ratingId)
+        .eq('user_id_hash', userId)
+        .maybeSingle()
+
+    if (error) {
+        throw new DatabaseError(`Failed to load rating: ${error.message}`)
+    }
+    if (!data) {
+        throw new NotFoundError('Rating not found')
+    }
+    return data
+}
+
+// Ask batch_aggregate_ratings to recompute a URL even if it has no unprocessed ratings left
+async function queueUrlStatsRefresh(supabase: any, urlHash: string, reason: string) {
+    const { error } = await supabase.rpc('queue_url_stats_refresh', { p_url_hash: urlHash, p_reason: reason })
+    if (error) {
+        // Edits still mark the rating unprocessed; only withdrawals depend on the queue
+        console.error('Failed to queue url_stats refresh:', error.message)
+    }
+}
+
+// Update Rating Handler - PATCH /rating/:id
+async function handleUpdateRating(req: Request, route: RouteConfig, requestId: string): Promise<Response> {
+    validateRequestMethod(req.method, ['PATCH'])
+
+    const { user, supabase } = await validateAuthentication(req, true)
+    if (!user) {
+        throw new AuthError('Authorization required. Please log in to edit ratings.')
+    }
+
+    const existing = await getOwnRating(supabase, route.params?.id || '', user.id)
+    const body = await parseJsonBody(req)
+
+    const updates: Record<string, unknown> = {}
+    if (body.score !== undefined) updates.rating = validateRatingScore(body.score)
+    if (body.comment !== undefined) updates.comment = validateReviewComment(body.comment)
+    for (const [field, column] of [['isSpam', 'is_spam'], ['isMisleading', 'is_misleading'], ['isScam', 'is_scam']]) {
+        if (body[field] !== undefined) {
+            if (typeof body[field] !== 'boolean') {
+                throw new ValidationError(`${field} must be a boolean`)
+            }
+            updates[column] = body[field]
+        }
+    }
+
+    if (Object.keys(updates).length === 0) {
+        throw new ValidationError('Provide at least one of: score, comment, isSpam, isMisleading, isScam')
+    }
+
+    const updatedAt = new Date().toISOString()
+    const { data: updated, error } = await supabase
+        .from('ratings')
+        .update({ ...updates, processed: false, updated_at: updatedAt })
+        .eq('id', existing.id)
+        .eq('user_id_hash', user.id)
+        .select('id, url_hash, url, rating, comment, is_spam, is_misleading, is_scam, created_at, updated_at')
+        .single()
+
+    if (error) {
+        throw new DatabaseError(`Failed to update rating: ${error.message}`)
+    }
+
+    await queueUrlStatsRefresh(supabase, existing.url_hash, 'rating_edited')
+
+    return new Response(
+        JSON.stringify({
+            message: 'Rating updated successfully!',
+            rating: {
+                id: updated.id,
+                url_hash: updated.url_hash,
+                canonical_url: updated.url,
+                rating: updated.rating,
+                comment: updated.comment,
+                is_spam: updated.is_spam,
+                is_misleading: updated.is_misleading,
+                is_scam: updated.is_scam,
+                created_at: updated.created_at,
+                updated_at: updated.updated_at
+            },
+            processing: true, // Aggregation picks up the change on its next run
+            request_id: requestId
+        }),
+        {
+            status: 200,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+    )
+}
+
+// Delete Rating Handler - DELETE /rating/:id
+async function handleDeleteRating(req: Request, route: RouteConfig, requestId: string): Promise<Response> {
+    validateRequestMethod(req.method, ['DELETE'])
+
+    const { user, supabase } = await validateAuthentication(req, true)
+    if (!user) {
+        throw new AuthError('Authorization required. Please log in to remove ratings.')
+    }
+
+    const existing = await getOwnRating(supabase, route.params?.id || '', user.id)
+
+    const { error } = await supabase
+        .from('ratings')
+        .delete()
+        .eq('id', existing.id)
+        .eq('user_id_hash', user.id)
+
+    if (error) {
+        throw new DatabaseError(`Failed to remove rating: ${error.message}`)
+    }
+
+    await queueUrlStatsRefresh(supabase, existing.url_hash, 'rating_withdrawn')
+
+    return new Response(
+        JSON.stringify({
+            message: 'Rating removed',
+            id: existing.id,
+            url_hash: existing.url_hash,
+            processing: true,
+            request_id: requestId
+        }),
+        {
+            status: 200,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+    )
+}
+
+const REVIEW_SORT_ORDERS = ['newest', 'helpful']
+
+// Get Reviews Handler - GET /reviews?url=&page=&limit=&sort=newest|helpful
+async function handleGetReviews(req: Request, _route: RouteConfig, requestId: string): Promise<Response> {
+    validateRequestMethod(req.method, ['GET'])
+
+    const validatedUrl = validateUrlParameter(getQueryParam(req, 'url', true))
+    const { page, limit, offset } = parsePagination(req, 10, 50)
+    const sort = getQueryParam(req, 'sort') || 'newest'
+    if (!REVIEW_SORT_ORDERS.includes(sort)) {
+        throw new ValidationError(`sort must be one of: ${REVIEW_SORT_ORDERS.join(', ')}`)
+    }
+
+    const { supabase } = await validateAuthentication(req, false)
+
+    const canonicalUrl = canonicalizeUrl(validatedUrl, await getCanonicalizationOptions(supabase))
+    const urlHash = await generateUrlHash(canonicalUrl)
+
+    // Reviewer identities are never exposed - only the review itself
+    let query = supabase
+        .from('ratings')
+        .select('id, rating, comment, is_spam, is_misleading, is_scam, helpful_count, created_at, updated_at', { count: 'exact' })
+        .eq('url_hash', urlHash)
+        .not('comment', 'is', null)
+        .eq('comment_hidden', false)
+        // Reviews on ratings held for brigading review stay hidden until released
+        .eq('moderation_status', 'active')
+
+    if (sort === 'helpful') {
+        query = query.order('helpful_count', { ascending: false })
+    }
+
+    const { data, error, count } = await query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1)
+
+    if (error) {
+        throw new DatabaseError(`Failed to load reviews: ${error.message}`)
+    }
+
+    const total = count ?? 0
+
+    return new Response(
+        JSON.stringify({
+            url_hash: urlHash,
+            canonical_url: canonicalUrl,
+            reviews: data || [],
+            pagination: {
+                page,
+                limit,
+                total,
+                has_more: offset + (data?.length || 0) < total
+            },
+            sort,
+            request_id: requestId
+        }),
+        {
+            status: 200,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json', 'Cache-Control': 'public, max-age=60' }
+        }
+    )
+}
+
+// Mark Review Helpful Handler - POST /reviews/:id/helpful
+async function handleMarkReviewHelpful(req: Request, route: RouteConfig, requestId: string): Promise<Response> {
+    validateRequestMethod(req.method, ['POST'])
+
+    const { user, supabase } = await validateAuthentication(req, true)
+    if (!user) {
+        throw new AuthError('Authorization required. Please log in to vote on reviews.')
+    }
+
+    const reviewId = route.params?.id || ''
+    if (!UUID_PATTERN.test(reviewId)) {
+        throw new ValidationError('Review id must be a UUID')
+    }
+
+    const { data: review, error: fetchError } = await supabase
+        .from('ratings')
+        .select('id, user_id_hash, helpful_count')
+        .eq('id', reviewId)
+        .not('comment', 'is', null)
+        .eq('comment_hidden', false)
+        .eq('moderation_status', 'active')
+        .maybeSingle()
+
+    if (fetchError) {
+        throw new DatabaseError(`Failed to load review: ${fetchError.message}`)
+    }
+    if (!review) {
+        throw new NotFoundError('Review not found')
+    }
+    if (review.user_id_hash === user.id) {
+        throw new ValidationError('You cannot mark your own review as helpful')
+    }
+
+    const { error: voteError } = await supabase
+        .from('review_helpful_votes')
+        .insert({ rating_id: review.id, user_id_hash: user.id })
+
+    // 23505: already voted - voting is idempotent
+    const alreadyVoted = voteError?.code === '23505'
+    if (voteError && !alreadyVoted) {
+        throw new DatabaseError(`Failed to record vote: ${voteError.message}`)
+    }
+
+    return new Response(
+        JSON.stringify({
+            id: review.id,
+            helpful_count: alreadyVoted ? review.helpful_count : review.helpful_count + 1,
+            already_voted: alreadyVoted,
+            request_id: requestId
+        }),
+        {
+            status: 200,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+    )
+}
+
+const DISPUTE_REASONS = ['inaccurate_reports', 'coordinated_reports', 'issue_resolved', 'other']
+const DISPUTE_DETAILS_MAX_LENGTH = 2000
+const ACTIVE_DISPUTE_STATUSES = ['open', 'under_review']
+const CLAIM_VERIFY_INTERVAL_MS = 30 * 1000
+const CLAIM_COLUMNS = 'id, domain, method, token, status, last_error, last_checked_at, verified_at, created_at'
+const DISPUTE_COLUMNS = 'id, domain, url, reason, details, contact_email, status, admin_notes, created_at, updated_at, resolved_at'
+
+function validateClaimDomain(value: unknown): string {
+    if (typeof value !== 'string' || value.trim().length === 0) {
+        throw new ValidationError('domain is required')
+    }
+    const domain = canonicalizeHost(extractDomain(value.trim()))
+    if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain)) {
+        throw new ValidationError('domain must be a valid host name')
+    }
+    // Ownership is claimed for names; verification never fetches from a bare address
+    if (isIpLiteral(domain)) {
+        throw new ValidationError('domain must be a host name, not an IP address')
+    }
+    return domain
+}
+
+// Domain Claims Handler - GET /domain-claims
+async function handleGetDomainClaims(req: Request, _route: RouteConfig, requestId: string): Promise<Response> {
+    validateRequestMethod(req.method, ['GET'])
+
+    const { user, supabase } = await validateAuthentication(req, true)
+    if (!user) {
+        throw new AuthError('Authorization required. Please log in to manage domains.')
+    }
+
+    const { data, error } = await supabase
+        .from('domain_ownership_claims')
+        .select(CLAIM_COLUMNS)
+        .eq('user_id_hash', user.id)
+        .order('created_at', { ascending: false })
+
+    if (error) {
+        throw new DatabaseError(`Failed to load domain claims: ${error.message}`)
+    }
+
+    return new Response(
+        JSON.stringify({ claims: data || [], request_id: requestId }),
+        {
+            status: 200,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+    )
+}
+
+// Create Domain Claim Handler - POST /domain-claims
+// Issues a verification token; asking again for a verified domain with the same method is a no-op
+async function handleCreateDomainClaim(req: Request, _route: RouteConfig, requestId: string): Promise<Response> {
+    validateRequestMethod(req.method, ['POST'])
+
+    const { user, supabase } = await validateAuthentication(req, true)
+    if (!user) {
+        throw new AuthError('Authorization required. Please log in to manage domains.')
+    }
+
+    const body = await parseJsonBody(req)
+    const domain = validateClaimDomain(body.domain)
+    const method = body.method || 'dns_txt'
+    if (!VERIFICATION_METHODS.includes(method)) {
+        throw new ValidationError(`method must be one of: ${VERIFICATION_METHODS.join(', ')}`)
+    }
+
+    const { data: existing, error: fetchError } = await supabase
+        .from('domain_ownership_claims')
+        .select(CLAIM_COLUMNS)
+        .eq('domain', domain)
+        .eq('user_id_hash', user.id)
+        .maybeSingle()
+
+    if (fetchError) {
+        throw new DatabaseError(`Failed to load domain claim: ${fetchError.message}`)
+    }
+
+    let claim = existing
+    if (!existing || existing.status !== 'verified' || existing.method !== method) {
+        const { data, error } = await supabase
+            .from('domain_ownership_claims')
+            .upsert({
+                domain,
+                user_id_hash: user.id,
+                method,
+                token: generateVerificationToken(),
+                status: 'pending',
+                last_error: null,
+                last_checked_at: null,
+                verified_at: null,
+                created_at: new Date().toISOString()
+            }, { onConflict: 'domain,user_id_hash' })
+            .select(CLAIM_COLUMNS)
+            .single()
+
+        if (error) {
+            throw new DatabaseError(`Failed to create domain claim: ${error.message}`)
+        }
+        claim = data
+    }
+
+    return new Response(
+        JSON.stringify({
+            claim,
+            instructions: claim.status === 'verified' ? null : getVerificationInstructions(domain, claim.method, claim.token),
+            request_id: requestId
+        }),
+        {
+            status: existing ? 200 : 201,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+    )
+}
+
+// Verify Domain Claim Handler - POST /domain-claims/:id/verify
+async function handleVerifyDomainClaim(req: Request, route: RouteConfig, requestId: string): Promise<Response> {
+    validateRequestMethod(req.method, ['POST'])
+
+    const { user, supabase } = await validateAuthentication(req, true)
+    if (!user) {
+        throw new AuthError('Authorization required. Please log in to manage domains.')
+    }
+
+    const claimId = route.params?.id || ''
+    if (!UUID_PATTERN.test(claimId)) {
+        throw new ValidationError('Claim id must be a UUID')
+    }
+
+    const { data: claim, error: fetchError } = await supabase
+        .from('domain_ownership_claims')
+        .select(CLAIM_COLUMNS)
+        .eq('id', claimId)
+        .eq('user_id_hash', user.id)
+        .maybeSingle()
+
+    if (fetchError) {
+        throw new DatabaseError(`Failed to load domain claim: ${fetchError.message}`)
+    }
+    if (!claim) {
+        throw new NotFoundError('Domain claim not found')
+    }
+    if (claim.status === 'revoked') {
+        throw new ValidationError('This claim was revoked by an administrator. Request a new token to try again.')
+    }
+
+    // Each check does a DNS lookup or an outbound fetch
+    if (claim.last_checked_at && Date.now() - new Date(claim.last_checked_at).getTime() < CLAIM_VERIFY_INTERVAL_MS) {
+        throw new RateLimitError('Verification was checked moments ago. Please wait before trying again.')
+    }
+
+    const result = await verifyDomainOwnership(claim.domain, claim.method, claim.token)
+    const now = new Date().toISOString()
+
+    const { data: updated, error: updateError } = await supabase
+        .from('domain_ownership_claims')
+        .update({
+            status: result.verified ? 'verified' : 'failed',
+            last_error: result.error,
+            last_checked_at: now,
+            verified_at: result.verified ? (claim.verified_at || now) : null
+        })
+        .eq('id', claim.id)
+        .select(CLAIM_COLUMNS)
+        .single()
+
+    if (updateError) {
+        throw new DatabaseError(`Failed to update domain claim: ${updateError.message}`)
+    }
+
+    return new Response(
+        JSON.stringify({
+            claim: updated,
+            verified: result.verified,
+            error: result.error,
+            instructions: result.verified ? null : getVerificationInstructions(claim.domain, claim.method, claim.token),
+            request_id: requestId
+        }),
+        {
+            status: 200,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+    )
+}
+
+// My Disputes Handler - GET /disputes
+async function handleGetDisputes(req: Request, _route: RouteConfig, requestId: string): Promise<Response> {
+    validateRequestMethod(req.method, ['GET'])
+
+    const { user, supabase } = await validateAuthentication(req, true)
+    if (!user) {
+        throw new AuthError('Authorization required. Please log in to view disputes.')
+    }
+
+    const { page, limit, offset } = parsePagination(req)
+
+    const { data, error, count } = await supabase
+        .from('site_disputes')
+        .select(DISPUTE_COLUMNS, { count: 'exact' })
+        .eq('user_id_hash', user.id)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1)
+
+    if (error) {
+        throw new DatabaseError(`Failed to load disputes: ${error.message}`)
+    }
+
+    const total = count ?? 0
+
+    return new Response(
+        JSON.stringify({
+            disputes: data || [],
+            pagination: { page, limit, total, has_more: offset + (data?.length || 0) < total },
+            request_id: requestId
+        }),
+        {
+            status: 200,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+    )
+}
+
+// Open Dispute Handler - POST /disputes
+// Body: { url } for one page or { domain } for the whole domain, plus reason and details
+async function handleCreateDispute(req: Request, _route: RouteConfig, requestId: string): Promise<Response> {
+    validateRequestMethod(req.method, ['POST'])
+
+    const { user, supabase } = await validateAuthentication(req, true)
+    if (!user) {
+        throw new AuthError('Authorization required. Please log in to open a dispute.')
+    }
+
+    const body = await parseJsonBody(req)
+
+    let domain: string
+    let canonicalUrl: string | null = null
+    let urlHash: string | null = null
+    if (body.url) {
+        canonicalUrl = canonicalizeUrl(validateUrlParameter(body.url), await getCanonicalizationOptions(supabase))
+        urlHash = await generateUrlHash(canonicalUrl)
+        domain = canonicalizeHost(extractDomain(canonicalUrl))
+    } else {
+        domain = validateClaimDomain(body.domain)
+    }
+
+    if (!DISPUTE_REASONS.includes(body.reason)) {
+        throw new ValidationError(`reason must be one of: ${DISPUTE_REASONS.join(', ')}`)
+    }
+
+    const details = typeof body.details === 'string' ? body.details.trim() : ''
+    if (details.length < 20 || details.length > DISPUTE_DETAILS_MAX_LENGTH) {
+        throw new ValidationError(`details must be between 20 and ${DISPUTE_DETAILS_MAX_LENGTH} characters`)
+    }
+
+    const contactEmail = typeof body.contactEmail === 'string' && body.contactEmail.trim() ? body.contactEmail.trim() : null
+    if (contactEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(contactEmail)) {
+        throw new ValidationError('contactEmail must be a valid email address')
+    }
+
+    // The owner needs a verified claim on the domain or a parent domain
+    const { data: claims, error: claimError } = await supabase
+        .from('domain_ownership_claims')
+        .select('id, domain')
+        .eq('user_id_hash', user.id)
+        .eq('status', 'verified')
+
+    if (claimError) {
+        throw new DatabaseError(`Failed to load domain claims: ${claimError.message}`)
+    }
+
+    const claim = (claims || []).find((c: any) => claimCoversDomain(c.domain, domain))
+    if (!claim) {
+        throw new ForbiddenError(`Verify ownership of ${domain} (POST /domain-claims) before opening a dispute`)
+    }
+
+    const { data: dispute, error } = await supabase
+        .from('site_disputes')
+        .insert({
+            claim_id: claim.id,
+            user_id_hash: user.id,
+            domain,
+            url_hash: urlHash,
+            url: canonicalUrl,
+            reason: body.reason,
+            details,
+            contact_email: contactEmail
+        })
+        .select(DISPUTE_COLUMNS)
+        .single()
+
+    if (error) {
+        if (error.code === '23505') {
+            throw new ConflictError('You already have an open dispute for this target')
+        }
+        throw new DatabaseError(`Failed to open dispute: ${error.message}`)
+    }
+
+    return new Response(
+        JSON.stringify({ message: 'Dispute opened', dispute, request_id: requestId }),
+        {
+            status: 201,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+    )
+}
+
+// Withdraw Dispute Handler - DELETE /disputes/:id
+async function handleWithdrawDispute(req: Request, route: RouteConfig, requestId: string): Promise<Response> {
+    validateRequestMethod(req.method, ['DELETE'])
+
+    const { user, supabase } = await validateAuthentication(req, true)
+    if (!user) {
+        throw new AuthError('Authorization required. Please log in to manage disputes.')
+    }
+
+    const disputeId = route.params?.id || ''
+    if (!UUID_PATTERN.test(disputeId)) {
+        throw new ValidationError('Dispute id must be a UUID')
+    }
+
+    const now = new Date().toISOString()
+    const { data, error } = await supabase
+        .from('site_disputes')
+        .update({ status: 'withdrawn', updated_at: now, resolved_at: now })
+        .eq('id', disputeId)
+        .eq('user_id_hash', user.id)
+        .in('status', ACTIVE_DISPUTE_STATUSES)
+        .select(DISPUTE_COLUMNS)
+
+    if (error) {
+        throw new DatabaseError(`Failed to withdraw dispute: ${error.message}`)
+    }
+    if (!data || data.length === 0) {
+        throw new NotFoundError('No open dispute with this id')
+    }
+
+    return new Response(
+        JSON.stringify({ message: 'Dispute withdrawn', dispute: data[0], request_id: requestId }),
+        {
+            status: 200,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+    )
+}
+
+// The page's own stats, else its domain rollup (the host's, else its registrable domain's), else
+// the domain baseline
+async function lookupStats(supabase: any, canonicalUrl: string, urlHash: string) {
+    const stats = await getUrlStats(supabase, urlHash, canonicalUrl)
+    if (stats && stats.rating_count) {
+        return stats
+    }
+
+    const domain = extractDomain(canonicalUrl)
+    const registrableDomain = getRegistrableDomain(domain)
+    const rollup = await getDomainRollup(supabase, domain)
+        ?? (registrableDomain && registrableDomain !== domain ? await getDomainRollup(supabase, registrableDomain) : null)
+    if (!rollup && stats) {
+        return stats
+    }
+
+    const { baseline_score: baselineScore } = await getDomainBaseline(supabase, domain)
+    return rollup
+        ? createDomainRollupStats(canonicalUrl, domain, rollup, baselineScore)
+        : createBaselineStats(canonicalUrl, domain, baselineScore)
+}
+
+// Active site-owner dispute on this URL or on its whole domain, for /url-stats
+async function getActiveDispute(supabase: any, urlHash: string, domain: string) {
+    try {
+        const { data, error } = await supabase
+            .from('site_disputes')
+            .select('status, reason, url_hash, created_at')
+            .in('status', ACTIVE_DISPUTE_STATUSES)
+            .or(`url_hash.eq.${urlHash},and(url_hash.is.null,domain.eq.${domain})`)
+            .order('created_at', { ascending: false })
+            .limit(1)
+
+        if (error || !data || data.length === 0) {
+            return null
+        }
+
+        return {
+            status: data[0].status,
+            reason: data[0].reason,
+            scope: data[0].url_hash ? 'url' : 'domain',
+            opened_at: data[0].created_at
+        }
+    } catch (error) {
+        // The dispute marker is informational; never fail stats over it
+        console.error('Dispute lookup failed:', error.message)
+        return null
+    }
+}
+
+// Utility Functions
 function extractDomain(url: string): string {
     try {
         const urlObj = new URL(url.startsWith('http') ? url : `https://${url}`)
@@ -392,12 +1529,69 @@ async function getUrlStats(supabase: any, urlHash: string, url?: string) {
     }
 }
 
-// Removed getDomainStats and mergeDomainStats functions
-// Each URL should have independent ratings, no domain-level fallback
+// Rating-count-weighted aggregate of the domain's rated pages (domain_rollup_stats, refreshed by cron)
+async function getDomainRollup(supabase: any, domain: string) {
+    if (!domain) {
+        return null
+    }
 
-function createBaselineStats(url: string, domain: string) {
-    const baselineScore = calculateDomainBaseline(domain)
+    try {
+        const { data, error } = await supabase
+            .from('domain_rollup_stats')
+            .select('*')
+            .eq('domain', domain)
+            .maybeSingle()
+
+        if (error) {
+            console.error('Error fetching domain rollup:', error.message)
+            return null
+        }
+        return data
+    } catch (error) {
+        console.error('Exception fetching domain rollup:', error.message)
+        return null
+    }
+}
+
+// Stats for an unrated page from its domain rollup. The score leans towards the domain baseline
+// until the rollup has enough ratings (confidence 1); the page's own counts stay at zero.
+function createDomainRollupStats(url: string, domain: string, rollup: any, baselineScore: number) {
+    const confidence = Number(rollup.confidence) || 0
+    const score = Math.round((confidence * Number(rollup.final_trust_score) + (1 - confidence) * baselineScore) * 100) / 100
 
+    return {
+        url: url,
+        url_hash: '',
+        domain: domain,
+        trust_score: score,
+        final_trust_score: score,
+        domain_trust_score: rollup.domain_trust_score ?? baselineScore,
+        community_trust_score: null,
+        content_type: 'unknown',
+        rating_count: 0,
+        average_rating: null,
+        spam_reports_count: 0,
+        misleading_reports_count: 0,
+        scam_reports_count: 0,
+        last_updated: rollup.updated_at,
+        data_source: 'domain',
+        cache_status: 'fresh',
+        domain_rollup: {
+            domain: rollup.domain,
+            rated_url_count: rollup.rated_url_count,
+            rating_count: rollup.rating_count,
+            trust_score: Number(rollup.final_trust_score),
+            community_trust_score: rollup.community_trust_score,
+            spam_reports_count: rollup.spam_reports_count,
+            misleading_reports_count: rollup.misleading_reports_count,
+            scam_reports_count: rollup.scam_reports_count,
+            confidence: confidence
+        }
+    }
+}
+
+// baselineScore comes from domain_baselines (getDomainBaseline)
+function createBaselineStats(url: string, domain: string, baselineScore: number) {
     return {
         url: url,
         url_hash: '',
@@ -418,54 +1612,141 @@ function createBaselineStats(url: string, domain: string) {
     }
 }
 
-function calculateDomainBaseline(domain: string): number {
-    // Domain-specific baseline scores based on reputation
-    const domainBaselines: Record<string, number> = {
-        // High trust domains (70-85)
-        'google.com': 85, 'youtube.com': 75, 'wikipedia.org': 85,
-        'github.com': 80, 'stackoverflow.com': 82, 'microsoft.com': 78,
-        'apple.com': 80, 'amazon.com': 72, 'netflix.com': 75,
+// Stats for an unrated shortener link: the destination's scores, the link's own (zero) counts
+function createRedirectStats(url: string, domain: string, destination: any) {
+    return {
+        ...createBaselineStats(url, domain, destination.final_trust_score),
+        trust_score: destination.trust_score,
+        domain_trust_score: destination.domain_trust_score,
+        community_trust_score: destination.community_trust_score,
+        trust_score_margin: destination.trust_score_margin ?? null,
+        last_updated: destination.last_updated,
+        data_source: 'redirect',
+        cache_status: 'fresh'
+    }
+}
+
+// Redirect chains are re-resolved once older than this
+const REDIRECT_CHAIN_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000
+
+// Who is asking, for per-caller limits: the user, else the client address the gateway saw. Clients
+// can send their own X-Forwarded-For, so only x-real-ip or the entry the gateway appended (the last)
+// is trusted, never the first.
+function getCallerKey(req: Request, user: any): string {
+    if (user?.id) {
+        return `user:${user.id}`
+    }
+    const realIp = req.headers.get('x-real-ip')?.trim()
+    const gatewayEntry = req.headers.get('x-forwarded-for')?.split(',').pop()?.trim()
+    return `ip:${realIp || gatewayEntry || 'unknown'}`
+}
 
-        // Educational domains (75-85)
-        'mit.edu': 85, 'stanford.edu': 85, 'harvard.edu': 85,
-        'coursera.org': 78, 'khanacademy.org': 80,
+// Stored chain for a shortener link (url_redirect_chains), resolving and storing it when missing or
+// stale. Null when the caller has used up its fresh resolutions for the minute.
+async function getRedirectChain(supabase: any, canonicalUrl: string, urlHash: string, canonicalizationOptions: any, callerKey: string) {
+    const { data: stored, error } = await supabase
+        .from('url_redirect_chains')
+        .select('*')
+        .eq('url_hash', urlHash)
+        .maybeSingle()
+
+    if (error) {
+        console.error('Error fetching redirect chain:', error.message)
+    } else if (stored && Date.now() - new Date(stored.resolved_at).getTime() < REDIRECT_CHAIN_MAX_AGE_MS) {
+        return stored
+    }
 
-        // News domains (65-80)
-        'cnn.com': 70, 'bbc.com': 78, 'reuters.com': 80,
-        'nytimes.com': 75, 'npr.org': 78,
+    if (!takeResolutionSlot(callerKey)) {
+        console.warn(`Redirect resolution rate limit reached for ${callerKey}`)
+        return null
+    }
 
-        // Social media (55-65)
-        'facebook.com': 60, 'twitter.com': 58, 'x.com': 58,
-        'instagram.com': 62, 'linkedin.com': 68, 'reddit.com': 65,
-        'tiktok.com': 55,
+    const chain = await resolveRedirectChain(canonicalUrl, getRedirectResolverOptions())
 
-        // E-commerce (60-70)
-        'ebay.com': 65, 'etsy.com': 68, 'paypal.com': 75
+    // The destination is keyed like any rated page; a chain cut short has no usable destination
+    let finalUrl = chain.final_url
+    let finalUrlHash: string | null = null
+    if (chain.complete) {
+        finalUrl = canonicalizeUrl(chain.final_url, canonicalizationOptions)
+        finalUrlHash = await generateUrlHash(finalUrl)
     }
 
-    if (domain && domainBaselines[domain]) {
-        return domainBaselines[domain]
+    const row = {
+        url_hash: urlHash,
+        start_url: canonicalUrl,
+        final_url: finalUrl,
+        final_url_hash: finalUrlHash,
+        final_domain: chain.complete ? canonicalizeHost(extractDomain(finalUrl)) : null,
+        hops: chain.hops,
+        hop_count: chain.hop_count,
+        complete: chain.complete,
+        error: chain.error,
+        resolved_at: new Date().toISOString()
     }
 
-    // Default baseline based on TLD
-    if (domain) {
-        if (domain.endsWith('.edu') || domain.endsWith('.gov')) return 75
-        if (domain.endsWith('.org')) return 65
-        if (domain.endsWith('.com') || domain.endsWith('.net')) return 60
+    const { error: upsertError } = await supabase
+        .from('url_redirect_chains')
+        .upsert(row, { onConflict: 'url_hash' })
+
+    if (upsertError) {
+        console.error('Error storing redirect chain:', upsertError.message)
     }
 
-    return 50 // Ultimate fallback
+    return row
 }
 
-function formatStatsResponse(stats: any, url: string) {
+// "Redirects to example.com (score 72)" plus the chain, and the destination's stats for scoring.
+// Never fails the stats request: without a chain the link is scored like any other page.
+async function getRedirectSummary(supabase: any, canonicalUrl: string, urlHash: string, canonicalizationOptions: any, callerKey: string) {
+    try {
+        const chain = await getRedirectChain(supabase, canonicalUrl, urlHash, canonicalizationOptions, callerKey)
+        if (!chain || (chain.hop_count === 0 && chain.complete)) {
+            // Not resolved for now (rate limit), or not a redirect (e.g. the shortener's own home page)
+            return null
+        }
+
+        const summary = {
+            final_url: chain.final_url,
+            final_domain: chain.final_domain,
+            hop_count: chain.hop_count,
+            hops: chain.hops,
+            complete: chain.complete,
+            error: chain.error,
+            resolved_at: chain.resolved_at,
+            trust_score: null as number | null,
+            data_source: null as string | null,
+            message: `Redirect could not be followed: ${chain.error}`
+        }
+
+        if (!chain.complete || !chain.final_url_hash || chain.final_url_hash === urlHash) {
+            return { summary, destination: null }
+        }
+
+        const destination = await lookupStats(supabase, chain.final_url, chain.final_url_hash)
+        summary.trust_score = destination.final_trust_score
+        summary.data_source = destination.data_source || 'url'
+        summary.message = `Redirects to ${chain.final_domain} (score ${Math.round(destination.final_trust_score)})`
+
+        return { summary, destination }
+    } catch (error) {
+        console.error('Redirect lookup failed:', error.message)
+        return null
+    }
+}
+
+function formatStatsResponse(stats: any, url: string, canonicalUrl?: string) {
     return {
         url: url,
+        canonical_url: canonicalUrl || url,
         url_hash: stats.url_hash || '',
         domain: stats.domain,
+        registrable_domain: stats.registrable_domain || (stats.domain ? getRegistrableDomain(stats.domain) || stats.domain : null),
         trust_score: stats.trust_score,
         final_trust_score: stats.final_trust_score,
         domain_trust_score: stats.domain_trust_score,
         community_trust_score: stats.community_trust_score,
+        trust_score_margin: stats.trust_score_margin ?? null,
+        community_score_margin: stats.community_score_margin ?? null,
         content_type: stats.content_type || 'unknown',
         rating_count: stats.rating_count || 0,
         average_rating: stats.average_rating,
@@ -474,7 +1755,12 @@ function formatStatsResponse(stats: any, url: string) {
         scam_reports_count: stats.scam_reports_count || 0,
         last_updated: stats.last_updated,
         data_source: stats.data_source || 'url',
-        cache_status: stats.cache_status || 'fresh'
+        cache_status: stats.cache_status || 'fresh',
+        community_weighting: stats.community_weighting || null,
+        recent_trend: stats.recent_trend || null,
+        domain_rollup: stats.domain_rollup || null,
+        redirect: stats.redirect || null,
+        dispute: stats.dispute || null
     }
 }
 
@@ -521,7 +1807,7 @@ async function triggerDomainAnalysisIfNeeded(domain: string) {
         console.log(`Triggering domain analysis for: ${domain}`)
 
         try {
-            const domainAnalysis = await performBasicDomainAnalysis(domain)
+            const domainAnalysis = await performBasicDomainAnalysis(serviceSupabase, domain)
 
             const { error: upsertError } = await serviceSupabase
                 .rpc('upsert_domain_cache_safe', {
@@ -550,7 +1836,7 @@ async function triggerDomainAnalysisIfNeeded(domain: string) {
 }
 
 // Basic domain analysis function (simplified version)
-async function performBasicDomainAnalysis(domain: string) {
+async function performBasicDomainAnalysis(supabase: any, domain: string) {
     const result = {
         domain: domain,
         domainAge: 365 * 3, // Default 3 years
@@ -561,42 +1847,16 @@ async function performBasicDomainAnalysis(domain: string) {
     }
 
     try {
-        // Try to check HTTP status and SSL
-        const controller = new AbortController()
-        const timeoutId = setTimeout(() => controller.abort(), 5000) // 5 second timeout
-
-        try {
-            const response = await fetch(`https://${domain}`, {
-                method: 'HEAD',
-                signal: controller.signal,
-                redirect: 'follow'
-            })
-
-            clearTimeout(timeoutId)
-            result.httpStatus = response.status
-            result.sslValid = response.url.startsWith('https://')
-
-        } catch (fetchError) {
-            clearTimeout(timeoutId)
-            // Keep defaults on error
+        // HTTP status and SSL from where the home page ends up after its redirects
+        const chain = await resolveRedirectChain(`https://${domain}`, { ...getRedirectResolverOptions(), timeoutMs: 5000 })
+        if (chain.hops.length > 0) {
+            result.httpStatus = chain.hops[chain.hops.length - 1].status
+            result.sslValid = chain.final_url.startsWith('https://')
         }
 
-        // Set domain age based on known domains
-        const wellKnownDomains: Record<string, number> = {
-            'google.com': 365 * 25, 'youtube.com': 365 * 18, 'facebook.com': 365 * 20,
-            'amazon.com': 365 * 28, 'apple.com': 365 * 30, 'microsoft.com': 365 * 35,
-            'twitter.com': 365 * 17, 'x.com': 365 * 17, 'instagram.com': 365 * 13,
-            'linkedin.com': 365 * 20, 'reddit.com': 365 * 18, 'github.com': 365 * 15,
-            'stackoverflow.com': 365 * 15, 'wikipedia.org': 365 * 22
-        }
-
-        if (wellKnownDomains[domain]) {
-            result.domainAge = wellKnownDomains[domain]
-        } else if (domain.endsWith('.edu') || domain.endsWith('.gov')) {
-            result.domainAge = 365 * 15
-        } else if (domain.endsWith('.org')) {
-            result.domainAge = 365 * 10
-        }
+        // Heuristic age from domain_baselines until WHOIS data is available
+        const baseline = await getDomainBaseline(supabase, domain)
+        result.domainAge = baseline.domain_age_days
 
     } catch (error) {
         console.error(`Domain analysis error for ${domain}:`, error.message)
@@ -608,7 +1868,22 @@ async function performBasicDomainAnalysis(domain: string) {
 // Route handlers
 const handlers = {
     handleGetUrlStats,
+    handleGetUrlStatsHistory,
+    handleGetDomainBaselines,
+    handleCheckUrl,
     handleSubmitRating,
+    handleGetMyRatings,
+    handleGetMyReputation,
+    handleUpdateRating,
+    handleDeleteRating,
+    handleGetReviews,
+    handleMarkReviewHelpful,
+    handleGetDomainClaims,
+    handleCreateDomainClaim,
+    handleVerifyDomainClaim,
+    handleGetDisputes,
+    handleCreateDispute,
+    handleWithdrawDispute,
     handleCors: (_req: Request) => new Response('ok', { headers: corsHeaders })
 }
 
@@ -0,0 +1,242 @@
+-- Canonical URL normalization
+-- Edge functions now canonicalize URLs (supabase/functions/_shared/url-canonicalizer.ts) before
+-- generateUrlHash. This migration adds the matching configuration, a SQL port of the canonicalizer
+-- and a one-off merge of url_stats rows that only differed by spelling (www., tracking params,
+-- fragments, trailing slashes, default ports, query order).
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto WITH SCHEMA extensions;
+
+-- ============================================================================
+-- PART 1: CONFIGURATION
+-- ============================================================================
+
+INSERT INTO public.trust_algorithm_config (config_key, config_value, description)
+VALUES (
+    'url_canonicalization',
+    '{
+        "tracking_params": [
+            "utm_*", "fbclid", "gclid", "dclid", "gbraid", "wbraid", "msclkid", "yclid",
+            "twclid", "igshid", "mc_cid", "mc_eid", "_ga", "_gl", "_hsenc", "_hsmi",
+            "mkt_tok", "oly_anon_id", "oly_enc_id", "vero_id", "ref_src"
+        ]
+    }'::jsonb,
+    'Query parameters dropped before hashing a URL. Entries ending in * are prefixes.'
+)
+ON CONFLICT (config_key) DO NOTHING;
+
+-- ============================================================================
+-- PART 2: SQL PORT OF THE CANONICALIZER
+-- ============================================================================
+
+-- application/x-www-form-urlencoded serialization as URLSearchParams.toString() does it: only
+-- A-Z a-z 0-9 * - . _ stay, spaces become +, everything else %XX. Covers the ASCII text
+-- canonicalize_url() accepts, which has no % or + escapes to decode first.
+CREATE OR REPLACE FUNCTION public.url_form_encode(p_text TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+SET search_path = public
+AS $$
+    SELECT COALESCE(string_agg(
+        CASE
+            WHEN c ~ '^[A-Za-z0-9*._-]$' THEN c
+            WHEN c = ' ' THEN '+'
+            ELSE '%' || upper(lpad(to_hex(ascii(c)), 2, '0'))
+        END, '' ORDER BY i), '')
+    FROM regexp_split_to_table(COALESCE(p_text, ''), '') WITH ORDINALITY AS chars(c, i)
+    WHERE c <> '';
+$$;
+
+-- Mirrors canonicalizeUrl() for plain ASCII URLs. Returns NULL for URLs that need
+-- percent-encoding or IDN handling, where only the WHATWG URL parser used by the
+-- edge functions is authoritative.
+CREATE OR REPLACE FUNCTION public.canonicalize_url(p_url TEXT, p_tracking_params TEXT[] DEFAULT NULL)
+RETURNS TEXT
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_url TEXT := btrim(p_url);
+    v_tracking TEXT[] := p_tracking_params;
+    v_parts TEXT[];
+    v_protocol TEXT;
+    v_authority TEXT;
+    v_host TEXT;
+    v_port TEXT;
+    v_path TEXT;
+    v_query TEXT;
+    v_params TEXT[];
+BEGIN
+    IF v_url IS NULL OR v_url = '' THEN
+        RETURN NULL;
+    END IF;
+
+    IF v_url !~ '^[A-Za-z0-9:/._~?&=#@-]+$' THEN
+        RETURN NULL;
+    END IF;
+
+    IF v_tracking IS NULL THEN
+        SELECT COALESCE(array_agg(value), ARRAY[]::TEXT[]) INTO v_tracking
+        FROM jsonb_array_elements_text(public.get_trust_config('url_canonicalization')->'tracking_params');
+    END IF;
+
+    IF v_url !~* '^[a-z][a-z0-9+.-]*://' THEN
+        v_url := 'https://' || v_url;
+    END IF;
+
+    v_parts := regexp_match(v_url, '^([A-Za-z][A-Za-z0-9+.-]*)://([^/?#]*)([^?#]*)(\?[^#]*)?(#.*)?$');
+    IF v_parts IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    v_protocol := lower(v_parts[1]);
+    v_authority := regexp_replace(v_parts[2], '^.*@', '');  -- credentials never identify content
+    v_host := lower(split_part(v_authority, ':', 1));
+    v_port := NULLIF(split_part(v_authority, ':', 2), '');
+    v_path := COALESCE(NULLIF(v_parts[3], ''), '/');
+    v_query := ltrim(COALESCE(v_parts[4], ''), '?');
+
+    -- The URL parser resolves . and .. segments; those URLs are left to the edge functions
+    IF v_path ~ '/\.\.?(/|$)' THEN
+        RETURN NULL;
+    END IF;
+
+    v_host := regexp_replace(regexp_replace(v_host, '\.$', ''), '^www\.', '');
+
+    IF (v_protocol = 'http' AND v_port = '80') OR (v_protocol = 'https' AND v_port = '443') THEN
+        v_port := NULL;
+    END IF;
+
+    IF length(v_path) > 1 THEN
+        v_path := COALESCE(NULLIF(regexp_replace(v_path, '/+$', ''), ''), '/');
+    END IF;
+
+    -- URLSearchParams serializes a bare key as "key=", sorts by key then value (UTF-16 code units,
+    -- C collation) and form-encodes both: next=/a:b becomes next=%2Fa%3Ab
+    SELECT array_agg(public.url_form_encode(param_key) || '=' || public.url_form_encode(param_value)
+                     ORDER BY param_key COLLATE "C", param_value COLLATE "C")
+    INTO v_params
+    FROM (
+        SELECT
+            split_part(raw, '=', 1) AS param_key,
+            CASE WHEN strpos(raw, '=') = 0 THEN '' ELSE substr(raw, strpos(raw, '=') + 1) END AS param_value
+        FROM unnest(string_to_array(v_query, '&')) AS raw
+        WHERE raw <> ''
+    ) params
+    WHERE NOT EXISTS (
+        SELECT 1 FROM unnest(v_tracking) AS t
+        WHERE CASE
+            WHEN right(t, 1) = '*' THEN lower(param_key) LIKE lower(left(t, -1)) || '%'
+            ELSE lower(param_key) = lower(t)
+        END
+    );
+
+    RETURN v_protocol || '://' || v_host
+        || COALESCE(':' || v_port, '')
+        || v_path
+        || CASE WHEN v_params IS NULL THEN '' ELSE '?' || array_to_string(v_params, '&') END;
+END;
+$$;
+
+COMMENT ON FUNCTION public.canonicalize_url IS 'SQL port of the edge function URL canonicalizer (ASCII URLs only, NULL otherwise). Used to re-key legacy url_stats rows.';
+
+CREATE OR REPLACE FUNCTION public.canonical_url_hash(p_canonical_url TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+SET search_path = public
+AS $$
+    SELECT encode(extensions.digest(p_canonical_url, 'sha256'), 'hex');
+$$;
+
+COMMENT ON FUNCTION public.canonical_url_hash IS 'Same SHA-256 hex as generateUrlHash() in the edge functions.';
+
+-- ============================================================================
+-- PART 3: MERGE DUPLICATE url_stats ROWS
+-- ============================================================================
+
+-- Re-keys every row whose stored URL has a different canonical hash. Ratings are moved to the
+-- canonical hash and marked unprocessed; the duplicate url_stats row is dropped (or re-keyed if
+-- the canonical row doesn't exist yet) and batch_aggregate_ratings rebuilds the merged stats.
+-- Rows without a stored URL can't be re-hashed and are left as they are.
+CREATE OR REPLACE FUNCTION public.merge_duplicate_url_stats()
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_tracking TEXT[];
+    v_record RECORD;
+    v_canonical TEXT;
+    v_hash TEXT;
+    v_merged INTEGER := 0;
+    v_rekeyed INTEGER := 0;
+    v_ratings_moved INTEGER := 0;
+    v_count INTEGER;
+BEGIN
+    SELECT COALESCE(array_agg(value), ARRAY[]::TEXT[]) INTO v_tracking
+    FROM jsonb_array_elements_text(public.get_trust_config('url_canonicalization')->'tracking_params');
+
+    -- Ratings that carry their own URL (may point at url_stats rows that don't)
+    FOR v_record IN
+        SELECT DISTINCT url_hash, url FROM public.ratings WHERE url IS NOT NULL
+    LOOP
+        v_canonical := public.canonicalize_url(v_record.url, v_tracking);
+        CONTINUE WHEN v_canonical IS NULL;
+        v_hash := public.canonical_url_hash(v_canonical);
+        CONTINUE WHEN v_hash = v_record.url_hash;
+
+        UPDATE public.ratings
+        SET url_hash = v_hash, url = v_canonical, processed = false
+        WHERE url_hash = v_record.url_hash AND url = v_record.url;
+        GET DIAGNOSTICS v_count = ROW_COUNT;
+        v_ratings_moved := v_ratings_moved + v_count;
+    END LOOP;
+
+    FOR v_record IN
+        SELECT id, url_hash, url FROM public.url_stats WHERE url IS NOT NULL
+    LOOP
+        v_canonical := public.canonicalize_url(v_record.url, v_tracking);
+        CONTINUE WHEN v_canonical IS NULL;
+        v_hash := public.canonical_url_hash(v_canonical);
+
+        IF v_hash = v_record.url_hash THEN
+            UPDATE public.url_stats SET url = v_canonical WHERE id = v_record.id AND url <> v_canonical;
+            CONTINUE;
+        END IF;
+
+        UPDATE public.ratings
+        SET url_hash = v_hash, url = v_canonical, processed = false
+        WHERE url_hash = v_record.url_hash;
+        GET DIAGNOSTICS v_count = ROW_COUNT;
+        v_ratings_moved := v_ratings_moved + v_count;
+
+        IF EXISTS (SELECT 1 FROM public.url_stats WHERE url_hash = v_hash) THEN
+            DELETE FROM public.url_stats WHERE id = v_record.id;
+            v_merged := v_merged + 1;
+        ELSE
+            UPDATE public.url_stats SET url_hash = v_hash, url = v_canonical WHERE id = v_record.id;
+            v_rekeyed := v_rekeyed + 1;
+        END IF;
+    END LOOP;
+
+    IF v_ratings_moved > 0 THEN
+        PERFORM public.batch_aggregate_ratings();
+    END IF;
+
+    RETURN 'Merged ' || v_merged || ' duplicate url_stats rows, re-keyed ' || v_rekeyed
+        || ', moved ' || v_ratings_moved || ' ratings to canonical URLs';
+END;
+$$;
+
+COMMENT ON FUNCTION public.merge_duplicate_url_stats IS 'Merges url_stats rows whose URLs share a canonical form. Safe to re-run.';
+
+GRANT EXECUTE ON FUNCTION public.url_form_encode(TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION public.canonicalize_url(TEXT, TEXT[]) TO service_role;
+GRANT EXECUTE ON FUNCTION public.canonical_url_hash(TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION public.merge_duplicate_url_stats() TO service_role;
+
+SELECT public.merge_duplicate_url_stats();
@@ -0,0 +1,158 @@
+-- Per-domain canonicalization rules
+-- content_type_rules rows can now say which query keys identify content, whether the path is
+-- case-sensitive and whether every URL on the domain should collapse to the domain itself.
+-- The edge functions (and the extension, via GET /canonical-rules) apply the first matching rule
+-- for the host by priority; canonicalize_url() below does the same so merge_duplicate_url_stats()
+-- stays in sync.
+
+-- ============================================================================
+-- PART 1: RULE COLUMNS
+-- ============================================================================
+
+ALTER TABLE public.content_type_rules ADD COLUMN IF NOT EXISTS content_query_keys TEXT[];
+ALTER TABLE public.content_type_rules ADD COLUMN IF NOT EXISTS path_case_sensitive BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE public.content_type_rules ADD COLUMN IF NOT EXISTS collapse_to_domain BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE public.content_type_rules ADD COLUMN IF NOT EXISTS priority INTEGER NOT NULL DEFAULT 100;
+
+COMMENT ON COLUMN public.content_type_rules.content_query_keys IS 'Query keys that identify content; others are dropped before hashing. NULL keeps every non-tracking key.';
+COMMENT ON COLUMN public.content_type_rules.path_case_sensitive IS 'FALSE lowercases the path before hashing.';
+COMMENT ON COLUMN public.content_type_rules.collapse_to_domain IS 'TRUE rates every URL on the domain as the domain root.';
+COMMENT ON COLUMN public.content_type_rules.priority IS 'When several rules match a URL the lowest priority wins (then the oldest rule). id is a random UUID and never decides.';
+
+CREATE INDEX IF NOT EXISTS idx_content_type_rules_domain_active ON public.content_type_rules(domain) WHERE is_active = TRUE;
+
+-- Content-identifying keys for the seeded rules where everything else is session/playlist noise
+UPDATE public.content_type_rules SET content_query_keys = ARRAY['v']
+WHERE domain = 'youtube.com' AND content_type = 'video' AND content_query_keys IS NULL;
+
+UPDATE public.content_type_rules SET content_query_keys = ARRAY['id']
+WHERE domain = 'news.ycombinator.com' AND content_type = 'discussion' AND content_query_keys IS NULL;
+
+-- ============================================================================
+-- PART 2: CANONICALIZER WITH DOMAIN RULES
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.canonicalize_url(p_url TEXT, p_tracking_params TEXT[] DEFAULT NULL)
+RETURNS TEXT
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_url TEXT := btrim(p_url);
+    v_tracking TEXT[] := p_tracking_params;
+    v_parts TEXT[];
+    v_protocol TEXT;
+    v_authority TEXT;
+    v_host TEXT;
+    v_port TEXT;
+    v_path TEXT;
+    v_query TEXT;
+    v_params TEXT[];
+    v_content_keys TEXT[];
+    v_path_case_sensitive BOOLEAN;
+    v_collapse BOOLEAN;
+BEGIN
+    IF v_url IS NULL OR v_url = '' THEN
+        RETURN NULL;
+    END IF;
+
+    IF v_url !~ '^[A-Za-z0-9:/._~?&=#@-]+$' THEN
+        RETURN NULL;
+    END IF;
+
+    IF v_tracking IS NULL THEN
+        SELECT COALESCE(array_agg(value), ARRAY[]::TEXT[]) INTO v_tracking
+        FROM jsonb_array_elements_text(public.get_trust_config('url_canonicalization')->'tracking_params');
+    END IF;
+
+    IF v_url !~* '^[a-z][a-z0-9+.-]*://' THEN
+        v_url := 'https://' || v_url;
+    END IF;
+
+    v_parts := regexp_match(v_url, '^([A-Za-z][A-Za-z0-9+.-]*)://([^/?#]*)([^?#]*)(\?[^#]*)?(#.*)?$');
+    IF v_parts IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    v_protocol := lower(v_parts[1]);
+    v_authority := regexp_replace(v_parts[2], '^.*@', '');  -- credentials never identify content
+    v_host := lower(split_part(v_authority, ':', 1));
+    v_port := NULLIF(split_part(v_authority, ':', 2), '');
+    v_path := COALESCE(NULLIF(v_parts[3], ''), '/');
+    v_query := ltrim(COALESCE(v_parts[4], ''), '?');
+
+    -- The URL parser resolves . and .. segments; those URLs are left to the edge functions
+    IF v_path ~ '/\.\.?(/|$)' THEN
+        RETURN NULL;
+    END IF;
+
+    v_host := regexp_replace(regexp_replace(v_host, '\.$', ''), '^www\.', '');
+
+    IF (v_protocol = 'http' AND v_port = '80') OR (v_protocol = 'https' AND v_port = '443') THEN
+        v_port := NULL;
+    END IF;
+
+    -- Same rule selection as findCanonicalizationRule(): first matching rule for the exact host by
+    -- priority, pattern tested against the URL as given
+    SELECT ctr.content_query_keys, ctr.path_case_sensitive, ctr.collapse_to_domain
+    INTO v_content_keys, v_path_case_sensitive, v_collapse
+    FROM public.content_type_rules ctr
+    WHERE ctr.domain = v_host
+      AND ctr.is_active = TRUE
+      AND (ctr.content_query_keys IS NOT NULL OR ctr.path_case_sensitive = FALSE OR ctr.collapse_to_domain = TRUE)
+      AND (ctr.url_pattern IS NULL OR btrim(p_url) ~ ctr.url_pattern)
+    ORDER BY ctr.priority, ctr.created_at, ctr.id
+    LIMIT 1;
+
+    IF COALESCE(v_collapse, FALSE) THEN
+        RETURN v_protocol || '://' || v_host || COALESCE(':' || v_port, '') || '/';
+    END IF;
+
+    IF length(v_path) > 1 THEN
+        v_path := COALESCE(NULLIF(regexp_replace(v_path, '/+$', ''), ''), '/');
+    END IF;
+
+    IF NOT COALESCE(v_path_case_sensitive, TRUE) THEN
+        v_path := lower(v_path);
+    END IF;
+
+    -- URLSearchParams serializes a bare key as "key=", sorts by key then value (UTF-16 code units,
+    -- C collation) and form-encodes both: next=/a:b becomes next=%2Fa%3Ab
+    SELECT array_agg(public.url_form_encode(param_key) || '=' || public.url_form_encode(param_value)
+                     ORDER BY param_key COLLATE "C", param_value COLLATE "C")
+    INTO v_params
+    FROM (
+        SELECT
+            split_part(raw, '=', 1) AS param_key,
+            CASE WHEN strpos(raw, '=') = 0 THEN '' ELSE substr(raw, strpos(raw, '=') + 1) END AS param_value
+        FROM unnest(string_to_array(v_query, '&')) AS raw
+        WHERE raw <> ''
+    ) params
+    WHERE NOT EXISTS (
+        SELECT 1 FROM unnest(v_tracking) AS t
+        WHERE CASE
+            WHEN right(t, 1) = '*' THEN lower(param_key) LIKE lower(left(t, -1)) || '%'
+            ELSE lower(param_key) = lower(t)
+        END
+    )
+    AND (
+        v_content_keys IS NULL
+        OR lower(param_key) IN (SELECT lower(k) FROM unnest(v_content_keys) AS k)
+    );
+
+    RETURN v_protocol || '://' || v_host
+        || COALESCE(':' || v_port, '')
+        || v_path
+        || CASE WHEN v_params IS NULL THEN '' ELSE '?' || array_to_string(v_params, '&') END;
+END;
+$$;
+
+COMMENT ON FUNCTION public.canonicalize_url IS 'SQL port of the edge function URL canonicalizer including per-domain content_type_rules (ASCII URLs only, NULL otherwise).';
+
+-- ============================================================================
+-- PART 3: RE-KEY EXISTING ROWS UNDER THE SEEDED RULES
+-- ============================================================================
+
+SELECT public.merge_duplicate_url_stats();
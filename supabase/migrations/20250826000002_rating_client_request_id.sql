@@ -0,0 +1,12 @@
+-- Idempotent rating submissions
+-- The extension queues /rating submissions that failed on the network and replays them with the
+-- X-Request-ID of the original attempt. Storing that ID lets handleSubmitRating recognise a replay
+-- of a submission that actually reached the database (e.g. the response was lost to a timeout).
+
+ALTER TABLE public.ratings ADD COLUMN IF NOT EXISTS client_request_id TEXT;
+
+COMMENT ON COLUMN public.ratings.client_request_id IS 'X-Request-ID of the submission that last wrote this rating. Repeats are answered without writing.';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ratings_user_client_request_id
+    ON public.ratings(user_id_hash, client_request_id)
+    WHERE client_request_id IS NOT NULL;
@@ -0,0 +1,64 @@
+-- Idempotency keys for write endpoints
+-- POST /rating honours an Idempotency-Key header (or the client's X-Request-ID). The first request
+-- reserves the key, the response is stored once the handler finishes, and repeats within the
+-- retention window get the stored response back. A repeat with a different body is a 409.
+
+-- ============================================================================
+-- PART 1: KEY STORE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.idempotency_keys (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id_hash TEXT NOT NULL,
+    route TEXT NOT NULL,                    -- e.g. 'POST /rating'
+    idempotency_key TEXT NOT NULL,
+    request_hash TEXT NOT NULL,             -- SHA-256 of the canonical JSON body
+    response_status INTEGER,                -- NULL while the first request is still running
+    response_body JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW() + INTERVAL '24 hours',
+    UNIQUE (user_id_hash, route, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON public.idempotency_keys(expires_at);
+
+COMMENT ON TABLE public.idempotency_keys IS 'Stored responses for retried write requests, keyed by user, route and Idempotency-Key.';
+
+-- Only edge functions (service role) touch this table
+ALTER TABLE public.idempotency_keys ENABLE ROW LEVEL SECURITY;
+
+-- ============================================================================
+-- PART 2: CLEANUP
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.cleanup_idempotency_keys()
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_deleted INTEGER;
+BEGIN
+    DELETE FROM public.idempotency_keys WHERE expires_at < NOW();
+    GET DIAGNOSTICS v_deleted = ROW_COUNT;
+    RETURN v_deleted;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.cleanup_idempotency_keys() TO service_role;
+
+DO $$
+BEGIN
+    BEGIN
+        PERFORM cron.unschedule('cleanup-idempotency-keys');
+    EXCEPTION WHEN OTHERS THEN
+        RAISE NOTICE 'cleanup-idempotency-keys did not exist (this is fine)';
+    END;
+END $$;
+
+SELECT cron.schedule(
+    'cleanup-idempotency-keys',
+    '15 * * * *',  -- Hourly, keeps the table bounded to roughly one retention window
+    'SELECT public.cleanup_idempotency_keys();'
+);
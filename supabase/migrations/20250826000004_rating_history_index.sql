@@ -0,0 +1,7 @@
+-- Rating history
+-- GET /my-ratings lists a user's ratings newest first, optionally filtered by flag.
+-- Only ratings still retained are listed; cleanup_processed_ratings() purges processed ratings
+-- after its retention period.
+
+CREATE INDEX IF NOT EXISTS idx_ratings_user_created_at
+    ON public.ratings(user_id_hash, created_at DESC);
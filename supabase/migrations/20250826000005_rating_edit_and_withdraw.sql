@@ -0,0 +1,318 @@
+-- Editing and withdrawing ratings
+-- PATCH /rating/:id and DELETE /rating/:id let users change or retract their own ratings at any
+-- time. Edits mark the rating unprocessed; withdrawals can leave a URL with no unprocessed (or no)
+-- ratings at all, so both also queue the url_hash for batch_aggregate_ratings explicitly.
+
+-- ============================================================================
+-- PART 1: EDIT TRACKING AND REFRESH QUEUE
+-- ============================================================================
+
+ALTER TABLE public.ratings ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN public.ratings.updated_at IS 'Last edit through PATCH /rating/:id (NULL if never edited).';
+
+CREATE TABLE IF NOT EXISTS public.url_stats_refresh_queue (
+    url_hash TEXT PRIMARY KEY,
+    reason TEXT,
+    queued_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE public.url_stats_refresh_queue IS 'url_stats rows to re-aggregate even without unprocessed ratings (e.g. after a rating was withdrawn).';
+
+ALTER TABLE public.url_stats_refresh_queue ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION public.queue_url_stats_refresh(p_url_hash TEXT, p_reason TEXT DEFAULT NULL)
+RETURNS VOID
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    INSERT INTO public.url_stats_refresh_queue (url_hash, reason, queued_at)
+    VALUES (p_url_hash, p_reason, NOW())
+    ON CONFLICT (url_hash) DO UPDATE SET reason = EXCLUDED.reason, queued_at = EXCLUDED.queued_at;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.queue_url_stats_refresh(TEXT, TEXT) TO service_role;
+
+-- ============================================================================
+-- PART 2: AGGREGATION PICKS UP QUEUED URLS
+-- ============================================================================
+
+-- Same as the live batch_aggregate_ratings, plus url_hashes from url_stats_refresh_queue.
+-- A URL whose last rating was withdrawn is re-aggregated with zero ratings.
+CREATE OR REPLACE FUNCTION public.batch_aggregate_ratings()
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    processed_count INTEGER := 0;
+    url_record RECORD;
+    trust_scores RECORD;
+    v_domain TEXT;
+    v_domain_cache_exists BOOLEAN;
+    v_blacklist_checked BOOLEAN;
+    v_external_apis_checked BOOLEAN;
+    v_started_at TIMESTAMP WITH TIME ZONE := NOW();
+BEGIN
+    FOR url_record IN
+        SELECT DISTINCT url_hash
+        FROM public.ratings
+        WHERE processed = false
+        UNION
+        SELECT url_hash
+        FROM public.url_stats_refresh_queue
+        WHERE queued_at <= v_started_at
+    LOOP
+        -- Calculate enhanced trust scores
+        SELECT * INTO trust_scores
+        FROM public.calculate_enhanced_trust_score(url_record.url_hash, NULL);
+
+        -- Determine processing status details
+        SELECT domain INTO v_domain FROM public.url_stats WHERE url_hash = url_record.url_hash;
+
+        -- Check if domain analysis is available
+        v_domain_cache_exists := EXISTS(
+            SELECT 1 FROM public.domain_cache
+            WHERE domain = v_domain AND cache_expires_at > NOW()
+        );
+
+        v_blacklist_checked := v_domain IS NOT NULL;
+        v_external_apis_checked := v_domain_cache_exists;
+
+        -- Get basic stats and update with processing status
+        WITH stats AS (
+            SELECT
+                COUNT(*) as total_ratings,
+                AVG(rating) as avg_rating,
+                COUNT(*) FILTER (WHERE is_spam = true) as spam_count,
+                COUNT(*) FILTER (WHERE is_misleading = true) as misleading_count,
+                COUNT(*) FILTER (WHERE is_scam = true) as scam_count
+            FROM public.ratings
+            WHERE url_hash = url_record.url_hash
+        )
+        INSERT INTO public.url_stats (
+            url_hash,
+            trust_score,
+            final_trust_score,
+            domain_trust_score,
+            community_trust_score,
+            content_type,
+            rating_count,
+            average_rating,
+            spam_reports_count,
+            misleading_reports_count,
+            scam_reports_count,
+            processing_status,
+            domain_analysis_processed,
+            last_updated
+        )
+        SELECT
+            url_record.url_hash,
+            trust_scores.final_score,
+            trust_scores.final_score,
+            trust_scores.domain_score,
+            trust_scores.community_score,
+            trust_scores.content_type,
+            s.total_ratings,
+            ROUND(s.avg_rating, 2),
+            s.spam_count,
+            s.misleading_count,
+            s.scam_count,
+            CASE
+                WHEN v_external_apis_checked THEN 'enhanced_with_domain_analysis'
+                WHEN v_domain IS NOT NULL THEN 'community_with_basic_domain'
+                ELSE 'community_only'
+            END,
+            v_external_apis_checked,
+            NOW()
+        FROM stats s
+        ON CONFLICT (url_hash)
+        DO UPDATE SET
+            trust_score = EXCLUDED.trust_score,
+            final_trust_score = EXCLUDED.final_trust_score,
+            domain_trust_score = EXCLUDED.domain_trust_score,
+            community_trust_score = EXCLUDED.community_trust_score,
+            content_type = EXCLUDED.content_type,
+            rating_count = EXCLUDED.rating_count,
+            average_rating = EXCLUDED.average_rating,
+            spam_reports_count = EXCLUDED.spam_reports_count,
+            misleading_reports_count = EXCLUDED.misleading_reports_count,
+            scam_reports_count = EXCLUDED.scam_reports_count,
+            processing_status = EXCLUDED.processing_status,
+            domain_analysis_processed = EXCLUDED.domain_analysis_processed,
+            last_updated = EXCLUDED.last_updated;
+
+        processed_count := processed_count + 1;
+    END LOOP;
+
+    -- Mark all ratings as processed
+    UPDATE public.ratings SET processed = true WHERE processed = false;
+
+    -- Entries queued while this run was in progress are left for the next run
+    DELETE FROM public.url_stats_refresh_queue WHERE queued_at <= v_started_at;
+
+    RETURN 'Enhanced processing completed for ' || processed_count || ' URLs with status tracking';
+END;
+$$;
+
+COMMENT ON FUNCTION public.batch_aggregate_ratings IS 'Enhanced batch processing with multi-factor trust scoring; also re-aggregates URLs queued in url_stats_refresh_queue';
+
+-- ============================================================================
+-- PART 3: ONE RATING PER USER AND URL
+-- ============================================================================
+
+-- Resubmissions more than 24 hours apart used to insert another row; keep only the newest one
+-- per (user, url) and re-aggregate the affected URLs so repeat raters stop counting twice.
+INSERT INTO public.url_stats_refresh_queue (url_hash, reason, queued_at)
+SELECT DISTINCT url_hash, 'duplicate_ratings_removed', NOW()
+FROM (
+    SELECT url_hash, COUNT(*) OVER (PARTITION BY user_id_hash, url_hash) AS n
+    FROM public.ratings
+) r
+WHERE r.n > 1
+ON CONFLICT (url_hash) DO UPDATE SET reason = EXCLUDED.reason, queued_at = EXCLUDED.queued_at;
+
+DELETE FROM public.ratings
+WHERE id IN (
+    SELECT id
+    FROM (
+        SELECT id, ROW_NUMBER() OVER (
+            PARTITION BY user_id_hash, url_hash
+            ORDER BY created_at DESC, id DESC
+        ) AS rn
+        FROM public.ratings
+    ) ranked
+    WHERE ranked.rn > 1
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ratings_user_url_unique
+    ON public.ratings (user_id_hash, url_hash);
+
+-- ============================================================================
+-- PART 4: URL MERGES KEEP ONE RATING PER USER
+-- ============================================================================
+
+-- Before ratings move from p_from_hash (only those stored with p_from_url, when given) to
+-- p_to_hash: a user who rated both spellings keeps their newest rating and loses the other, so
+-- the move cannot violate idx_ratings_user_url_unique. Returns the number of ratings deleted.
+CREATE OR REPLACE FUNCTION public.drop_superseded_ratings(p_from_hash TEXT, p_to_hash TEXT, p_from_url TEXT DEFAULT NULL)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_dropped INTEGER;
+BEGIN
+    DELETE FROM public.ratings
+    WHERE id IN (
+        SELECT id
+        FROM (
+            SELECT id, ROW_NUMBER() OVER (
+                PARTITION BY user_id_hash
+                ORDER BY COALESCE(updated_at, created_at) DESC, id DESC
+            ) AS rn
+            FROM public.ratings
+            WHERE (url_hash = p_from_hash AND (p_from_url IS NULL OR url = p_from_url))
+               OR url_hash = p_to_hash
+        ) ranked
+        WHERE ranked.rn > 1
+    );
+
+    GET DIAGNOSTICS v_dropped = ROW_COUNT;
+
+    IF v_dropped > 0 THEN
+        PERFORM public.queue_url_stats_refresh(p_from_hash, 'duplicate_ratings_merged');
+        PERFORM public.queue_url_stats_refresh(p_to_hash, 'duplicate_ratings_merged');
+    END IF;
+
+    RETURN v_dropped;
+END;
+$$;
+
+COMMENT ON FUNCTION public.drop_superseded_ratings IS 'Keeps the newest rating per user across two url_hashes about to be merged (used by merge_duplicate_url_stats).';
+
+-- Same as the 20250826000000 version, except that ratings superseded by the same user's newer
+-- rating of the other spelling are deleted before the move
+CREATE OR REPLACE FUNCTION public.merge_duplicate_url_stats()
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_tracking TEXT[];
+    v_record RECORD;
+    v_canonical TEXT;
+    v_hash TEXT;
+    v_merged INTEGER := 0;
+    v_rekeyed INTEGER := 0;
+    v_ratings_moved INTEGER := 0;
+    v_ratings_dropped INTEGER := 0;
+    v_count INTEGER;
+BEGIN
+    SELECT COALESCE(array_agg(value), ARRAY[]::TEXT[]) INTO v_tracking
+    FROM jsonb_array_elements_text(public.get_trust_config('url_canonicalization')->'tracking_params');
+
+    -- Ratings that carry their own URL (may point at url_stats rows that don't)
+    FOR v_record IN
+        SELECT DISTINCT url_hash, url FROM public.ratings WHERE url IS NOT NULL
+    LOOP
+        v_canonical := public.canonicalize_url(v_record.url, v_tracking);
+        CONTINUE WHEN v_canonical IS NULL;
+        v_hash := public.canonical_url_hash(v_canonical);
+        CONTINUE WHEN v_hash = v_record.url_hash;
+
+        v_ratings_dropped := v_ratings_dropped + public.drop_superseded_ratings(v_record.url_hash, v_hash, v_record.url);
+
+        UPDATE public.ratings
+        SET url_hash = v_hash, url = v_canonical, processed = false
+        WHERE url_hash = v_record.url_hash AND url = v_record.url;
+        GET DIAGNOSTICS v_count = ROW_COUNT;
+        v_ratings_moved := v_ratings_moved + v_count;
+    END LOOP;
+
+    FOR v_record IN
+        SELECT id, url_hash, url FROM public.url_stats WHERE url IS NOT NULL
+    LOOP
+        v_canonical := public.canonicalize_url(v_record.url, v_tracking);
+        CONTINUE WHEN v_canonical IS NULL;
+        v_hash := public.canonical_url_hash(v_canonical);
+
+        IF v_hash = v_record.url_hash THEN
+            UPDATE public.url_stats SET url = v_canonical WHERE id = v_record.id AND url <> v_canonical;
+            CONTINUE;
+        END IF;
+
+        v_ratings_dropped := v_ratings_dropped + public.drop_superseded_ratings(v_record.url_hash, v_hash);
+
+        UPDATE public.ratings
+        SET url_hash = v_hash, url = v_canonical, processed = false
+        WHERE url_hash = v_record.url_hash;
+        GET DIAGNOSTICS v_count = ROW_COUNT;
+        v_ratings_moved := v_ratings_moved + v_count;
+
+        IF EXISTS (SELECT 1 FROM public.url_stats WHERE url_hash = v_hash) THEN
+            DELETE FROM public.url_stats WHERE id = v_record.id;
+            v_merged := v_merged + 1;
+        ELSE
+            UPDATE public.url_stats SET url_hash = v_hash, url = v_canonical WHERE id = v_record.id;
+            v_rekeyed := v_rekeyed + 1;
+        END IF;
+    END LOOP;
+
+    IF v_ratings_moved > 0 OR v_ratings_dropped > 0 THEN
+        PERFORM public.batch_aggregate_ratings();
+    END IF;
+
+    RETURN 'Merged ' || v_merged || ' duplicate url_stats rows, re-keyed ' || v_rekeyed
+        || ', moved ' || v_ratings_moved || ' ratings to canonical URLs, dropped '
+        || v_ratings_dropped || ' superseded duplicates';
+END;
+$$;
+
+COMMENT ON FUNCTION public.merge_duplicate_url_stats IS 'Merges url_stats rows whose URLs share a canonical form, keeping one rating per user. Safe to re-run.';
+
+GRANT EXECUTE ON FUNCTION public.drop_superseded_ratings(TEXT, TEXT, TEXT) TO service_role;
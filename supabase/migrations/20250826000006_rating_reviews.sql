@@ -0,0 +1,96 @@
+-- Written reviews
+-- ratings.comment becomes a public short review (GET /reviews). Adds moderation fields so admins
+-- can hide abusive reviews, "helpful" votes for sorting, and keeps reviews out of the 7-day purge.
+
+-- ============================================================================
+-- PART 1: MODERATION AND HELPFUL COUNT
+-- ============================================================================
+
+ALTER TABLE public.ratings ADD COLUMN IF NOT EXISTS comment_hidden BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE public.ratings ADD COLUMN IF NOT EXISTS comment_hidden_reason TEXT;
+ALTER TABLE public.ratings ADD COLUMN IF NOT EXISTS comment_moderated_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE public.ratings ADD COLUMN IF NOT EXISTS helpful_count INTEGER NOT NULL DEFAULT 0;
+
+COMMENT ON COLUMN public.ratings.comment_hidden IS 'Review hidden from GET /reviews by a moderator (trust-admin PUT /reviews/:id).';
+COMMENT ON COLUMN public.ratings.comment_hidden_reason IS 'Moderator note explaining why the review was hidden.';
+COMMENT ON COLUMN public.ratings.helpful_count IS 'Number of rows in review_helpful_votes; maintained by trigger.';
+
+-- Public review listings: newest and most helpful, visible reviews only
+CREATE INDEX IF NOT EXISTS idx_ratings_reviews_newest
+    ON public.ratings (url_hash, created_at DESC)
+    WHERE comment IS NOT NULL AND comment_hidden = false;
+
+CREATE INDEX IF NOT EXISTS idx_ratings_reviews_helpful
+    ON public.ratings (url_hash, helpful_count DESC, created_at DESC)
+    WHERE comment IS NOT NULL AND comment_hidden = false;
+
+-- ============================================================================
+-- PART 2: HELPFUL VOTES
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.review_helpful_votes (
+    rating_id UUID NOT NULL REFERENCES public.ratings(id) ON DELETE CASCADE,
+    user_id_hash UUID NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (rating_id, user_id_hash)
+);
+
+COMMENT ON TABLE public.review_helpful_votes IS 'One "helpful" vote per user per review (POST /reviews/:id/helpful).';
+
+ALTER TABLE public.review_helpful_votes ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION public.update_review_helpful_count()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        UPDATE public.ratings SET helpful_count = helpful_count + 1 WHERE id = NEW.rating_id;
+        RETURN NEW;
+    END IF;
+
+    UPDATE public.ratings SET helpful_count = GREATEST(helpful_count - 1, 0) WHERE id = OLD.rating_id;
+    RETURN OLD;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_review_helpful_count ON public.review_helpful_votes;
+CREATE TRIGGER trg_review_helpful_count
+    AFTER INSERT OR DELETE ON public.review_helpful_votes
+    FOR EACH ROW EXECUTE FUNCTION public.update_review_helpful_count();
+
+-- ============================================================================
+-- PART 3: RETENTION
+-- ============================================================================
+
+-- Processed ratings are still purged after the retention period, except visible reviews:
+-- those are published content and are kept until the author withdraws them.
+CREATE OR REPLACE FUNCTION public.cleanup_processed_ratings(retention_days INTEGER DEFAULT 7)
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    deleted_count INTEGER;
+    cutoff_date TIMESTAMP WITH TIME ZONE;
+BEGIN
+    cutoff_date := NOW() - INTERVAL '1 day' * retention_days;
+
+    DELETE FROM public.ratings
+    WHERE processed = true
+      AND created_at < cutoff_date
+      AND (comment IS NULL OR comment_hidden = true);
+
+    GET DIAGNOSTICS deleted_count = ROW_COUNT;
+
+    RAISE NOTICE 'Rating cleanup completed: deleted % processed ratings older than % days (cutoff: %)',
+                 deleted_count, retention_days, cutoff_date;
+
+    RETURN 'Deleted ' || deleted_count || ' processed ratings older than ' || retention_days || ' days';
+END;
+$$;
+
+COMMENT ON FUNCTION public.cleanup_processed_ratings IS 'Deletes processed ratings older than specified days (default 7), keeping visible written reviews. Called by daily cron job.';
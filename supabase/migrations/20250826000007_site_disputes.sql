@@ -0,0 +1,71 @@
+-- Site-owner disputes
+-- Owners verify a domain (DNS TXT record or well-known file token) and can then dispute the
+-- community verdict on a URL or on the whole domain. Admins triage disputes through trust-admin;
+-- open disputes are shown in the popup as "Disputed by site owner".
+
+-- ============================================================================
+-- PART 1: DOMAIN OWNERSHIP CLAIMS
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.domain_ownership_claims (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    domain TEXT NOT NULL,
+    user_id_hash UUID NOT NULL,
+    method TEXT NOT NULL CHECK (method IN ('dns_txt', 'well_known')),
+    token TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'verified', 'failed', 'revoked')),
+    last_error TEXT,
+    last_checked_at TIMESTAMP WITH TIME ZONE,
+    verified_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (domain, user_id_hash)
+);
+
+COMMENT ON TABLE public.domain_ownership_claims IS 'Site owners proving control of a domain before opening disputes. One claim per user and domain; a verified claim also covers subdomains.';
+
+CREATE INDEX IF NOT EXISTS idx_domain_claims_user ON public.domain_ownership_claims (user_id_hash);
+CREATE INDEX IF NOT EXISTS idx_domain_claims_domain_status ON public.domain_ownership_claims (domain, status);
+
+ALTER TABLE public.domain_ownership_claims ENABLE ROW LEVEL SECURITY;
+
+-- ============================================================================
+-- PART 2: DISPUTES
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.site_disputes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    claim_id UUID NOT NULL REFERENCES public.domain_ownership_claims(id) ON DELETE CASCADE,
+    user_id_hash UUID NOT NULL,
+    domain TEXT NOT NULL,
+    url_hash TEXT,               -- NULL for a dispute about the whole domain
+    url TEXT,
+    reason TEXT NOT NULL CHECK (reason IN ('inaccurate_reports', 'coordinated_reports', 'issue_resolved', 'other')),
+    details TEXT NOT NULL,
+    contact_email TEXT,
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'under_review', 'upheld', 'rejected', 'withdrawn')),
+    admin_notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    resolved_at TIMESTAMP WITH TIME ZONE
+);
+
+COMMENT ON TABLE public.site_disputes IS 'Site-owner responses to community reports. open/under_review disputes are shown to users; upheld/rejected/withdrawn are closed.';
+
+-- One active dispute per owner and target
+CREATE UNIQUE INDEX IF NOT EXISTS idx_site_disputes_active_target
+    ON public.site_disputes (user_id_hash, domain, COALESCE(url_hash, ''))
+    WHERE status IN ('open', 'under_review');
+
+-- "Is this URL (or its domain) disputed?" on every /url-stats request
+CREATE INDEX IF NOT EXISTS idx_site_disputes_active_url
+    ON public.site_disputes (url_hash)
+    WHERE status IN ('open', 'under_review') AND url_hash IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_site_disputes_active_domain
+    ON public.site_disputes (domain)
+    WHERE status IN ('open', 'under_review') AND url_hash IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_site_disputes_status_created
+    ON public.site_disputes (status, created_at);
+
+ALTER TABLE public.site_disputes ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,644 @@
+-- Reputation-weighted community scoring
+-- Each rater gets a weight from a reputation built from account age, agreement with the settled
+-- consensus on URLs they rated, and how often their scam reports were confirmed. The community
+-- score and report ratios become weighted averages; the curve lives in trust_algorithm_config
+-- ('reputation_weighting'). Setting "enabled": false there restores one-user-one-vote.
+
+-- ============================================================================
+-- PART 1: CONFIGURATION
+-- ============================================================================
+
+INSERT INTO public.trust_algorithm_config (config_key, config_value, description)
+VALUES (
+    'reputation_weighting',
+    '{
+        "enabled": true,
+        "min_weight": 0.25,
+        "max_weight": 2.0,
+        "curve_exponent": 1.5,
+        "component_weights": { "account_age": 0.3, "consensus": 0.5, "scam_reports": 0.2 },
+        "account_age_full_days": 180,
+        "consensus": { "settle_after_days": 3, "min_url_ratings": 5, "agreement_tolerance_stars": 1.0, "prior_ratings": 5 },
+        "scam_reports": { "prior_reports": 3, "false_report_max_scam_share": 0.1, "false_report_min_average": 4.0 },
+        "full_confidence_weight": 5
+    }'::jsonb,
+    'Rater reputation: weight = min_weight + (max_weight - min_weight) * reputation^curve_exponent. Reputation is the component_weights blend of account age, consensus agreement and confirmed scam reports (each 0-1, with neutral priors).'
+)
+ON CONFLICT (config_key) DO NOTHING;
+
+-- ============================================================================
+-- PART 2: REPUTATION TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.rater_reputation (
+    user_id_hash UUID PRIMARY KEY,
+    account_created_at TIMESTAMP WITH TIME ZONE,
+    settled_ratings INTEGER NOT NULL DEFAULT 0,
+    agreeing_ratings INTEGER NOT NULL DEFAULT 0,
+    confirmed_scam_reports INTEGER NOT NULL DEFAULT 0,
+    false_scam_reports INTEGER NOT NULL DEFAULT 0,
+    reputation_score DECIMAL(5,4) NOT NULL DEFAULT 0.5,
+    weight DECIMAL(6,4) NOT NULL DEFAULT 1.0,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE public.rater_reputation IS 'Per-user reputation counters and the resulting rating weight. Counters only grow; refresh_rater_reputation() updates them daily.';
+
+ALTER TABLE public.rater_reputation ENABLE ROW LEVEL SECURITY;
+
+-- Ratings are evaluated against consensus once, before cleanup_processed_ratings purges them
+ALTER TABLE public.ratings ADD COLUMN IF NOT EXISTS reputation_evaluated_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_ratings_reputation_pending
+    ON public.ratings (created_at)
+    WHERE reputation_evaluated_at IS NULL;
+
+-- Weighted aggregates behind community_trust_score (weight_sum, average_rating, report ratios),
+-- exposed through url-stats so the extension's impact preview can mirror the formula
+ALTER TABLE public.url_stats ADD COLUMN IF NOT EXISTS community_weighting JSONB;
+
+-- ============================================================================
+-- PART 3: WEIGHT FUNCTIONS
+-- ============================================================================
+
+-- Reputation in [0, 1]. Consensus and scam-report accuracy start at a neutral 0.5 and move towards
+-- the observed ratio as evidence accumulates (prior_ratings / prior_reports pseudo-observations).
+CREATE OR REPLACE FUNCTION public.calculate_rater_reputation(
+    p_account_age_days DECIMAL,
+    p_settled_ratings INTEGER,
+    p_agreeing_ratings INTEGER,
+    p_confirmed_scam_reports INTEGER,
+    p_false_scam_reports INTEGER,
+    p_config JSONB
+)
+RETURNS DECIMAL
+LANGUAGE plpgsql
+IMMUTABLE
+SET search_path = public
+AS $$
+DECLARE
+    v_age_component DECIMAL;
+    v_consensus_component DECIMAL;
+    v_scam_component DECIMAL;
+    v_prior_ratings DECIMAL := COALESCE((p_config->'consensus'->>'prior_ratings')::DECIMAL, 5);
+    v_prior_reports DECIMAL := COALESCE((p_config->'scam_reports'->>'prior_reports')::DECIMAL, 3);
+    v_age_weight DECIMAL := COALESCE((p_config->'component_weights'->>'account_age')::DECIMAL, 0.3);
+    v_consensus_weight DECIMAL := COALESCE((p_config->'component_weights'->>'consensus')::DECIMAL, 0.5);
+    v_scam_weight DECIMAL := COALESCE((p_config->'component_weights'->>'scam_reports')::DECIMAL, 0.2);
+BEGIN
+    v_age_component := LEAST(1.0, GREATEST(0, COALESCE(p_account_age_days, 0))
+        / GREATEST(1, COALESCE((p_config->>'account_age_full_days')::DECIMAL, 180)));
+
+    v_consensus_component := (COALESCE(p_agreeing_ratings, 0) + v_prior_ratings * 0.5)
+        / (COALESCE(p_settled_ratings, 0) + v_prior_ratings);
+
+    v_scam_component := (COALESCE(p_confirmed_scam_reports, 0) + v_prior_reports * 0.5)
+        / (COALESCE(p_confirmed_scam_reports, 0) + COALESCE(p_false_scam_reports, 0) + v_prior_reports);
+
+    RETURN GREATEST(0, LEAST(1,
+        (v_age_weight * v_age_component + v_consensus_weight * v_consensus_component + v_scam_weight * v_scam_component)
+        / NULLIF(v_age_weight + v_consensus_weight + v_scam_weight, 0)
+    ));
+END;
+$$;
+
+-- Rating weight for a reputation, following the configured curve
+CREATE OR REPLACE FUNCTION public.calculate_rater_weight(p_reputation DECIMAL, p_config JSONB)
+RETURNS DECIMAL
+LANGUAGE plpgsql
+IMMUTABLE
+SET search_path = public
+AS $$
+DECLARE
+    v_min DECIMAL := COALESCE((p_config->>'min_weight')::DECIMAL, 0.25);
+    v_max DECIMAL := COALESCE((p_config->>'max_weight')::DECIMAL, 2.0);
+    v_exponent DECIMAL := COALESCE((p_config->>'curve_exponent')::DECIMAL, 1.5);
+BEGIN
+    IF COALESCE((p_config->>'enabled')::BOOLEAN, false) = false THEN
+        RETURN 1.0;
+    END IF;
+
+    RETURN ROUND(v_min + (v_max - v_min) * POWER(GREATEST(0, LEAST(1, COALESCE(p_reputation, 0.5))), v_exponent), 4);
+END;
+$$;
+
+-- Weighted rating aggregates for one URL. Raters without a rater_reputation row yet (their first
+-- ratings since the last refresh) are weighted from account age alone.
+CREATE OR REPLACE FUNCTION public.calculate_weighted_community_stats(p_url_hash TEXT)
+RETURNS TABLE(
+    rating_count INTEGER,
+    weight_sum DECIMAL,
+    weighted_average_rating DECIMAL,
+    spam_ratio DECIMAL,
+    misleading_ratio DECIMAL,
+    scam_ratio DECIMAL
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_config JSONB := public.get_trust_config('reputation_weighting');
+BEGIN
+    RETURN QUERY
+    WITH weighted AS (
+        SELECT
+            r.rating,
+            r.is_spam,
+            r.is_misleading,
+            r.is_scam,
+            CASE
+                WHEN COALESCE((v_config->>'enabled')::BOOLEAN, false) = false THEN 1.0
+                WHEN rr.user_id_hash IS NOT NULL THEN rr.weight
+                ELSE public.calculate_rater_weight(
+                    public.calculate_rater_reputation(
+                        EXTRACT(EPOCH FROM (NOW() - u.created_at)) / 86400, 0, 0, 0, 0, v_config
+                    ),
+                    v_config
+                )
+            END AS w
+        FROM public.ratings r
+        LEFT JOIN public.rater_reputation rr ON rr.user_id_hash = r.user_id_hash
+        LEFT JOIN auth.users u ON u.id = r.user_id_hash
+        WHERE r.url_hash = p_url_hash
+    )
+    SELECT
+        COUNT(*)::INTEGER,
+        COALESCE(SUM(w), 0)::DECIMAL,
+        (SUM(w * rating) / NULLIF(SUM(w), 0))::DECIMAL,
+        COALESCE(SUM(w) FILTER (WHERE is_spam) / NULLIF(SUM(w), 0), 0)::DECIMAL,
+        COALESCE(SUM(w) FILTER (WHERE is_misleading) / NULLIF(SUM(w), 0), 0)::DECIMAL,
+        COALESCE(SUM(w) FILTER (WHERE is_scam) / NULLIF(SUM(w), 0), 0)::DECIMAL
+    FROM weighted;
+END;
+$$;
+
+-- One rater's current reputation for GET /my-reputation. Users without a row yet get the
+-- account-age-only value used by calculate_weighted_community_stats.
+CREATE OR REPLACE FUNCTION public.get_rater_reputation(p_user_id_hash UUID)
+RETURNS TABLE(
+    weighting_enabled BOOLEAN,
+    reputation_score DECIMAL,
+    weight DECIMAL,
+    account_age_days INTEGER,
+    settled_ratings INTEGER,
+    agreeing_ratings INTEGER,
+    confirmed_scam_reports INTEGER,
+    false_scam_reports INTEGER,
+    updated_at TIMESTAMP WITH TIME ZONE
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_config JSONB := public.get_trust_config('reputation_weighting');
+    v_age_days DECIMAL;
+    v_reputation DECIMAL;
+BEGIN
+    SELECT EXTRACT(EPOCH FROM (NOW() - u.created_at)) / 86400 INTO v_age_days
+    FROM auth.users u
+    WHERE u.id = p_user_id_hash;
+
+    v_reputation := public.calculate_rater_reputation(v_age_days, 0, 0, 0, 0, v_config);
+
+    RETURN QUERY
+    SELECT
+        COALESCE((v_config->>'enabled')::BOOLEAN, false),
+        COALESCE(rr.reputation_score, ROUND(v_reputation, 4)),
+        CASE
+            WHEN COALESCE((v_config->>'enabled')::BOOLEAN, false) = false THEN 1.0
+            ELSE COALESCE(rr.weight, public.calculate_rater_weight(v_reputation, v_config))
+        END,
+        FLOOR(COALESCE(v_age_days, 0))::INTEGER,
+        COALESCE(rr.settled_ratings, 0),
+        COALESCE(rr.agreeing_ratings, 0),
+        COALESCE(rr.confirmed_scam_reports, 0),
+        COALESCE(rr.false_scam_reports, 0),
+        rr.updated_at
+    FROM (SELECT 1) one
+    LEFT JOIN public.rater_reputation rr ON rr.user_id_hash = p_user_id_hash;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_rater_reputation(UUID) TO service_role;
+
+-- ============================================================================
+-- PART 4: WEIGHTED COMMUNITY SCORE
+-- ============================================================================
+
+-- Same as the live function except the community block: weighted average rating and report
+-- ratios, and confidence from the weight sum instead of the raw rating count.
+CREATE OR REPLACE FUNCTION public.calculate_enhanced_trust_score(
+    p_url_hash TEXT,
+    p_url TEXT DEFAULT NULL
+)
+RETURNS TABLE(
+    domain_score DECIMAL,
+    community_score DECIMAL,
+    final_score DECIMAL,
+    content_type TEXT
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_domain TEXT;
+    v_content_type TEXT;
+    v_total_ratings INTEGER;
+    v_weight_sum DECIMAL;
+    v_avg_rating DECIMAL;
+    v_spam_ratio DECIMAL;
+    v_misleading_ratio DECIMAL;
+    v_scam_ratio DECIMAL;
+    v_full_confidence_weight DECIMAL;
+    v_domain_trust DECIMAL := 50.0;
+    v_community_trust DECIMAL := 50.0;
+    v_final_trust DECIMAL;
+    v_blacklist_penalty DECIMAL := 0;
+    v_content_modifier DECIMAL := 0;
+    v_domain_cache_record RECORD;
+    v_blacklist_record RECORD;
+BEGIN
+    IF p_url IS NULL THEN
+        v_domain := 'unknown';
+        v_content_type := 'general';
+    ELSE
+        v_domain := public.extract_domain(p_url);
+        v_content_type := public.determine_content_type(p_url, v_domain);
+    END IF;
+
+    SELECT
+        ws.rating_count,
+        ws.weight_sum,
+        COALESCE(ws.weighted_average_rating, 3.0),
+        ws.spam_ratio,
+        ws.misleading_ratio,
+        ws.scam_ratio
+    INTO
+        v_total_ratings, v_weight_sum, v_avg_rating, v_spam_ratio, v_misleading_ratio, v_scam_ratio
+    FROM public.calculate_weighted_community_stats(p_url_hash) ws;
+
+    IF v_total_ratings > 0 THEN
+        v_community_trust := ((v_avg_rating - 1) / 4) * 100;
+
+        v_community_trust := v_community_trust - (v_spam_ratio * 30);
+        v_community_trust := v_community_trust - (v_misleading_ratio * 25);
+        v_community_trust := v_community_trust - (v_scam_ratio * 40);
+
+        -- A handful of low-reputation raters no longer reaches full confidence
+        v_full_confidence_weight := COALESCE((public.get_trust_config('reputation_weighting')->>'full_confidence_weight')::DECIMAL, 5.0);
+
+        DECLARE
+            confidence_multiplier DECIMAL := LEAST(1.0, v_weight_sum / GREATEST(v_full_confidence_weight, 0.01));
+        BEGIN
+            v_community_trust := v_community_trust * confidence_multiplier + (50 * (1 - confidence_multiplier));
+        END;
+    END IF;
+
+    IF v_domain != 'unknown' THEN
+        SELECT * INTO v_domain_cache_record
+        FROM public.domain_cache dc
+        WHERE dc.domain = v_domain AND dc.cache_expires_at > NOW()
+        LIMIT 1;
+
+        IF FOUND THEN
+            v_domain_trust := 50.0;
+
+            IF v_domain_cache_record.domain_age_days IS NOT NULL THEN
+                IF v_domain_cache_record.domain_age_days > 365 * 5 THEN
+                    v_domain_trust := v_domain_trust + 15;
+                ELSIF v_domain_cache_record.domain_age_days > 365 * 2 THEN
+                    v_domain_trust := v_domain_trust + 10;
+                ELSIF v_domain_cache_record.domain_age_days > 365 THEN
+                    v_domain_trust := v_domain_trust + 5;
+                ELSIF v_domain_cache_record.domain_age_days < 30 THEN
+                    v_domain_trust := v_domain_trust - 10;
+                END IF;
+            END IF;
+
+            IF v_domain_cache_record.ssl_valid = TRUE THEN
+                v_domain_trust := v_domain_trust + 5;
+            ELSE
+                v_domain_trust := v_domain_trust - 15;
+            END IF;
+
+            IF v_domain_cache_record.http_status >= 400 THEN
+                v_domain_trust := v_domain_trust - 20;
+            END IF;
+
+            CASE v_domain_cache_record.google_safe_browsing_status
+                WHEN 'malware' THEN v_domain_trust := v_domain_trust - 50;
+                WHEN 'phishing' THEN v_domain_trust := v_domain_trust - 45;
+                WHEN 'unwanted' THEN v_domain_trust := v_domain_trust - 30;
+                ELSE NULL;
+            END CASE;
+
+            CASE v_domain_cache_record.hybrid_analysis_status
+                WHEN 'malicious' THEN v_domain_trust := v_domain_trust - 40;
+                WHEN 'suspicious' THEN v_domain_trust := v_domain_trust - 25;
+                ELSE NULL;
+            END CASE;
+        END IF;
+
+        SELECT * INTO v_blacklist_record
+        FROM public.check_domain_blacklist(v_domain);
+
+        IF v_blacklist_record.is_blacklisted THEN
+            v_blacklist_penalty := v_blacklist_record.penalty_score;
+            v_domain_trust := v_domain_trust - v_blacklist_penalty;
+        END IF;
+
+        SELECT COALESCE(ctr.trust_score_modifier, 0) INTO v_content_modifier
+        FROM public.content_type_rules ctr
+        WHERE ctr.domain = v_domain AND ctr.content_type = v_content_type AND ctr.is_active = TRUE
+        LIMIT 1;
+
+        v_domain_trust := v_domain_trust + v_content_modifier;
+    END IF;
+
+    v_domain_trust := GREATEST(0, LEAST(100, v_domain_trust));
+    v_community_trust := GREATEST(0, LEAST(100, v_community_trust));
+
+    v_final_trust := (v_domain_trust * 0.4) + (v_community_trust * 0.6);
+    v_final_trust := GREATEST(0, LEAST(100, v_final_trust));
+
+    RETURN QUERY SELECT
+        ROUND(v_domain_trust, 2),
+        ROUND(v_community_trust, 2),
+        ROUND(v_final_trust, 2),
+        v_content_type;
+END;
+$$;
+
+-- ============================================================================
+-- PART 5: REPUTATION REFRESH
+-- ============================================================================
+
+-- Scores settled ratings against consensus, settles scam reports, then recomputes every rater's
+-- reputation and weight. A rating is evaluated once, after settle_after_days (well inside the
+-- 7-day retention window) and only if its URL has reached min_url_ratings; ratings on URLs that
+-- never get there are left alone and do not move anyone's reputation.
+--   agreeing       - within agreement_tolerance_stars of the URL's weighted average
+--   confirmed scam - the domain is blacklisted or flagged by Safe Browsing / Hybrid Analysis
+--   false scam     - the community clearly disagrees (high average, almost no scam reports)
+CREATE OR REPLACE FUNCTION public.refresh_rater_reputation()
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_config JSONB := public.get_trust_config('reputation_weighting');
+    v_settle_days INTEGER := COALESCE((v_config->'consensus'->>'settle_after_days')::INTEGER, 3);
+    v_min_url_ratings INTEGER := COALESCE((v_config->'consensus'->>'min_url_ratings')::INTEGER, 5);
+    v_tolerance DECIMAL := COALESCE((v_config->'consensus'->>'agreement_tolerance_stars')::DECIMAL, 1.0);
+    v_false_max_share DECIMAL := COALESCE((v_config->'scam_reports'->>'false_report_max_scam_share')::DECIMAL, 0.1);
+    v_false_min_average DECIMAL := COALESCE((v_config->'scam_reports'->>'false_report_min_average')::DECIMAL, 4.0);
+    v_evaluated_count INTEGER := 0;
+    v_rater_count INTEGER := 0;
+BEGIN
+    CREATE TEMP TABLE tmp_reputation_evaluation ON COMMIT DROP AS
+    SELECT
+        r.id,
+        r.user_id_hash,
+        ABS(r.rating - COALESCE((us.community_weighting->>'average_rating')::DECIMAL, us.average_rating)) <= v_tolerance AS agrees,
+        r.is_scam AND (
+            COALESCE((SELECT bl.is_blacklisted FROM public.check_domain_blacklist(r.domain) bl), false)
+            OR EXISTS (
+                SELECT 1 FROM public.domain_cache dc
+                WHERE dc.domain = r.domain
+                  AND (dc.google_safe_browsing_status IN ('malware', 'phishing')
+                       OR dc.hybrid_analysis_status = 'malicious')
+            )
+        ) AS scam_confirmed,
+        r.is_scam
+            AND COALESCE((us.community_weighting->>'average_rating')::DECIMAL, us.average_rating) >= v_false_min_average
+            AND COALESCE((us.community_weighting->>'scam_ratio')::DECIMAL,
+                         us.scam_reports_count::DECIMAL / NULLIF(us.rating_count, 0)) <= v_false_max_share
+            AS scam_rejected
+    FROM public.ratings r
+    JOIN public.url_stats us ON us.url_hash = r.url_hash
+    WHERE r.reputation_evaluated_at IS NULL
+      AND r.processed = true
+      AND r.created_at < NOW() - INTERVAL '1 day' * v_settle_days
+      AND us.rating_count >= v_min_url_ratings;
+
+    GET DIAGNOSTICS v_evaluated_count = ROW_COUNT;
+
+    INSERT INTO public.rater_reputation (user_id_hash, settled_ratings, agreeing_ratings, confirmed_scam_reports, false_scam_reports)
+    SELECT
+        user_id_hash,
+        COUNT(*),
+        COUNT(*) FILTER (WHERE agrees),
+        COUNT(*) FILTER (WHERE scam_confirmed),
+        COUNT(*) FILTER (WHERE scam_rejected AND NOT scam_confirmed)
+    FROM tmp_reputation_evaluation
+    GROUP BY user_id_hash
+    ON CONFLICT (user_id_hash) DO UPDATE SET
+        settled_ratings = rater_reputation.settled_ratings + EXCLUDED.settled_ratings,
+        agreeing_ratings = rater_reputation.agreeing_ratings + EXCLUDED.agreeing_ratings,
+        confirmed_scam_reports = rater_reputation.confirmed_scam_reports + EXCLUDED.confirmed_scam_reports,
+        false_scam_reports = rater_reputation.false_scam_reports + EXCLUDED.false_scam_reports;
+
+    UPDATE public.ratings r
+    SET reputation_evaluated_at = NOW()
+    FROM tmp_reputation_evaluation e
+    WHERE r.id = e.id;
+
+    -- Raters with pending ratings get a row too, so their weight is stored rather than derived per query
+    INSERT INTO public.rater_reputation (user_id_hash)
+    SELECT DISTINCT user_id_hash FROM public.ratings
+    ON CONFLICT (user_id_hash) DO NOTHING;
+
+    -- Account age changes daily, so every row is recomputed
+    UPDATE public.rater_reputation rr
+    SET
+        account_created_at = u.created_at,
+        reputation_score = scored.reputation,
+        weight = public.calculate_rater_weight(scored.reputation, v_config),
+        updated_at = NOW()
+    FROM auth.users u,
+    LATERAL (
+        SELECT public.calculate_rater_reputation(
+            EXTRACT(EPOCH FROM (NOW() - u.created_at)) / 86400,
+            rr.settled_ratings,
+            rr.agreeing_ratings,
+            rr.confirmed_scam_reports,
+            rr.false_scam_reports,
+            v_config
+        ) AS reputation
+    ) scored
+    WHERE u.id = rr.user_id_hash;
+
+    GET DIAGNOSTICS v_rater_count = ROW_COUNT;
+
+    RETURN 'Reputation refresh: evaluated ' || v_evaluated_count || ' settled ratings, reweighted ' || v_rater_count || ' raters';
+END;
+$$;
+
+COMMENT ON FUNCTION public.refresh_rater_reputation IS 'Updates rater_reputation from settled ratings and scam-report outcomes and recomputes rating weights. Called by daily cron job.';
+
+DO $$
+BEGIN
+    BEGIN
+        PERFORM cron.unschedule('refresh-rater-reputation');
+    EXCEPTION WHEN OTHERS THEN
+        RAISE NOTICE 'refresh-rater-reputation did not exist (this is fine)';
+    END;
+END $$;
+
+SELECT cron.schedule(
+    'refresh-rater-reputation',
+    '45 2 * * *',  -- Daily, before the 3 AM rating cleanup purges settled ratings
+    'SELECT public.refresh_rater_reputation();'
+);
+
+-- ============================================================================
+-- PART 6: AGGREGATION STORES THE WEIGHTED INPUTS
+-- ============================================================================
+
+-- Same as the 20250826000005 version, plus url_stats.community_weighting.
+CREATE OR REPLACE FUNCTION public.batch_aggregate_ratings()
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    processed_count INTEGER := 0;
+    url_record RECORD;
+    trust_scores RECORD;
+    weighted_stats RECORD;
+    v_domain TEXT;
+    v_domain_cache_exists BOOLEAN;
+    v_blacklist_checked BOOLEAN;
+    v_external_apis_checked BOOLEAN;
+    v_started_at TIMESTAMP WITH TIME ZONE := NOW();
+BEGIN
+    FOR url_record IN
+        SELECT DISTINCT url_hash
+        FROM public.ratings
+        WHERE processed = false
+        UNION
+        SELECT url_hash
+        FROM public.url_stats_refresh_queue
+        WHERE queued_at <= v_started_at
+    LOOP
+        -- Calculate enhanced trust scores
+        SELECT * INTO trust_scores
+        FROM public.calculate_enhanced_trust_score(url_record.url_hash, NULL);
+
+        -- Determine processing status details
+        SELECT domain INTO v_domain FROM public.url_stats WHERE url_hash = url_record.url_hash;
+
+        -- Check if domain analysis is available
+        v_domain_cache_exists := EXISTS(
+            SELECT 1 FROM public.domain_cache
+            WHERE domain = v_domain AND cache_expires_at > NOW()
+        );
+
+        v_blacklist_checked := v_domain IS NOT NULL;
+        v_external_apis_checked := v_domain_cache_exists;
+
+        SELECT * INTO weighted_stats
+        FROM public.calculate_weighted_community_stats(url_record.url_hash);
+
+        -- Get basic stats and update with processing status
+        WITH stats AS (
+            SELECT
+                COUNT(*) as total_ratings,
+                AVG(rating) as avg_rating,
+                COUNT(*) FILTER (WHERE is_spam = true) as spam_count,
+                COUNT(*) FILTER (WHERE is_misleading = true) as misleading_count,
+                COUNT(*) FILTER (WHERE is_scam = true) as scam_count
+            FROM public.ratings
+            WHERE url_hash = url_record.url_hash
+        )
+        INSERT INTO public.url_stats (
+            url_hash,
+            trust_score,
+            final_trust_score,
+            domain_trust_score,
+            community_trust_score,
+            content_type,
+            rating_count,
+            average_rating,
+            spam_reports_count,
+            misleading_reports_count,
+            scam_reports_count,
+            processing_status,
+            domain_analysis_processed,
+            community_weighting,
+            last_updated
+        )
+        SELECT
+            url_record.url_hash,
+            trust_scores.final_score,
+            trust_scores.final_score,
+            trust_scores.domain_score,
+            trust_scores.community_score,
+            trust_scores.content_type,
+            s.total_ratings,
+            ROUND(s.avg_rating, 2),
+            s.spam_count,
+            s.misleading_count,
+            s.scam_count,
+            CASE
+                WHEN v_external_apis_checked THEN 'enhanced_with_domain_analysis'
+                WHEN v_domain IS NOT NULL THEN 'community_with_basic_domain'
+                ELSE 'community_only'
+            END,
+            v_external_apis_checked,
+            jsonb_build_object(
+                'weight_sum', ROUND(weighted_stats.weight_sum, 4),
+                'average_rating', ROUND(weighted_stats.weighted_average_rating, 4),
+                'spam_ratio', ROUND(weighted_stats.spam_ratio, 4),
+                'misleading_ratio', ROUND(weighted_stats.misleading_ratio, 4),
+                'scam_ratio', ROUND(weighted_stats.scam_ratio, 4)
+            ),
+            NOW()
+        FROM stats s
+        ON CONFLICT (url_hash)
+        DO UPDATE SET
+            trust_score = EXCLUDED.trust_score,
+            final_trust_score = EXCLUDED.final_trust_score,
+            domain_trust_score = EXCLUDED.domain_trust_score,
+            community_trust_score = EXCLUDED.community_trust_score,
+            content_type = EXCLUDED.content_type,
+            rating_count = EXCLUDED.rating_count,
+            average_rating = EXCLUDED.average_rating,
+            spam_reports_count = EXCLUDED.spam_reports_count,
+            misleading_reports_count = EXCLUDED.misleading_reports_count,
+            scam_reports_count = EXCLUDED.scam_reports_count,
+            processing_status = EXCLUDED.processing_status,
+            domain_analysis_processed = EXCLUDED.domain_analysis_processed,
+            community_weighting = EXCLUDED.community_weighting,
+            last_updated = EXCLUDED.last_updated;
+
+        processed_count := processed_count + 1;
+    END LOOP;
+
+    -- Mark all ratings as processed
+    UPDATE public.ratings SET processed = true WHERE processed = false;
+
+    -- Entries queued while this run was in progress are left for the next run
+    DELETE FROM public.url_stats_refresh_queue WHERE queued_at <= v_started_at;
+
+    RETURN 'Enhanced processing completed for ' || processed_count || ' URLs with status tracking';
+END;
+$$;
+
+COMMENT ON FUNCTION public.batch_aggregate_ratings IS 'Enhanced batch processing with multi-factor trust scoring; also re-aggregates URLs queued in url_stats_refresh_queue; stores the reputation-weighted inputs in community_weighting';
+
+GRANT EXECUTE ON FUNCTION public.refresh_rater_reputation() TO service_role;
+
+-- Existing stats pick up the weighting on the next aggregation run
+INSERT INTO public.url_stats_refresh_queue (url_hash, reason, queued_at)
+SELECT url_hash, 'reputation_weighting', NOW()
+FROM public.url_stats
+WHERE rating_count > 0
+ON CONFLICT (url_hash) DO NOTHING;
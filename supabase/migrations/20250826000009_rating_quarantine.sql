@@ -0,0 +1,511 @@
+-- Brigading detection and rating quarantine
+-- batch_aggregate_ratings now checks each URL with new ratings before folding them in. If the
+-- rating velocity, the share of brand-new accounts or the community score swing crosses the
+-- thresholds in trust_algorithm_config ('brigading_detection'), the new ratings are quarantined:
+-- they stay stored but are left out of scoring until an admin releases or rejects them through
+-- trust-admin /quarantine.
+
+-- ============================================================================
+-- PART 1: CONFIGURATION
+-- ============================================================================
+
+INSERT INTO public.trust_algorithm_config (config_key, config_value, description)
+VALUES (
+    'brigading_detection',
+    '{
+        "enabled": true,
+        "window_minutes": 60,
+        "velocity": { "max_ratings": 15 },
+        "new_accounts": { "max_account_age_days": 7, "max_share": 0.6, "min_ratings": 5 },
+        "score_swing": { "max_points": 25, "min_prior_ratings": 5 }
+    }'::jsonb,
+    'Anomaly thresholds checked per URL during aggregation: ratings within window_minutes, share of those from accounts younger than max_account_age_days, and community score change in points. Any one exceeded quarantines the pending ratings.'
+)
+ON CONFLICT (config_key) DO NOTHING;
+
+-- ============================================================================
+-- PART 2: QUARANTINE STATE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.rating_quarantine_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    url_hash TEXT NOT NULL,
+    domain TEXT,
+    triggers JSONB NOT NULL DEFAULT '{}'::jsonb,
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+    quarantined_count INTEGER NOT NULL DEFAULT 0,
+    released_count INTEGER NOT NULL DEFAULT 0,
+    rejected_count INTEGER NOT NULL DEFAULT 0,
+    community_score_before DECIMAL(5,2),
+    community_score_projected DECIMAL(5,2),
+    detected_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_detected_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    admin_notes TEXT
+);
+
+COMMENT ON TABLE public.rating_quarantine_events IS 'Suspected brigading on one URL. triggers records which thresholds fired and the observed values; the event resolves once every quarantined rating has been released or rejected.';
+
+-- One open event per URL; later bursts on the same URL join it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_quarantine_events_open_url
+    ON public.rating_quarantine_events (url_hash)
+    WHERE status = 'open';
+
+CREATE INDEX IF NOT EXISTS idx_quarantine_events_status_detected
+    ON public.rating_quarantine_events (status, detected_at);
+
+ALTER TABLE public.rating_quarantine_events ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE public.ratings ADD COLUMN IF NOT EXISTS moderation_status TEXT NOT NULL DEFAULT 'active';
+ALTER TABLE public.ratings ADD COLUMN IF NOT EXISTS quarantine_event_id UUID REFERENCES public.rating_quarantine_events(id) ON DELETE SET NULL;
+
+DO $$
+BEGIN
+    ALTER TABLE public.ratings ADD CONSTRAINT ratings_moderation_status_check
+        CHECK (moderation_status IN ('active', 'quarantined', 'rejected'));
+EXCEPTION WHEN duplicate_object THEN
+    RAISE NOTICE 'ratings_moderation_status_check already exists (this is fine)';
+END $$;
+
+COMMENT ON COLUMN public.ratings.moderation_status IS 'active ratings count towards scores; quarantined ones await review in trust-admin; rejected ones were confirmed as brigading and never count.';
+
+CREATE INDEX IF NOT EXISTS idx_ratings_quarantine_event
+    ON public.ratings (quarantine_event_id)
+    WHERE quarantine_event_id IS NOT NULL;
+
+ALTER TABLE public.url_stats ADD COLUMN IF NOT EXISTS quarantined_ratings_count INTEGER DEFAULT 0;
+
+-- ============================================================================
+-- PART 3: DETECTION
+-- ============================================================================
+
+-- Checks the URL's pending (unprocessed) ratings against the thresholds. p_projected_community_score
+-- is the community score with those ratings included, compared against the stored one for the
+-- swing check. When anything fires, the pending ratings are quarantined under the URL's open event
+-- (created if needed) and its id is returned; otherwise NULL.
+CREATE OR REPLACE FUNCTION public.detect_rating_anomalies(
+    p_url_hash TEXT,
+    p_projected_community_score DECIMAL
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_config JSONB := public.get_trust_config('brigading_detection');
+    v_window_start TIMESTAMP WITH TIME ZONE;
+    v_pending_count INTEGER;
+    v_window_count INTEGER;
+    v_new_account_count INTEGER;
+    v_prior_score DECIMAL;
+    v_prior_count INTEGER;
+    v_domain TEXT;
+    v_triggers JSONB := '{}'::jsonb;
+    v_max_ratings INTEGER := COALESCE((v_config->'velocity'->>'max_ratings')::INTEGER, 15);
+    v_new_account_days INTEGER := COALESCE((v_config->'new_accounts'->>'max_account_age_days')::INTEGER, 7);
+    v_new_account_share DECIMAL := COALESCE((v_config->'new_accounts'->>'max_share')::DECIMAL, 0.6);
+    v_new_account_min INTEGER := COALESCE((v_config->'new_accounts'->>'min_ratings')::INTEGER, 5);
+    v_swing_points DECIMAL := COALESCE((v_config->'score_swing'->>'max_points')::DECIMAL, 25);
+    v_swing_min_prior INTEGER := COALESCE((v_config->'score_swing'->>'min_prior_ratings')::INTEGER, 5);
+    v_event_id UUID;
+BEGIN
+    IF COALESCE((v_config->>'enabled')::BOOLEAN, false) = false THEN
+        RETURN NULL;
+    END IF;
+
+    SELECT COUNT(*) INTO v_pending_count
+    FROM public.ratings
+    WHERE url_hash = p_url_hash AND processed = false AND moderation_status = 'active';
+
+    -- Queued refreshes without new ratings have nothing to judge
+    IF v_pending_count = 0 THEN
+        RETURN NULL;
+    END IF;
+
+    v_window_start := NOW() - INTERVAL '1 minute' * COALESCE((v_config->>'window_minutes')::INTEGER, 60);
+
+    SELECT
+        COUNT(*),
+        COUNT(*) FILTER (WHERE u.created_at > r.created_at - INTERVAL '1 day' * v_new_account_days)
+    INTO v_window_count, v_new_account_count
+    FROM public.ratings r
+    LEFT JOIN auth.users u ON u.id = r.user_id_hash
+    WHERE r.url_hash = p_url_hash
+      AND r.moderation_status = 'active'
+      AND COALESCE(r.updated_at, r.created_at) >= v_window_start;
+
+    SELECT community_trust_score, rating_count, domain
+    INTO v_prior_score, v_prior_count, v_domain
+    FROM public.url_stats
+    WHERE url_hash = p_url_hash;
+
+    IF v_window_count > v_max_ratings THEN
+        v_triggers := v_triggers || jsonb_build_object('velocity', jsonb_build_object(
+            'ratings', v_window_count, 'threshold', v_max_ratings
+        ));
+    END IF;
+
+    IF v_window_count >= v_new_account_min
+       AND v_new_account_count::DECIMAL / v_window_count > v_new_account_share THEN
+        v_triggers := v_triggers || jsonb_build_object('new_accounts', jsonb_build_object(
+            'new_account_ratings', v_new_account_count,
+            'ratings', v_window_count,
+            'share', ROUND(v_new_account_count::DECIMAL / v_window_count, 4),
+            'threshold', v_new_account_share
+        ));
+    END IF;
+
+    IF COALESCE(v_prior_count, 0) >= v_swing_min_prior
+       AND v_prior_score IS NOT NULL
+       AND ABS(p_projected_community_score - v_prior_score) > v_swing_points THEN
+        v_triggers := v_triggers || jsonb_build_object('score_swing', jsonb_build_object(
+            'before', v_prior_score,
+            'projected', p_projected_community_score,
+            'threshold', v_swing_points
+        ));
+    END IF;
+
+    IF v_triggers = '{}'::jsonb THEN
+        RETURN NULL;
+    END IF;
+
+    IF v_domain IS NULL THEN
+        SELECT domain INTO v_domain FROM public.ratings WHERE url_hash = p_url_hash AND domain IS NOT NULL LIMIT 1;
+    END IF;
+
+    UPDATE public.rating_quarantine_events
+    SET triggers = triggers || v_triggers,
+        community_score_projected = p_projected_community_score,
+        last_detected_at = NOW()
+    WHERE url_hash = p_url_hash AND status = 'open'
+    RETURNING id INTO v_event_id;
+
+    IF v_event_id IS NULL THEN
+        INSERT INTO public.rating_quarantine_events (
+            url_hash, domain, triggers, community_score_before, community_score_projected
+        )
+        VALUES (p_url_hash, v_domain, v_triggers, v_prior_score, p_projected_community_score)
+        RETURNING id INTO v_event_id;
+    END IF;
+
+    UPDATE public.ratings
+    SET moderation_status = 'quarantined',
+        quarantine_event_id = v_event_id
+    WHERE url_hash = p_url_hash AND processed = false AND moderation_status = 'active';
+
+    UPDATE public.rating_quarantine_events
+    SET quarantined_count = (
+        SELECT COUNT(*) FROM public.ratings
+        WHERE quarantine_event_id = v_event_id AND moderation_status = 'quarantined'
+    )
+    WHERE id = v_event_id;
+
+    RAISE NOTICE 'Quarantined % ratings on % (event %): %', v_pending_count, p_url_hash, v_event_id, v_triggers;
+
+    RETURN v_event_id;
+END;
+$$;
+
+-- ============================================================================
+-- PART 4: ADMIN REVIEW
+-- ============================================================================
+
+-- Release (count them after all) or reject (confirmed brigading) an event's quarantined ratings,
+-- or only p_rating_ids among them. Released ratings stay processed, so they are not re-checked.
+-- The event resolves when none are left in quarantine. Returns the number of ratings changed,
+-- or NULL when the event does not exist.
+CREATE OR REPLACE FUNCTION public.review_quarantine_event(
+    p_event_id UUID,
+    p_action TEXT,
+    p_rating_ids UUID[] DEFAULT NULL,
+    p_admin_notes TEXT DEFAULT NULL
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_url_hash TEXT;
+    v_changed INTEGER;
+    v_remaining INTEGER;
+BEGIN
+    IF p_action NOT IN ('release', 'reject') THEN
+        RAISE EXCEPTION 'action must be release or reject';
+    END IF;
+
+    SELECT url_hash INTO v_url_hash
+    FROM public.rating_quarantine_events
+    WHERE id = p_event_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    UPDATE public.ratings
+    SET moderation_status = CASE p_action WHEN 'release' THEN 'active' ELSE 'rejected' END
+    WHERE quarantine_event_id = p_event_id
+      AND moderation_status = 'quarantined'
+      AND (p_rating_ids IS NULL OR id = ANY(p_rating_ids));
+
+    GET DIAGNOSTICS v_changed = ROW_COUNT;
+
+    SELECT COUNT(*) INTO v_remaining
+    FROM public.ratings
+    WHERE quarantine_event_id = p_event_id AND moderation_status = 'quarantined';
+
+    UPDATE public.rating_quarantine_events
+    SET released_count = released_count + CASE p_action WHEN 'release' THEN v_changed ELSE 0 END,
+        rejected_count = rejected_count + CASE p_action WHEN 'reject' THEN v_changed ELSE 0 END,
+        quarantined_count = v_remaining,
+        status = CASE WHEN v_remaining = 0 THEN 'resolved' ELSE status END,
+        reviewed_at = NOW(),
+        admin_notes = COALESCE(p_admin_notes, admin_notes)
+    WHERE id = p_event_id;
+
+    IF v_changed > 0 THEN
+        PERFORM public.queue_url_stats_refresh(v_url_hash, 'quarantine_' || p_action);
+    END IF;
+
+    RETURN v_changed;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.review_quarantine_event(UUID, TEXT, UUID[], TEXT) TO service_role;
+
+-- ============================================================================
+-- PART 5: SCORING AND RETENTION SKIP QUARANTINED RATINGS
+-- ============================================================================
+
+-- Same as the 20250826000008 version, minus quarantined and rejected ratings
+CREATE OR REPLACE FUNCTION public.calculate_weighted_community_stats(p_url_hash TEXT)
+RETURNS TABLE(
+    rating_count INTEGER,
+    weight_sum DECIMAL,
+    weighted_average_rating DECIMAL,
+    spam_ratio DECIMAL,
+    misleading_ratio DECIMAL,
+    scam_ratio DECIMAL
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_config JSONB := public.get_trust_config('reputation_weighting');
+BEGIN
+    RETURN QUERY
+    WITH weighted AS (
+        SELECT
+            r.rating,
+            r.is_spam,
+            r.is_misleading,
+            r.is_scam,
+            CASE
+                WHEN COALESCE((v_config->>'enabled')::BOOLEAN, false) = false THEN 1.0
+                WHEN rr.user_id_hash IS NOT NULL THEN rr.weight
+                ELSE public.calculate_rater_weight(
+                    public.calculate_rater_reputation(
+                        EXTRACT(EPOCH FROM (NOW() - u.created_at)) / 86400, 0, 0, 0, 0, v_config
+                    ),
+                    v_config
+                )
+            END AS w
+        FROM public.ratings r
+        LEFT JOIN public.rater_reputation rr ON rr.user_id_hash = r.user_id_hash
+        LEFT JOIN auth.users u ON u.id = r.user_id_hash
+        WHERE r.url_hash = p_url_hash
+          AND r.moderation_status = 'active'
+    )
+    SELECT
+        COUNT(*)::INTEGER,
+        COALESCE(SUM(w), 0)::DECIMAL,
+        (SUM(w * rating) / NULLIF(SUM(w), 0))::DECIMAL,
+        COALESCE(SUM(w) FILTER (WHERE is_spam) / NULLIF(SUM(w), 0), 0)::DECIMAL,
+        COALESCE(SUM(w) FILTER (WHERE is_misleading) / NULLIF(SUM(w), 0), 0)::DECIMAL,
+        COALESCE(SUM(w) FILTER (WHERE is_scam) / NULLIF(SUM(w), 0), 0)::DECIMAL
+    FROM weighted;
+END;
+$$;
+
+-- Same as the 20250826000008 version, plus the brigading check and quarantined_ratings_count.
+CREATE OR REPLACE FUNCTION public.batch_aggregate_ratings()
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    processed_count INTEGER := 0;
+    url_record RECORD;
+    trust_scores RECORD;
+    weighted_stats RECORD;
+    v_quarantine_event UUID;
+    v_quarantined_urls INTEGER := 0;
+    v_domain TEXT;
+    v_domain_cache_exists BOOLEAN;
+    v_blacklist_checked BOOLEAN;
+    v_external_apis_checked BOOLEAN;
+    v_started_at TIMESTAMP WITH TIME ZONE := NOW();
+BEGIN
+    FOR url_record IN
+        SELECT DISTINCT url_hash
+        FROM public.ratings
+        WHERE processed = false
+        UNION
+        SELECT url_hash
+        FROM public.url_stats_refresh_queue
+        WHERE queued_at <= v_started_at
+    LOOP
+        -- Calculate enhanced trust scores
+        SELECT * INTO trust_scores
+        FROM public.calculate_enhanced_trust_score(url_record.url_hash, NULL);
+
+        -- Brigading check before the new ratings are folded in; quarantined ratings drop out of the scores
+        v_quarantine_event := public.detect_rating_anomalies(url_record.url_hash, trust_scores.community_score);
+        IF v_quarantine_event IS NOT NULL THEN
+            v_quarantined_urls := v_quarantined_urls + 1;
+
+            SELECT * INTO trust_scores
+            FROM public.calculate_enhanced_trust_score(url_record.url_hash, NULL);
+        END IF;
+
+        -- Determine processing status details
+        SELECT domain INTO v_domain FROM public.url_stats WHERE url_hash = url_record.url_hash;
+
+        -- Check if domain analysis is available
+        v_domain_cache_exists := EXISTS(
+            SELECT 1 FROM public.domain_cache
+            WHERE domain = v_domain AND cache_expires_at > NOW()
+        );
+
+        v_blacklist_checked := v_domain IS NOT NULL;
+        v_external_apis_checked := v_domain_cache_exists;
+
+        SELECT * INTO weighted_stats
+        FROM public.calculate_weighted_community_stats(url_record.url_hash);
+
+        -- Get basic stats and update with processing status
+        WITH stats AS (
+            SELECT
+                COUNT(*) as total_ratings,
+                AVG(rating) as avg_rating,
+                COUNT(*) FILTER (WHERE is_spam = true) as spam_count,
+                COUNT(*) FILTER (WHERE is_misleading = true) as misleading_count,
+                COUNT(*) FILTER (WHERE is_scam = true) as scam_count
+            FROM public.ratings
+            WHERE url_hash = url_record.url_hash
+              AND moderation_status = 'active'
+        )
+        INSERT INTO public.url_stats (
+            url_hash,
+            trust_score,
+            final_trust_score,
+            domain_trust_score,
+            community_trust_score,
+            content_type,
+            rating_count,
+            average_rating,
+            spam_reports_count,
+            misleading_reports_count,
+            scam_reports_count,
+            processing_status,
+            domain_analysis_processed,
+            community_weighting,
+            quarantined_ratings_count,
+            last_updated
+        )
+        SELECT
+            url_record.url_hash,
+            trust_scores.final_score,
+            trust_scores.final_score,
+            trust_scores.domain_score,
+            trust_scores.community_score,
+            trust_scores.content_type,
+            s.total_ratings,
+            ROUND(s.avg_rating, 2),
+            s.spam_count,
+            s.misleading_count,
+            s.scam_count,
+            CASE
+                WHEN v_external_apis_checked THEN 'enhanced_with_domain_analysis'
+                WHEN v_domain IS NOT NULL THEN 'community_with_basic_domain'
+                ELSE 'community_only'
+            END,
+            v_external_apis_checked,
+            jsonb_build_object(
+                'weight_sum', ROUND(weighted_stats.weight_sum, 4),
+                'average_rating', ROUND(weighted_stats.weighted_average_rating, 4),
+                'spam_ratio', ROUND(weighted_stats.spam_ratio, 4),
+                'misleading_ratio', ROUND(weighted_stats.misleading_ratio, 4),
+                'scam_ratio', ROUND(weighted_stats.scam_ratio, 4)
+            ),
+            (SELECT COUNT(*) FROM public.ratings q WHERE q.url_hash = url_record.url_hash AND q.moderation_status = 'quarantined'),
+            NOW()
+        FROM stats s
+        ON CONFLICT (url_hash)
+        DO UPDATE SET
+            trust_score = EXCLUDED.trust_score,
+            final_trust_score = EXCLUDED.final_trust_score,
+            domain_trust_score = EXCLUDED.domain_trust_score,
+            community_trust_score = EXCLUDED.community_trust_score,
+            content_type = EXCLUDED.content_type,
+            rating_count = EXCLUDED.rating_count,
+            average_rating = EXCLUDED.average_rating,
+            spam_reports_count = EXCLUDED.spam_reports_count,
+            misleading_reports_count = EXCLUDED.misleading_reports_count,
+            scam_reports_count = EXCLUDED.scam_reports_count,
+            processing_status = EXCLUDED.processing_status,
+            domain_analysis_processed = EXCLUDED.domain_analysis_processed,
+            community_weighting = EXCLUDED.community_weighting,
+            quarantined_ratings_count = EXCLUDED.quarantined_ratings_count,
+            last_updated = EXCLUDED.last_updated;
+
+        processed_count := processed_count + 1;
+    END LOOP;
+
+    -- Mark all ratings as processed
+    UPDATE public.ratings SET processed = true WHERE processed = false;
+
+    -- Entries queued while this run was in progress are left for the next run
+    DELETE FROM public.url_stats_refresh_queue WHERE queued_at <= v_started_at;
+
+    RETURN 'Enhanced processing completed for ' || processed_count || ' URLs with status tracking ('
+        || v_quarantined_urls || ' with quarantined ratings)';
+END;
+$$;
+
+COMMENT ON FUNCTION public.batch_aggregate_ratings IS 'Enhanced batch processing with multi-factor trust scoring; also re-aggregates URLs queued in url_stats_refresh_queue; stores the reputation-weighted inputs in community_weighting; quarantines suspected brigading';
+
+-- Quarantined ratings are kept until reviewed, however old
+CREATE OR REPLACE FUNCTION public.cleanup_processed_ratings(retention_days INTEGER DEFAULT 7)
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    deleted_count INTEGER;
+    cutoff_date TIMESTAMP WITH TIME ZONE;
+BEGIN
+    cutoff_date := NOW() - INTERVAL '1 day' * retention_days;
+
+    DELETE FROM public.ratings
+    WHERE processed = true
+      AND created_at < cutoff_date
+      AND moderation_status <> 'quarantined'
+      AND (comment IS NULL OR comment_hidden = true);
+
+    GET DIAGNOSTICS deleted_count = ROW_COUNT;
+
+    RAISE NOTICE 'Rating cleanup completed: deleted % processed ratings older than % days (cutoff: %)',
+                 deleted_count, retention_days, cutoff_date;
+
+    RETURN 'Deleted ' || deleted_count || ' processed ratings older than ' || retention_days || ' days';
+END;
+$$;
+
+COMMENT ON FUNCTION public.cleanup_processed_ratings IS 'Deletes processed ratings older than specified days (default 7), keeping visible written reviews and ratings awaiting quarantine review. Called by daily cron job.';
@@ -0,0 +1,450 @@
+-- Bayesian community score with a credible interval
+-- Replaces the linear confidence multiplier (full confidence at a fixed number of ratings, spread
+-- of opinions ignored) with a Bayesian average: each rating contributes its points (stars scaled
+-- to 0-100 minus its report penalties), shrunk towards a prior. The posterior spread gives a
+-- credible interval, stored as community_score_margin / trust_score_margin so clients can show
+-- "72% (±9)". Set "method": "linear" in trust_algorithm_config ('community_scoring') to revert.
+
+-- ============================================================================
+-- PART 1: CONFIGURATION
+-- ============================================================================
+
+INSERT INTO public.trust_algorithm_config (config_key, config_value, description)
+VALUES (
+    'community_scoring',
+    '{
+        "method": "bayesian",
+        "prior_mean": 50,
+        "prior_weight": 5,
+        "prior_sd": 25,
+        "interval_z": 1.645
+    }'::jsonb,
+    'Community score = (prior_weight * prior_mean + sum(w * points)) / (prior_weight + sum(w)). The margin is interval_z (1.645 = 90%) posterior standard deviations; prior_sd is the spread assumed before any ratings. "method": "linear" restores the old confidence multiplier.'
+)
+ON CONFLICT (config_key) DO NOTHING;
+
+ALTER TABLE public.url_stats ADD COLUMN IF NOT EXISTS community_score_margin DECIMAL(5,2);
+ALTER TABLE public.url_stats ADD COLUMN IF NOT EXISTS trust_score_margin DECIMAL(5,2);
+
+COMMENT ON COLUMN public.url_stats.community_score_margin IS 'Half-width of the credible interval around community_trust_score (points).';
+COMMENT ON COLUMN public.url_stats.trust_score_margin IS 'Half-width of the credible interval around final_trust_score; only the community part is uncertain, so this is community_score_margin scaled by its weight.';
+
+-- ============================================================================
+-- PART 2: PER-RATING POINTS
+-- ============================================================================
+
+-- Return type changes, so both functions are dropped and recreated. Callers are plpgsql
+-- functions (batch_aggregate_ratings), which resolve them at run time.
+DROP FUNCTION IF EXISTS public.calculate_enhanced_trust_score(TEXT, TEXT);
+DROP FUNCTION IF EXISTS public.calculate_weighted_community_stats(TEXT);
+
+-- Same as the 20250826000009 version, plus the weighted mean and variance of per-rating points
+CREATE FUNCTION public.calculate_weighted_community_stats(p_url_hash TEXT)
+RETURNS TABLE(
+    rating_count INTEGER,
+    weight_sum DECIMAL,
+    weighted_average_rating DECIMAL,
+    spam_ratio DECIMAL,
+    misleading_ratio DECIMAL,
+    scam_ratio DECIMAL,
+    score_mean DECIMAL,
+    score_variance DECIMAL
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_config JSONB := public.get_trust_config('reputation_weighting');
+BEGIN
+    RETURN QUERY
+    WITH weighted AS (
+        SELECT
+            r.rating,
+            r.is_spam,
+            r.is_misleading,
+            r.is_scam,
+            CASE
+                WHEN COALESCE((v_config->>'enabled')::BOOLEAN, false) = false THEN 1.0
+                WHEN rr.user_id_hash IS NOT NULL THEN rr.weight
+                ELSE public.calculate_rater_weight(
+                    public.calculate_rater_reputation(
+                        EXTRACT(EPOCH FROM (NOW() - u.created_at)) / 86400, 0, 0, 0, 0, v_config
+                    ),
+                    v_config
+                )
+            END AS w,
+            ((r.rating - 1) / 4.0) * 100
+                - CASE WHEN r.is_spam THEN 30 ELSE 0 END
+                - CASE WHEN r.is_misleading THEN 25 ELSE 0 END
+                - CASE WHEN r.is_scam THEN 40 ELSE 0 END AS points
+        FROM public.ratings r
+        LEFT JOIN public.rater_reputation rr ON rr.user_id_hash = r.user_id_hash
+        LEFT JOIN auth.users u ON u.id = r.user_id_hash
+        WHERE r.url_hash = p_url_hash
+          AND r.moderation_status = 'active'
+    ),
+    mean AS (
+        SELECT SUM(w * points) / NULLIF(SUM(w), 0) AS mean_points FROM weighted
+    )
+    SELECT
+        COUNT(*)::INTEGER,
+        COALESCE(SUM(w), 0)::DECIMAL,
+        (SUM(w * rating) / NULLIF(SUM(w), 0))::DECIMAL,
+        COALESCE(SUM(w) FILTER (WHERE is_spam) / NULLIF(SUM(w), 0), 0)::DECIMAL,
+        COALESCE(SUM(w) FILTER (WHERE is_misleading) / NULLIF(SUM(w), 0), 0)::DECIMAL,
+        COALESCE(SUM(w) FILTER (WHERE is_scam) / NULLIF(SUM(w), 0), 0)::DECIMAL,
+        MAX(m.mean_points)::DECIMAL,
+        COALESCE(SUM(w * POWER(points - m.mean_points, 2)) / NULLIF(SUM(w), 0), 0)::DECIMAL
+    FROM weighted
+    CROSS JOIN mean m;
+END;
+$$;
+
+-- ============================================================================
+-- PART 3: COMMUNITY SCORE
+-- ============================================================================
+
+-- Same as the 20250826000008 version except the community block, which now also yields the
+-- credible-interval margins (capped at 50 points; NULL with the linear method).
+CREATE FUNCTION public.calculate_enhanced_trust_score(
+    p_url_hash TEXT,
+    p_url TEXT DEFAULT NULL
+)
+RETURNS TABLE(
+    domain_score DECIMAL,
+    community_score DECIMAL,
+    final_score DECIMAL,
+    content_type TEXT,
+    community_margin DECIMAL,
+    final_margin DECIMAL
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_domain TEXT;
+    v_content_type TEXT;
+    v_total_ratings INTEGER;
+    v_weight_sum DECIMAL;
+    v_avg_rating DECIMAL;
+    v_spam_ratio DECIMAL;
+    v_misleading_ratio DECIMAL;
+    v_scam_ratio DECIMAL;
+    v_score_mean DECIMAL;
+    v_score_variance DECIMAL;
+    v_config JSONB := public.get_trust_config('community_scoring');
+    v_prior_mean DECIMAL;
+    v_prior_weight DECIMAL;
+    v_prior_sd DECIMAL;
+    v_posterior_weight DECIMAL;
+    v_community_margin DECIMAL;
+    v_domain_trust DECIMAL := 50.0;
+    v_community_trust DECIMAL := 50.0;
+    v_final_trust DECIMAL;
+    v_blacklist_penalty DECIMAL := 0;
+    v_content_modifier DECIMAL := 0;
+    v_domain_cache_record RECORD;
+    v_blacklist_record RECORD;
+BEGIN
+    IF p_url IS NULL THEN
+        v_domain := 'unknown';
+        v_content_type := 'general';
+    ELSE
+        v_domain := public.extract_domain(p_url);
+        v_content_type := public.determine_content_type(p_url, v_domain);
+    END IF;
+
+    SELECT
+        ws.rating_count,
+        ws.weight_sum,
+        COALESCE(ws.weighted_average_rating, 3.0),
+        ws.spam_ratio,
+        ws.misleading_ratio,
+        ws.scam_ratio,
+        ws.score_mean,
+        ws.score_variance
+    INTO
+        v_total_ratings, v_weight_sum, v_avg_rating, v_spam_ratio, v_misleading_ratio, v_scam_ratio,
+        v_score_mean, v_score_variance
+    FROM public.calculate_weighted_community_stats(p_url_hash) ws;
+
+    IF COALESCE(v_config->>'method', 'bayesian') = 'linear' THEN
+        IF v_total_ratings > 0 THEN
+            v_community_trust := ((v_avg_rating - 1) / 4) * 100;
+
+            v_community_trust := v_community_trust - (v_spam_ratio * 30);
+            v_community_trust := v_community_trust - (v_misleading_ratio * 25);
+            v_community_trust := v_community_trust - (v_scam_ratio * 40);
+
+            DECLARE
+                confidence_multiplier DECIMAL := LEAST(1.0, v_weight_sum / GREATEST(
+                    COALESCE((public.get_trust_config('reputation_weighting')->>'full_confidence_weight')::DECIMAL, 5.0), 0.01));
+            BEGIN
+                v_community_trust := v_community_trust * confidence_multiplier + (50 * (1 - confidence_multiplier));
+            END;
+        END IF;
+    ELSE
+        -- Bayesian average of per-rating points (same linear penalties as above, so with enough
+        -- ratings it converges to the weighted mean) and its posterior standard deviation
+        v_prior_mean := COALESCE((v_config->>'prior_mean')::DECIMAL, 50);
+        v_prior_weight := GREATEST(COALESCE((v_config->>'prior_weight')::DECIMAL, 5), 0.01);
+        v_prior_sd := COALESCE((v_config->>'prior_sd')::DECIMAL, 25);
+        v_posterior_weight := v_prior_weight + COALESCE(v_weight_sum, 0);
+
+        v_community_trust := (v_prior_weight * v_prior_mean + COALESCE(v_weight_sum, 0) * COALESCE(v_score_mean, 0))
+            / v_posterior_weight;
+
+        v_community_margin := LEAST(50, COALESCE((v_config->>'interval_z')::DECIMAL, 1.645) * SQRT(
+            (v_prior_weight * POWER(v_prior_sd, 2) + COALESCE(v_weight_sum, 0) * COALESCE(v_score_variance, 0))
+            / v_posterior_weight
+            / v_posterior_weight
+        ));
+    END IF;
+
+    IF v_domain != 'unknown' THEN
+        SELECT * INTO v_domain_cache_record
+        FROM public.domain_cache dc
+        WHERE dc.domain = v_domain AND dc.cache_expires_at > NOW()
+        LIMIT 1;
+
+        IF FOUND THEN
+            v_domain_trust := 50.0;
+
+            IF v_domain_cache_record.domain_age_days IS NOT NULL THEN
+                IF v_domain_cache_record.domain_age_days > 365 * 5 THEN
+                    v_domain_trust := v_domain_trust + 15;
+                ELSIF v_domain_cache_record.domain_age_days > 365 * 2 THEN
+                    v_domain_trust := v_domain_trust + 10;
+                ELSIF v_domain_cache_record.domain_age_days > 365 THEN
+                    v_domain_trust := v_domain_trust + 5;
+                ELSIF v_domain_cache_record.domain_age_days < 30 THEN
+                    v_domain_trust := v_domain_trust - 10;
+                END IF;
+            END IF;
+
+            IF v_domain_cache_record.ssl_valid = TRUE THEN
+                v_domain_trust := v_domain_trust + 5;
+            ELSE
+                v_domain_trust := v_domain_trust - 15;
+            END IF;
+
+            IF v_domain_cache_record.http_status >= 400 THEN
+                v_domain_trust := v_domain_trust - 20;
+            END IF;
+
+            CASE v_domain_cache_record.google_safe_browsing_status
+                WHEN 'malware' THEN v_domain_trust := v_domain_trust - 50;
+                WHEN 'phishing' THEN v_domain_trust := v_domain_trust - 45;
+                WHEN 'unwanted' THEN v_domain_trust := v_domain_trust - 30;
+                ELSE NULL;
+            END CASE;
+
+            CASE v_domain_cache_record.hybrid_analysis_status
+                WHEN 'malicious' THEN v_domain_trust := v_domain_trust - 40;
+                WHEN 'suspicious' THEN v_domain_trust := v_domain_trust - 25;
+                ELSE NULL;
+            END CASE;
+        END IF;
+
+        SELECT * INTO v_blacklist_record
+        FROM public.check_domain_blacklist(v_domain);
+
+        IF v_blacklist_record.is_blacklisted THEN
+            v_blacklist_penalty := v_blacklist_record.penalty_score;
+            v_domain_trust := v_domain_trust - v_blacklist_penalty;
+        END IF;
+
+        SELECT COALESCE(ctr.trust_score_modifier, 0) INTO v_content_modifier
+        FROM public.content_type_rules ctr
+        WHERE ctr.domain = v_domain AND ctr.content_type = v_content_type AND ctr.is_active = TRUE
+        LIMIT 1;
+
+        v_domain_trust := v_domain_trust + v_content_modifier;
+    END IF;
+
+    v_domain_trust := GREATEST(0, LEAST(100, v_domain_trust));
+    v_community_trust := GREATEST(0, LEAST(100, v_community_trust));
+
+    v_final_trust := (v_domain_trust * 0.4) + (v_community_trust * 0.6);
+    v_final_trust := GREATEST(0, LEAST(100, v_final_trust));
+
+    RETURN QUERY SELECT
+        ROUND(v_domain_trust, 2),
+        ROUND(v_community_trust, 2),
+        ROUND(v_final_trust, 2),
+        v_content_type,
+        ROUND(v_community_margin, 2),
+        ROUND(v_community_margin * 0.6, 2);
+END;
+$$;
+
+-- ============================================================================
+-- PART 4: AGGREGATION STORES THE MARGINS
+-- ============================================================================
+
+-- Same as the 20250826000009 version, plus the margins and the point mean/variance in community_weighting.
+CREATE OR REPLACE FUNCTION public.batch_aggregate_ratings()
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    processed_count INTEGER := 0;
+    url_record RECORD;
+    trust_scores RECORD;
+    weighted_stats RECORD;
+    v_quarantine_event UUID;
+    v_quarantined_urls INTEGER := 0;
+    v_domain TEXT;
+    v_domain_cache_exists BOOLEAN;
+    v_blacklist_checked BOOLEAN;
+    v_external_apis_checked BOOLEAN;
+    v_started_at TIMESTAMP WITH TIME ZONE := NOW();
+BEGIN
+    FOR url_record IN
+        SELECT DISTINCT url_hash
+        FROM public.ratings
+        WHERE processed = false
+        UNION
+        SELECT url_hash
+        FROM public.url_stats_refresh_queue
+        WHERE queued_at <= v_started_at
+    LOOP
+        -- Calculate enhanced trust scores
+        SELECT * INTO trust_scores
+        FROM public.calculate_enhanced_trust_score(url_record.url_hash, NULL);
+
+        -- Brigading check before the new ratings are folded in; quarantined ratings drop out of the scores
+        v_quarantine_event := public.detect_rating_anomalies(url_record.url_hash, trust_scores.community_score);
+        IF v_quarantine_event IS NOT NULL THEN
+            v_quarantined_urls := v_quarantined_urls + 1;
+
+            SELECT * INTO trust_scores
+            FROM public.calculate_enhanced_trust_score(url_record.url_hash, NULL);
+        END IF;
+
+        -- Determine processing status details
+        SELECT domain INTO v_domain FROM public.url_stats WHERE url_hash = url_record.url_hash;
+
+        -- Check if domain analysis is available
+        v_domain_cache_exists := EXISTS(
+            SELECT 1 FROM public.domain_cache
+            WHERE domain = v_domain AND cache_expires_at > NOW()
+        );
+
+        v_blacklist_checked := v_domain IS NOT NULL;
+        v_external_apis_checked := v_domain_cache_exists;
+
+        SELECT * INTO weighted_stats
+        FROM public.calculate_weighted_community_stats(url_record.url_hash);
+
+        -- Get basic stats and update with processing status
+        WITH stats AS (
+            SELECT
+                COUNT(*) as total_ratings,
+                AVG(rating) as avg_rating,
+                COUNT(*) FILTER (WHERE is_spam = true) as spam_count,
+                COUNT(*) FILTER (WHERE is_misleading = true) as misleading_count,
+                COUNT(*) FILTER (WHERE is_scam = true) as scam_count
+            FROM public.ratings
+            WHERE url_hash = url_record.url_hash
+              AND moderation_status = 'active'
+        )
+        INSERT INTO public.url_stats (
+            url_hash,
+            trust_score,
+            final_trust_score,
+            domain_trust_score,
+            community_trust_score,
+            community_score_margin,
+            trust_score_margin,
+            content_type,
+            rating_count,
+            average_rating,
+            spam_reports_count,
+            misleading_reports_count,
+            scam_reports_count,
+            processing_status,
+            domain_analysis_processed,
+            community_weighting,
+            quarantined_ratings_count,
+            last_updated
+        )
+        SELECT
+            url_record.url_hash,
+            trust_scores.final_score,
+            trust_scores.final_score,
+            trust_scores.domain_score,
+            trust_scores.community_score,
+            trust_scores.community_margin,
+            trust_scores.final_margin,
+            trust_scores.content_type,
+            s.total_ratings,
+            ROUND(s.avg_rating, 2),
+            s.spam_count,
+            s.misleading_count,
+            s.scam_count,
+            CASE
+                WHEN v_external_apis_checked THEN 'enhanced_with_domain_analysis'
+                WHEN v_domain IS NOT NULL THEN 'community_with_basic_domain'
+                ELSE 'community_only'
+            END,
+            v_external_apis_checked,
+            jsonb_build_object(
+                'weight_sum', ROUND(weighted_stats.weight_sum, 4),
+                'average_rating', ROUND(weighted_stats.weighted_average_rating, 4),
+                'spam_ratio', ROUND(weighted_stats.spam_ratio, 4),
+                'misleading_ratio', ROUND(weighted_stats.misleading_ratio, 4),
+                'scam_ratio', ROUND(weighted_stats.scam_ratio, 4),
+                'score_mean', ROUND(weighted_stats.score_mean, 4),
+                'score_variance', ROUND(weighted_stats.score_variance, 4)
+            ),
+            (SELECT COUNT(*) FROM public.ratings q WHERE q.url_hash = url_record.url_hash AND q.moderation_status = 'quarantined'),
+            NOW()
+        FROM stats s
+        ON CONFLICT (url_hash)
+        DO UPDATE SET
+            trust_score = EXCLUDED.trust_score,
+            final_trust_score = EXCLUDED.final_trust_score,
+            domain_trust_score = EXCLUDED.domain_trust_score,
+            community_trust_score = EXCLUDED.community_trust_score,
+            community_score_margin = EXCLUDED.community_score_margin,
+            trust_score_margin = EXCLUDED.trust_score_margin,
+            content_type = EXCLUDED.content_type,
+            rating_count = EXCLUDED.rating_count,
+            average_rating = EXCLUDED.average_rating,
+            spam_reports_count = EXCLUDED.spam_reports_count,
+            misleading_reports_count = EXCLUDED.misleading_reports_count,
+            scam_reports_count = EXCLUDED.scam_reports_count,
+            processing_status = EXCLUDED.processing_status,
+            domain_analysis_processed = EXCLUDED.domain_analysis_processed,
+            community_weighting = EXCLUDED.community_weighting,
+            quarantined_ratings_count = EXCLUDED.quarantined_ratings_count,
+            last_updated = EXCLUDED.last_updated;
+
+        processed_count := processed_count + 1;
+    END LOOP;
+
+    -- Mark all ratings as processed
+    UPDATE public.ratings SET processed = true WHERE processed = false;
+
+    -- Entries queued while this run was in progress are left for the next run
+    DELETE FROM public.url_stats_refresh_queue WHERE queued_at <= v_started_at;
+
+    RETURN 'Enhanced processing completed for ' || processed_count || ' URLs with status tracking ('
+        || v_quarantined_urls || ' with quarantined ratings)';
+END;
+$$;
+
+COMMENT ON FUNCTION public.batch_aggregate_ratings IS 'Enhanced batch processing with multi-factor trust scoring; also re-aggregates URLs queued in url_stats_refresh_queue; stores the reputation-weighted inputs in community_weighting; quarantines suspected brigading; stores credible-interval margins';
+
+-- Recompute stored scores with the new formula on the next aggregation run
+INSERT INTO public.url_stats_refresh_queue (url_hash, reason, queued_at)
+SELECT url_hash, 'bayesian_community_score', NOW()
+FROM public.url_stats
+WHERE rating_count > 0
+ON CONFLICT (url_hash) DO NOTHING;
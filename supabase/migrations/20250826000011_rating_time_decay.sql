@@ -0,0 +1,472 @@
+-- Time-decayed community scoring and recent trend
+-- Each rating's weight is multiplied by 0.5 ^ (age / half-life), with the half-life chosen per
+-- content type in trust_algorithm_config ('rating_time_decay'), so old opinions fade as a site
+-- changes hands. Age counts from the last edit. Aggregation also stores recent_trend: the last
+-- 30 days against all time, which the popup turns into a "Trust dropping fast" warning.
+-- Both need the old ratings, so while decay is enabled cleanup_processed_ratings() keeps processed
+-- ratings for retention_days (two years, four default half-lives) instead of 7 days.
+
+-- ============================================================================
+-- PART 1: CONFIGURATION
+-- ============================================================================
+
+INSERT INTO public.trust_algorithm_config (config_key, config_value, description)
+VALUES (
+    'rating_time_decay',
+    '{
+        "enabled": true,
+        "default_half_life_days": 180,
+        "half_life_days": {
+            "news": 30,
+            "social": 45,
+            "ecommerce": 90,
+            "entertainment": 120,
+            "education": 365,
+            "documentation": 365
+        },
+        "trend_window_days": 30,
+        "retention_days": 730
+    }'::jsonb,
+    'Rating weight halves every half_life_days (per url_stats.content_type, else default_half_life_days). trend_window_days is the "recent" window compared against all time in url_stats.recent_trend. While enabled, cleanup_processed_ratings() keeps processed ratings for retention_days.'
+)
+ON CONFLICT (config_key) DO NOTHING;
+
+ALTER TABLE public.url_stats ADD COLUMN IF NOT EXISTS recent_trend JSONB;
+
+COMMENT ON COLUMN public.url_stats.recent_trend IS 'Recent vs all-time community points: { window_days, recent_score, all_time_score, delta, recent_weight }. NULL without ratings in the window.';
+
+-- ============================================================================
+-- PART 2: DECAYED WEIGHTS
+-- ============================================================================
+
+-- Decay multiplier for a rating of the given age on a URL of the given content type
+CREATE OR REPLACE FUNCTION public.rating_decay_factor(
+    p_age_days DECIMAL,
+    p_content_type TEXT,
+    p_config JSONB
+)
+RETURNS DECIMAL
+LANGUAGE plpgsql
+IMMUTABLE
+SET search_path = public
+AS $$
+DECLARE
+    v_half_life DECIMAL;
+BEGIN
+    IF COALESCE((p_config->>'enabled')::BOOLEAN, false) = false THEN
+        RETURN 1.0;
+    END IF;
+
+    v_half_life := COALESCE(
+        (p_config->'half_life_days'->>COALESCE(p_content_type, 'general'))::DECIMAL,
+        (p_config->>'default_half_life_days')::DECIMAL,
+        180
+    );
+
+    RETURN POWER(0.5, GREATEST(0, COALESCE(p_age_days, 0)) / GREATEST(v_half_life, 1));
+END;
+$$;
+
+-- p_since limits the ratings to those rated or edited since then; p_apply_decay = false gives
+-- plain reputation weights (used for the trend, where the window already does the aging)
+DROP FUNCTION IF EXISTS public.calculate_weighted_community_stats(TEXT);
+
+-- Same as the 20250826000010 version, plus time decay and the p_since window
+CREATE FUNCTION public.calculate_weighted_community_stats(
+    p_url_hash TEXT,
+    p_since TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_apply_decay BOOLEAN DEFAULT true
+)
+RETURNS TABLE(
+    rating_count INTEGER,
+    weight_sum DECIMAL,
+    weighted_average_rating DECIMAL,
+    spam_ratio DECIMAL,
+    misleading_ratio DECIMAL,
+    scam_ratio DECIMAL,
+    score_mean DECIMAL,
+    score_variance DECIMAL
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_config JSONB := public.get_trust_config('reputation_weighting');
+    v_decay_config JSONB := public.get_trust_config('rating_time_decay');
+    v_content_type TEXT;
+BEGIN
+    -- Aggregation scores without a URL, so stored content_type is often just 'general'; classify
+    -- from the stored URL when there is one
+    SELECT CASE
+        WHEN us.url IS NOT NULL THEN public.determine_content_type(us.url, COALESCE(us.domain, public.extract_domain(us.url)))
+        ELSE us.content_type
+    END
+    INTO v_content_type
+    FROM public.url_stats us
+    WHERE us.url_hash = p_url_hash;
+
+    RETURN QUERY
+    WITH weighted AS (
+        SELECT
+            r.rating,
+            r.is_spam,
+            r.is_misleading,
+            r.is_scam,
+            (CASE
+                WHEN COALESCE((v_config->>'enabled')::BOOLEAN, false) = false THEN 1.0
+                WHEN rr.user_id_hash IS NOT NULL THEN rr.weight
+                ELSE public.calculate_rater_weight(
+                    public.calculate_rater_reputation(
+                        EXTRACT(EPOCH FROM (NOW() - u.created_at)) / 86400, 0, 0, 0, 0, v_config
+                    ),
+                    v_config
+                )
+            END) * CASE
+                WHEN p_apply_decay THEN public.rating_decay_factor(
+                    EXTRACT(EPOCH FROM (NOW() - COALESCE(r.updated_at, r.created_at))) / 86400,
+                    v_content_type,
+                    v_decay_config
+                )
+                ELSE 1.0
+            END AS w,
+            ((r.rating - 1) / 4.0) * 100
+                - CASE WHEN r.is_spam THEN 30 ELSE 0 END
+                - CASE WHEN r.is_misleading THEN 25 ELSE 0 END
+                - CASE WHEN r.is_scam THEN 40 ELSE 0 END AS points
+        FROM public.ratings r
+        LEFT JOIN public.rater_reputation rr ON rr.user_id_hash = r.user_id_hash
+        LEFT JOIN auth.users u ON u.id = r.user_id_hash
+        WHERE r.url_hash = p_url_hash
+          AND r.moderation_status = 'active'
+          AND (p_since IS NULL OR COALESCE(r.updated_at, r.created_at) >= p_since)
+    ),
+    mean AS (
+        SELECT SUM(w * points) / NULLIF(SUM(w), 0) AS mean_points FROM weighted
+    )
+    SELECT
+        COUNT(*)::INTEGER,
+        COALESCE(SUM(w), 0)::DECIMAL,
+        (SUM(w * rating) / NULLIF(SUM(w), 0))::DECIMAL,
+        COALESCE(SUM(w) FILTER (WHERE is_spam) / NULLIF(SUM(w), 0), 0)::DECIMAL,
+        COALESCE(SUM(w) FILTER (WHERE is_misleading) / NULLIF(SUM(w), 0), 0)::DECIMAL,
+        COALESCE(SUM(w) FILTER (WHERE is_scam) / NULLIF(SUM(w), 0), 0)::DECIMAL,
+        MAX(m.mean_points)::DECIMAL,
+        COALESCE(SUM(w * POWER(points - m.mean_points, 2)) / NULLIF(SUM(w), 0), 0)::DECIMAL
+    FROM weighted
+    CROSS JOIN mean m;
+END;
+$$;
+
+-- Recent community points against all time, both without decay. NULL when nothing was rated in
+-- the window. Scores are clamped to 0-100 like the community score.
+CREATE OR REPLACE FUNCTION public.calculate_rating_trend(p_url_hash TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_window_days INTEGER := COALESCE((public.get_trust_config('rating_time_decay')->>'trend_window_days')::INTEGER, 30);
+    v_recent RECORD;
+    v_all_time RECORD;
+    v_recent_score DECIMAL;
+    v_all_time_score DECIMAL;
+BEGIN
+    SELECT * INTO v_recent
+    FROM public.calculate_weighted_community_stats(p_url_hash, NOW() - INTERVAL '1 day' * v_window_days, false);
+
+    IF v_recent.rating_count = 0 THEN
+        RETURN NULL;
+    END IF;
+
+    SELECT * INTO v_all_time
+    FROM public.calculate_weighted_community_stats(p_url_hash, NULL, false);
+
+    v_recent_score := GREATEST(0, LEAST(100, v_recent.score_mean));
+    v_all_time_score := GREATEST(0, LEAST(100, v_all_time.score_mean));
+
+    RETURN jsonb_build_object(
+        'window_days', v_window_days,
+        'recent_score', ROUND(v_recent_score, 2),
+        'all_time_score', ROUND(v_all_time_score, 2),
+        'delta', ROUND(v_recent_score - v_all_time_score, 2),
+        'recent_ratings', v_recent.rating_count,
+        'recent_weight', ROUND(v_recent.weight_sum, 4)
+    );
+END;
+$$;
+
+-- ============================================================================
+-- PART 3: AGGREGATION AND DAILY RE-SCORING
+-- ============================================================================
+
+-- Same as the 20250826000010 version, plus url_stats.recent_trend.
+CREATE OR REPLACE FUNCTION public.batch_aggregate_ratings()
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    processed_count INTEGER := 0;
+    url_record RECORD;
+    trust_scores RECORD;
+    weighted_stats RECORD;
+    v_quarantine_event UUID;
+    v_quarantined_urls INTEGER := 0;
+    v_domain TEXT;
+    v_domain_cache_exists BOOLEAN;
+    v_blacklist_checked BOOLEAN;
+    v_external_apis_checked BOOLEAN;
+    v_started_at TIMESTAMP WITH TIME ZONE := NOW();
+BEGIN
+    FOR url_record IN
+        SELECT DISTINCT url_hash
+        FROM public.ratings
+        WHERE processed = false
+        UNION
+        SELECT url_hash
+        FROM public.url_stats_refresh_queue
+        WHERE queued_at <= v_started_at
+    LOOP
+        -- Calculate enhanced trust scores
+        SELECT * INTO trust_scores
+        FROM public.calculate_enhanced_trust_score(url_record.url_hash, NULL);
+
+        -- Brigading check before the new ratings are folded in; quarantined ratings drop out of the scores
+        v_quarantine_event := public.detect_rating_anomalies(url_record.url_hash, trust_scores.community_score);
+        IF v_quarantine_event IS NOT NULL THEN
+            v_quarantined_urls := v_quarantined_urls + 1;
+
+            SELECT * INTO trust_scores
+            FROM public.calculate_enhanced_trust_score(url_record.url_hash, NULL);
+        END IF;
+
+        -- Determine processing status details
+        SELECT domain INTO v_domain FROM public.url_stats WHERE url_hash = url_record.url_hash;
+
+        -- Check if domain analysis is available
+        v_domain_cache_exists := EXISTS(
+            SELECT 1 FROM public.domain_cache
+            WHERE domain = v_domain AND cache_expires_at > NOW()
+        );
+
+        v_blacklist_checked := v_domain IS NOT NULL;
+        v_external_apis_checked := v_domain_cache_exists;
+
+        SELECT * INTO weighted_stats
+        FROM public.calculate_weighted_community_stats(url_record.url_hash);
+
+        -- Get basic stats and update with processing status
+        WITH stats AS (
+            SELECT
+                COUNT(*) as total_ratings,
+                AVG(rating) as avg_rating,
+                COUNT(*) FILTER (WHERE is_spam = true) as spam_count,
+                COUNT(*) FILTER (WHERE is_misleading = true) as misleading_count,
+                COUNT(*) FILTER (WHERE is_scam = true) as scam_count
+            FROM public.ratings
+            WHERE url_hash = url_record.url_hash
+              AND moderation_status = 'active'
+        )
+        INSERT INTO public.url_stats (
+            url_hash,
+            trust_score,
+            final_trust_score,
+            domain_trust_score,
+            community_trust_score,
+            community_score_margin,
+            trust_score_margin,
+            content_type,
+            rating_count,
+            average_rating,
+            spam_reports_count,
+            misleading_reports_count,
+            scam_reports_count,
+            processing_status,
+            domain_analysis_processed,
+            community_weighting,
+            quarantined_ratings_count,
+            recent_trend,
+            last_updated
+        )
+        SELECT
+            url_record.url_hash,
+            trust_scores.final_score,
+            trust_scores.final_score,
+            trust_scores.domain_score,
+            trust_scores.community_score,
+            trust_scores.community_margin,
+            trust_scores.final_margin,
+            trust_scores.content_type,
+            s.total_ratings,
+            ROUND(s.avg_rating, 2),
+            s.spam_count,
+            s.misleading_count,
+            s.scam_count,
+            CASE
+                WHEN v_external_apis_checked THEN 'enhanced_with_domain_analysis'
+                WHEN v_domain IS NOT NULL THEN 'community_with_basic_domain'
+                ELSE 'community_only'
+            END,
+            v_external_apis_checked,
+            jsonb_build_object(
+                'weight_sum', ROUND(weighted_stats.weight_sum, 4),
+                'average_rating', ROUND(weighted_stats.weighted_average_rating, 4),
+                'spam_ratio', ROUND(weighted_stats.spam_ratio, 4),
+                'misleading_ratio', ROUND(weighted_stats.misleading_ratio, 4),
+                'scam_ratio', ROUND(weighted_stats.scam_ratio, 4),
+                'score_mean', ROUND(weighted_stats.score_mean, 4),
+                'score_variance', ROUND(weighted_stats.score_variance, 4)
+            ),
+            (SELECT COUNT(*) FROM public.ratings q WHERE q.url_hash = url_record.url_hash AND q.moderation_status = 'quarantined'),
+            public.calculate_rating_trend(url_record.url_hash),
+            NOW()
+        FROM stats s
+        ON CONFLICT (url_hash)
+        DO UPDATE SET
+            trust_score = EXCLUDED.trust_score,
+            final_trust_score = EXCLUDED.final_trust_score,
+            domain_trust_score = EXCLUDED.domain_trust_score,
+            community_trust_score = EXCLUDED.community_trust_score,
+            community_score_margin = EXCLUDED.community_score_margin,
+            trust_score_margin = EXCLUDED.trust_score_margin,
+            content_type = EXCLUDED.content_type,
+            rating_count = EXCLUDED.rating_count,
+            average_rating = EXCLUDED.average_rating,
+            spam_reports_count = EXCLUDED.spam_reports_count,
+            misleading_reports_count = EXCLUDED.misleading_reports_count,
+            scam_reports_count = EXCLUDED.scam_reports_count,
+            processing_status = EXCLUDED.processing_status,
+            domain_analysis_processed = EXCLUDED.domain_analysis_processed,
+            community_weighting = EXCLUDED.community_weighting,
+            quarantined_ratings_count = EXCLUDED.quarantined_ratings_count,
+            recent_trend = EXCLUDED.recent_trend,
+            last_updated = EXCLUDED.last_updated;
+
+        processed_count := processed_count + 1;
+    END LOOP;
+
+    -- Mark all ratings as processed
+    UPDATE public.ratings SET processed = true WHERE processed = false;
+
+    -- Entries queued while this run was in progress are left for the next run
+    DELETE FROM public.url_stats_refresh_queue WHERE queued_at <= v_started_at;
+
+    RETURN 'Enhanced processing completed for ' || processed_count || ' URLs with status tracking ('
+        || v_quarantined_urls || ' with quarantined ratings)';
+END;
+$$;
+
+COMMENT ON FUNCTION public.batch_aggregate_ratings IS 'Enhanced batch processing with multi-factor trust scoring; also re-aggregates URLs queued in url_stats_refresh_queue; stores the reputation-weighted inputs in community_weighting; quarantines suspected brigading; stores credible-interval margins and the recent trend';
+
+-- Decay changes scores without any new ratings, so URLs that still have ratings on file are
+-- re-aggregated daily
+CREATE OR REPLACE FUNCTION public.queue_decayed_url_stats()
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_queued INTEGER;
+BEGIN
+    INSERT INTO public.url_stats_refresh_queue (url_hash, reason, queued_at)
+    SELECT DISTINCT r.url_hash, 'time_decay', NOW()
+    FROM public.ratings r
+    JOIN public.url_stats us ON us.url_hash = r.url_hash
+    WHERE us.last_updated < NOW() - INTERVAL '1 day'
+    ON CONFLICT (url_hash) DO NOTHING;
+
+    GET DIAGNOSTICS v_queued = ROW_COUNT;
+
+    RETURN 'Queued ' || v_queued || ' URLs for time-decay re-scoring';
+END;
+$$;
+
+COMMENT ON FUNCTION public.queue_decayed_url_stats IS 'Queues rated URLs whose stats are over a day old so batch_aggregate_ratings re-applies time decay. Called by daily cron job.';
+
+DO $$
+BEGIN
+    BEGIN
+        PERFORM cron.unschedule('queue-decayed-url-stats');
+    EXCEPTION WHEN OTHERS THEN
+        RAISE NOTICE 'queue-decayed-url-stats did not exist (this is fine)';
+    END;
+END $$;
+
+SELECT cron.schedule(
+    'queue-decayed-url-stats',
+    '30 4 * * *',  -- Daily, after the 3 AM rating cleanup; picked up by the next aggregation run
+    'SELECT public.queue_decayed_url_stats();'
+);
+
+INSERT INTO public.url_stats_refresh_queue (url_hash, reason, queued_at)
+SELECT url_hash, 'time_decay', NOW()
+FROM public.url_stats
+WHERE rating_count > 0
+ON CONFLICT (url_hash) DO NOTHING;
+
+-- ============================================================================
+-- PART 4: RETENTION FOR DECAYED RATINGS
+-- ============================================================================
+
+-- Same as the 20250826000009 version, but without an explicit argument the retention comes from
+-- rating_time_decay.retention_days while decay is enabled (7 days otherwise), so the ratings being
+-- decayed and compared in recent_trend are still there
+CREATE OR REPLACE FUNCTION public.cleanup_processed_ratings(retention_days INTEGER DEFAULT NULL)
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    deleted_count INTEGER;
+    cutoff_date TIMESTAMP WITH TIME ZONE;
+    v_config JSONB := public.get_trust_config('rating_time_decay');
+    v_retention_days INTEGER := cleanup_processed_ratings.retention_days;
+BEGIN
+    IF v_retention_days IS NULL THEN
+        v_retention_days := CASE
+            WHEN COALESCE((v_config->>'enabled')::BOOLEAN, false)
+                THEN COALESCE((v_config->>'retention_days')::INTEGER, 730)
+            ELSE 7
+        END;
+    END IF;
+
+    cutoff_date := NOW() - INTERVAL '1 day' * v_retention_days;
+
+    DELETE FROM public.ratings
+    WHERE processed = true
+      AND created_at < cutoff_date
+      AND moderation_status <> 'quarantined'
+      AND (comment IS NULL OR comment_hidden = true);
+
+    GET DIAGNOSTICS deleted_count = ROW_COUNT;
+
+    RAISE NOTICE 'Rating cleanup completed: deleted % processed ratings older than % days (cutoff: %)',
+                 deleted_count, v_retention_days, cutoff_date;
+
+    RETURN 'Deleted ' || deleted_count || ' processed ratings older than ' || v_retention_days || ' days';
+END;
+$$;
+
+COMMENT ON FUNCTION public.cleanup_processed_ratings IS 'Deletes processed ratings older than retention_days (default: rating_time_decay.retention_days while decay is enabled, else 7), keeping visible written reviews and ratings awaiting quarantine review. Called by daily cron job.';
+
+DO $$
+BEGIN
+    BEGIN
+        PERFORM cron.unschedule('cleanup-processed-ratings');
+    EXCEPTION WHEN OTHERS THEN
+        RAISE NOTICE 'cleanup-processed-ratings did not exist (this is fine)';
+    END;
+END $$;
+
+SELECT cron.schedule(
+    'cleanup-processed-ratings',
+    '0 3 * * *',  -- Every day at 3:00 AM
+    'SELECT public.cleanup_processed_ratings();'
+);
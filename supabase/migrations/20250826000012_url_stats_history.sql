@@ -0,0 +1,304 @@
+-- Trust score history
+-- batch_aggregate_ratings records a snapshot of each URL's scores after re-aggregating it, at most
+-- one per URL per hour (later runs in the same hour overwrite it). GET /url-stats/history reads
+-- them back, one point per hour or day depending on the range, for the popup sparkline.
+
+-- ============================================================================
+-- PART 1: SNAPSHOTS
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.url_stats_history (
+    id BIGSERIAL PRIMARY KEY,
+    url_hash TEXT NOT NULL,
+    final_trust_score DECIMAL(5,2),
+    domain_trust_score DECIMAL(5,2),
+    community_trust_score DECIMAL(5,2),
+    trust_score_margin DECIMAL(5,2),
+    rating_count INTEGER,
+    recorded_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE public.url_stats_history IS 'Hourly snapshots of url_stats scores written by batch_aggregate_ratings; kept for 400 days.';
+
+CREATE INDEX IF NOT EXISTS idx_url_stats_history_url_recorded
+    ON public.url_stats_history (url_hash, recorded_at DESC);
+
+ALTER TABLE public.url_stats_history ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION public.record_url_stats_snapshot(p_url_hash TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_latest_id BIGINT;
+BEGIN
+    SELECT h.id INTO v_latest_id
+    FROM public.url_stats_history h
+    WHERE h.url_hash = p_url_hash
+      AND h.recorded_at >= DATE_TRUNC('hour', NOW())
+    ORDER BY h.recorded_at DESC
+    LIMIT 1;
+
+    IF v_latest_id IS NOT NULL THEN
+        UPDATE public.url_stats_history h
+        SET final_trust_score = us.final_trust_score,
+            domain_trust_score = us.domain_trust_score,
+            community_trust_score = us.community_trust_score,
+            trust_score_margin = us.trust_score_margin,
+            rating_count = us.rating_count,
+            recorded_at = NOW()
+        FROM public.url_stats us
+        WHERE h.id = v_latest_id AND us.url_hash = p_url_hash;
+    ELSE
+        INSERT INTO public.url_stats_history (
+            url_hash, final_trust_score, domain_trust_score, community_trust_score, trust_score_margin, rating_count
+        )
+        SELECT us.url_hash, us.final_trust_score, us.domain_trust_score, us.community_trust_score, us.trust_score_margin, us.rating_count
+        FROM public.url_stats us
+        WHERE us.url_hash = p_url_hash;
+    END IF;
+END;
+$$;
+
+-- Last snapshot per bucket ('hour' or 'day') since p_since, oldest first
+CREATE OR REPLACE FUNCTION public.get_url_stats_history(
+    p_url_hash TEXT,
+    p_since TIMESTAMP WITH TIME ZONE,
+    p_bucket TEXT DEFAULT 'hour'
+)
+RETURNS TABLE(
+    recorded_at TIMESTAMP WITH TIME ZONE,
+    final_trust_score DECIMAL,
+    community_trust_score DECIMAL,
+    trust_score_margin DECIMAL,
+    rating_count INTEGER
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT b.recorded_at, b.final_trust_score, b.community_trust_score, b.trust_score_margin, b.rating_count
+    FROM (
+        SELECT DISTINCT ON (DATE_TRUNC(CASE WHEN p_bucket = 'day' THEN 'day' ELSE 'hour' END, h.recorded_at))
+            h.recorded_at, h.final_trust_score, h.community_trust_score, h.trust_score_margin, h.rating_count
+        FROM public.url_stats_history h
+        WHERE h.url_hash = p_url_hash
+          AND h.recorded_at >= p_since
+        ORDER BY DATE_TRUNC(CASE WHEN p_bucket = 'day' THEN 'day' ELSE 'hour' END, h.recorded_at), h.recorded_at DESC
+    ) b
+    ORDER BY b.recorded_at;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_url_stats_history(TEXT, TIMESTAMP WITH TIME ZONE, TEXT) TO service_role;
+
+CREATE OR REPLACE FUNCTION public.cleanup_url_stats_history(retention_days INTEGER DEFAULT 400)
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    deleted_count INTEGER;
+BEGIN
+    DELETE FROM public.url_stats_history
+    WHERE recorded_at < NOW() - INTERVAL '1 day' * retention_days;
+
+    GET DIAGNOSTICS deleted_count = ROW_COUNT;
+
+    RETURN 'Deleted ' || deleted_count || ' trust score snapshots older than ' || retention_days || ' days';
+END;
+$$;
+
+COMMENT ON FUNCTION public.cleanup_url_stats_history IS 'Deletes url_stats_history snapshots older than specified days (default 400, enough for the 1y range). Called by daily cron job.';
+
+DO $$
+BEGIN
+    BEGIN
+        PERFORM cron.unschedule('cleanup-url-stats-history');
+    EXCEPTION WHEN OTHERS THEN
+        RAISE NOTICE 'cleanup-url-stats-history did not exist (this is fine)';
+    END;
+END $$;
+
+SELECT cron.schedule(
+    'cleanup-url-stats-history',
+    '15 3 * * *',  -- Daily, next to the rating cleanup
+    'SELECT public.cleanup_url_stats_history();'
+);
+
+-- ============================================================================
+-- PART 2: AGGREGATION WRITES SNAPSHOTS
+-- ============================================================================
+
+-- Same as the 20250826000011 version, plus the history snapshot.
+CREATE OR REPLACE FUNCTION public.batch_aggregate_ratings()
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    processed_count INTEGER := 0;
+    url_record RECORD;
+    trust_scores RECORD;
+    weighted_stats RECORD;
+    v_quarantine_event UUID;
+    v_quarantined_urls INTEGER := 0;
+    v_domain TEXT;
+    v_domain_cache_exists BOOLEAN;
+    v_blacklist_checked BOOLEAN;
+    v_external_apis_checked BOOLEAN;
+    v_started_at TIMESTAMP WITH TIME ZONE := NOW();
+BEGIN
+    FOR url_record IN
+        SELECT DISTINCT url_hash
+        FROM public.ratings
+        WHERE processed = false
+        UNION
+        SELECT url_hash
+        FROM public.url_stats_refresh_queue
+        WHERE queued_at <= v_started_at
+    LOOP
+        -- Calculate enhanced trust scores
+        SELECT * INTO trust_scores
+        FROM public.calculate_enhanced_trust_score(url_record.url_hash, NULL);
+
+        -- Brigading check before the new ratings are folded in; quarantined ratings drop out of the scores
+        v_quarantine_event := public.detect_rating_anomalies(url_record.url_hash, trust_scores.community_score);
+        IF v_quarantine_event IS NOT NULL THEN
+            v_quarantined_urls := v_quarantined_urls + 1;
+
+            SELECT * INTO trust_scores
+            FROM public.calculate_enhanced_trust_score(url_record.url_hash, NULL);
+        END IF;
+
+        -- Determine processing status details
+        SELECT domain INTO v_domain FROM public.url_stats WHERE url_hash = url_record.url_hash;
+
+        -- Check if domain analysis is available
+        v_domain_cache_exists := EXISTS(
+            SELECT 1 FROM public.domain_cache
+            WHERE domain = v_domain AND cache_expires_at > NOW()
+        );
+
+        v_blacklist_checked := v_domain IS NOT NULL;
+        v_external_apis_checked := v_domain_cache_exists;
+
+        SELECT * INTO weighted_stats
+        FROM public.calculate_weighted_community_stats(url_record.url_hash);
+
+        -- Get basic stats and update with processing status
+        WITH stats AS (
+            SELECT
+                COUNT(*) as total_ratings,
+                AVG(rating) as avg_rating,
+                COUNT(*) FILTER (WHERE is_spam = true) as spam_count,
+                COUNT(*) FILTER (WHERE is_misleading = true) as misleading_count,
+                COUNT(*) FILTER (WHERE is_scam = true) as scam_count
+            FROM public.ratings
+            WHERE url_hash = url_record.url_hash
+              AND moderation_status = 'active'
+        )
+        INSERT INTO public.url_stats (
+            url_hash,
+            trust_score,
+            final_trust_score,
+            domain_trust_score,
+            community_trust_score,
+            community_score_margin,
+            trust_score_margin,
+            content_type,
+            rating_count,
+            average_rating,
+            spam_reports_count,
+            misleading_reports_count,
+            scam_reports_count,
+            processing_status,
+            domain_analysis_processed,
+            community_weighting,
+            quarantined_ratings_count,
+            recent_trend,
+            last_updated
+        )
+        SELECT
+            url_record.url_hash,
+            trust_scores.final_score,
+            trust_scores.final_score,
+            trust_scores.domain_score,
+            trust_scores.community_score,
+            trust_scores.community_margin,
+            trust_scores.final_margin,
+            trust_scores.content_type,
+            s.total_ratings,
+            ROUND(s.avg_rating, 2),
+            s.spam_count,
+            s.misleading_count,
+            s.scam_count,
+            CASE
+                WHEN v_external_apis_checked THEN 'enhanced_with_domain_analysis'
+                WHEN v_domain IS NOT NULL THEN 'community_with_basic_domain'
+                ELSE 'community_only'
+            END,
+            v_external_apis_checked,
+            jsonb_build_object(
+                'weight_sum', ROUND(weighted_stats.weight_sum, 4),
+                'average_rating', ROUND(weighted_stats.weighted_average_rating, 4),
+                'spam_ratio', ROUND(weighted_stats.spam_ratio, 4),
+                'misleading_ratio', ROUND(weighted_stats.misleading_ratio, 4),
+                'scam_ratio', ROUND(weighted_stats.scam_ratio, 4),
+                'score_mean', ROUND(weighted_stats.score_mean, 4),
+                'score_variance', ROUND(weighted_stats.score_variance, 4)
+            ),
+            (SELECT COUNT(*) FROM public.ratings q WHERE q.url_hash = url_record.url_hash AND q.moderation_status = 'quarantined'),
+            public.calculate_rating_trend(url_record.url_hash),
+            NOW()
+        FROM stats s
+        ON CONFLICT (url_hash)
+        DO UPDATE SET
+            trust_score = EXCLUDED.trust_score,
+            final_trust_score = EXCLUDED.final_trust_score,
+            domain_trust_score = EXCLUDED.domain_trust_score,
+            community_trust_score = EXCLUDED.community_trust_score,
+            community_score_margin = EXCLUDED.community_score_margin,
+            trust_score_margin = EXCLUDED.trust_score_margin,
+            content_type = EXCLUDED.content_type,
+            rating_count = EXCLUDED.rating_count,
+            average_rating = EXCLUDED.average_rating,
+            spam_reports_count = EXCLUDED.spam_reports_count,
+            misleading_reports_count = EXCLUDED.misleading_reports_count,
+            scam_reports_count = EXCLUDED.scam_reports_count,
+            processing_status = EXCLUDED.processing_status,
+            domain_analysis_processed = EXCLUDED.domain_analysis_processed,
+            community_weighting = EXCLUDED.community_weighting,
+            quarantined_ratings_count = EXCLUDED.quarantined_ratings_count,
+            recent_trend = EXCLUDED.recent_trend,
+            last_updated = EXCLUDED.last_updated;
+
+        PERFORM public.record_url_stats_snapshot(url_record.url_hash);
+
+        processed_count := processed_count + 1;
+    END LOOP;
+
+    -- Mark all ratings as processed
+    UPDATE public.ratings SET processed = true WHERE processed = false;
+
+    -- Entries queued while this run was in progress are left for the next run
+    DELETE FROM public.url_stats_refresh_queue WHERE queued_at <= v_started_at;
+
+    RETURN 'Enhanced processing completed for ' || processed_count || ' URLs with status tracking ('
+        || v_quarantined_urls || ' with quarantined ratings)';
+END;
+$$;
+
+COMMENT ON FUNCTION public.batch_aggregate_ratings IS 'Enhanced batch processing with multi-factor trust scoring; also re-aggregates URLs queued in url_stats_refresh_queue; stores the reputation-weighted inputs in community_weighting; quarantines suspected brigading; stores credible-interval margins and the recent trend; records url_stats_history snapshots';
+
+-- Start every rated URL's history from its current scores
+INSERT INTO public.url_stats_history (
+    url_hash, final_trust_score, domain_trust_score, community_trust_score, trust_score_margin, rating_count, recorded_at
+)
+SELECT url_hash, final_trust_score, domain_trust_score, community_trust_score, trust_score_margin, rating_count, COALESCE(last_updated, NOW())
+FROM public.url_stats
+WHERE rating_count > 0;
@@ -0,0 +1,204 @@
+-- Domain rollup scores
+-- A page nobody has rated yet used to fall back to the hard-coded baseline table in url-trust-api,
+-- even on a domain with hundreds of rated pages. domain_rollup_stats aggregates every rated URL on a
+-- domain and its subdomains, weighted by rating count, and GET /url-stats serves it as
+-- data_source 'domain' for unrated pages. Rollups are refreshed by cron for domains whose url_stats
+-- changed recently, including every parent domain of the changed host.
+
+-- ============================================================================
+-- PART 1: CONFIGURATION
+-- ============================================================================
+
+INSERT INTO public.trust_algorithm_config (config_key, config_value, description)
+VALUES (
+    'domain_rollup',
+    '{
+        "enabled": true,
+        "include_subdomains": true,
+        "min_rated_urls": 2,
+        "min_total_ratings": 3,
+        "full_confidence_ratings": 20
+    }'::jsonb,
+    'Rollups need min_rated_urls rated pages and min_total_ratings ratings on the domain (subdomains included when include_subdomains). Confidence = total ratings / full_confidence_ratings, capped at 1; url-trust-api blends the rollup with the domain baseline by that confidence.'
+)
+ON CONFLICT (config_key) DO NOTHING;
+
+-- ============================================================================
+-- PART 2: ROLLUP TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.domain_rollup_stats (
+    domain TEXT PRIMARY KEY,
+    rated_url_count INTEGER NOT NULL,
+    rating_count INTEGER NOT NULL,
+    final_trust_score DECIMAL(5,2) NOT NULL,
+    domain_trust_score DECIMAL(5,2),
+    community_trust_score DECIMAL(5,2),
+    spam_reports_count INTEGER NOT NULL DEFAULT 0,
+    misleading_reports_count INTEGER NOT NULL DEFAULT 0,
+    scam_reports_count INTEGER NOT NULL DEFAULT 0,
+    confidence DECIMAL(4,3) NOT NULL,
+    last_rated_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE public.domain_rollup_stats IS 'Rating-count-weighted averages of url_stats over a domain and its subdomains; served by /url-stats for pages without ratings. Rows below the domain_rollup thresholds are removed.';
+
+ALTER TABLE public.domain_rollup_stats ENABLE ROW LEVEL SECURITY;
+
+-- "Every rated URL on example.com or *.example.com": reversed host prefix match
+CREATE INDEX IF NOT EXISTS idx_url_stats_reverse_domain_rated
+    ON public.url_stats (reverse(domain) text_pattern_ops)
+    WHERE rating_count > 0;
+
+-- ============================================================================
+-- PART 3: REFRESH
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.refresh_domain_rollup(p_domain TEXT)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_config JSONB;
+    v_include_subdomains BOOLEAN;
+    v_suffix_pattern TEXT;
+    v_rollup RECORD;
+BEGIN
+    v_config := COALESCE(public.get_trust_config('domain_rollup'), '{}'::jsonb);
+
+    IF p_domain IS NULL OR p_domain = '' OR NOT COALESCE((v_config->>'enabled')::BOOLEAN, true) THEN
+        DELETE FROM public.domain_rollup_stats WHERE domain = p_domain;
+        RETURN false;
+    END IF;
+
+    v_include_subdomains := COALESCE((v_config->>'include_subdomains')::BOOLEAN, true);
+    -- 'moc.elpmaxe.%' matches reversed subdomains of example.com (LIKE wildcards escaped)
+    v_suffix_pattern := replace(replace(replace(reverse(p_domain), '\', '\\'), '%', '\%'), '_', '\_') || '.%';
+
+    SELECT
+        COUNT(*) AS rated_url_count,
+        SUM(us.rating_count) AS rating_count,
+        SUM(us.final_trust_score * us.rating_count) / NULLIF(SUM(us.rating_count), 0) AS final_trust_score,
+        SUM(us.domain_trust_score * us.rating_count) FILTER (WHERE us.domain_trust_score IS NOT NULL)
+            / NULLIF(SUM(us.rating_count) FILTER (WHERE us.domain_trust_score IS NOT NULL), 0) AS domain_trust_score,
+        SUM(us.community_trust_score * us.rating_count) FILTER (WHERE us.community_trust_score IS NOT NULL)
+            / NULLIF(SUM(us.rating_count) FILTER (WHERE us.community_trust_score IS NOT NULL), 0) AS community_trust_score,
+        COALESCE(SUM(us.spam_reports_count), 0) AS spam_reports_count,
+        COALESCE(SUM(us.misleading_reports_count), 0) AS misleading_reports_count,
+        COALESCE(SUM(us.scam_reports_count), 0) AS scam_reports_count,
+        MAX(us.last_updated) AS last_rated_at
+    INTO v_rollup
+    FROM public.url_stats us
+    WHERE us.rating_count > 0
+      AND us.final_trust_score IS NOT NULL
+      AND (
+          us.domain = p_domain
+          OR (v_include_subdomains AND reverse(us.domain) LIKE v_suffix_pattern)
+      );
+
+    IF v_rollup.rated_url_count < COALESCE((v_config->>'min_rated_urls')::INTEGER, 2)
+       OR COALESCE(v_rollup.rating_count, 0) < COALESCE((v_config->>'min_total_ratings')::INTEGER, 3) THEN
+        DELETE FROM public.domain_rollup_stats WHERE domain = p_domain;
+        RETURN false;
+    END IF;
+
+    INSERT INTO public.domain_rollup_stats (
+        domain, rated_url_count, rating_count, final_trust_score, domain_trust_score, community_trust_score,
+        spam_reports_count, misleading_reports_count, scam_reports_count, confidence, last_rated_at, updated_at
+    )
+    VALUES (
+        p_domain,
+        v_rollup.rated_url_count,
+        v_rollup.rating_count,
+        ROUND(v_rollup.final_trust_score, 2),
+        ROUND(v_rollup.domain_trust_score, 2),
+        ROUND(v_rollup.community_trust_score, 2),
+        v_rollup.spam_reports_count,
+        v_rollup.misleading_reports_count,
+        v_rollup.scam_reports_count,
+        ROUND(LEAST(1.0, v_rollup.rating_count::DECIMAL
+            / GREATEST(COALESCE((v_config->>'full_confidence_ratings')::DECIMAL, 20), 1)), 3),
+        v_rollup.last_rated_at,
+        NOW()
+    )
+    ON CONFLICT (domain) DO UPDATE SET
+        rated_url_count = EXCLUDED.rated_url_count,
+        rating_count = EXCLUDED.rating_count,
+        final_trust_score = EXCLUDED.final_trust_score,
+        domain_trust_score = EXCLUDED.domain_trust_score,
+        community_trust_score = EXCLUDED.community_trust_score,
+        spam_reports_count = EXCLUDED.spam_reports_count,
+        misleading_reports_count = EXCLUDED.misleading_reports_count,
+        scam_reports_count = EXCLUDED.scam_reports_count,
+        confidence = EXCLUDED.confidence,
+        last_rated_at = EXCLUDED.last_rated_at,
+        updated_at = EXCLUDED.updated_at;
+
+    RETURN true;
+END;
+$$;
+
+COMMENT ON FUNCTION public.refresh_domain_rollup IS 'Recomputes (or removes, below the thresholds) the domain_rollup_stats row for one domain. Returns true when a rollup exists afterwards.';
+
+-- Rollups for every host whose url_stats changed since p_since (all rated hosts when NULL) and for
+-- each of its parent domains, e.g. a.blog.example.com -> blog.example.com -> example.com
+CREATE OR REPLACE FUNCTION public.refresh_domain_rollups(p_since TIMESTAMP WITH TIME ZONE DEFAULT NULL)
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_host TEXT;
+    v_domain TEXT;
+    v_refreshed TEXT[] := ARRAY[]::TEXT[];
+    v_rollup_count INTEGER := 0;
+BEGIN
+    FOR v_host IN
+        SELECT DISTINCT us.domain
+        FROM public.url_stats us
+        WHERE us.domain IS NOT NULL
+          AND (p_since IS NULL OR us.last_updated >= p_since)
+    LOOP
+        v_domain := v_host;
+        -- Stop before the bare TLD
+        WHILE position('.' IN v_domain) > 0 LOOP
+            IF NOT v_domain = ANY(v_refreshed) THEN
+                v_refreshed := array_append(v_refreshed, v_domain);
+                IF public.refresh_domain_rollup(v_domain) THEN
+                    v_rollup_count := v_rollup_count + 1;
+                END IF;
+            END IF;
+            v_domain := substring(v_domain FROM position('.' IN v_domain) + 1);
+        END LOOP;
+    END LOOP;
+
+    RETURN 'Refreshed ' || COALESCE(array_length(v_refreshed, 1), 0) || ' domains (' || v_rollup_count || ' with a rollup)';
+END;
+$$;
+
+COMMENT ON FUNCTION public.refresh_domain_rollups IS 'Refreshes domain rollups for hosts with url_stats updated since p_since (all when NULL) and their parent domains. Called every 15 minutes by cron with a 20 minute look-back.';
+
+GRANT EXECUTE ON FUNCTION public.refresh_domain_rollup(TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION public.refresh_domain_rollups(TIMESTAMP WITH TIME ZONE) TO service_role;
+
+DO $$
+BEGIN
+    BEGIN
+        PERFORM cron.unschedule('refresh-domain-rollups');
+    EXCEPTION WHEN OTHERS THEN
+        RAISE NOTICE 'refresh-domain-rollups did not exist (this is fine)';
+    END;
+END $$;
+
+SELECT cron.schedule(
+    'refresh-domain-rollups',
+    '*/15 * * * *',  -- Look-back overlaps the interval so a slow run does not miss updates
+    'SELECT public.refresh_domain_rollups(NOW() - INTERVAL ''20 minutes'');'
+);
+
+-- Build every rollup once
+SELECT public.refresh_domain_rollups(NULL);
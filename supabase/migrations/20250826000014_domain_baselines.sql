@@ -0,0 +1,306 @@
+-- Data-driven domain baselines
+-- The baseline score for a domain nobody has rated (and the heuristic domain age used when WHOIS is
+-- unavailable) used to be literal maps copied into popup.js, local-score-calculator.js and several
+-- edge functions. They now live in domain_baselines: exact domains plus suffix rules ('.edu'),
+-- seeded with the old values, importable from a ranked list (CSV or Tranco-style "rank,domain")
+-- through trust-admin, and served to the extension by GET /domain-baselines with a version number
+-- so clients only download the list when it changed.
+
+-- ============================================================================
+-- PART 1: CONFIGURATION
+-- ============================================================================
+
+INSERT INTO public.trust_algorithm_config (config_key, config_value, description)
+VALUES (
+    'domain_baselines',
+    '{
+        "default_score": 50,
+        "default_age_days": 1095,
+        "rank_tiers": [
+            { "max_rank": 100, "score": 75 },
+            { "max_rank": 1000, "score": 70 },
+            { "max_rank": 10000, "score": 65 },
+            { "max_rank": 100000, "score": 60 }
+        ],
+        "client_max_entries": 5000
+    }'::jsonb,
+    'default_score/default_age_days apply when neither the domain nor a suffix rule has a value. rank_tiers turn Tranco-style ranks into scores on import (ranks past the last tier are skipped). client_max_entries caps the exact-domain list sent to the extension (best ranks first).'
+)
+ON CONFLICT (config_key) DO NOTHING;
+
+-- ============================================================================
+-- PART 2: BASELINE TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.domain_baselines (
+    domain TEXT PRIMARY KEY,         -- 'example.com', or a suffix rule starting with a dot ('.edu', '.co.uk')
+    baseline_score DECIMAL(5,2) NOT NULL CHECK (baseline_score >= 0 AND baseline_score <= 100),
+    domain_age_days INTEGER CHECK (domain_age_days IS NULL OR domain_age_days >= 0),
+    category TEXT,
+    rank INTEGER CHECK (rank IS NULL OR rank > 0),
+    source TEXT NOT NULL DEFAULT 'admin' CHECK (source IN ('seed', 'import', 'admin')),
+    notes TEXT,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE public.domain_baselines IS 'Baseline trust score and heuristic age per domain or suffix rule. Imports never overwrite source = admin rows.';
+
+CREATE INDEX IF NOT EXISTS idx_domain_baselines_rank ON public.domain_baselines (rank NULLS FIRST, domain);
+
+ALTER TABLE public.domain_baselines ENABLE ROW LEVEL SECURITY;
+
+-- One-row version counter; any change to the list (or its config) bumps it
+CREATE TABLE IF NOT EXISTS public.domain_baseline_version (
+    id BOOLEAN PRIMARY KEY DEFAULT true CHECK (id),
+    version BIGINT NOT NULL DEFAULT 1,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+INSERT INTO public.domain_baseline_version (id) VALUES (true) ON CONFLICT (id) DO NOTHING;
+
+ALTER TABLE public.domain_baseline_version ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION public.bump_domain_baseline_version()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    UPDATE public.domain_baseline_version SET version = version + 1, updated_at = NOW();
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_domain_baselines_version ON public.domain_baselines;
+CREATE TRIGGER trg_domain_baselines_version
+    AFTER INSERT OR UPDATE OR DELETE ON public.domain_baselines
+    FOR EACH STATEMENT EXECUTE FUNCTION public.bump_domain_baseline_version();
+
+DROP TRIGGER IF EXISTS trg_domain_baselines_config_version ON public.trust_algorithm_config;
+CREATE TRIGGER trg_domain_baselines_config_version
+    AFTER UPDATE ON public.trust_algorithm_config
+    FOR EACH ROW
+    WHEN (NEW.config_key = 'domain_baselines')
+    EXECUTE FUNCTION public.bump_domain_baseline_version();
+
+-- ============================================================================
+-- PART 3: SEED (the values previously hard-coded in the extension and edge functions)
+-- ============================================================================
+
+INSERT INTO public.domain_baselines (domain, baseline_score, domain_age_days, category, source)
+VALUES
+    -- High trust domains
+    ('google.com', 85, 365 * 25, 'search', 'seed'),
+    ('youtube.com', 75, 365 * 18, 'video', 'seed'),
+    ('wikipedia.org', 85, 365 * 22, 'reference', 'seed'),
+    ('github.com', 80, 365 * 15, 'developer', 'seed'),
+    ('stackoverflow.com', 82, 365 * 15, 'developer', 'seed'),
+    ('microsoft.com', 78, 365 * 35, 'technology', 'seed'),
+    ('apple.com', 80, 365 * 30, 'technology', 'seed'),
+    ('amazon.com', 72, 365 * 28, 'ecommerce', 'seed'),
+    ('netflix.com', 75, NULL, 'video', 'seed'),
+    -- Educational domains
+    ('mit.edu', 85, NULL, 'education', 'seed'),
+    ('stanford.edu', 85, NULL, 'education', 'seed'),
+    ('harvard.edu', 85, NULL, 'education', 'seed'),
+    ('coursera.org', 78, NULL, 'education', 'seed'),
+    ('khanacademy.org', 80, NULL, 'education', 'seed'),
+    -- News domains
+    ('cnn.com', 70, NULL, 'news', 'seed'),
+    ('bbc.com', 78, NULL, 'news', 'seed'),
+    ('reuters.com', 80, NULL, 'news', 'seed'),
+    ('nytimes.com', 75, NULL, 'news', 'seed'),
+    ('npr.org', 78, NULL, 'news', 'seed'),
+    -- Social media
+    ('facebook.com', 60, 365 * 20, 'social', 'seed'),
+    ('twitter.com', 58, 365 * 17, 'social', 'seed'),
+    ('x.com', 58, 365 * 17, 'social', 'seed'),
+    ('instagram.com', 62, 365 * 13, 'social', 'seed'),
+    ('linkedin.com', 68, 365 * 20, 'social', 'seed'),
+    ('reddit.com', 65, 365 * 18, 'social', 'seed'),
+    ('tiktok.com', 55, NULL, 'social', 'seed'),
+    -- E-commerce
+    ('ebay.com', 65, NULL, 'ecommerce', 'seed'),
+    ('etsy.com', 68, NULL, 'ecommerce', 'seed'),
+    ('paypal.com', 75, NULL, 'ecommerce', 'seed'),
+    -- Suffix rules
+    ('.edu', 75, 365 * 15, NULL, 'seed'),
+    ('.gov', 75, 365 * 15, NULL, 'seed'),
+    ('.org', 65, 365 * 10, NULL, 'seed'),
+    ('.com', 60, NULL, NULL, 'seed'),
+    ('.net', 60, NULL, NULL, 'seed'),
+    ('.tk', 50, 365, NULL, 'seed'),
+    ('.ml', 50, 365, NULL, 'seed'),
+    ('.ga', 50, 365, NULL, 'seed'),
+    ('.cf', 50, 365, NULL, 'seed')
+ON CONFLICT (domain) DO NOTHING;
+
+-- ============================================================================
+-- PART 4: LOOKUP AND IMPORT
+-- ============================================================================
+
+-- Baseline score and heuristic age for a host. Each value comes from the exact domain row, else the
+-- longest suffix rule that has it, else the config default.
+CREATE OR REPLACE FUNCTION public.get_domain_baseline(p_domain TEXT)
+RETURNS TABLE(
+    baseline_score DECIMAL,
+    domain_age_days INTEGER,
+    matched_rule TEXT
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_config JSONB;
+    v_domain TEXT := lower(trim(COALESCE(p_domain, '')));
+    v_exact RECORD;
+    v_suffix RECORD;
+    v_age_suffix INTEGER;
+BEGIN
+    v_config := COALESCE(public.get_trust_config('domain_baselines'), '{}'::jsonb);
+
+    SELECT db.domain, db.baseline_score, db.domain_age_days INTO v_exact
+    FROM public.domain_baselines db
+    WHERE db.domain = v_domain;
+
+    SELECT db.domain, db.baseline_score INTO v_suffix
+    FROM public.domain_baselines db
+    WHERE left(db.domain, 1) = '.'
+      AND right(v_domain, length(db.domain)) = db.domain
+    ORDER BY length(db.domain) DESC
+    LIMIT 1;
+
+    SELECT db.domain_age_days INTO v_age_suffix
+    FROM public.domain_baselines db
+    WHERE left(db.domain, 1) = '.'
+      AND right(v_domain, length(db.domain)) = db.domain
+      AND db.domain_age_days IS NOT NULL
+    ORDER BY length(db.domain) DESC
+    LIMIT 1;
+
+    RETURN QUERY SELECT
+        COALESCE(v_exact.baseline_score, v_suffix.baseline_score, (v_config->>'default_score')::DECIMAL, 50.0),
+        COALESCE(v_exact.domain_age_days, v_age_suffix, (v_config->>'default_age_days')::INTEGER, 1095),
+        COALESCE(v_exact.domain, v_suffix.domain);
+END;
+$$;
+
+COMMENT ON FUNCTION public.get_domain_baseline IS 'Baseline trust score and heuristic domain age for a host: exact row, then longest suffix rule, then config defaults. matched_rule is NULL when only defaults applied.';
+
+-- Current list for the extension, or just the version when the caller already has it
+CREATE OR REPLACE FUNCTION public.get_domain_baseline_list(p_known_version BIGINT DEFAULT NULL)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_config JSONB;
+    v_version BIGINT;
+    v_entries JSONB;
+    v_suffixes JSONB;
+BEGIN
+    SELECT version INTO v_version FROM public.domain_baseline_version;
+
+    IF p_known_version IS NOT NULL AND p_known_version = v_version THEN
+        RETURN jsonb_build_object('version', v_version, 'unchanged', true);
+    END IF;
+
+    v_config := COALESCE(public.get_trust_config('domain_baselines'), '{}'::jsonb);
+
+    SELECT COALESCE(jsonb_object_agg(e.domain, e.baseline_score), '{}'::jsonb) INTO v_entries
+    FROM (
+        SELECT db.domain, db.baseline_score
+        FROM public.domain_baselines db
+        WHERE left(db.domain, 1) <> '.'
+        ORDER BY db.rank NULLS FIRST, db.domain
+        LIMIT COALESCE((v_config->>'client_max_entries')::INTEGER, 5000)
+    ) e;
+
+    SELECT COALESCE(jsonb_object_agg(db.domain, db.baseline_score), '{}'::jsonb) INTO v_suffixes
+    FROM public.domain_baselines db
+    WHERE left(db.domain, 1) = '.';
+
+    RETURN jsonb_build_object(
+        'version', v_version,
+        'unchanged', false,
+        'default_score', COALESCE((v_config->>'default_score')::DECIMAL, 50.0),
+        'entries', v_entries,
+        'suffixes', v_suffixes
+    );
+END;
+$$;
+
+COMMENT ON FUNCTION public.get_domain_baseline_list IS 'Baseline list for GET /domain-baselines: { version, default_score, entries, suffixes }, or { version, unchanged: true } when p_known_version is current.';
+
+-- Upsert imported entries ([{ domain, baseline_score, domain_age_days?, category?, rank? }]).
+-- Rows an admin edited by hand (source = admin) are left alone.
+CREATE OR REPLACE FUNCTION public.import_domain_baselines(p_entries JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_upserted INTEGER;
+BEGIN
+    WITH incoming AS (
+        SELECT DISTINCT ON (lower(e->>'domain'))
+            lower(e->>'domain') AS domain,
+            (e->>'baseline_score')::DECIMAL AS baseline_score,
+            (e->>'domain_age_days')::INTEGER AS domain_age_days,
+            e->>'category' AS category,
+            (e->>'rank')::INTEGER AS rank
+        FROM jsonb_array_elements(p_entries) e
+        WHERE COALESCE(e->>'domain', '') <> ''
+        ORDER BY lower(e->>'domain'), (e->>'rank')::INTEGER NULLS LAST
+    ),
+    upserted AS (
+        INSERT INTO public.domain_baselines AS db (domain, baseline_score, domain_age_days, category, rank, source, updated_at)
+        SELECT domain, baseline_score, domain_age_days, category, rank, 'import', NOW()
+        FROM incoming
+        ON CONFLICT (domain) DO UPDATE SET
+            baseline_score = EXCLUDED.baseline_score,
+            domain_age_days = COALESCE(EXCLUDED.domain_age_days, db.domain_age_days),
+            category = COALESCE(EXCLUDED.category, db.category),
+            rank = EXCLUDED.rank,
+            source = 'import',
+            updated_at = NOW()
+        WHERE db.source <> 'admin'
+        RETURNING db.domain
+    )
+    SELECT COUNT(*) INTO v_upserted FROM upserted;
+
+    RETURN jsonb_build_object('upserted', v_upserted, 'imported_at', NOW());
+END;
+$$;
+
+COMMENT ON FUNCTION public.import_domain_baselines IS 'Bulk upsert for trust-admin POST /domain-baselines/import (called once per chunk). Skips source = admin rows. Returns { upserted, imported_at }.';
+
+-- After a full-list import: drop imported rows the new list no longer contains
+CREATE OR REPLACE FUNCTION public.prune_imported_domain_baselines(p_imported_before TIMESTAMP WITH TIME ZONE)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_removed INTEGER;
+BEGIN
+    DELETE FROM public.domain_baselines
+    WHERE source = 'import'
+      AND updated_at < p_imported_before;
+
+    GET DIAGNOSTICS v_removed = ROW_COUNT;
+    RETURN v_removed;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_domain_baseline(TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION public.get_domain_baseline_list(BIGINT) TO service_role;
+GRANT EXECUTE ON FUNCTION public.import_domain_baselines(JSONB) TO service_role;
+GRANT EXECUTE ON FUNCTION public.prune_imported_domain_baselines(TIMESTAMP WITH TIME ZONE) TO service_role;
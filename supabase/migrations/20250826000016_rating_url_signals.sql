@@ -0,0 +1,48 @@
+-- URL structural signals on ratings
+-- The extension scores each rated URL locally (url-risk-analyzer.js: IP hosts, user info before
+-- the host, open redirects, heavy encoding...) and sends the signal set with POST /rating. It is
+-- kept per rating so the signals can be weighed against what raters actually report.
+
+-- ============================================================================
+-- PART 1: RATING COLUMN
+-- ============================================================================
+
+ALTER TABLE public.ratings ADD COLUMN IF NOT EXISTS url_signals JSONB;
+
+COMMENT ON COLUMN public.ratings.url_signals IS 'Client-computed URL structural signals at rating time: { version, score (0-100), signals: [ids] }. NULL for clients that do not send them.';
+
+CREATE INDEX IF NOT EXISTS idx_ratings_url_signals ON public.ratings USING GIN ((url_signals->'signals'))
+    WHERE url_signals IS NOT NULL;
+
+-- ============================================================================
+-- PART 2: SIGNAL OUTCOMES
+-- ============================================================================
+
+-- How ratings of URLs carrying each signal turn out, against all ratings with a signal set
+DROP VIEW IF EXISTS public.url_signal_outcomes;
+CREATE OR REPLACE VIEW public.url_signal_outcomes
+WITH (security_invoker=on)
+AS
+WITH rated AS (
+    SELECT r.rating, r.is_spam, r.is_misleading, r.is_scam, signal
+    FROM public.ratings r
+    CROSS JOIN LATERAL jsonb_array_elements_text(
+        CASE WHEN jsonb_array_length(r.url_signals->'signals') = 0 THEN '["none"]'::jsonb ELSE r.url_signals->'signals' END
+    ) AS signal
+    WHERE r.url_signals IS NOT NULL
+      AND jsonb_typeof(r.url_signals->'signals') = 'array'
+)
+SELECT
+    signal,
+    COUNT(*) AS rating_count,
+    ROUND(AVG(rating), 2) AS average_rating,
+    ROUND(100.0 * COUNT(*) FILTER (WHERE is_spam) / COUNT(*), 1) AS spam_report_pct,
+    ROUND(100.0 * COUNT(*) FILTER (WHERE is_misleading) / COUNT(*), 1) AS misleading_report_pct,
+    ROUND(100.0 * COUNT(*) FILTER (WHERE is_scam) / COUNT(*), 1) AS scam_report_pct
+FROM rated
+GROUP BY signal
+ORDER BY scam_report_pct DESC, rating_count DESC;
+
+COMMENT ON VIEW public.url_signal_outcomes IS 'Per URL signal (and "none" for ratings whose URL had no signals): rating count, average rating and report rates. Used to tune the extension''s signal weights.';
+
+GRANT SELECT ON public.url_signal_outcomes TO service_role;
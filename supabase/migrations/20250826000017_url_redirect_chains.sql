@@ -0,0 +1,70 @@
+-- Redirect chains for link shorteners
+-- Ratings on https://bit.ly/abc or https://t.co/xyz say nothing about where the link leads.
+-- url-trust-api follows the redirects of known shorteners (_shared/redirect-resolver.ts), stores
+-- every hop here under the link's url_hash, and /url-stats scores the link by its destination.
+
+-- ============================================================================
+-- PART 1: CHAIN TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.url_redirect_chains (
+    url_hash TEXT PRIMARY KEY,
+    start_url TEXT NOT NULL,
+    final_url TEXT NOT NULL,
+    final_url_hash TEXT,
+    final_domain TEXT,
+    hops JSONB NOT NULL DEFAULT '[]'::jsonb,
+    hop_count INTEGER NOT NULL DEFAULT 0,
+    complete BOOLEAN NOT NULL DEFAULT false,
+    error TEXT,
+    resolved_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE public.url_redirect_chains IS 'Redirect chain of a shortened or tracking link, keyed like url_stats by url_hash. hops is [{ url, status }] in request order; complete is false when the hop or time limit, a loop or a blocked address cut the chain short. Re-resolved by url-trust-api once older than a week.';
+COMMENT ON COLUMN public.url_redirect_chains.final_url_hash IS 'url_hash of the canonical destination, for joining its url_stats';
+COMMENT ON COLUMN public.url_redirect_chains.hop_count IS 'Number of redirects followed';
+
+ALTER TABLE public.url_redirect_chains ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_url_redirect_chains_final_url_hash ON public.url_redirect_chains (final_url_hash);
+
+-- ============================================================================
+-- PART 2: CLEANUP
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.cleanup_url_redirect_chains(retention_days INTEGER DEFAULT 90)
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    deleted_count INTEGER;
+BEGIN
+    DELETE FROM public.url_redirect_chains
+    WHERE resolved_at < NOW() - INTERVAL '1 day' * retention_days;
+
+    GET DIAGNOSTICS deleted_count = ROW_COUNT;
+
+    RETURN 'Deleted ' || deleted_count || ' redirect chains not resolved in ' || retention_days || ' days';
+END;
+$$;
+
+COMMENT ON FUNCTION public.cleanup_url_redirect_chains IS 'Deletes redirect chains not re-resolved for specified days (default 90); they are resolved again on the next /url-stats lookup. Called by daily cron job.';
+
+GRANT EXECUTE ON FUNCTION public.cleanup_url_redirect_chains(INTEGER) TO service_role;
+
+DO $$
+BEGIN
+    BEGIN
+        PERFORM cron.unschedule('cleanup-url-redirect-chains');
+    EXCEPTION WHEN OTHERS THEN
+        RAISE NOTICE 'cleanup-url-redirect-chains did not exist (this is fine)';
+    END;
+END $$;
+
+SELECT cron.schedule(
+    'cleanup-url-redirect-chains',
+    '40 3 * * *',  -- Daily, after the history cleanup
+    'SELECT public.cleanup_url_redirect_chains();'
+);
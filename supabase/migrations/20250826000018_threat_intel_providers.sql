@@ -0,0 +1,368 @@
+-- Pluggable threat-intel providers
+-- Domain analysis now runs every external feed through the provider registry in
+-- _shared/threat-intel.ts and stores one normalized verdict per provider in
+-- domain_cache.threat_verdicts. The trust score and the reputation refresh read those verdicts
+-- instead of switching on Safe Browsing / Hybrid Analysis statuses, so a new feed needs no SQL
+-- changes. Rows analyzed before this migration (no verdicts yet) keep the old per-vendor rules
+-- until they are re-analyzed.
+
+-- ============================================================================
+-- PART 1: CONFIGURATION
+-- ============================================================================
+
+INSERT INTO public.trust_algorithm_config (config_key, config_value, description)
+VALUES (
+    'threat_intel_providers',
+    '{
+        "google_safe_browsing": { "enabled": true, "weight": 1, "timeout_ms": 8000, "rate_limit_per_minute": 60 },
+        "hybrid_analysis": { "enabled": true, "weight": 1, "timeout_ms": 10000, "rate_limit_per_minute": 20 },
+        "whois_xml": { "enabled": true, "weight": 0, "timeout_ms": 10000, "rate_limit_per_minute": 30 }
+    }'::jsonb,
+    'Threat-intel providers by id. A provider runs when enabled and its API key is set. weight is its share in domain_cache.threat_score (0 for informational feeds such as WHOIS); timeout_ms and rate_limit_per_minute override the provider defaults. Providers not listed run with enabled true and weight 1.'
+)
+ON CONFLICT (config_key) DO NOTHING;
+
+-- ============================================================================
+-- PART 2: VERDICTS
+-- ============================================================================
+
+ALTER TABLE public.domain_cache ADD COLUMN IF NOT EXISTS threat_verdicts JSONB;
+
+COMMENT ON COLUMN public.domain_cache.threat_verdicts IS 'Normalized verdict per threat-intel provider: { "<provider id>": { provider, status (clean | suspicious | malicious | unknown), category, threat_score (domain trust points to subtract), facts, error, checked_at } }. NULL for rows analyzed before providers were introduced.';
+COMMENT ON COLUMN public.domain_cache.google_safe_browsing_status IS 'Legacy: derived from threat_verdicts.google_safe_browsing for existing readers';
+COMMENT ON COLUMN public.domain_cache.hybrid_analysis_status IS 'Legacy: derived from threat_verdicts.hybrid_analysis for existing readers';
+
+-- Domain trust points to subtract for a domain_cache row: the sum of its providers' threat scores,
+-- or the old per-vendor penalties for rows without verdicts
+CREATE OR REPLACE FUNCTION public.threat_intel_penalty(
+    p_verdicts JSONB,
+    p_google_safe_browsing_status TEXT DEFAULT NULL,
+    p_hybrid_analysis_status TEXT DEFAULT NULL
+)
+RETURNS DECIMAL
+LANGUAGE sql
+IMMUTABLE
+SET search_path = public
+AS $$
+    SELECT CASE
+        WHEN p_verdicts IS NOT NULL AND jsonb_typeof(p_verdicts) = 'object' THEN
+            COALESCE((
+                SELECT SUM(COALESCE((verdict->>'threat_score')::DECIMAL, 0))
+                FROM jsonb_each(p_verdicts) AS provider(id, verdict)
+                WHERE verdict->>'status' IN ('suspicious', 'malicious')
+            ), 0)
+        ELSE
+            (CASE p_google_safe_browsing_status
+                WHEN 'malware' THEN 50
+                WHEN 'phishing' THEN 45
+                WHEN 'unwanted' THEN 30
+                ELSE 0
+            END)
+            + (CASE p_hybrid_analysis_status
+                WHEN 'malicious' THEN 40
+                WHEN 'suspicious' THEN 25
+                ELSE 0
+            END)
+    END;
+$$;
+
+COMMENT ON FUNCTION public.threat_intel_penalty IS 'Domain trust penalty from threat-intel verdicts (sum of threat_score of suspicious/malicious verdicts); falls back to the legacy Safe Browsing / Hybrid Analysis columns when there are no verdicts.';
+
+-- Whether any provider calls the domain malicious (used to confirm scam reports)
+CREATE OR REPLACE FUNCTION public.threat_intel_confirms_threat(
+    p_verdicts JSONB,
+    p_google_safe_browsing_status TEXT DEFAULT NULL,
+    p_hybrid_analysis_status TEXT DEFAULT NULL
+)
+RETURNS BOOLEAN
+LANGUAGE sql
+IMMUTABLE
+SET search_path = public
+AS $$
+    SELECT CASE
+        WHEN p_verdicts IS NOT NULL AND jsonb_typeof(p_verdicts) = 'object' THEN
+            EXISTS (
+                SELECT 1 FROM jsonb_each(p_verdicts) AS provider(id, verdict)
+                WHERE verdict->>'status' = 'malicious'
+            )
+        ELSE
+            COALESCE(p_google_safe_browsing_status IN ('malware', 'phishing') OR p_hybrid_analysis_status = 'malicious', false)
+    END;
+$$;
+
+COMMENT ON FUNCTION public.threat_intel_confirms_threat IS 'True when a threat-intel provider reports the domain as malicious; falls back to the legacy Safe Browsing / Hybrid Analysis columns when there are no verdicts.';
+
+GRANT EXECUTE ON FUNCTION public.threat_intel_penalty(JSONB, TEXT, TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION public.threat_intel_confirms_threat(JSONB, TEXT, TEXT) TO service_role;
+
+-- ============================================================================
+-- PART 3: TRUST SCORE READS THE VERDICTS
+-- ============================================================================
+
+-- Same as the 20250826000010 version, with the per-vendor CASE blocks replaced by threat_intel_penalty.
+CREATE OR REPLACE FUNCTION public.calculate_enhanced_trust_score(
+    p_url_hash TEXT,
+    p_url TEXT DEFAULT NULL
+)
+RETURNS TABLE(
+    domain_score DECIMAL,
+    community_score DECIMAL,
+    final_score DECIMAL,
+    content_type TEXT,
+    community_margin DECIMAL,
+    final_margin DECIMAL
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_domain TEXT;
+    v_content_type TEXT;
+    v_total_ratings INTEGER;
+    v_weight_sum DECIMAL;
+    v_avg_rating DECIMAL;
+    v_spam_ratio DECIMAL;
+    v_misleading_ratio DECIMAL;
+    v_scam_ratio DECIMAL;
+    v_score_mean DECIMAL;
+    v_score_variance DECIMAL;
+    v_config JSONB := public.get_trust_config('community_scoring');
+    v_prior_mean DECIMAL;
+    v_prior_weight DECIMAL;
+    v_prior_sd DECIMAL;
+    v_posterior_weight DECIMAL;
+    v_community_margin DECIMAL;
+    v_domain_trust DECIMAL := 50.0;
+    v_community_trust DECIMAL := 50.0;
+    v_final_trust DECIMAL;
+    v_blacklist_penalty DECIMAL := 0;
+    v_content_modifier DECIMAL := 0;
+    v_domain_cache_record RECORD;
+    v_blacklist_record RECORD;
+BEGIN
+    IF p_url IS NULL THEN
+        v_domain := 'unknown';
+        v_content_type := 'general';
+    ELSE
+        v_domain := public.extract_domain(p_url);
+        v_content_type := public.determine_content_type(p_url, v_domain);
+    END IF;
+
+    SELECT
+        ws.rating_count,
+        ws.weight_sum,
+        COALESCE(ws.weighted_average_rating, 3.0),
+        ws.spam_ratio,
+        ws.misleading_ratio,
+        ws.scam_ratio,
+        ws.score_mean,
+        ws.score_variance
+    INTO
+        v_total_ratings, v_weight_sum, v_avg_rating, v_spam_ratio, v_misleading_ratio, v_scam_ratio,
+        v_score_mean, v_score_variance
+    FROM public.calculate_weighted_community_stats(p_url_hash) ws;
+
+    IF COALESCE(v_config->>'method', 'bayesian') = 'linear' THEN
+        IF v_total_ratings > 0 THEN
+            v_community_trust := ((v_avg_rating - 1) / 4) * 100;
+
+            v_community_trust := v_community_trust - (v_spam_ratio * 30);
+            v_community_trust := v_community_trust - (v_misleading_ratio * 25);
+            v_community_trust := v_community_trust - (v_scam_ratio * 40);
+
+            DECLARE
+                confidence_multiplier DECIMAL := LEAST(1.0, v_weight_sum / GREATEST(
+                    COALESCE((public.get_trust_config('reputation_weighting')->>'full_confidence_weight')::DECIMAL, 5.0), 0.01));
+            BEGIN
+                v_community_trust := v_community_trust * confidence_multiplier + (50 * (1 - confidence_multiplier));
+            END;
+        END IF;
+    ELSE
+        -- Bayesian average of per-rating points (same linear penalties as above, so with enough
+        -- ratings it converges to the weighted mean) and its posterior standard deviation
+        v_prior_mean := COALESCE((v_config->>'prior_mean')::DECIMAL, 50);
+        v_prior_weight := GREATEST(COALESCE((v_config->>'prior_weight')::DECIMAL, 5), 0.01);
+        v_prior_sd := COALESCE((v_config->>'prior_sd')::DECIMAL, 25);
+        v_posterior_weight := v_prior_weight + COALESCE(v_weight_sum, 0);
+
+        v_community_trust := (v_prior_weight * v_prior_mean + COALESCE(v_weight_sum, 0) * COALESCE(v_score_mean, 0))
+            / v_posterior_weight;
+
+        v_community_margin := LEAST(50, COALESCE((v_config->>'interval_z')::DECIMAL, 1.645) * SQRT(
+            (v_prior_weight * POWER(v_prior_sd, 2) + COALESCE(v_weight_sum, 0) * COALESCE(v_score_variance, 0))
+            / v_posterior_weight
+            / v_posterior_weight
+        ));
+    END IF;
+
+    IF v_domain != 'unknown' THEN
+        SELECT * INTO v_domain_cache_record
+        FROM public.domain_cache dc
+        WHERE dc.domain = v_domain AND dc.cache_expires_at > NOW()
+        LIMIT 1;
+
+        IF FOUND THEN
+            v_domain_trust := 50.0;
+
+            IF v_domain_cache_record.domain_age_days IS NOT NULL THEN
+                IF v_domain_cache_record.domain_age_days > 365 * 5 THEN
+                    v_domain_trust := v_domain_trust + 15;
+                ELSIF v_domain_cache_record.domain_age_days > 365 * 2 THEN
+                    v_domain_trust := v_domain_trust + 10;
+                ELSIF v_domain_cache_record.domain_age_days > 365 THEN
+                    v_domain_trust := v_domain_trust + 5;
+                ELSIF v_domain_cache_record.domain_age_days < 30 THEN
+                    v_domain_trust := v_domain_trust - 10;
+                END IF;
+            END IF;
+
+            IF v_domain_cache_record.ssl_valid = TRUE THEN
+                v_domain_trust := v_domain_trust + 5;
+            ELSE
+                v_domain_trust := v_domain_trust - 15;
+            END IF;
+
+            IF v_domain_cache_record.http_status >= 400 THEN
+                v_domain_trust := v_domain_trust - 20;
+            END IF;
+
+            v_domain_trust := v_domain_trust - public.threat_intel_penalty(
+                v_domain_cache_record.threat_verdicts,
+                v_domain_cache_record.google_safe_browsing_status,
+                v_domain_cache_record.hybrid_analysis_status
+            );
+        END IF;
+
+        SELECT * INTO v_blacklist_record
+        FROM public.check_domain_blacklist(v_domain);
+
+        IF v_blacklist_record.is_blacklisted THEN
+            v_blacklist_penalty := v_blacklist_record.penalty_score;
+            v_domain_trust := v_domain_trust - v_blacklist_penalty;
+        END IF;
+
+        SELECT COALESCE(ctr.trust_score_modifier, 0) INTO v_content_modifier
+        FROM public.content_type_rules ctr
+        WHERE ctr.domain = v_domain AND ctr.content_type = v_content_type AND ctr.is_active = TRUE
+        ORDER BY ctr.priority, ctr.created_at, ctr.id
+        LIMIT 1;
+
+        v_domain_trust := v_domain_trust + v_content_modifier;
+    END IF;
+
+    v_domain_trust := GREATEST(0, LEAST(100, v_domain_trust));
+    v_community_trust := GREATEST(0, LEAST(100, v_community_trust));
+
+    v_final_trust := (v_domain_trust * 0.4) + (v_community_trust * 0.6);
+    v_final_trust := GREATEST(0, LEAST(100, v_final_trust));
+
+    RETURN QUERY SELECT
+        ROUND(v_domain_trust, 2),
+        ROUND(v_community_trust, 2),
+        ROUND(v_final_trust, 2),
+        v_content_type,
+        ROUND(v_community_margin, 2),
+        ROUND(v_community_margin * 0.6, 2);
+END;
+$$;
+
+-- ============================================================================
+-- PART 4: REPUTATION READS THE VERDICTS
+-- ============================================================================
+
+-- Same as the 20250826000008 version, with the Safe Browsing / Hybrid Analysis check replaced by
+-- threat_intel_confirms_threat.
+CREATE OR REPLACE FUNCTION public.refresh_rater_reputation()
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_config JSONB := public.get_trust_config('reputation_weighting');
+    v_settle_days INTEGER := COALESCE((v_config->'consensus'->>'settle_after_days')::INTEGER, 3);
+    v_min_url_ratings INTEGER := COALESCE((v_config->'consensus'->>'min_url_ratings')::INTEGER, 5);
+    v_tolerance DECIMAL := COALESCE((v_config->'consensus'->>'agreement_tolerance_stars')::DECIMAL, 1.0);
+    v_false_max_share DECIMAL := COALESCE((v_config->'scam_reports'->>'false_report_max_scam_share')::DECIMAL, 0.1);
+    v_false_min_average DECIMAL := COALESCE((v_config->'scam_reports'->>'false_report_min_average')::DECIMAL, 4.0);
+    v_evaluated_count INTEGER := 0;
+    v_rater_count INTEGER := 0;
+BEGIN
+    CREATE TEMP TABLE tmp_reputation_evaluation ON COMMIT DROP AS
+    SELECT
+        r.id,
+        r.user_id_hash,
+        ABS(r.rating - COALESCE((us.community_weighting->>'average_rating')::DECIMAL, us.average_rating)) <= v_tolerance AS agrees,
+        r.is_scam AND (
+            COALESCE((SELECT bl.is_blacklisted FROM public.check_domain_blacklist(r.domain) bl), false)
+            OR EXISTS (
+                SELECT 1 FROM public.domain_cache dc
+                WHERE dc.domain = r.domain
+                  AND public.threat_intel_confirms_threat(dc.threat_verdicts, dc.google_safe_browsing_status, dc.hybrid_analysis_status)
+            )
+        ) AS scam_confirmed,
+        r.is_scam
+            AND COALESCE((us.community_weighting->>'average_rating')::DECIMAL, us.average_rating) >= v_false_min_average
+            AND COALESCE((us.community_weighting->>'scam_ratio')::DECIMAL,
+                         us.scam_reports_count::DECIMAL / NULLIF(us.rating_count, 0)) <= v_false_max_share
+            AS scam_rejected
+    FROM public.ratings r
+    JOIN public.url_stats us ON us.url_hash = r.url_hash
+    WHERE r.reputation_evaluated_at IS NULL
+      AND r.processed = true
+      AND r.created_at < NOW() - INTERVAL '1 day' * v_settle_days
+      AND us.rating_count >= v_min_url_ratings;
+
+    GET DIAGNOSTICS v_evaluated_count = ROW_COUNT;
+
+    INSERT INTO public.rater_reputation (user_id_hash, settled_ratings, agreeing_ratings, confirmed_scam_reports, false_scam_reports)
+    SELECT
+        user_id_hash,
+        COUNT(*),
+        COUNT(*) FILTER (WHERE agrees),
+        COUNT(*) FILTER (WHERE scam_confirmed),
+        COUNT(*) FILTER (WHERE scam_rejected AND NOT scam_confirmed)
+    FROM tmp_reputation_evaluation
+    GROUP BY user_id_hash
+    ON CONFLICT (user_id_hash) DO UPDATE SET
+        settled_ratings = rater_reputation.settled_ratings + EXCLUDED.settled_ratings,
+        agreeing_ratings = rater_reputation.agreeing_ratings + EXCLUDED.agreeing_ratings,
+        confirmed_scam_reports = rater_reputation.confirmed_scam_reports + EXCLUDED.confirmed_scam_reports,
+        false_scam_reports = rater_reputation.false_scam_reports + EXCLUDED.false_scam_reports;
+
+    UPDATE public.ratings r
+    SET reputation_evaluated_at = NOW()
+    FROM tmp_reputation_evaluation e
+    WHERE r.id = e.id;
+
+    -- Raters with pending ratings get a row too, so their weight is stored rather than derived per query
+    INSERT INTO public.rater_reputation (user_id_hash)
+    SELECT DISTINCT user_id_hash FROM public.ratings
+    ON CONFLICT (user_id_hash) DO NOTHING;
+
+    -- Account age changes daily, so every row is recomputed
+    UPDATE public.rater_reputation rr
+    SET
+        account_created_at = u.created_at,
+        reputation_score = scored.reputation,
+        weight = public.calculate_rater_weight(scored.reputation, v_config),
+        updated_at = NOW()
+    FROM auth.users u,
+    LATERAL (
+        SELECT public.calculate_rater_reputation(
+            EXTRACT(EPOCH FROM (NOW() - u.created_at)) / 86400,
+            rr.settled_ratings,
+            rr.agreeing_ratings,
+            rr.confirmed_scam_reports,
+            rr.false_scam_reports,
+            v_config
+        ) AS reputation
+    ) scored
+    WHERE u.id = rr.user_id_hash;
+
+    GET DIAGNOSTICS v_rater_count = ROW_COUNT;
+
+    RETURN 'Reputation refresh: evaluated ' || v_evaluated_count || ' settled ratings, reweighted ' || v_rater_count || ' raters';
+END;
+$$;
@@ -0,0 +1,320 @@
+-- Blacklist feeds
+-- domain_blacklist could only be filled one entry at a time through trust-admin POST /blacklist.
+-- Feeds (PhishTank JSON, URLhaus CSV, hosts / adblock lists) are now imported in bulk, either
+-- uploaded to POST /blacklist/import or downloaded by the refresh-blacklist-feeds cron job. Every
+-- entry remembers its feed and when the feed last listed it; entries that drop out of the feed are
+-- deactivated, and each import's version and counts are kept in blacklist_feed_imports.
+
+-- ============================================================================
+-- PART 1: CONFIGURATION
+-- ============================================================================
+
+INSERT INTO public.trust_algorithm_config (config_key, config_value, description)
+VALUES (
+    'blacklist_feeds',
+    '{
+        "protected_baseline_score": 65
+    }'::jsonb,
+    'Feed imports skip hosts whose registrable domain has a domain_baselines score of at least protected_baseline_score (65 = the top 10,000 ranks), so a phishing page on docs.google.com does not blacklist Google. Hosts under private Public Suffix List entries (evil.github.io) are their own registrable domain and are still imported.'
+)
+ON CONFLICT (config_key) DO NOTHING;
+
+-- ============================================================================
+-- PART 2: FEEDS AND IMPORT LOG
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.blacklist_feeds (
+    id TEXT PRIMARY KEY CHECK (id ~ '^[a-z0-9_-]+$'),
+    format TEXT NOT NULL CHECK (format IN ('phishtank', 'urlhaus', 'hosts')),
+    url TEXT,
+    enabled BOOLEAN NOT NULL DEFAULT false,
+    blacklist_type TEXT NOT NULL DEFAULT 'malware',
+    severity INTEGER NOT NULL DEFAULT 7 CHECK (severity >= 1 AND severity <= 10),
+    category_map JSONB NOT NULL DEFAULT '{}'::jsonb,
+    expire_after_hours INTEGER NOT NULL DEFAULT 48 CHECK (expire_after_hours >= 0),
+    refresh_interval_hours INTEGER NOT NULL DEFAULT 24 CHECK (refresh_interval_hours > 0),
+    last_version TEXT,
+    last_imported_at TIMESTAMP WITH TIME ZONE,
+    last_status TEXT,
+    last_error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE public.blacklist_feeds IS 'Third-party blacklist feeds. Entries are stored in domain_blacklist with source = the feed id. url is downloaded by the refresh-blacklist-feeds cron job when enabled (NULL: upload-only feed).';
+COMMENT ON COLUMN public.blacklist_feeds.category_map IS 'Feed category -> { blacklist_type, severity } (URLhaus threat, "phishing" for PhishTank); unmapped categories and hosts lists use the feed''s blacklist_type and severity';
+COMMENT ON COLUMN public.blacklist_feeds.expire_after_hours IS 'Grace period: entries missing from a completed import are deactivated once the feed has not listed them for this long';
+COMMENT ON COLUMN public.blacklist_feeds.last_version IS 'Version of the last completed import: the date or version the file declares, else sha256:<content hash prefix>';
+
+ALTER TABLE public.blacklist_feeds ENABLE ROW LEVEL SECURITY;
+
+CREATE TABLE IF NOT EXISTS public.blacklist_feed_imports (
+    id BIGSERIAL PRIMARY KEY,
+    feed_id TEXT NOT NULL REFERENCES public.blacklist_feeds (id) ON DELETE CASCADE,
+    feed_version TEXT,
+    status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'unchanged', 'failed')),
+    parsed INTEGER NOT NULL DEFAULT 0,
+    invalid INTEGER NOT NULL DEFAULT 0,
+    inserted INTEGER NOT NULL DEFAULT 0,
+    refreshed INTEGER NOT NULL DEFAULT 0,
+    duplicates INTEGER NOT NULL DEFAULT 0,
+    protected INTEGER NOT NULL DEFAULT 0,
+    expired INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    finished_at TIMESTAMP WITH TIME ZONE
+);
+
+COMMENT ON TABLE public.blacklist_feed_imports IS 'One row per feed import. parsed: distinct hosts in the file; invalid: unusable lines; inserted / refreshed: new and re-listed entries; duplicates: hosts already covered by another blacklist entry; protected: hosts skipped under protected_baseline_score; expired: entries deactivated after dropping out of the feed.';
+
+ALTER TABLE public.blacklist_feed_imports ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_blacklist_feed_imports_feed ON public.blacklist_feed_imports (feed_id, started_at DESC);
+
+-- Both disabled until configured: PhishTank's download URL contains the app key
+-- (http://data.phishtank.com/data/<app key>/online-valid.json)
+INSERT INTO public.blacklist_feeds (id, format, url, blacklist_type, severity, category_map)
+VALUES
+    ('phishtank', 'phishtank', NULL, 'phishing', 8, '{}'::jsonb),
+    ('urlhaus', 'urlhaus', 'https://urlhaus.abuse.ch/downloads/csv_online/', 'malware', 8,
+     '{"malware_download": { "blacklist_type": "malware", "severity": 9 }}'::jsonb)
+ON CONFLICT (id) DO NOTHING;
+
+-- ============================================================================
+-- PART 3: FEED ENTRIES IN DOMAIN_BLACKLIST
+-- ============================================================================
+
+ALTER TABLE public.domain_blacklist ADD COLUMN IF NOT EXISTS feed_id TEXT REFERENCES public.blacklist_feeds (id) ON DELETE SET NULL;
+ALTER TABLE public.domain_blacklist ADD COLUMN IF NOT EXISTS feed_version TEXT;
+ALTER TABLE public.domain_blacklist ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN public.domain_blacklist.feed_id IS 'Feed that lists this entry (source is then the feed id); NULL for manual entries';
+COMMENT ON COLUMN public.domain_blacklist.feed_version IS 'Feed version that last listed the entry';
+COMMENT ON COLUMN public.domain_blacklist.last_seen_at IS 'When the feed last listed the entry; entries not re-listed are deactivated after the feed''s expire_after_hours';
+
+-- One entry per host and feed, so re-imports update instead of duplicating
+CREATE UNIQUE INDEX IF NOT EXISTS idx_blacklist_feed_pattern
+    ON public.domain_blacklist (feed_id, domain_pattern) WHERE feed_id IS NOT NULL;
+
+-- ============================================================================
+-- PART 4: IMPORT FUNCTIONS
+-- ============================================================================
+
+-- Opens the import log row; trust-admin then sends the entries in chunks and closes it
+CREATE OR REPLACE FUNCTION public.start_blacklist_feed_import(p_feed_id TEXT, p_feed_version TEXT, p_parsed INTEGER, p_invalid INTEGER)
+RETURNS BIGINT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_import_id BIGINT;
+BEGIN
+    INSERT INTO public.blacklist_feed_imports (feed_id, feed_version, parsed, invalid)
+    VALUES (p_feed_id, p_feed_version, p_parsed, p_invalid)
+    RETURNING id INTO v_import_id;
+
+    RETURN v_import_id;
+END;
+$$;
+
+COMMENT ON FUNCTION public.start_blacklist_feed_import IS 'Creates a running blacklist_feed_imports row for trust-admin and returns its id.';
+
+CREATE OR REPLACE FUNCTION public.import_blacklist_feed_entries(p_import_id BIGINT, p_entries JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_feed_id TEXT;
+    v_feed_version TEXT;
+    v_protected_score DECIMAL;
+    v_inserted INTEGER;
+    v_refreshed INTEGER;
+    v_duplicates INTEGER;
+    v_protected INTEGER;
+BEGIN
+    SELECT feed_id, feed_version INTO v_feed_id, v_feed_version
+    FROM public.blacklist_feed_imports
+    WHERE id = p_import_id AND status = 'running';
+
+    IF v_feed_id IS NULL THEN
+        RAISE EXCEPTION 'No running blacklist feed import %', p_import_id;
+    END IF;
+
+    v_protected_score := COALESCE((public.get_trust_config('blacklist_feeds')->>'protected_baseline_score')::DECIMAL, 65);
+
+    WITH incoming AS (
+        SELECT DISTINCT ON (lower(e->>'domain_pattern'))
+            lower(e->>'domain_pattern') AS domain_pattern,
+            e->>'blacklist_type' AS blacklist_type,
+            (e->>'severity')::INTEGER AS severity,
+            e->>'description' AS description
+        FROM jsonb_array_elements(p_entries) e
+        WHERE COALESCE(e->>'domain_pattern', '') <> ''
+        ORDER BY lower(e->>'domain_pattern'), (e->>'severity')::INTEGER DESC
+    ),
+    classified AS (
+        SELECT
+            i.*,
+            -- Already covered by a manual entry, a wildcard or another feed (this feed's own entry is refreshed instead)
+            EXISTS (
+                SELECT 1 FROM public.get_domain_blacklist_matches(i.domain_pattern) m
+                WHERE m.feed_id IS DISTINCT FROM v_feed_id
+            ) AS is_duplicate,
+            EXISTS (
+                SELECT 1 FROM public.domain_baselines b
+                WHERE b.domain = COALESCE(public.registrable_domain(i.domain_pattern), i.domain_pattern)
+                  AND b.baseline_score >= v_protected_score
+            ) AS is_protected
+        FROM incoming i
+    ),
+    upserted AS (
+        INSERT INTO public.domain_blacklist AS bl (
+            domain_pattern, match_scope, blacklist_type, severity, source, description,
+            feed_id, feed_version, last_seen_at, is_active, updated_at
+        )
+        SELECT domain_pattern, 'host', blacklist_type, severity, v_feed_id, description,
+               v_feed_id, v_feed_version, NOW(), true, NOW()
+        FROM classified
+        WHERE NOT is_duplicate AND NOT is_protected
+        ON CONFLICT (feed_id, domain_pattern) WHERE feed_id IS NOT NULL DO UPDATE SET
+            blacklist_type = EXCLUDED.blacklist_type,
+            severity = EXCLUDED.severity,
+            description = EXCLUDED.description,
+            feed_version = EXCLUDED.feed_version,
+            last_seen_at = NOW(),
+            is_active = true,
+            updated_at = NOW()
+        RETURNING (xmax = 0) AS was_inserted
+    )
+    SELECT
+        (SELECT COUNT(*) FILTER (WHERE was_inserted) FROM upserted),
+        (SELECT COUNT(*) FILTER (WHERE NOT was_inserted) FROM upserted),
+        (SELECT COUNT(*) FILTER (WHERE is_duplicate) FROM classified),
+        (SELECT COUNT(*) FILTER (WHERE is_protected AND NOT is_duplicate) FROM classified)
+    INTO v_inserted, v_refreshed, v_duplicates, v_protected;
+
+    UPDATE public.blacklist_feed_imports
+    SET inserted = inserted + v_inserted,
+        refreshed = refreshed + v_refreshed,
+        duplicates = duplicates + v_duplicates,
+        protected = protected + v_protected
+    WHERE id = p_import_id;
+
+    RETURN jsonb_build_object(
+        'inserted', v_inserted,
+        'refreshed', v_refreshed,
+        'duplicates', v_duplicates,
+        'protected', v_protected
+    );
+END;
+$$;
+
+COMMENT ON FUNCTION public.import_blacklist_feed_entries IS 'Bulk upsert of one chunk of a feed import into domain_blacklist (host-scoped, source = feed id). Hosts already matched by another blacklist entry, or under a protected registrable domain, are counted and skipped. Returns { inserted, refreshed, duplicates, protected }.';
+
+-- Closes an import. Completed and unchanged imports record the feed version and deactivate the
+-- feed's entries that were not listed this time and have not been for expire_after_hours;
+-- failed imports expire nothing, so a bad download never empties the blacklist.
+CREATE OR REPLACE FUNCTION public.finish_blacklist_feed_import(p_import_id BIGINT, p_status TEXT, p_error TEXT DEFAULT NULL)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_import public.blacklist_feed_imports%ROWTYPE;
+    v_expire_after_hours INTEGER;
+    v_expired INTEGER := 0;
+BEGIN
+    IF p_status NOT IN ('completed', 'unchanged', 'failed') THEN
+        RAISE EXCEPTION 'Invalid import status %', p_status;
+    END IF;
+
+    SELECT * INTO v_import FROM public.blacklist_feed_imports WHERE id = p_import_id AND status = 'running';
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'No running blacklist feed import %', p_import_id;
+    END IF;
+
+    SELECT expire_after_hours INTO v_expire_after_hours FROM public.blacklist_feeds WHERE id = v_import.feed_id;
+
+    IF p_status = 'unchanged' THEN
+        -- Same file as last time: everything it lists is still listed
+        UPDATE public.domain_blacklist
+        SET last_seen_at = NOW()
+        WHERE feed_id = v_import.feed_id
+          AND feed_version = v_import.feed_version
+          AND is_active;
+    END IF;
+
+    IF p_status IN ('completed', 'unchanged') THEN
+        UPDATE public.domain_blacklist
+        SET is_active = false,
+            updated_at = NOW()
+        WHERE feed_id = v_import.feed_id
+          AND is_active
+          AND last_seen_at < LEAST(v_import.started_at, NOW() - INTERVAL '1 hour' * v_expire_after_hours);
+
+        GET DIAGNOSTICS v_expired = ROW_COUNT;
+
+        UPDATE public.blacklist_feeds
+        SET last_version = v_import.feed_version,
+            last_imported_at = NOW(),
+            last_status = p_status,
+            last_error = NULL,
+            updated_at = NOW()
+        WHERE id = v_import.feed_id;
+    ELSE
+        UPDATE public.blacklist_feeds
+        SET last_status = p_status,
+            last_error = p_error,
+            updated_at = NOW()
+        WHERE id = v_import.feed_id;
+    END IF;
+
+    UPDATE public.blacklist_feed_imports
+    SET status = p_status,
+        expired = v_expired,
+        error = p_error,
+        finished_at = NOW()
+    WHERE id = p_import_id
+    RETURNING * INTO v_import;
+
+    RETURN to_jsonb(v_import);
+END;
+$$;
+
+COMMENT ON FUNCTION public.finish_blacklist_feed_import IS 'Closes a blacklist_feed_imports row (completed | unchanged | failed), expires entries that dropped out of the feed and records the feed version. Returns the import row.';
+
+GRANT EXECUTE ON FUNCTION public.start_blacklist_feed_import(TEXT, TEXT, INTEGER, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION public.import_blacklist_feed_entries(BIGINT, JSONB) TO service_role;
+GRANT EXECUTE ON FUNCTION public.finish_blacklist_feed_import(BIGINT, TEXT, TEXT) TO service_role;
+
+-- ============================================================================
+-- PART 5: SCHEDULED REFRESH
+-- ============================================================================
+
+-- Hourly; trust-admin only downloads enabled feeds whose refresh_interval_hours has passed
+DO $$
+BEGIN
+    BEGIN
+        PERFORM cron.unschedule('refresh-blacklist-feeds');
+    EXCEPTION WHEN OTHERS THEN
+        RAISE NOTICE 'refresh-blacklist-feeds did not exist (this is fine)';
+    END;
+END $$;
+
+SELECT cron.schedule(
+    'refresh-blacklist-feeds',
+    '25 * * * *',  -- Hourly, away from the batch analysis jobs
+    $CRON$
+    SELECT net.http_post(
+        url := 'http://localhost:54321/functions/v1/trust-admin/blacklist/feeds/refresh',
+        headers := '{"Content-Type": "application/json", "Authorization": "Bearer ' ||
+                   (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'supabase_service_role_key') || '"}',
+        body := '{}'::jsonb,
+        timeout_milliseconds := 120000
+    );
+    $CRON$
+);